@@ -1,4 +1,4 @@
-import { useEffect, useMemo, useState } from 'react';
+import { useCallback, useEffect, useMemo, useRef, useState } from 'react';
 import { Line, Bar } from 'react-chartjs-2';
 import 'chart.js/auto';
 import { format, subDays } from 'date-fns';
@@ -10,6 +10,190 @@ const resourceLabels = {
   customers: 'Customers',
   orders: 'Orders',
   products: 'Products',
+  refunds: 'Refunds',
+  fulfillments: 'Fulfillments',
+  inventory_levels: 'Inventory levels',
+  custom_collections: 'Custom collections',
+  smart_collections: 'Smart collections',
+  checkouts: 'Abandoned checkouts',
+};
+
+// WooCommerce stores only sync the default resources; the rest are Shopify-specific.
+const isWooCommerce = (shop) => shop?.platform === 'woocommerce';
+const adminUrl = (shop) => `https://${shop.shopDomain}/${isWooCommerce(shop) ? 'wp-admin' : 'admin'}`;
+const EMPTY_REGISTER_FORM = {
+  platform: 'shopify',
+  shopDomain: '',
+  accessToken: '',
+  consumerSecret: '',
+  name: '',
+  apiVersion: '',
+};
+
+const EXPORT_FORMATS = ['csv', 'jsonl', 'parquet'];
+const SYNC_POLL_MS = 1500;
+// With the live feed connected, job updates arrive as they happen; this is only a safety re-check.
+const SYNC_LIVE_RECHECK_MS = 15000;
+const LIVE_RETRY_MS = 1000;
+const LIVE_MAX_RETRY_MS = 30000;
+const INSIGHTS_REFRESH_MS = 3000;
+const COHORT_METRICS = { retentionRate: 'Customers returning', revenueRetention: 'Revenue retained' };
+
+const EMPTY_SEGMENT_FORM = {
+  name: '',
+  rfmSegments: [],
+  tags: '',
+  countries: '',
+  marketingOptInLevels: '',
+  minSpend: '',
+  maxSpend: '',
+  minOrders: '',
+  maxOrders: '',
+  minClv: '',
+  maxClv: '',
+  minChurn: '',
+  maxChurn: '',
+};
+const SEGMENT_MEMBERS_PAGE_SIZE = 25;
+
+// One line per saved segment, e.g. "Champions, At Risk · tags vip · spend >= 100".
+const describeFilters = (filters = {}) => {
+  const parts = [];
+  if (filters.rfmSegments?.length) parts.push(filters.rfmSegments.join(', '));
+  if (filters.tags?.length) parts.push(`tags ${filters.tags.join('/')}`);
+  if (filters.countries?.length) parts.push(`country ${filters.countries.join('/')}`);
+  if (filters.marketingOptInLevels?.length) parts.push(`opt-in ${filters.marketingOptInLevels.join('/')}`);
+  [
+    ['spend', filters.minSpend, filters.maxSpend],
+    ['orders', filters.minOrders, filters.maxOrders],
+    ['predicted CLV', filters.minClv, filters.maxClv],
+    ['churn', filters.minChurn, filters.maxChurn],
+  ].forEach(([label, min, max]) => {
+    if (min !== undefined && min !== null) parts.push(`${label} >= ${min}`);
+    if (max !== undefined && max !== null) parts.push(`${label} <= ${max}`);
+  });
+  return parts.join(' · ') || 'All customers';
+};
+
+const PRODUCT_GROUPINGS = { product: 'Product', variant: 'Variant', vendor: 'Vendor', productType: 'Product type' };
+const PRODUCT_ROWS_SHOWN = 10;
+
+const productRowLabel = (row, groupBy) => {
+  if (groupBy === 'vendor' || groupBy === 'productType') return row[groupBy];
+  const title = row.title || row.productId || 'Custom item';
+  if (groupBy === 'product') return title;
+  return [title, row.variantTitle, row.sku && `SKU ${row.sku}`].filter(Boolean).join(' / ');
+};
+
+const describeProductRow = (row) =>
+  [
+    [row.vendor, row.productType].filter(Boolean).join(' / ') || 'No vendor or type',
+    `${row.units} units`,
+    `$${row.revenue.toFixed(2)}`,
+    `${row.orders} orders`,
+    row.inventoryQuantity !== null && `${row.inventoryQuantity} in stock`,
+  ]
+    .filter(Boolean)
+    .join(' · ');
+
+// Change against the previous period of the same length; nothing when there is no base to compare with.
+const formatChange = (pct) => (pct === null ? '' : ` (${pct >= 0 ? '+' : ''}${pct.toFixed(0)}%)`);
+
+const CLV_SORTS = { clv: 'Highest predicted value', churn: 'Most likely to churn' };
+const CLV_CUSTOMERS_SHOWN = 10;
+const HISTOGRAM_OPTIONS = {
+  plugins: { legend: { display: false } },
+  scales: { x: { ticks: { color: '#94a3b8' } }, y: { ticks: { color: '#94a3b8' } } },
+};
+
+const histogramData = (bins, label, color, binLabel) => ({
+  labels: bins.map(binLabel),
+  datasets: [{ label, data: bins.map((bin) => bin.customers), backgroundColor: color }],
+});
+
+const formatPct = (value) => (value === null || value === undefined ? 'n/a' : `${(value * 100).toFixed(1)}%`);
+// Heatmap shade for a 0..1 rate; revenue retention can pass 1 and is capped.
+const heatColor = (value) => `rgba(99, 102, 241, ${(0.08 + Math.min(value || 0, 1) * 0.72).toFixed(2)})`;
+const ACTIVE_JOB_STATUSES = ['queued', 'running'];
+
+const wait = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// Average completion across resources; a resource without a known total counts once it finishes.
+const jobProgressPct = (job) => {
+  const entries = Object.values(job?.progress || {});
+  if (!entries.length) return 0;
+  const done = entries.reduce((sum, entry) => {
+    if (entry.status === 'succeeded' || entry.status === 'failed') return sum + 1;
+    if (!entry.total) return sum;
+    return sum + Math.min(1, (entry.pulled || 0) / entry.total);
+  }, 0);
+  return Math.round((done / entries.length) * 100);
+};
+
+const describeJob = (job) => {
+  const parts = Object.entries(job.progress || {}).map(
+    ([resource, entry]) => `${resource} ${entry.pulled || 0}${entry.total ? `/${entry.total}` : ''}`
+  );
+  return [job.status, ...parts].join(' - ');
+};
+
+// Live order rows replace the same order if it is already shown; the table keeps the five latest.
+const mergeRecentOrders = (current, incoming) => {
+  const byId = new Map(current.map((order) => [order.shopifyId, order]));
+  incoming.forEach((order) => byId.set(order.shopifyId, { ...byId.get(order.shopifyId), ...order }));
+  return [...byId.values()]
+    .sort((a, b) => new Date(b.processedAt || 0) - new Date(a.processedAt || 0))
+    .slice(0, 5);
+};
+
+// Sync messages are either a whole job (new or just claimed) or a patch of the job with the same _id.
+const mergeSyncJob = (job, update) => {
+  if (job?._id === update._id) {
+    return { ...job, ...update, progress: { ...job.progress, ...update.progress } };
+  }
+  return update.shop ? update : job;
+};
+
+// One SSE block ("event: x\ndata: {...}") as { type, data }; comments and retry hints give null.
+const parseSseBlock = (block) => {
+  let type = 'message';
+  const data = [];
+  block.split('\n').forEach((line) => {
+    if (line.startsWith('event:')) type = line.slice(6).trim();
+    if (line.startsWith('data:')) data.push(line.slice(5).trimStart());
+  });
+  return data.length ? { type, data: JSON.parse(data.join('\n')) } : null;
+};
+
+// EventSource can't send the Authorization header, so the stream is read with fetch. Reconnects with
+// backoff until the signal aborts or the server turns the session away.
+const streamLiveFeed = async (shopId, token, { signal, onMessage, onStatus }) => {
+  let delay = LIVE_RETRY_MS;
+  while (!signal.aborted) {
+    const res = await fetch(`${API_BASE}/shops/${shopId}/stream`, {
+      headers: { Authorization: `Bearer ${token}`, Accept: 'text/event-stream' },
+      signal,
+    }).catch(() => null);
+    if ([401, 403, 404].includes(res?.status)) return;
+    if (res?.ok && res.body) {
+      onStatus(true);
+      delay = LIVE_RETRY_MS;
+      const reader = res.body.pipeThrough(new TextDecoderStream()).getReader();
+      let buffer = '';
+      for (;;) {
+        const { value, done } = await reader.read().catch(() => ({ done: true }));
+        if (done) break;
+        buffer += value.replace(/\r/g, '');
+        const blocks = buffer.split('\n\n');
+        buffer = blocks.pop();
+        blocks.map(parseSseBlock).filter(Boolean).forEach(onMessage);
+      }
+      onStatus(false);
+    }
+    if (signal.aborted) return;
+    await wait(delay);
+    delay = Math.min(delay * 2, LIVE_MAX_RETRY_MS);
+  }
 };
 
 const buildErrorMessage = async (res) => {
@@ -22,26 +206,76 @@ const buildErrorMessage = async (res) => {
   }
 };
 
+const SESSION_KEY = 'xenoSession';
+const WORKSPACE_ROLES = ['analyst', 'admin', 'owner'];
+const canManage = (role) => role === 'admin' || role === 'owner';
+
+const loadStoredSession = () => {
+  try {
+    const stored = JSON.parse(localStorage.getItem(SESSION_KEY) || 'null');
+    if (!stored?.token || new Date(stored.expiresAt) <= new Date()) return null;
+    return stored;
+  } catch {
+    return null;
+  }
+};
+
+// Sign-in endpoints are the only calls made without a session token.
+const postPublic = async (path, body) => {
+  const res = await fetch(`${API_BASE}${path}`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(body),
+  });
+  if (!res.ok) {
+    throw new Error(await buildErrorMessage(res));
+  }
+  return res.json();
+};
+
 const defaultStart = format(subDays(new Date(), 30), 'yyyy-MM-dd');
 const defaultEnd = format(new Date(), 'yyyy-MM-dd');
 
 function App() {
-  const [userEmail, setUserEmail] = useState(localStorage.getItem('xenoEmail') || '');
-  const [authInput, setAuthInput] = useState(userEmail);
+  const [session, setSession] = useState(loadStoredSession);
+  const [authInput, setAuthInput] = useState(session?.email || '');
   const [shops, setShops] = useState([]);
   const [activeShopId, setActiveShopId] = useState('');
   const [insights, setInsights] = useState(null);
   const [events, setEvents] = useState([]);
   const [ordersByDate, setOrdersByDate] = useState([]);
   const [topCustomers, setTopCustomers] = useState([]);
+  const [cohorts, setCohorts] = useState(null);
+  const [cohortGrain, setCohortGrain] = useState('month');
+  const [cohortMetric, setCohortMetric] = useState('retentionRate');
+  const [productPerformance, setProductPerformance] = useState(null);
+  const [productGroupBy, setProductGroupBy] = useState('product');
+  const [productDetail, setProductDetail] = useState(null);
+  const [rfmSummary, setRfmSummary] = useState(null);
+  const [segments, setSegments] = useState([]);
+  const [segmentForm, setSegmentForm] = useState(EMPTY_SEGMENT_FORM);
+  const [segmentPreview, setSegmentPreview] = useState(null);
+  const [segmentMembers, setSegmentMembers] = useState(null);
+  const [clvSummary, setClvSummary] = useState(null);
+  const [clvCustomers, setClvCustomers] = useState([]);
+  const [clvSort, setClvSort] = useState('clv');
   const [loading, setLoading] = useState(false);
+  const [syncJobs, setSyncJobs] = useState({});
+  const [webhookHealth, setWebhookHealth] = useState(null);
+  const [deadLetters, setDeadLetters] = useState([]);
+  const [outboundSubscriptions, setOutboundSubscriptions] = useState([]);
+  const [outboundDeliveries, setOutboundDeliveries] = useState([]);
+  const [outboundForm, setOutboundForm] = useState({ url: '', topics: 'orders/create, checkout_started' });
+  const [importForm, setImportForm] = useState({ resource: 'orders', file: null });
+  const [importReport, setImportReport] = useState(null);
+  const [exportFormat, setExportFormat] = useState('csv');
+  const [liveConnected, setLiveConnected] = useState(false);
   const [message, setMessage] = useState('');
-  const [registerForm, setRegisterForm] = useState({
-    shopDomain: '',
-    accessToken: '',
-    name: '',
-    apiVersion: '',
-  });
+  const [registerForm, setRegisterForm] = useState(EMPTY_REGISTER_FORM);
+  const [workspaces, setWorkspaces] = useState([]);
+  const [activeWorkspaceId, setActiveWorkspaceId] = useState('');
+  const [inviteForm, setInviteForm] = useState({ email: '', role: 'analyst' });
+  const [newWorkspaceName, setNewWorkspaceName] = useState('');
   const [resources, setResources] = useState(DEFAULT_RESOURCES);
   const [customEvent, setCustomEvent] = useState({
     topic: 'checkout_started',
@@ -49,20 +283,77 @@ function App() {
   });
   const [dateRange, setDateRange] = useState({ start: defaultStart, end: defaultEnd });
 
-  const isAuthed = Boolean(userEmail);
+  const userEmail = session?.email || '';
+  const isAuthed = Boolean(session?.token);
+
+  const handleLogout = useCallback(() => {
+    localStorage.removeItem(SESSION_KEY);
+    setSession(null);
+    setShops([]);
+    setWorkspaces([]);
+    setActiveWorkspaceId('');
+    setActiveShopId('');
+    setInsights(null);
+    setEvents([]);
+    setOrdersByDate([]);
+    setTopCustomers([]);
+    setCohorts(null);
+    setProductPerformance(null);
+    setProductDetail(null);
+    setRfmSummary(null);
+    setSegments([]);
+    setSegmentPreview(null);
+    setSegmentMembers(null);
+    setClvSummary(null);
+    setClvCustomers([]);
+    setWebhookHealth(null);
+    setDeadLetters([]);
+    setOutboundSubscriptions([]);
+    setOutboundDeliveries([]);
+  }, []);
 
-  const api = async (path, options = {}) => {
-    const email = options.userEmail || userEmail;
-    if (!email) throw new Error('Sign in with email to use the dashboard');
+  const api = useCallback(async (path, options = {}) => {
+    const { token: tokenOverride, ...init } = options;
+    const token = tokenOverride || session?.token;
+    if (!token) throw new Error('Sign in with email to use the dashboard');
     const res = await fetch(`${API_BASE}${path}`, {
-      headers: { 'Content-Type': 'application/json', 'X-User-Email': email, ...(options.headers || {}) },
-      ...options,
+      ...init,
+      headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${token}`, ...(init.headers || {}) },
     });
+    if (res.status === 401) {
+      handleLogout();
+    }
     if (!res.ok) {
       throw new Error(await buildErrorMessage(res));
     }
     return res.json();
-  };
+  }, [session?.token, handleLogout]);
+
+  // Magic links land on the dashboard with ?token=..., OAuth installs with ?installed= or ?install_error=.
+  useEffect(() => {
+    const params = new URLSearchParams(window.location.search);
+    const linkToken = params.get('token');
+    const installed = params.get('installed');
+    const installError = params.get('install_error');
+    if (!linkToken && !installed && !installError) return;
+
+    ['token', 'installed', 'install_error'].forEach((key) => params.delete(key));
+    const query = params.toString();
+    window.history.replaceState(null, '', `${window.location.pathname}${query ? `?${query}` : ''}`);
+
+    if (installed) setMessage(`Installed on ${installed}. You can sync now.`);
+    if (installError) setMessage(`Shopify install failed - ${installError}`);
+    if (!linkToken) return;
+
+    postPublic('/auth/verify', { token: linkToken })
+      .then((nextSession) => {
+        localStorage.setItem(SESSION_KEY, JSON.stringify(nextSession));
+        setSession(nextSession);
+        setAuthInput(nextSession.email);
+        setMessage('Signed in');
+      })
+      .catch((err) => setMessage(err.message));
+  }, []);
 
   const handleLogin = async (e) => {
     e.preventDefault();
@@ -71,46 +362,97 @@ function App() {
       return;
     }
     const nextEmail = authInput.trim().toLowerCase();
-    localStorage.setItem('xenoEmail', nextEmail);
-    setUserEmail(nextEmail);
-    setMessage('Signed in');
-    await loadShops(nextEmail);
+    setLoading(true);
+    setMessage('');
+    try {
+      await postPublic('/auth/magic-link', { email: nextEmail });
+      setMessage(`Check ${nextEmail} for a sign-in link`);
+    } catch (err) {
+      setMessage(err.message);
+    } finally {
+      setLoading(false);
+    }
   };
 
-  const handleLogout = () => {
-    localStorage.removeItem('xenoEmail');
-    setUserEmail('');
-    setShops([]);
-    setActiveShopId('');
-    setInsights(null);
-    setEvents([]);
-    setOrdersByDate([]);
-    setTopCustomers([]);
-  };
+  // Read through refs so loadShops stays stable; handleSelectShop is assigned once it is defined below.
+  const activeShopIdRef = useRef(activeShopId);
+  activeShopIdRef.current = activeShopId;
+  const selectShopRef = useRef(null);
 
-  const loadShops = async (emailOverride) => {
-    const email = emailOverride || userEmail;
-    if (!email) return;
-    const data = await api('/shops', { userEmail: email });
-    setShops(data);
-    if (!activeShopId && data.length) {
-      handleSelectShop(data[0]._id);
-    }
-  };
+  const loadShops = useCallback(
+    async (tokenOverride) => {
+      const token = tokenOverride || session?.token;
+      if (!token) return;
+      const data = await api('/shops', { token });
+      setShops(data);
+      if (!activeShopIdRef.current && data.length) {
+        selectShopRef.current(data[0]._id);
+      }
+    },
+    [api, session?.token]
+  );
+
+  const loadWorkspaces = useCallback(async () => {
+    const data = await api('/workspaces');
+    setWorkspaces(data);
+    setActiveWorkspaceId((current) => (data.some((w) => w._id === current) ? current : data[0]?._id || ''));
+  }, [api]);
 
   useEffect(() => {
     if (isAuthed) {
-      loadShops().catch((err) => setMessage(err.message));
+      Promise.all([loadShops(), loadWorkspaces()]).catch((err) => setMessage(err.message));
+    }
+  }, [isAuthed, loadShops, loadWorkspaces]);
+
+  const activeWorkspace = workspaces.find((w) => w._id === activeWorkspaceId);
+
+  const runWorkspaceAction = async (action, successMessage) => {
+    setLoading(true);
+    setMessage('');
+    try {
+      await action();
+      await Promise.all([loadWorkspaces(), loadShops()]);
+      setMessage(successMessage);
+    } catch (err) {
+      setMessage(err.message);
+    } finally {
+      setLoading(false);
     }
-  }, [isAuthed]);
+  };
+
+  const handleCreateWorkspace = (e) => {
+    e.preventDefault();
+    runWorkspaceAction(async () => {
+      const workspace = await api('/workspaces', { method: 'POST', body: JSON.stringify({ name: newWorkspaceName }) });
+      setNewWorkspaceName('');
+      setActiveWorkspaceId(workspace._id);
+    }, 'Workspace created');
+  };
+
+  const handleInvite = (e) => {
+    e.preventDefault();
+    runWorkspaceAction(async () => {
+      await api(`/workspaces/${activeWorkspaceId}/members`, { method: 'POST', body: JSON.stringify(inviteForm) });
+      setInviteForm({ email: '', role: 'analyst' });
+    }, `Added ${inviteForm.email}`);
+  };
+
+  const handleRemoveMember = (email) =>
+    runWorkspaceAction(
+      () => api(`/workspaces/${activeWorkspaceId}/members/${encodeURIComponent(email)}`, { method: 'DELETE' }),
+      `Removed ${email}`
+    );
 
   const handleRegister = async (e) => {
     e.preventDefault();
     setLoading(true);
     setMessage('');
     try {
-      await api('/shops/register', { method: 'POST', body: JSON.stringify(registerForm) });
-      setRegisterForm({ shopDomain: '', accessToken: '', name: '', apiVersion: '' });
+      await api('/shops/register', {
+        method: 'POST',
+        body: JSON.stringify({ ...registerForm, workspaceId: activeWorkspaceId || undefined }),
+      });
+      setRegisterForm(EMPTY_REGISTER_FORM);
       await loadShops();
       setMessage('Shop registered. You can sync now.');
     } catch (err) {
@@ -120,6 +462,25 @@ function App() {
     }
   };
 
+  // Sends the merchant to Shopify's consent screen; the server callback stores the granted token.
+  const handleOAuthInstall = async () => {
+    if (!registerForm.shopDomain) {
+      setMessage('Enter the store domain to install on');
+      return;
+    }
+    setLoading(true);
+    setMessage('');
+    try {
+      const params = new URLSearchParams({ shop: registerForm.shopDomain });
+      if (activeWorkspaceId) params.set('workspaceId', activeWorkspaceId);
+      const { authorizeUrl } = await api(`/shopify/install?${params}`, { headers: { Accept: 'application/json' } });
+      window.location.assign(authorizeUrl);
+    } catch (err) {
+      setMessage(err.message);
+      setLoading(false);
+    }
+  };
+
   const loadInsights = async (shopId) => {
     const data = await api(`/insights/${shopId}/summary`);
     setInsights(data);
@@ -141,17 +502,420 @@ function App() {
     setTopCustomers(data);
   };
 
+  const loadProductPerformance = async (shopId, groupBy = productGroupBy, range = dateRange) => {
+    const params = new URLSearchParams({ groupBy, start: range.start, end: range.end });
+    const data = await api(`/insights/${shopId}/products?${params}`);
+    setProductPerformance(data);
+  };
+
+  const changeProductGroupBy = (groupBy) => {
+    setProductGroupBy(groupBy);
+    loadProductPerformance(activeShopId, groupBy).catch((err) => setMessage(err.message));
+  };
+
+  // Detail for one product row, with what else is bought in the same orders over the chart's range.
+  const openProductDetail = async (row) => {
+    setMessage('');
+    setProductDetail({ row, basket: null });
+    try {
+      const params = new URLSearchParams({ start: dateRange.start, end: dateRange.end });
+      const basket = await api(
+        `/insights/${activeShopId}/products/${encodeURIComponent(row.productId)}/bought-with?${params}`
+      );
+      setProductDetail({ row, basket });
+    } catch (err) {
+      setMessage(err.message);
+    }
+  };
+
+  const applyDateRange = () =>
+    Promise.all([
+      loadOrdersByDate(activeShopId, dateRange.start, dateRange.end),
+      loadProductPerformance(activeShopId, productGroupBy, dateRange),
+    ]).catch((err) => setMessage(err.message));
+
+  const loadCohorts = async (shopId, grain = cohortGrain) => {
+    const data = await api(`/insights/${shopId}/cohorts?grain=${grain}`);
+    setCohorts(data);
+  };
+
+  const loadSegments = async (shopId) => {
+    const [summary, saved] = await Promise.all([api(`/segments/${shopId}/rfm`), api(`/segments/${shopId}`)]);
+    setRfmSummary(summary);
+    setSegments(saved.segments);
+  };
+
+  const toggleSegmentBucket = (name) =>
+    setSegmentForm((form) => ({
+      ...form,
+      rfmSegments: form.rfmSegments.includes(name)
+        ? form.rfmSegments.filter((bucket) => bucket !== name)
+        : [...form.rfmSegments, name],
+    }));
+
+  // The builder form minus the name; the server parses the comma-separated lists and bounds.
+  const segmentFilters = () => ({ ...segmentForm, name: undefined });
+
+  const previewSegment = async () => {
+    setLoading(true);
+    setMessage('');
+    try {
+      const preview = await api(`/segments/${activeShopId}/preview`, {
+        method: 'POST',
+        body: JSON.stringify({ filters: segmentFilters() }),
+      });
+      setSegmentPreview(preview);
+    } catch (err) {
+      setMessage(err.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const saveSegment = async () => {
+    setLoading(true);
+    setMessage('');
+    try {
+      const segment = await api(`/segments/${activeShopId}`, {
+        method: 'POST',
+        body: JSON.stringify({ name: segmentForm.name, filters: segmentFilters() }),
+      });
+      setSegmentForm(EMPTY_SEGMENT_FORM);
+      setSegmentPreview(null);
+      setMessage(`Segment "${segment.name}" saved`);
+      await loadSegments(activeShopId);
+    } catch (err) {
+      setMessage(err.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const deleteSegment = async (segmentId) => {
+    setLoading(true);
+    setMessage('');
+    try {
+      await api(`/segments/${activeShopId}/${segmentId}`, { method: 'DELETE' });
+      if (segmentMembers?.segment._id === segmentId) setSegmentMembers(null);
+      await loadSegments(activeShopId);
+    } catch (err) {
+      setMessage(err.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const loadSegmentMembers = async (segmentId, page = 1) => {
+    setMessage('');
+    try {
+      const data = await api(
+        `/segments/${activeShopId}/${segmentId}/members?page=${page}&limit=${SEGMENT_MEMBERS_PAGE_SIZE}`
+      );
+      setSegmentMembers(data);
+    } catch (err) {
+      setMessage(err.message);
+    }
+  };
+
+  const loadClv = async (shopId, sort = clvSort) => {
+    const [summary, list] = await Promise.all([
+      api(`/insights/${shopId}/clv`),
+      api(`/insights/${shopId}/clv/customers?sort=${sort}&limit=${CLV_CUSTOMERS_SHOWN}`),
+    ]);
+    setClvSummary(summary);
+    setClvCustomers(list.customers);
+  };
+
+  const changeClvSort = (sort) => {
+    setClvSort(sort);
+    loadClv(activeShopId, sort).catch((err) => setMessage(err.message));
+  };
+
+  // Refits now instead of waiting for the nightly job; segments reload since their CLV filters read the scores.
+  const scoreClv = async () => {
+    setLoading(true);
+    setMessage('');
+    try {
+      const fit = await api(`/insights/${activeShopId}/clv/score`, { method: 'POST' });
+      setMessage(fit.skippedReason ? `CLV not scored: ${fit.skippedReason}` : `Scored ${fit.scored} customers`);
+      await Promise.all([loadClv(activeShopId), loadSegments(activeShopId)]);
+    } catch (err) {
+      setMessage(err.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const changeCohortGrain = (grain) => {
+    setCohortGrain(grain);
+    loadCohorts(activeShopId, grain).catch((err) => setMessage(err.message));
+  };
+
+  // Subscription health needs a live Shopify call, so a failure is shown on the card instead of the toast.
+  const loadWebhookHealth = async (shopId) => {
+    try {
+      setWebhookHealth(await api(`/shops/${shopId}/webhooks`));
+    } catch (err) {
+      setWebhookHealth({ error: err.message, topics: [] });
+    }
+  };
+
+  const loadDeadLetters = async (shopId) => {
+    setDeadLetters(await api(`/webhooks/dead-letters/${shopId}`).catch(() => []));
+  };
+
+  const handleReplay = async (deadLetterId) => {
+    setLoading(true);
+    setMessage('');
+    try {
+      await api(`/webhooks/replay/${deadLetterId}`, { method: 'POST' });
+      setMessage('Webhook replayed');
+    } catch (err) {
+      setMessage(err.message);
+    } finally {
+      await loadDeadLetters(activeShopId);
+      setLoading(false);
+    }
+  };
+
+  const loadOutboundWebhooks = async (shopId) => {
+    const [subscriptions, deliveries] = await Promise.all([
+      api(`/outbound-webhooks/${shopId}/subscriptions`).catch(() => []),
+      api(`/outbound-webhooks/${shopId}/deliveries?limit=20`).catch(() => []),
+    ]);
+    setOutboundSubscriptions(subscriptions);
+    setOutboundDeliveries(deliveries);
+  };
+
+  // The signing secret is only returned once, so it goes in the toast for the user to copy.
+  const createOutboundSubscription = async () => {
+    setLoading(true);
+    setMessage('');
+    try {
+      const { secret } = await api(`/outbound-webhooks/${activeShopId}/subscriptions`, {
+        method: 'POST',
+        body: JSON.stringify(outboundForm),
+      });
+      setOutboundForm({ ...outboundForm, url: '' });
+      setMessage(`Subscription added. Signing secret (shown once): ${secret}`);
+      await loadOutboundWebhooks(activeShopId);
+    } catch (err) {
+      setMessage(err.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const updateOutboundSubscription = async (subscriptionId, method, body) => {
+    setLoading(true);
+    setMessage('');
+    try {
+      await api(`/outbound-webhooks/${activeShopId}/subscriptions/${subscriptionId}`, {
+        method,
+        body: body && JSON.stringify(body),
+      });
+      await loadOutboundWebhooks(activeShopId);
+    } catch (err) {
+      setMessage(err.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const replayOutboundDelivery = async (deliveryId) => {
+    setLoading(true);
+    setMessage('');
+    try {
+      await api(`/outbound-webhooks/${activeShopId}/deliveries/${deliveryId}/replay`, { method: 'POST' });
+      setMessage('Delivery queued again');
+    } catch (err) {
+      setMessage(err.message);
+    } finally {
+      await loadOutboundWebhooks(activeShopId);
+      setLoading(false);
+    }
+  };
+
+  const manageWebhooks = async (method, successMessage) => {
+    setLoading(true);
+    setMessage('');
+    try {
+      const { health } = await api(`/shops/${activeShopId}/webhooks`, { method });
+      setWebhookHealth(health);
+      setMessage(successMessage);
+    } catch (err) {
+      setMessage(err.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  // The file goes up as the raw request body; a dry run returns the row report and preview without writing.
+  const runImport = async (dryRun) => {
+    const { resource, file } = importForm;
+    if (!file) {
+      setMessage('Choose a CSV or JSONL file to import');
+      return;
+    }
+    setLoading(true);
+    setMessage('');
+    try {
+      const format = /\.(jsonl|ndjson)$/i.test(file.name) ? 'jsonl' : 'csv';
+      const params = new URLSearchParams({ resource, format, dryRun: String(dryRun) });
+      const report = await api(`/shops/${activeShopId}/imports?${params}`, {
+        method: 'POST',
+        headers: { 'Content-Type': format === 'csv' ? 'text/csv' : 'application/x-ndjson' },
+        body: await file.text(),
+      });
+      setImportReport(report);
+      if (!dryRun) {
+        setMessage(`Imported ${report.imported} ${resource} (${report.errorCount} rows rejected)`);
+        await loadInsights(activeShopId);
+      }
+    } catch (err) {
+      setMessage(err.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  // Exports are files rather than JSON, so they bypass api() and are saved from a blob.
+  // Goes through fetch so the bearer token is sent; the server names the file.
+  const downloadFile = async (path, fallbackName) => {
+    setMessage('');
+    try {
+      const res = await fetch(`${API_BASE}${path}`, {
+        headers: { Authorization: `Bearer ${session?.token}` },
+      });
+      if (res.status === 401) {
+        handleLogout();
+      }
+      if (!res.ok) {
+        throw new Error(await buildErrorMessage(res));
+      }
+      const disposition = res.headers.get('Content-Disposition') || '';
+      const fileName = disposition.match(/filename="([^"]+)"/)?.[1] || fallbackName;
+      const url = URL.createObjectURL(await res.blob());
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = fileName;
+      link.click();
+      URL.revokeObjectURL(url);
+    } catch (err) {
+      setMessage(err.message);
+    }
+  };
+
+  const downloadExport = (resource, range = {}) => {
+    const params = new URLSearchParams({ format: exportFormat, ...range });
+    return downloadFile(`/shops/${activeShopId}/export/${resource}?${params}`, `${resource}.${exportFormat}`);
+  };
+
   const handleSelectShop = async (shopId) => {
     setActiveShopId(shopId);
     setInsights(null);
     setEvents([]);
+    setCohorts(null);
+    setProductPerformance(null);
+    setProductDetail(null);
+    setRfmSummary(null);
+    setSegments([]);
+    setSegmentPreview(null);
+    setSegmentMembers(null);
+    setClvSummary(null);
+    setClvCustomers([]);
+    setWebhookHealth(null);
+    setDeadLetters([]);
+    setOutboundSubscriptions([]);
+    setOutboundDeliveries([]);
+    setImportReport(null);
     setMessage('');
+    if (!isWooCommerce(shops.find((s) => s._id === shopId))) {
+      loadWebhookHealth(shopId);
+    }
+    loadDeadLetters(shopId);
+    loadOutboundWebhooks(shopId);
     try {
-      await Promise.all([loadInsights(shopId), loadEvents(shopId), loadOrdersByDate(shopId), loadTopCustomers(shopId)]);
+      await Promise.all([
+        loadInsights(shopId),
+        loadEvents(shopId),
+        loadOrdersByDate(shopId),
+        loadTopCustomers(shopId),
+        loadCohorts(shopId),
+        loadProductPerformance(shopId),
+        loadSegments(shopId),
+        loadClv(shopId),
+      ]);
     } catch (err) {
       setMessage(err.message);
     }
   };
+  selectShopRef.current = handleSelectShop;
+
+  const liveRef = useRef(false);
+  const syncWaitersRef = useRef(new Map());
+  const insightsTimerRef = useRef(null);
+
+  // Stat cards come from aggregates, so a burst of live updates is folded into one summary reload.
+  const scheduleInsightsRefresh = (shopId) => {
+    if (insightsTimerRef.current) return;
+    insightsTimerRef.current = setTimeout(() => {
+      insightsTimerRef.current = null;
+      loadInsights(shopId).catch(() => {});
+    }, INSIGHTS_REFRESH_MS);
+  };
+
+  const handleLiveMessage = (shopId, { type, data }) => {
+    if (type === 'event') {
+      setEvents((current) => [data, ...current.filter((evt) => evt._id !== data._id)].slice(0, 25));
+      scheduleInsightsRefresh(shopId);
+    } else if (type === 'records') {
+      if (data.orders?.length) {
+        setInsights(
+          (current) => current && { ...current, recentOrders: mergeRecentOrders(current.recentOrders, data.orders) }
+        );
+      }
+      scheduleInsightsRefresh(shopId);
+    } else if (type === 'sync') {
+      setSyncJobs((jobs) => ({ ...jobs, [shopId]: mergeSyncJob(jobs[shopId], data) }));
+      if (data.status && !ACTIVE_JOB_STATUSES.includes(data.status)) {
+        syncWaitersRef.current.get(data._id)?.();
+      }
+    } else if (type === 'reconnected') {
+      // Anything that happened while the stream was down was missed.
+      Promise.all([loadEvents(shopId), loadInsights(shopId)]).catch(() => {});
+    }
+  };
+  const liveHandlerRef = useRef(handleLiveMessage);
+  liveHandlerRef.current = handleLiveMessage;
+
+  useEffect(() => {
+    if (!activeShopId || !session?.token) return;
+    const controller = new AbortController();
+    let connectedBefore = false;
+    const setLive = (connected) => {
+      liveRef.current = connected;
+      setLiveConnected(connected);
+    };
+
+    streamLiveFeed(activeShopId, session.token, {
+      signal: controller.signal,
+      onMessage: (message) => liveHandlerRef.current(activeShopId, message),
+      onStatus: (connected) => {
+        if (controller.signal.aborted) return;
+        setLive(connected);
+        if (connected && connectedBefore) liveHandlerRef.current(activeShopId, { type: 'reconnected' });
+        connectedBefore = connectedBefore || connected;
+      },
+    }).catch(() => setLive(false));
+
+    return () => {
+      controller.abort();
+      clearTimeout(insightsTimerRef.current);
+      insightsTimerRef.current = null;
+      setLive(false);
+    };
+  }, [activeShopId, session?.token]);
 
   const toggleResource = (resource) => {
     setResources((current) =>
@@ -159,28 +923,69 @@ function App() {
     );
   };
 
-  const triggerSync = async (shopId) => {
-    if (!resources.length) {
+  const isSyncing = (shopId) => ACTIVE_JOB_STATUSES.includes(syncJobs[shopId]?.status);
+
+  // Resolves when the live feed reports the job finished, or after `ms` so the caller can re-check.
+  const waitForSyncJob = (jobId, ms) =>
+    new Promise((resolve) => {
+      const done = () => {
+        clearTimeout(timer);
+        syncWaitersRef.current.delete(jobId);
+        resolve();
+      };
+      const timer = setTimeout(done, ms);
+      syncWaitersRef.current.set(jobId, done);
+    });
+
+  // Waits for the background job to settle. Progress comes from the live feed while it is connected;
+  // otherwise the job is polled so the shop card still moves.
+  const watchSyncJob = async (shopId, job) => {
+    let current = job;
+    setSyncJobs((jobs) => ({ ...jobs, [shopId]: current }));
+    while (ACTIVE_JOB_STATUSES.includes(current.status)) {
+      await waitForSyncJob(current._id, liveRef.current ? SYNC_LIVE_RECHECK_MS : SYNC_POLL_MS);
+      current = await api(`/sync-jobs/${current._id}`);
+      setSyncJobs((jobs) => ({ ...jobs, [shopId]: current }));
+    }
+    return current;
+  };
+
+  const triggerSync = async (shopId, mode = 'incremental', strategy = 'rest') => {
+    const shopResources = isWooCommerce(shops.find((s) => s._id === shopId))
+      ? resources.filter((resource) => DEFAULT_RESOURCES.includes(resource))
+      : resources;
+    if (!shopResources.length) {
       setMessage('Select at least one resource to sync');
       return;
     }
-    setLoading(true);
     setMessage('');
     try {
-      const { summary } = await api(`/shops/${shopId}/sync`, {
+      const { job } = await api(`/shops/${shopId}/sync`, {
         method: 'POST',
-        body: JSON.stringify({ resources }),
+        body: JSON.stringify({ resources: shopResources, mode, strategy }),
       });
+      const finished = await watchSyncJob(shopId, job);
+      if (finished.status === 'failed') {
+        throw new Error(`Sync failed - ${finished.error}`);
+      }
+      const label = finished.strategy === 'bulk' ? 'Bulk backfill' : finished.mode === 'full' ? 'Full resync' : 'Synced';
       setMessage(
-        `Synced: ${Object.entries(summary)
+        `${label}: ${Object.entries(finished.summary || {})
           .map(([key, value]) => `${key}(${value.pulled || 0})`)
           .join(', ')}`
       );
-      await Promise.all([loadInsights(shopId), loadOrdersByDate(shopId), loadTopCustomers(shopId)]);
+      await Promise.all([
+        loadShops(),
+        loadInsights(shopId),
+        loadOrdersByDate(shopId),
+        loadTopCustomers(shopId),
+        loadCohorts(shopId),
+        loadProductPerformance(shopId),
+        loadSegments(shopId),
+        loadClv(shopId),
+      ]);
     } catch (err) {
       setMessage(err.message);
-    } finally {
-      setLoading(false);
     }
   };
 
@@ -321,45 +1126,150 @@ const ordersChartOptions = {
             />
           </label>
           <div className="actions">
-            <button type="submit">{isAuthed ? 'Switch user' : 'Sign in'}</button>
+            <button type="submit" disabled={loading}>
+              {isAuthed ? 'Switch user' : 'Email me a sign-in link'}
+            </button>
             {isAuthed && (
               <button type="button" className="ghost" onClick={handleLogout}>
                 Sign out
               </button>
-            )}
-          </div>
-        </form>
-        <p className="muted">
-          The UI and onboarding APIs require `x-user-email`; optionally whitelist emails via `ALLOWED_EMAILS` on the
-          server.
-        </p>
-      </section>
+            )}
+          </div>
+        </form>
+        <p className="muted">
+          Sign-in is passwordless: the server emails a one-time link that starts a signed session. Optionally restrict
+          who can sign in via `ALLOWED_EMAILS` on the server.
+        </p>
+      </section>
+
+      {isAuthed && (
+        <section className="card">
+          <div className="card-header">
+            <h3>Team workspace</h3>
+            <span className="badge tone-neutral">{activeWorkspace?.role || 'no workspace'}</span>
+          </div>
+          <div className="form inline">
+            <label>
+              Workspace
+              <select value={activeWorkspaceId} onChange={(e) => setActiveWorkspaceId(e.target.value)}>
+                {workspaces.length === 0 && <option value="">Created on first store registration</option>}
+                {workspaces.map((w) => (
+                  <option key={w._id} value={w._id}>
+                    {w.name} ({w.role})
+                  </option>
+                ))}
+              </select>
+            </label>
+          </div>
+          <form className="form inline" onSubmit={handleCreateWorkspace}>
+            <label>
+              New workspace
+              <input
+                required
+                value={newWorkspaceName}
+                onChange={(e) => setNewWorkspaceName(e.target.value)}
+                placeholder="Growth team"
+              />
+            </label>
+            <button type="submit" className="ghost" disabled={loading}>
+              Create
+            </button>
+          </form>
+          {activeWorkspace && (
+            <div className="table">
+              {activeWorkspace.members.map((member) => (
+                <div key={member.email} className="member-row">
+                  <span>{member.email}</span>
+                  <span className="pill tiny">{member.role}</span>
+                  {canManage(activeWorkspace.role) && member.email !== userEmail && (
+                    <button className="ghost" onClick={() => handleRemoveMember(member.email)} disabled={loading}>
+                      Remove
+                    </button>
+                  )}
+                </div>
+              ))}
+            </div>
+          )}
+          {canManage(activeWorkspace?.role) && (
+            <form className="form inline" onSubmit={handleInvite}>
+              <label>
+                Invite by email
+                <input
+                  required
+                  type="email"
+                  value={inviteForm.email}
+                  onChange={(e) => setInviteForm({ ...inviteForm, email: e.target.value })}
+                  placeholder="teammate@company.com"
+                />
+              </label>
+              <label>
+                Role
+                <select value={inviteForm.role} onChange={(e) => setInviteForm({ ...inviteForm, role: e.target.value })}>
+                  {WORKSPACE_ROLES.map((role) => (
+                    <option key={role} value={role}>
+                      {role}
+                    </option>
+                  ))}
+                </select>
+              </label>
+              <button type="submit" disabled={loading}>
+                Invite
+              </button>
+            </form>
+          )}
+          <p className="muted">
+            Analysts can view insights and events; admins can also register, sync and invite; owners manage owners.
+            New stores are registered into the selected workspace.
+          </p>
+        </section>
+      )}
 
       <section className="grid two">
         <div className="card">
           <div className="card-header">
-            <h3>Register Shopify store</h3>
+            <h3>Register store</h3>
             <span className="badge">Multi-tenant</span>
           </div>
           <form className="form" onSubmit={handleRegister}>
+            <label>
+              Platform
+              <select
+                value={registerForm.platform}
+                onChange={(e) => setRegisterForm({ ...registerForm, platform: e.target.value })}
+              >
+                <option value="shopify">Shopify</option>
+                <option value="woocommerce">WooCommerce</option>
+              </select>
+            </label>
             <label>
               Store domain
               <input
                 required
                 value={registerForm.shopDomain}
                 onChange={(e) => setRegisterForm({ ...registerForm, shopDomain: e.target.value })}
-                placeholder="example.myshopify.com"
+                placeholder={isWooCommerce(registerForm) ? 'shop.example.com' : 'example.myshopify.com'}
               />
             </label>
             <label>
-              Admin API access token
+              {isWooCommerce(registerForm) ? 'REST API consumer key' : 'Admin API access token (custom apps)'}
               <input
                 required
                 value={registerForm.accessToken}
                 onChange={(e) => setRegisterForm({ ...registerForm, accessToken: e.target.value })}
-                placeholder="shpat_xxx"
+                placeholder={isWooCommerce(registerForm) ? 'ck_xxx' : 'shpat_xxx'}
               />
             </label>
+            {isWooCommerce(registerForm) && (
+              <label>
+                REST API consumer secret
+                <input
+                  required
+                  value={registerForm.consumerSecret}
+                  onChange={(e) => setRegisterForm({ ...registerForm, consumerSecret: e.target.value })}
+                  placeholder="cs_xxx"
+                />
+              </label>
+            )}
             <label>
               Friendly name
               <input
@@ -368,17 +1278,31 @@ const ordersChartOptions = {
                 placeholder="Northwind Retail"
               />
             </label>
-            <label>
-              API version (optional)
-              <input
-                value={registerForm.apiVersion}
-                onChange={(e) => setRegisterForm({ ...registerForm, apiVersion: e.target.value })}
-                placeholder="2024-10"
-              />
-            </label>
-            <button type="submit" disabled={loading || !isAuthed}>
-              {loading ? 'Working...' : 'Save store'}
-            </button>
+            {!isWooCommerce(registerForm) && (
+              <label>
+                API version (optional)
+                <input
+                  value={registerForm.apiVersion}
+                  onChange={(e) => setRegisterForm({ ...registerForm, apiVersion: e.target.value })}
+                  placeholder="2024-10"
+                />
+              </label>
+            )}
+            <div className="actions">
+              <button type="submit" disabled={loading || !isAuthed}>
+                {loading ? 'Working...' : 'Save store'}
+              </button>
+              {!isWooCommerce(registerForm) && (
+                <button type="button" className="ghost" onClick={handleOAuthInstall} disabled={loading || !isAuthed}>
+                  Install with Shopify OAuth
+                </button>
+              )}
+            </div>
+            <p className="muted tiny">
+              {isWooCommerce(registerForm)
+                ? 'Create a read-only key under WooCommerce > Settings > Advanced > REST API.'
+                : 'OAuth only needs the store domain; Shopify grants the token after you approve the app.'}
+            </p>
           </form>
         </div>
 
@@ -395,7 +1319,10 @@ const ordersChartOptions = {
               </label>
             ))}
           </div>
-          <p className="muted">Choose what to pull when you press Sync on a store below.</p>
+          <p className="muted">
+            Choose what to pull when you press Sync on a store below. Sync only fetches changes since the last run;
+            Full resync re-downloads everything. Inventory levels need the read_inventory and read_locations scopes.
+          </p>
           {message && <div className="toast">{message}</div>}
         </div>
       </section>
@@ -413,20 +1340,57 @@ const ordersChartOptions = {
                 <p className="eyebrow">{shop.shopDomain}</p>
                 <h4>{shop.name || 'Unnamed store'}</h4>
                 <p className="muted">
-                  API {shop.apiVersion || 'default'} - Last sync{' '}
+                  {isWooCommerce(shop) ? 'WooCommerce' : `API ${shop.apiVersion || 'default'}`} - Last sync{' '}
                   {shop.lastSyncedAt ? new Date(shop.lastSyncedAt).toLocaleString() : 'never'}
                 </p>
+                {shop.uninstalledAt && (
+                  <p className="muted tiny">
+                    App uninstalled {new Date(shop.uninstalledAt).toLocaleString()} - reinstall to resume syncing
+                  </p>
+                )}
+                {syncJobs[shop._id] && (
+                  <div className="sync-progress">
+                    <div className="progress-track">
+                      <div
+                        className={`progress-fill ${syncJobs[shop._id].status}`}
+                        style={{ width: `${jobProgressPct(syncJobs[shop._id])}%` }}
+                      />
+                    </div>
+                    <p className="muted tiny">{describeJob(syncJobs[shop._id])}</p>
+                  </div>
+                )}
               </div>
               <div className="shop-actions">
-                <button onClick={() => triggerSync(shop._id)} disabled={loading}>
-                  Sync now
-                </button>
+                {canManage(shop.workspaceRole) && !shop.uninstalledAt && (
+                  <>
+                    <button onClick={() => triggerSync(shop._id)} disabled={isSyncing(shop._id)}>
+                      {isSyncing(shop._id) ? 'Syncing...' : 'Sync now'}
+                    </button>
+                    <button
+                      className="ghost"
+                      onClick={() => triggerSync(shop._id, 'full')}
+                      disabled={isSyncing(shop._id)}
+                    >
+                      Full resync
+                    </button>
+                    {!isWooCommerce(shop) && (
+                      <button
+                        className="ghost"
+                        onClick={() => triggerSync(shop._id, 'full', 'bulk')}
+                        disabled={isSyncing(shop._id)}
+                        title="GraphQL bulk export; faster for large histories (customers, orders, products)"
+                      >
+                        Bulk backfill
+                      </button>
+                    )}
+                  </>
+                )}
                 <button className="ghost" onClick={() => handleSelectShop(shop._id)}>
                   View insights
                 </button>
                 <button
                   className="ghost"
-                  onClick={() => window.open(`https://${shop.shopDomain}/admin`, '_blank', 'noopener,noreferrer')}
+                  onClick={() => window.open(adminUrl(shop), '_blank', 'noopener,noreferrer')}
                 >
                   Open admin
                 </button>
@@ -441,7 +1405,12 @@ const ordersChartOptions = {
           <div className="card">
             <div className="card-header">
               <h3>Data snapshot</h3>
-              <span className="badge tone-primary">{activeShop.name || activeShop.shopDomain}</span>
+              <div className="actions">
+                <span className={`badge ${liveConnected ? 'tone-primary' : 'tone-neutral'}`}>
+                  {liveConnected ? 'Live' : 'Offline'}
+                </span>
+                <span className="badge tone-primary">{activeShop.name || activeShop.shopDomain}</span>
+              </div>
             </div>
             {!insights && <p className="muted">Fetching insights...</p>}
             {insights && (
@@ -465,6 +1434,11 @@ const ordersChartOptions = {
                     <p className="value">${insights.totals.revenue.toFixed(2)}</p>
                     <p className="muted tiny">{trendValue(insights.trend?.revenue)}</p>
                   </div>
+                  <div className="stat">
+                    <p className="label">Net of refunds</p>
+                    <p className="value">${(insights.totals.netRevenue ?? insights.totals.revenue).toFixed(2)}</p>
+                    <p className="muted tiny">${(insights.totals.refunds || 0).toFixed(2)} refunded</p>
+                  </div>
                   <div className="stat">
                     <p className="label">Avg order value</p>
                     <p className="value">${(insights.trend?.avgOrderValue?.current || 0).toFixed(2)}</p>
@@ -552,12 +1526,27 @@ const ordersChartOptions = {
               </label>
               <button
                 className="ghost"
-                onClick={() => loadOrdersByDate(activeShopId, dateRange.start, dateRange.end)}
+                onClick={applyDateRange}
                 disabled={!dateRange.start || !dateRange.end}
               >
                 Apply
               </button>
             </div>
+            <div className="actions">
+              <select value={exportFormat} onChange={(e) => setExportFormat(e.target.value)}>
+                {EXPORT_FORMATS.map((option) => (
+                  <option key={option} value={option}>
+                    {option.toUpperCase()}
+                  </option>
+                ))}
+              </select>
+              <button className="ghost" onClick={() => downloadExport('orders', dateRange)}>
+                Export orders
+              </button>
+              <button className="ghost" onClick={() => downloadExport('events', dateRange)}>
+                Export events
+              </button>
+            </div>
             {ordersByDate.length === 0 && <p className="muted">No orders in this window.</p>}
             {ordersByDate.length > 0 && <Line data={ordersChartData} options={ordersChartOptions} />}
           </div>
@@ -567,12 +1556,528 @@ const ordersChartOptions = {
               <h3>Top customers by spend</h3>
               <span className="badge tone-primary">Top 5</span>
             </div>
+            <div className="actions">
+              <button className="ghost" onClick={() => downloadExport('customers')}>
+                Export customers ({exportFormat.toUpperCase()})
+              </button>
+              <button className="ghost" onClick={() => downloadExport('products')}>
+                Export products ({exportFormat.toUpperCase()})
+              </button>
+            </div>
             {topCustomers.length === 0 && <p className="muted">No customers yet.</p>}
             {topCustomers.length > 0 && <Bar data={topCustomersData} options={{ plugins: { legend: { labels: { color: '#cbd5e1' } } }, scales: { x: { ticks: { color: '#94a3b8' } }, y: { ticks: { color: '#94a3b8' } } } }} />}
           </div>
         </section>
       )}
 
+      {activeShop && (
+        <section className="card">
+          <div className="card-header">
+            <h3>Product performance</h3>
+            <span className="badge tone-primary">
+              {productPerformance
+                ? `${productPerformance.totals.units} units · $${productPerformance.totals.revenue.toFixed(2)}`
+                : 'Loading'}
+            </span>
+          </div>
+          <div className="form inline">
+            <label>
+              Group by
+              <select value={productGroupBy} onChange={(e) => changeProductGroupBy(e.target.value)}>
+                {Object.entries(PRODUCT_GROUPINGS).map(([value, label]) => (
+                  <option key={value} value={value}>
+                    {label}
+                  </option>
+                ))}
+              </select>
+            </label>
+            <p className="muted tiny">
+              {dateRange.start} to {dateRange.end} (set above), compared with the period before. Revenue is line price
+              x quantity.
+            </p>
+          </div>
+          {productPerformance && (
+            <div className="table">
+              <div className="table-row head">
+                <span>{PRODUCT_GROUPINGS[productPerformance.groupBy]}</span>
+                <span>Units</span>
+                <span>Revenue</span>
+                <span>Orders</span>
+                <span>Avg price</span>
+              </div>
+              {productPerformance.rows.slice(0, PRODUCT_ROWS_SHOWN).map((row) => (
+                <div
+                  key={JSON.stringify([row.productId, row.variantId, row.vendor, row.productType])}
+                  className="table-row"
+                >
+                  <span>
+                    {row.productId ? (
+                      <button type="button" className="link" onClick={() => openProductDetail(row)}>
+                        {productRowLabel(row, productPerformance.groupBy)}
+                      </button>
+                    ) : (
+                      productRowLabel(row, productPerformance.groupBy)
+                    )}
+                  </span>
+                  <span>
+                    {row.units}
+                    {formatChange(row.change.units)}
+                  </span>
+                  <span>
+                    ${row.revenue.toFixed(2)}
+                    {formatChange(row.change.revenue)}
+                  </span>
+                  <span>{row.orders}</span>
+                  <span>{row.avgPrice === null ? '-' : `$${row.avgPrice.toFixed(2)}`}</span>
+                </div>
+              ))}
+              {productPerformance.rows.length === 0 && <p className="muted">No line items sold in this window.</p>}
+            </div>
+          )}
+          {productDetail && (
+            <div className="product-detail">
+              <div className="card-header">
+                <h4>{productDetail.row.title || productDetail.row.productId}</h4>
+                <button className="ghost" onClick={() => setProductDetail(null)}>
+                  Close
+                </button>
+              </div>
+              <p className="muted tiny">
+                {describeProductRow(productDetail.row)}
+                {productDetail.basket &&
+                  ` · in ${formatPct(productDetail.basket.product.support)} of ${productDetail.basket.baskets} orders`}
+              </p>
+              <h4>Frequently bought with</h4>
+              {!productDetail.basket && <p className="muted">Loading...</p>}
+              {productDetail.basket && (
+                <div className="table">
+                  <div className="table-row head">
+                    <span>Product</span>
+                    <span>Orders together</span>
+                    <span>Support</span>
+                    <span>Confidence</span>
+                    <span>Lift</span>
+                  </div>
+                  {productDetail.basket.boughtWith.map((item) => (
+                    <div key={item.productId} className="table-row">
+                      <span>{item.title || item.productId}</span>
+                      <span>{item.count}</span>
+                      <span>{formatPct(item.support)}</span>
+                      <span>{formatPct(item.confidence)}</span>
+                      <span>{item.lift.toFixed(2)}x</span>
+                    </div>
+                  ))}
+                  {productDetail.basket.boughtWith.length === 0 && (
+                    <p className="muted">
+                      No product shows up with it in {productDetail.basket.minCount}+ orders in this window.
+                    </p>
+                  )}
+                </div>
+              )}
+            </div>
+          )}
+          {productPerformance?.unsoldTotal > 0 && (
+            <>
+              <h4>In stock, no sales in this window ({productPerformance.unsoldTotal})</h4>
+              <div className="table">
+                {productPerformance.unsold.slice(0, PRODUCT_ROWS_SHOWN).map((item) => (
+                  <div key={item.variantId} className="member-row">
+                    <span>{[item.title, item.variantTitle].filter(Boolean).join(' / ')}</span>
+                    <span className="muted tiny">{item.sku ? `SKU ${item.sku}` : item.vendor}</span>
+                    <span className="pill tiny">{item.inventoryQuantity} in stock</span>
+                  </div>
+                ))}
+              </div>
+            </>
+          )}
+        </section>
+      )}
+
+      {activeShop && (
+        <section className="card">
+          <div className="card-header">
+            <h3>Cohort retention</h3>
+            <span className="badge tone-primary">
+              {cohorts ? `${formatPct(cohorts.totals.repeatPurchaseRate)} repeat customers` : 'Loading'}
+            </span>
+          </div>
+          <div className="form inline">
+            <label>
+              Cohort by
+              <select value={cohortGrain} onChange={(e) => changeCohortGrain(e.target.value)}>
+                <option value="month">First order month</option>
+                <option value="week">First order week</option>
+              </select>
+            </label>
+            <label>
+              Show
+              <select value={cohortMetric} onChange={(e) => setCohortMetric(e.target.value)}>
+                {Object.entries(COHORT_METRICS).map(([value, label]) => (
+                  <option key={value} value={value}>
+                    {label}
+                  </option>
+                ))}
+              </select>
+            </label>
+          </div>
+          {cohorts?.cohorts.length === 0 && (
+            <p className="muted">No orders from known customers since {cohorts.from}.</p>
+          )}
+          {cohorts?.cohorts.length > 0 && (
+            <div className="table">
+              <table className="cohort-table">
+                <thead>
+                  <tr>
+                    <th>Cohort</th>
+                    <th>Customers</th>
+                    <th>Repeat</th>
+                    {cohorts.cohorts[0].periods.map((entry) => (
+                      <th key={entry.period}>
+                        {cohortGrain === 'month' ? 'M' : 'W'}
+                        {entry.period}
+                      </th>
+                    ))}
+                  </tr>
+                </thead>
+                <tbody>
+                  {cohorts.cohorts.map((row) => (
+                    <tr key={row.cohort}>
+                      <td>{row.cohort}</td>
+                      <td>{row.customers}</td>
+                      <td>{formatPct(row.repeatPurchaseRate)}</td>
+                      {cohorts.cohorts[0].periods.map(({ period }) => {
+                        const cell = row.periods[period];
+                        if (!cell) return <td key={period} />;
+                        return (
+                          <td
+                            key={period}
+                            className="heat"
+                            style={{ background: heatColor(cell[cohortMetric]) }}
+                            title={`${cell.start}: ${cell.customers} customers, ${cell.orders} orders`}
+                          >
+                            {formatPct(cell[cohortMetric])}
+                          </td>
+                        );
+                      })}
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          )}
+        </section>
+      )}
+
+      {activeShop && (
+        <section className="card">
+          <div className="card-header">
+            <h3>Customer lifetime value</h3>
+            <span className="badge tone-primary">
+              {clvSummary?.fit?.fittedAt
+                ? `Fitted ${new Date(clvSummary.fit.fittedAt).toLocaleString()}`
+                : clvSummary
+                  ? 'Not scored yet'
+                  : 'Loading'}
+            </span>
+          </div>
+          <p className="muted tiny">
+            Predicted spend over the next 12 months and the chance each customer has stopped buying, from BG/NBD and
+            Gamma-Gamma models fitted nightly on this store's orders. Scores can be used in segment filters and exports.
+          </p>
+          {canManage(activeShop.workspaceRole) && (
+            <div className="actions">
+              <button className="ghost" onClick={scoreClv} disabled={loading}>
+                Score now
+              </button>
+            </div>
+          )}
+          {clvSummary?.fit?.skippedReason && <p className="muted">Not scored: {clvSummary.fit.skippedReason}.</p>}
+          {clvSummary?.totals.scored > 0 && (
+            <>
+              <div className="stat-grid">
+                <div className="stat">
+                  <p className="label">Predicted 12-month revenue</p>
+                  <p className="value">${clvSummary.totals.predicted12m.toFixed(2)}</p>
+                  <p className="muted tiny">{clvSummary.totals.scored} customers scored</p>
+                </div>
+                <div className="stat">
+                  <p className="label">Avg predicted CLV</p>
+                  <p className="value">${clvSummary.totals.avgPredicted12m.toFixed(2)}</p>
+                  <p className="muted tiny">median ${clvSummary.totals.medianPredicted12m.toFixed(2)}</p>
+                </div>
+                <div className="stat">
+                  <p className="label">Expected orders</p>
+                  <p className="value">{clvSummary.totals.expectedOrders12m}</p>
+                  <p className="muted tiny">next 12 months</p>
+                </div>
+                <div className="stat">
+                  <p className="label">Likely churned</p>
+                  <p className="value">{clvSummary.totals.atRisk}</p>
+                  <p className="muted tiny">{formatPct(clvSummary.totals.atRiskShare)} with churn of 50% or more</p>
+                </div>
+              </div>
+              <section className="grid two">
+                <div className="chart-card">
+                  <h4>Predicted 12-month value</h4>
+                  <Bar
+                    data={histogramData(
+                      clvSummary.histograms.predicted12m,
+                      'Customers',
+                      'rgba(34, 197, 94, 0.5)',
+                      (bin, i, bins) => (i === bins.length - 1 ? `$${bin.from.toFixed(0)}+` : `$${bin.from.toFixed(0)}`)
+                    )}
+                    options={HISTOGRAM_OPTIONS}
+                  />
+                </div>
+                <div className="chart-card">
+                  <h4>Churn probability</h4>
+                  <Bar
+                    data={histogramData(
+                      clvSummary.histograms.churnProbability,
+                      'Customers',
+                      'rgba(248, 113, 113, 0.5)',
+                      (bin) => `${(bin.from * 100).toFixed(0)}-${(bin.to * 100).toFixed(0)}%`
+                    )}
+                    options={HISTOGRAM_OPTIONS}
+                  />
+                </div>
+              </section>
+              <div className="card-header">
+                <h4>Customers</h4>
+                <select value={clvSort} onChange={(e) => changeClvSort(e.target.value)}>
+                  {Object.entries(CLV_SORTS).map(([value, label]) => (
+                    <option key={value} value={value}>
+                      {label}
+                    </option>
+                  ))}
+                </select>
+              </div>
+              <div className="table">
+                <div className="table-row head">
+                  <span>Customer</span>
+                  <span>Predicted CLV</span>
+                  <span>Expected orders</span>
+                  <span>Churn probability</span>
+                  <span>Spent to date</span>
+                </div>
+                {clvCustomers.map((customer) => (
+                  <div key={customer.shopifyId} className="table-row">
+                    <span>{customer.email || customer.shopifyId}</span>
+                    <span>${customer.clv.predicted12m.toFixed(2)}</span>
+                    <span>{customer.clv.expectedOrders12m}</span>
+                    <span>{formatPct(customer.clv.churnProbability)}</span>
+                    <span>${(customer.totalSpent || 0).toFixed(2)}</span>
+                  </div>
+                ))}
+              </div>
+            </>
+          )}
+        </section>
+      )}
+
+      {activeShop && (
+        <section className="card">
+          <div className="card-header">
+            <h3>Customer segments</h3>
+            <span className="badge tone-primary">
+              {rfmSummary ? `${rfmSummary.buyers} of ${rfmSummary.customers} customers scored` : 'Loading'}
+            </span>
+          </div>
+          <p className="muted tiny">
+            Buyers are scored 1-5 on recency, frequency and spend against the rest of the store, then bucketed. Pick
+            buckets below and narrow them with customer fields to build a segment.
+          </p>
+          {rfmSummary && (
+            <div className="stat-grid">
+              {rfmSummary.segments.map((bucket) => (
+                <button
+                  key={bucket.name}
+                  type="button"
+                  className={`stat segment-bucket ${segmentForm.rfmSegments.includes(bucket.name) ? 'selected' : ''}`}
+                  onClick={() => toggleSegmentBucket(bucket.name)}
+                >
+                  <p className="label">{bucket.name}</p>
+                  <p className="value">{bucket.customers}</p>
+                  <p className="muted tiny">
+                    {formatPct(bucket.share)} · ${bucket.revenue.toFixed(2)}
+                    {bucket.avgRecencyDays !== null ? ` · last order ~${bucket.avgRecencyDays}d ago` : ''}
+                  </p>
+                </button>
+              ))}
+            </div>
+          )}
+          <div className="form inline">
+            <label>
+              Tags (any)
+              <input
+                value={segmentForm.tags}
+                onChange={(e) => setSegmentForm({ ...segmentForm, tags: e.target.value })}
+                placeholder="vip, wholesale"
+              />
+            </label>
+            <label>
+              Countries
+              <input
+                value={segmentForm.countries}
+                onChange={(e) => setSegmentForm({ ...segmentForm, countries: e.target.value })}
+                placeholder="US, CA"
+              />
+            </label>
+            <label>
+              Marketing opt-in
+              <input
+                value={segmentForm.marketingOptInLevels}
+                onChange={(e) => setSegmentForm({ ...segmentForm, marketingOptInLevels: e.target.value })}
+                placeholder="single_opt_in, confirmed_opt_in"
+              />
+            </label>
+          </div>
+          <div className="form inline">
+            {[
+              ['minSpend', 'Min spend'],
+              ['maxSpend', 'Max spend'],
+              ['minOrders', 'Min orders'],
+              ['maxOrders', 'Max orders'],
+              ['minClv', 'Min predicted CLV'],
+              ['maxClv', 'Max predicted CLV'],
+              ['minChurn', 'Min churn (0-1)', '0.05'],
+              ['maxChurn', 'Max churn (0-1)', '0.05'],
+            ].map(([key, label, step]) => (
+              <label key={key}>
+                {label}
+                <input
+                  type="number"
+                  min="0"
+                  step={step}
+                  value={segmentForm[key]}
+                  onChange={(e) => setSegmentForm({ ...segmentForm, [key]: e.target.value })}
+                />
+              </label>
+            ))}
+          </div>
+          <div className="form inline">
+            {canManage(activeShop.workspaceRole) && (
+              <label>
+                Segment name
+                <input
+                  value={segmentForm.name}
+                  onChange={(e) => setSegmentForm({ ...segmentForm, name: e.target.value })}
+                  placeholder="Lapsed VIPs"
+                />
+              </label>
+            )}
+            <button className="ghost" onClick={previewSegment} disabled={loading}>
+              Preview
+            </button>
+            {canManage(activeShop.workspaceRole) && (
+              <button onClick={saveSegment} disabled={loading || !segmentForm.name.trim()}>
+                Save segment
+              </button>
+            )}
+          </div>
+          {segmentPreview && (
+            <>
+              <h4>
+                {segmentPreview.total} matching customer{segmentPreview.total === 1 ? '' : 's'}
+                {segmentPreview.total > segmentPreview.members.length &&
+                  ` (top ${segmentPreview.members.length} by spend)`}
+              </h4>
+              <div className="table">
+                {segmentPreview.members.map((member) => (
+                  <div key={member.customerId} className="member-row">
+                    <span>{member.email || member.customerId}</span>
+                    <span className="pill tiny">{member.segment || 'no orders'}</span>
+                    <span className="muted tiny">
+                      {member.orders} orders · ${member.spend.toFixed(2)}
+                    </span>
+                  </div>
+                ))}
+              </div>
+            </>
+          )}
+          <h4>Saved segments</h4>
+          <div className="table">
+            {segments.map((segment) => (
+              <div key={segment._id} className="member-row">
+                <span>{segment.name}</span>
+                <span className="muted tiny">{describeFilters(segment.filters)}</span>
+                <span className="pill tiny">{segment.members} members</span>
+                <button className="ghost" onClick={() => loadSegmentMembers(segment._id)}>
+                  Members
+                </button>
+                <button
+                  className="ghost"
+                  onClick={() =>
+                    downloadFile(
+                      `/segments/${activeShopId}/${segment._id}/export?format=${exportFormat}`,
+                      `${segment.name}.${exportFormat}`
+                    )
+                  }
+                >
+                  Export ({exportFormat.toUpperCase()})
+                </button>
+                {canManage(activeShop.workspaceRole) && (
+                  <button className="ghost" onClick={() => deleteSegment(segment._id)} disabled={loading}>
+                    Remove
+                  </button>
+                )}
+              </div>
+            ))}
+            {segments.length === 0 && <p className="muted">No saved segments yet.</p>}
+          </div>
+          {segmentMembers && (
+            <>
+              <div className="card-header">
+                <h4>
+                  {segmentMembers.segment.name}: {segmentMembers.total} member{segmentMembers.total === 1 ? '' : 's'}
+                </h4>
+                <div className="actions">
+                  <button
+                    className="ghost"
+                    onClick={() => loadSegmentMembers(segmentMembers.segment._id, segmentMembers.page - 1)}
+                    disabled={segmentMembers.page <= 1}
+                  >
+                    Previous
+                  </button>
+                  <span className="muted tiny">
+                    Page {segmentMembers.page} of {Math.max(segmentMembers.pages, 1)}
+                  </span>
+                  <button
+                    className="ghost"
+                    onClick={() => loadSegmentMembers(segmentMembers.segment._id, segmentMembers.page + 1)}
+                    disabled={segmentMembers.page >= segmentMembers.pages}
+                  >
+                    Next
+                  </button>
+                </div>
+              </div>
+              <div className="table">
+                <div className="table-row head">
+                  <span>Customer</span>
+                  <span>Segment (RFM)</span>
+                  <span>Orders / spend</span>
+                  <span>Last order</span>
+                  <span>CLV 12m / churn</span>
+                </div>
+                {segmentMembers.members.map((member) => (
+                  <div key={member.customerId} className="table-row">
+                    <span>{member.email || member.customerId}</span>
+                    <span>{member.segment ? `${member.segment} (${member.rfmScore})` : 'no orders'}</span>
+                    <span>
+                      {member.orders} / ${member.spend.toFixed(2)}
+                    </span>
+                    <span>{member.lastOrderAt ? new Date(member.lastOrderAt).toLocaleDateString() : '-'}</span>
+                    <span>
+                      {member.clv === null ? '-' : `$${member.clv.toFixed(2)} / ${formatPct(member.churnProbability)}`}
+                    </span>
+                  </div>
+                ))}
+              </div>
+            </>
+          )}
+        </section>
+      )}
+
       {insights && (
         <section className="card">
           <div className="card-header">
@@ -588,7 +2093,7 @@ const ordersChartOptions = {
               <span>Date</span>
             </div>
             {insights.recentOrders.map((order) => (
-              <div key={order._id} className="table-row">
+              <div key={order.shopifyId} className="table-row">
                 <span>{order.name}</span>
                 <span>{order.customer?.email || 'N/A'}</span>
                 <span>${(order.totalPrice || 0).toFixed(2)}</span>
@@ -600,6 +2105,282 @@ const ordersChartOptions = {
           </div>
         </section>
       )}
+
+      {activeShop && canManage(activeShop.workspaceRole) && (
+        <section className="card">
+          <div className="card-header">
+            <h3>Import history</h3>
+            <span className="badge tone-neutral">CSV / JSONL</span>
+          </div>
+          <div className="form inline">
+            <label>
+              Resource
+              <select
+                value={importForm.resource}
+                onChange={(e) => {
+                  setImportForm({ ...importForm, resource: e.target.value });
+                  setImportReport(null);
+                }}
+              >
+                <option value="orders">Orders</option>
+                <option value="customers">Customers</option>
+              </select>
+            </label>
+            <label>
+              File
+              <input
+                type="file"
+                accept=".csv,.jsonl,.ndjson"
+                onChange={(e) => {
+                  setImportForm({ ...importForm, file: e.target.files[0] || null });
+                  setImportReport(null);
+                }}
+              />
+            </label>
+            <div className="actions">
+              <button className="ghost" onClick={() => runImport(true)} disabled={loading || !importForm.file}>
+                Preview
+              </button>
+              <button
+                onClick={() => runImport(false)}
+                disabled={loading || !importReport?.dryRun || importReport.valid === 0}
+              >
+                Import {importReport?.dryRun ? importReport.valid : ''} rows
+              </button>
+            </div>
+          </div>
+          <p className="muted tiny">
+            CSV in Shopify&apos;s admin export format, or JSONL with one API record per line. Preview validates every
+            row without writing; records already synced with newer data are left untouched.
+          </p>
+          {importReport && (
+            <>
+              <p className="muted">
+                {importReport.rows} rows - {importReport.valid} valid - {importReport.errorCount} rejected
+                {!importReport.dryRun && ` - ${importReport.imported} imported, ${importReport.skipped} skipped as stale`}
+              </p>
+              {importReport.errors.length > 0 && (
+                <div className="table">
+                  {importReport.errors.map((error, index) => (
+                    <div key={`${error.row}-${index}`} className="member-row">
+                      <span>
+                        Row {error.row}
+                        {error.field ? ` - ${error.field}` : ''}
+                      </span>
+                      <span className="muted tiny">{error.message}</span>
+                    </div>
+                  ))}
+                </div>
+              )}
+              {importReport.preview.length > 0 && (
+                <div className="table">
+                  <div className="table-row head">
+                    {importReport.resource === 'orders' ? (
+                      <>
+                        <span>Order</span>
+                        <span>Customer</span>
+                        <span>Total</span>
+                        <span>Items</span>
+                        <span>Date</span>
+                      </>
+                    ) : (
+                      <>
+                        <span>Email</span>
+                        <span>Name</span>
+                        <span>Spent</span>
+                        <span>Country</span>
+                        <span>ID</span>
+                      </>
+                    )}
+                  </div>
+                  {importReport.preview.map((doc) =>
+                    importReport.resource === 'orders' ? (
+                      <div key={doc.shopifyId} className="table-row">
+                        <span>{doc.name}</span>
+                        <span>{doc.customer?.email || doc.email || 'N/A'}</span>
+                        <span>${(doc.totalPrice || 0).toFixed(2)}</span>
+                        <span>{(doc.lineItems || []).length}</span>
+                        <span>{doc.processedAt ? new Date(doc.processedAt).toLocaleString() : '-'}</span>
+                      </div>
+                    ) : (
+                      <div key={doc.shopifyId} className="table-row">
+                        <span>{doc.email || 'N/A'}</span>
+                        <span>{[doc.firstName, doc.lastName].filter(Boolean).join(' ') || '-'}</span>
+                        <span>${(doc.totalSpent || 0).toFixed(2)}</span>
+                        <span>{doc.country || '-'}</span>
+                        <span>{doc.shopifyId}</span>
+                      </div>
+                    )
+                  )}
+                </div>
+              )}
+            </>
+          )}
+        </section>
+      )}
+
+      {activeShop && (
+        <section className="card">
+          <div className="card-header">
+            <h3>Webhook subscriptions</h3>
+            {!isWooCommerce(activeShop) && (
+              <span className={`badge ${webhookHealth?.healthy ? 'tone-primary' : 'tone-neutral'}`}>
+                {!webhookHealth ? 'Checking...' : webhookHealth.healthy ? 'Healthy' : 'Needs attention'}
+              </span>
+            )}
+          </div>
+          {isWooCommerce(activeShop) && (
+            <p className="muted">
+              Add webhooks under WooCommerce &gt; Settings &gt; Advanced &gt; Webhooks, delivering to{' '}
+              <code>/api/webhooks/woocommerce</code> and signed with this store&apos;s webhook secret.
+            </p>
+          )}
+          {webhookHealth?.error && <p className="muted">{webhookHealth.error}</p>}
+          {webhookHealth?.address && (
+            <p className="muted">
+              Delivering to <code>{webhookHealth.address}</code>
+            </p>
+          )}
+          <div className="table">
+            {(webhookHealth?.topics || []).map((entry) => (
+              <div key={entry.topic} className="member-row">
+                <span>{entry.topic}</span>
+                <span className="pill tiny">{entry.status}</span>
+                {entry.status === 'stale' && <span className="muted tiny">{entry.address}</span>}
+              </div>
+            ))}
+          </div>
+          {deadLetters.length > 0 && (
+            <>
+              <h4>Failed deliveries</h4>
+              <div className="table">
+                {deadLetters.map((entry) => (
+                  <div key={entry._id} className="member-row">
+                    <span>{entry.topic}</span>
+                    <span className="muted tiny">
+                      {new Date(entry.createdAt).toLocaleString()} · {entry.error}
+                    </span>
+                    {canManage(activeShop.workspaceRole) && (
+                      <button className="ghost" onClick={() => handleReplay(entry._id)} disabled={loading}>
+                        Replay
+                      </button>
+                    )}
+                  </div>
+                ))}
+              </div>
+            </>
+          )}
+          {canManage(activeShop.workspaceRole) && !isWooCommerce(activeShop) && (
+            <div className="actions">
+              <button onClick={() => manageWebhooks('POST', 'Webhook subscriptions repaired')} disabled={loading}>
+                Repair subscriptions
+              </button>
+              <button
+                className="ghost"
+                onClick={() => manageWebhooks('DELETE', 'Webhook subscriptions removed')}
+                disabled={loading}
+              >
+                Remove all
+              </button>
+            </div>
+          )}
+        </section>
+      )}
+
+      {activeShop && (
+        <section className="card">
+          <div className="card-header">
+            <h3>Outbound webhooks</h3>
+            <button className="ghost" onClick={() => loadOutboundWebhooks(activeShopId)}>
+              Refresh
+            </button>
+          </div>
+          <p className="muted tiny">
+            Sends new orders, synced records and custom events to your own services, signed with{' '}
+            <code>X-Xeno-Hmac-Sha256</code>. Topics can be exact (<code>orders/create</code>), a prefix (
+            <code>orders/*</code>) or <code>*</code>.
+          </p>
+          <div className="table">
+            {outboundSubscriptions.map((subscription) => (
+              <div key={subscription._id} className="member-row">
+                <span>{subscription.url}</span>
+                <span className="muted tiny">{subscription.topics.join(', ')}</span>
+                <span className="pill tiny">{subscription.active ? 'active' : 'disabled'}</span>
+                {canManage(activeShop.workspaceRole) && (
+                  <>
+                    <button
+                      className="ghost"
+                      onClick={() =>
+                        updateOutboundSubscription(subscription._id, 'PATCH', { active: !subscription.active })
+                      }
+                      disabled={loading}
+                    >
+                      {subscription.active ? 'Disable' : 'Enable'}
+                    </button>
+                    <button
+                      className="ghost"
+                      onClick={() => updateOutboundSubscription(subscription._id, 'DELETE')}
+                      disabled={loading}
+                    >
+                      Remove
+                    </button>
+                  </>
+                )}
+              </div>
+            ))}
+            {outboundSubscriptions.length === 0 && <p className="muted">No outbound subscriptions yet.</p>}
+          </div>
+          {canManage(activeShop.workspaceRole) && (
+            <div className="form inline">
+              <label>
+                Endpoint URL
+                <input
+                  value={outboundForm.url}
+                  onChange={(e) => setOutboundForm({ ...outboundForm, url: e.target.value })}
+                  placeholder="https://example.com/hooks/xeno"
+                />
+              </label>
+              <label>
+                Topics
+                <input
+                  value={outboundForm.topics}
+                  onChange={(e) => setOutboundForm({ ...outboundForm, topics: e.target.value })}
+                />
+              </label>
+              <button onClick={createOutboundSubscription} disabled={loading || !outboundForm.url}>
+                Add subscription
+              </button>
+            </div>
+          )}
+          {outboundDeliveries.length > 0 && (
+            <>
+              <h4>Recent deliveries</h4>
+              <div className="table">
+                {outboundDeliveries.map((delivery) => (
+                  <div key={delivery._id} className="member-row">
+                    <span>{delivery.topic}</span>
+                    <span className="pill tiny">{delivery.status}</span>
+                    <span className="muted tiny">
+                      {new Date(delivery.createdAt).toLocaleString()} · {delivery.source} · {delivery.attempts} attempt
+                      {delivery.attempts === 1 ? '' : 's'}
+                      {delivery.error ? ` · ${delivery.error}` : ''}
+                    </span>
+                    {canManage(activeShop.workspaceRole) && delivery.status !== 'pending' && (
+                      <button
+                        className="ghost"
+                        onClick={() => replayOutboundDelivery(delivery._id)}
+                        disabled={loading}
+                      >
+                        Replay
+                      </button>
+                    )}
+                  </div>
+                ))}
+              </div>
+            </>
+          )}
+        </section>
+      )}
     </div>
   );
 }
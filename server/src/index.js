@@ -5,17 +5,34 @@ const cors = require('cors');
 
 const connectDB = require('./config/db');
 const auth = require('./middleware/auth');
+const authRoutes = require('./routes/auth');
+const shopifyOAuthRoutes = require('./routes/shopifyOAuth');
 const shopRoutes = require('./routes/shops');
 const insightRoutes = require('./routes/insights');
 const webhookRoutes = require('./routes/webhooks');
 const eventRoutes = require('./routes/events');
+const syncJobRoutes = require('./routes/syncJobs');
+const workspaceRoutes = require('./routes/workspaces');
+const outboundWebhookRoutes = require('./routes/outboundWebhooks');
+const segmentRoutes = require('./routes/segments');
 const startScheduler = require('./scheduler');
+const { startOutboundWebhookWorker } = require('./services/outboundWebhooks');
+const { startSyncWorker } = require('./services/syncQueue');
 
 const app = express();
 
-app.use(cors());
+// Export downloads read the suggested file name from Content-Disposition.
+app.use(cors({ exposedHeaders: ['Content-Disposition'] }));
 app.use(morgan('dev'));
-app.use(express.json({ limit: '2mb' }));
+app.use(
+  express.json({
+    limit: '2mb',
+    // Keep the untouched body around so webhook HMACs can be checked against the exact bytes Shopify signed.
+    verify: (req, res, buf) => {
+      req.rawBody = buf;
+    },
+  })
+);
 
 app.get('/health', (req, res) => {
   res.json({ status: 'ok', timestamp: new Date().toISOString() });
@@ -24,15 +41,26 @@ app.get('/health', (req, res) => {
 // Webhooks are unauthenticated (Shopify posts).
 app.use('/api/webhooks', webhookRoutes);
 
-// Require email auth for all other API routes.
+// Magic-link sign-in issues the session tokens the rest of the API expects.
+app.use('/api/auth', authRoutes);
+// The OAuth callback is hit by the merchant's browser; /install enforces auth itself.
+app.use('/api/shopify', shopifyOAuthRoutes);
+
+// Require a signed session for all other API routes.
 app.use('/api', auth);
 app.use('/api/shops', shopRoutes);
 app.use('/api/insights', insightRoutes);
 app.use('/api/events', eventRoutes);
+app.use('/api/sync-jobs', syncJobRoutes);
+app.use('/api/workspaces', workspaceRoutes);
+app.use('/api/outbound-webhooks', outboundWebhookRoutes);
+app.use('/api/segments', segmentRoutes);
 
 const PORT = process.env.PORT || 4000;
 
 connectDB().then(() => {
+  startSyncWorker();
+  startOutboundWebhookWorker();
   startScheduler();
   app.listen(PORT, () => {
     console.log(`Server listening on port ${PORT}`);
@@ -1,7 +1,4 @@
-const allowedEmails = (process.env.ALLOWED_EMAILS || '')
-  .split(',')
-  .map((e) => e.trim().toLowerCase())
-  .filter(Boolean);
+const { isEmailAllowed, verifySessionToken } = require('../services/authService');
 
 const authMiddleware = (req, res, next) => {
   // Allow Shopify webhooks to bypass user auth.
@@ -9,12 +6,19 @@ const authMiddleware = (req, res, next) => {
     return next();
   }
 
-  const email = (req.headers['x-user-email'] || '').toString().trim().toLowerCase();
+  const header = (req.headers.authorization || '').toString();
+  const [scheme, token] = header.split(' ');
+  if (scheme !== 'Bearer' || !token) {
+    return res.status(401).json({ message: 'Missing bearer session token' });
+  }
+
+  const email = verifySessionToken(token);
   if (!email) {
-    return res.status(401).json({ message: 'Missing x-user-email header' });
+    return res.status(401).json({ message: 'Session is invalid or expired. Sign in again.' });
   }
 
-  if (allowedEmails.length && !allowedEmails.includes(email)) {
+  // Re-check on every request so removing someone from ALLOWED_EMAILS locks them out immediately.
+  if (!isEmailAllowed(email)) {
     return res.status(403).json({ message: 'Email not allowed for onboarding' });
   }
 
@@ -0,0 +1,60 @@
+const mongoose = require('mongoose');
+const Shop = require('../models/Shop');
+const Workspace = require('../models/Workspace');
+const { hasRole, roleFor, workspaceForShop } = require('../services/workspaceService');
+
+// Resolves the caller's role for a shop, or null when they aren't a member of its workspace.
+const authorizeShop = async (shop, email) => {
+  const workspace = await workspaceForShop(shop);
+  return { workspace, role: roleFor(workspace, email) };
+};
+
+// Loads req.params[param] as a Shop and rejects callers below minRole in the shop's workspace.
+const requireShopRole = (minRole, param = 'shopId') => async (req, res, next) => {
+  const shopId = req.params[param];
+  if (!mongoose.Types.ObjectId.isValid(shopId)) {
+    return res.status(400).json({ message: 'Invalid shop id' });
+  }
+
+  const shop = await Shop.findById(shopId);
+  if (!shop) {
+    return res.status(404).json({ message: 'Shop not found' });
+  }
+
+  const { workspace, role } = await authorizeShop(shop, req.userEmail);
+  if (!hasRole(role, minRole)) {
+    return res.status(403).json({ message: `Requires ${minRole} access to this shop` });
+  }
+
+  req.shop = shop;
+  req.workspace = workspace;
+  req.workspaceRole = role;
+  next();
+};
+
+const requireWorkspaceRole = (minRole, param = 'id') => async (req, res, next) => {
+  const workspaceId = req.params[param];
+  if (!mongoose.Types.ObjectId.isValid(workspaceId)) {
+    return res.status(400).json({ message: 'Invalid workspace id' });
+  }
+
+  const workspace = await Workspace.findById(workspaceId);
+  if (!workspace) {
+    return res.status(404).json({ message: 'Workspace not found' });
+  }
+
+  const role = roleFor(workspace, req.userEmail);
+  if (!hasRole(role, minRole)) {
+    return res.status(403).json({ message: `Requires ${minRole} access to this workspace` });
+  }
+
+  req.workspace = workspace;
+  req.workspaceRole = role;
+  next();
+};
+
+module.exports = {
+  authorizeShop,
+  requireShopRole,
+  requireWorkspaceRole,
+};
@@ -0,0 +1,44 @@
+const { Schema, model, Types } = require('mongoose');
+
+const lineItemSchema = new Schema(
+  {
+    productId: String,
+    variantId: String,
+    title: String,
+    quantity: Number,
+    price: Number,
+  },
+  { _id: false }
+);
+
+const abandonedCheckoutSchema = new Schema(
+  {
+    shop: { type: Types.ObjectId, ref: 'Shop', index: true, required: true },
+    shopifyId: { type: String, required: true },
+    token: String,
+    email: String,
+    currency: String,
+    totalPrice: Number,
+    subtotalPrice: Number,
+    totalDiscounts: Number,
+    customer: {
+      id: String,
+      email: String,
+      firstName: String,
+      lastName: String,
+    },
+    lineItems: [lineItemSchema],
+    abandonedCheckoutUrl: String,
+    // Set once the checkout turns into an order (recovered).
+    completedAt: Date,
+    shopifyCreatedAt: Date,
+    shopifyUpdatedAt: Date,
+    deletedAt: Date,
+  },
+  { timestamps: true }
+);
+
+abandonedCheckoutSchema.index({ shop: 1, shopifyId: 1 }, { unique: true });
+abandonedCheckoutSchema.index({ shop: 1, shopifyCreatedAt: -1 });
+
+module.exports = model('AbandonedCheckout', abandonedCheckoutSchema);
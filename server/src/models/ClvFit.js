@@ -0,0 +1,39 @@
+const { Schema, model, Types } = require('mongoose');
+
+// The latest CLV model fitted for a shop (services/clvScoring); one document per shop, replaced on every run.
+// Customers' own scores live on Customer.clv.
+const clvFitSchema = new Schema(
+  {
+    shop: { type: Types.ObjectId, ref: 'Shop', required: true, unique: true },
+    fittedAt: { type: Date, required: true },
+    // Set instead of the parameters when the shop doesn't have enough order history to fit.
+    skippedReason: String,
+    buyers: { type: Number, default: 0 },
+    repeatBuyers: { type: Number, default: 0 },
+    scored: { type: Number, default: 0 },
+    horizonMonths: Number,
+    monthlyDiscountRate: Number,
+    // BG/NBD: purchase rate ~ Gamma(r, alpha) per week, dropout after each purchase ~ Beta(a, b).
+    bgnbd: {
+      r: Number,
+      alpha: Number,
+      a: Number,
+      b: Number,
+      logLikelihood: Number,
+      converged: Boolean,
+    },
+    // Gamma-Gamma spend per order. Absent when too few repeat buyers; the shop's average order value is used.
+    gammaGamma: {
+      p: Number,
+      q: Number,
+      v: Number,
+      logLikelihood: Number,
+      converged: Boolean,
+    },
+    avgOrderValue: Number,
+    durationMs: Number,
+  },
+  { timestamps: true }
+);
+
+module.exports = model('ClvFit', clvFitSchema);
@@ -0,0 +1,32 @@
+const { Schema, model, Types } = require('mongoose');
+
+const ruleSchema = new Schema(
+  {
+    column: String,
+    relation: String,
+    condition: String,
+  },
+  { _id: false }
+);
+
+const collectionSchema = new Schema(
+  {
+    shop: { type: Types.ObjectId, ref: 'Shop', index: true, required: true },
+    shopifyId: { type: String, required: true },
+    collectionType: { type: String, enum: ['custom', 'smart'] },
+    title: String,
+    handle: String,
+    sortOrder: String,
+    // Smart collections only.
+    disjunctive: Boolean,
+    rules: [ruleSchema],
+    publishedAt: Date,
+    shopifyUpdatedAt: Date,
+    deletedAt: Date,
+  },
+  { timestamps: true }
+);
+
+collectionSchema.index({ shop: 1, shopifyId: 1 }, { unique: true });
+
+module.exports = model('Collection', collectionSchema);
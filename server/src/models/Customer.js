@@ -15,10 +15,24 @@ const customerSchema = new Schema(
     marketingOptInLevel: String,
     shopifyCreatedAt: Date,
     shopifyUpdatedAt: Date,
+    deletedAt: Date,
+    // Set by customers/redact once personal fields have been removed.
+    redactedAt: Date,
+    // Written by the nightly CLV job (services/clvScoring); absent until the customer has been scored.
+    clv: {
+      predicted12m: Number,
+      expectedOrders12m: Number,
+      // Chance of no purchase within the same 12 months.
+      churnProbability: Number,
+      expectedOrderValue: Number,
+      scoredAt: Date,
+    },
   },
   { timestamps: true }
 );
 
 customerSchema.index({ shop: 1, shopifyId: 1 }, { unique: true });
+customerSchema.index({ shop: 1, 'clv.predicted12m': -1 });
+customerSchema.index({ updatedAt: 1 });
 
 module.exports = model('Customer', customerSchema);
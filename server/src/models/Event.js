@@ -4,6 +4,8 @@ const eventSchema = new Schema(
   {
     shop: { type: Types.ObjectId, ref: 'Shop', index: true, required: true },
     topic: { type: String, required: true },
+    // X-Shopify-Webhook-Id; Shopify reuses it on retries, so it is the dedupe key.
+    webhookId: String,
     payload: { type: Schema.Types.Mixed },
     receivedAt: { type: Date, default: Date.now },
   },
@@ -11,5 +13,10 @@ const eventSchema = new Schema(
 );
 
 eventSchema.index({ shop: 1, topic: 1, receivedAt: -1 });
+eventSchema.index({ updatedAt: 1 });
+eventSchema.index(
+  { shop: 1, webhookId: 1 },
+  { unique: true, partialFilterExpression: { webhookId: { $type: 'string' } } }
+);
 
 module.exports = model('Event', eventSchema);
@@ -0,0 +1,35 @@
+const { Schema, model, Types } = require('mongoose');
+
+const fulfillmentLineItemSchema = new Schema(
+  {
+    lineItemId: String,
+    productId: String,
+    variantId: String,
+    quantity: Number,
+  },
+  { _id: false }
+);
+
+const fulfillmentSchema = new Schema(
+  {
+    shop: { type: Types.ObjectId, ref: 'Shop', index: true, required: true },
+    shopifyId: { type: String, required: true },
+    orderId: { type: String, required: true },
+    status: String,
+    shipmentStatus: String,
+    locationId: String,
+    trackingCompany: String,
+    trackingNumbers: [String],
+    trackingUrls: [String],
+    lineItems: [fulfillmentLineItemSchema],
+    shopifyCreatedAt: Date,
+    shopifyUpdatedAt: Date,
+    deletedAt: Date,
+  },
+  { timestamps: true }
+);
+
+fulfillmentSchema.index({ shop: 1, shopifyId: 1 }, { unique: true });
+fulfillmentSchema.index({ shop: 1, orderId: 1 });
+
+module.exports = model('Fulfillment', fulfillmentSchema);
@@ -0,0 +1,21 @@
+const { Schema, model, Types } = require('mongoose');
+
+// Shopify inventory levels have no id of their own; shopifyId is "<inventoryItemId>:<locationId>".
+const inventoryLevelSchema = new Schema(
+  {
+    shop: { type: Types.ObjectId, ref: 'Shop', index: true, required: true },
+    shopifyId: { type: String, required: true },
+    inventoryItemId: { type: String, required: true },
+    locationId: { type: String, required: true },
+    available: Number,
+    shopifyUpdatedAt: Date,
+    // Set when the item is disconnected from the location.
+    deletedAt: Date,
+  },
+  { timestamps: true }
+);
+
+inventoryLevelSchema.index({ shop: 1, shopifyId: 1 }, { unique: true });
+inventoryLevelSchema.index({ shop: 1, locationId: 1 });
+
+module.exports = model('InventoryLevel', inventoryLevelSchema);
@@ -0,0 +1,17 @@
+const { Schema, model } = require('mongoose');
+
+// Single-use magic-link tokens. Only a hash is stored so a database leak can't be replayed as logins.
+const loginTokenSchema = new Schema(
+  {
+    email: { type: String, required: true, lowercase: true, index: true },
+    tokenHash: { type: String, required: true, unique: true },
+    expiresAt: { type: Date, required: true },
+    usedAt: Date,
+  },
+  { timestamps: true }
+);
+
+// Let Mongo clean up expired links on its own.
+loginTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = model('LoginToken', loginTokenSchema);
@@ -0,0 +1,17 @@
+const { Schema, model, Types } = require('mongoose');
+
+// Nonce handed to Shopify as `state` on install; the callback must present it back exactly once.
+const oauthStateSchema = new Schema(
+  {
+    nonce: { type: String, required: true, unique: true },
+    shopDomain: { type: String, required: true, lowercase: true },
+    userEmail: { type: String, required: true },
+    workspace: { type: Types.ObjectId, ref: 'Workspace' },
+    expiresAt: { type: Date, required: true },
+  },
+  { timestamps: true }
+);
+
+oauthStateSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = model('OAuthState', oauthStateSchema);
@@ -35,11 +35,13 @@ const orderSchema = new Schema(
     lineItems: [lineItemSchema],
     shopifyCreatedAt: Date,
     shopifyUpdatedAt: Date,
+    deletedAt: Date,
   },
   { timestamps: true }
 );
 
 orderSchema.index({ shop: 1, shopifyId: 1 }, { unique: true });
 orderSchema.index({ shop: 1, processedAt: -1 });
+orderSchema.index({ updatedAt: 1 });
 
 module.exports = model('Order', orderSchema);
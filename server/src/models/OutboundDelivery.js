@@ -0,0 +1,34 @@
+const { Schema, model, Types } = require('mongoose');
+
+// One attempt series to send an event to one subscription. Replays create a new delivery for the same event.
+const outboundDeliverySchema = new Schema(
+  {
+    shop: { type: Types.ObjectId, ref: 'Shop', index: true, required: true },
+    subscription: { type: Types.ObjectId, ref: 'OutboundSubscription', required: true },
+    // Stable across retries and replays (X-Xeno-Event-Id), so receivers can dedupe.
+    eventId: { type: String, required: true },
+    topic: { type: String, required: true },
+    source: { type: String, enum: ['webhook', 'sync', 'custom'], required: true },
+    payload: { type: Schema.Types.Mixed },
+    // When ingestion saw the event; carried over to replays.
+    occurredAt: { type: Date, default: Date.now },
+    status: { type: String, enum: ['pending', 'succeeded', 'failed'], default: 'pending' },
+    attempts: { type: Number, default: 0 },
+    // When a pending delivery is next due; moved forward while an attempt is in flight.
+    nextAttemptAt: { type: Date, default: Date.now },
+    lastAttemptAt: Date,
+    // Only the receiver's status code is kept; response bodies are never stored.
+    responseStatus: Number,
+    error: String,
+    deliveredAt: Date,
+    replayOf: { type: Types.ObjectId, ref: 'OutboundDelivery' },
+    replayedBy: String,
+  },
+  { timestamps: true }
+);
+
+outboundDeliverySchema.index({ status: 1, nextAttemptAt: 1 });
+outboundDeliverySchema.index({ shop: 1, createdAt: -1 });
+outboundDeliverySchema.index({ subscription: 1, createdAt: -1 });
+
+module.exports = model('OutboundDelivery', outboundDeliverySchema);
@@ -0,0 +1,28 @@
+const { Schema, model, Types } = require('mongoose');
+const { encryptSecret } = require('../services/tokenCrypto');
+
+// A downstream endpoint that receives signed copies of the shop's ingestion events.
+const outboundSubscriptionSchema = new Schema(
+  {
+    shop: { type: Types.ObjectId, ref: 'Shop', index: true, required: true },
+    url: { type: String, required: true },
+    // Exact topics ("orders/create", "checkout_started"), prefixes ("orders/*") or "*" for everything.
+    topics: { type: [String], required: true },
+    description: String,
+    // Signs X-Xeno-Hmac-Sha256. Shown once when created or rotated, never serialized afterwards.
+    secret: { type: String, required: true, set: encryptSecret },
+    active: { type: Boolean, default: true },
+    createdBy: String,
+  },
+  {
+    timestamps: true,
+    toJSON: {
+      transform: (doc, ret) => {
+        delete ret.secret;
+        return ret;
+      },
+    },
+  }
+);
+
+module.exports = model('OutboundSubscription', outboundSubscriptionSchema);
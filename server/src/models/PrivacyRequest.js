@@ -0,0 +1,28 @@
+const { Schema, model, Types } = require('mongoose');
+
+// Audit trail for Shopify's mandatory privacy webhooks. Outlives shop/redact, so the domain is copied in; the
+// personal data in `report` does not (see privacyService).
+const privacyRequestSchema = new Schema(
+  {
+    shop: { type: Types.ObjectId, ref: 'Shop', index: true },
+    shopDomain: { type: String, required: true },
+    topic: {
+      type: String,
+      enum: ['customers/data_request', 'customers/redact', 'shop/redact'],
+      required: true,
+    },
+    shopifyCustomerId: String,
+    ordersRequested: [String],
+    // Counts of what was redacted or deleted, per collection.
+    affected: { type: Schema.Types.Mixed },
+    // customers/data_request only: the data we hold, for the merchant to hand to the customer. Removed again by
+    // customers/redact for the same customer and by shop/redact.
+    report: { type: Schema.Types.Mixed },
+    completedAt: Date,
+  },
+  { timestamps: true }
+);
+
+privacyRequestSchema.index({ shop: 1, createdAt: -1 });
+
+module.exports = model('PrivacyRequest', privacyRequestSchema);
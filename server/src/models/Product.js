@@ -23,10 +23,12 @@ const productSchema = new Schema(
     variants: [variantSchema],
     shopifyCreatedAt: Date,
     shopifyUpdatedAt: Date,
+    deletedAt: Date,
   },
   { timestamps: true }
 );
 
 productSchema.index({ shop: 1, shopifyId: 1 }, { unique: true });
+productSchema.index({ updatedAt: 1 });
 
 module.exports = model('Product', productSchema);
@@ -0,0 +1,51 @@
+const { Schema, model, Types } = require('mongoose');
+
+const refundLineItemSchema = new Schema(
+  {
+    lineItemId: String,
+    productId: String,
+    variantId: String,
+    quantity: Number,
+    subtotal: Number,
+    restockType: String,
+  },
+  { _id: false }
+);
+
+const transactionSchema = new Schema(
+  {
+    shopifyId: String,
+    kind: String,
+    status: String,
+    gateway: String,
+    amount: Number,
+    currency: String,
+    processedAt: Date,
+  },
+  { _id: false }
+);
+
+const refundSchema = new Schema(
+  {
+    shop: { type: Types.ObjectId, ref: 'Shop', index: true, required: true },
+    shopifyId: { type: String, required: true },
+    orderId: { type: String, required: true },
+    note: String,
+    // Sum of successful refund transactions, i.e. money actually returned.
+    amount: Number,
+    currency: String,
+    processedAt: Date,
+    refundLineItems: [refundLineItemSchema],
+    transactions: [transactionSchema],
+    shopifyCreatedAt: Date,
+    shopifyUpdatedAt: Date,
+    deletedAt: Date,
+  },
+  { timestamps: true }
+);
+
+refundSchema.index({ shop: 1, shopifyId: 1 }, { unique: true });
+refundSchema.index({ shop: 1, orderId: 1 });
+refundSchema.index({ shop: 1, processedAt: -1 });
+
+module.exports = model('Refund', refundSchema);
@@ -0,0 +1,39 @@
+const { Schema, model, Types } = require('mongoose');
+
+// One segment member per customer of a shop, as last scored by services/rfmSegments: every live customer plus
+// buyers only known from their orders. The whole shop is rewritten on each run, so segments are counted, filtered
+// and paged here instead of being rescored per request. Customer fields are copies from scoring time.
+const rfmScoreSchema = new Schema(
+  {
+    shop: { type: Types.ObjectId, ref: 'Shop', required: true },
+    customerId: { type: String, required: true },
+    email: String,
+    firstName: String,
+    lastName: String,
+    country: String,
+    tags: [String],
+    marketingOptInLevel: String,
+    orders: { type: Number, default: 0 },
+    spend: { type: Number, default: 0 },
+    firstOrderAt: Date,
+    lastOrderAt: Date,
+    // 1-5 each, null for customers without orders.
+    r: Number,
+    f: Number,
+    m: Number,
+    rfmScore: String,
+    segment: String,
+    // Customer.clv.predicted12m and clv.churnProbability; null until the CLV job has scored the customer.
+    clv: Number,
+    churnProbability: Number,
+    scoredAt: { type: Date, required: true },
+  },
+  { versionKey: false }
+);
+
+rfmScoreSchema.index({ shop: 1, customerId: 1 }, { unique: true });
+rfmScoreSchema.index({ shop: 1, spend: -1, orders: -1 });
+rfmScoreSchema.index({ shop: 1, segment: 1 });
+rfmScoreSchema.index({ shop: 1, scoredAt: -1 });
+
+module.exports = model('RfmScore', rfmScoreSchema);
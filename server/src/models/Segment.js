@@ -0,0 +1,40 @@
+const { Schema, model, Types } = require('mongoose');
+
+// A saved customer filter. Membership is matched against the stored RFM scores (RfmScore) when the segment is
+// read, and those are rebuilt after each sync, so it follows new orders and customer updates. Empty lists and
+// missing bounds don't filter.
+const segmentFilterSchema = new Schema(
+  {
+    // RFM buckets such as "Champions" or "At Risk"; see services/rfmSegments.
+    rfmSegments: [String],
+    // Any of these tags, compared case-insensitively.
+    tags: [String],
+    countries: [String],
+    marketingOptInLevels: [String],
+    minSpend: Number,
+    maxSpend: Number,
+    minOrders: Number,
+    maxOrders: Number,
+    // Bounds on Customer.clv.predicted12m and clv.churnProbability (0-1).
+    minClv: Number,
+    maxClv: Number,
+    minChurn: Number,
+    maxChurn: Number,
+  },
+  { _id: false }
+);
+
+const segmentSchema = new Schema(
+  {
+    shop: { type: Types.ObjectId, ref: 'Shop', index: true, required: true },
+    name: { type: String, required: true },
+    description: String,
+    filters: { type: segmentFilterSchema, default: () => ({}) },
+    createdBy: String,
+  },
+  { timestamps: true }
+);
+
+segmentSchema.index({ shop: 1, name: 1 }, { unique: true });
+
+module.exports = model('Segment', segmentSchema);
@@ -1,19 +1,51 @@
-const { Schema, model } = require('mongoose');
+const { Schema, model, Types } = require('mongoose');
+const { encryptSecret } = require('../services/tokenCrypto');
+
+// Never serialized; read them through decryptSecret where the plaintext is actually needed.
+const SECRET_FIELDS = ['accessToken', 'consumerSecret', 'webhookSharedSecret'];
 
 const shopSchema = new Schema(
   {
     name: { type: String },
     ownerEmail: { type: String, index: true },
+    workspace: { type: Types.ObjectId, ref: 'Workspace', index: true },
     shopDomain: { type: String, required: true, unique: true, lowercase: true },
-    accessToken: { type: String, required: true },
+    // Selects the connector in services/connectors; missing on shops registered before connectors existed.
+    platform: { type: String, enum: ['shopify', 'woocommerce'], default: 'shopify' },
+    // Setters also run on update casting, so every write path stores ciphertext.
+    // Wiped by app/uninstalled, so it is only required while the app is installed.
+    accessToken: {
+      type: String,
+      required() {
+        return !this.uninstalledAt;
+      },
+      set: encryptSecret,
+    },
+    // WooCommerce only: the REST API consumer secret paired with the consumer key in accessToken.
+    consumerSecret: { type: String, set: encryptSecret },
     apiVersion: { type: String, default: process.env.SHOPIFY_API_VERSION || '2024-10' },
     scopes: [String],
     status: { type: String, enum: ['active', 'paused'], default: 'active' },
     lastSyncedAt: { type: Date },
-    webhookSharedSecret: { type: String },
+    uninstalledAt: { type: Date },
+    webhookSharedSecret: { type: String, set: encryptSecret },
+    webhookSecretRotatedAt: { type: Date },
     metadata: { type: Map, of: String },
   },
-  { timestamps: true }
+  {
+    timestamps: true,
+    toJSON: {
+      transform: (doc, ret) => {
+        ret.hasAccessToken = Boolean(ret.accessToken);
+        ret.webhookSecretConfigured = Boolean(ret.webhookSharedSecret);
+        SECRET_FIELDS.forEach((field) => delete ret[field]);
+        return ret;
+      },
+    },
+  }
 );
 
-module.exports = model('Shop', shopSchema);
+const Shop = model('Shop', shopSchema);
+Shop.SECRET_FIELDS = SECRET_FIELDS;
+
+module.exports = Shop;
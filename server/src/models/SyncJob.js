@@ -0,0 +1,38 @@
+const { Schema, model, Types } = require('mongoose');
+
+const resourceProgressSchema = new Schema(
+  {
+    status: { type: String, enum: ['queued', 'running', 'succeeded', 'failed'], default: 'queued' },
+    total: Number,
+    pulled: { type: Number, default: 0 },
+    saved: { type: Number, default: 0 },
+    error: String,
+  },
+  { _id: false }
+);
+
+const syncJobSchema = new Schema(
+  {
+    shop: { type: Types.ObjectId, ref: 'Shop', index: true, required: true },
+    status: { type: String, enum: ['queued', 'running', 'succeeded', 'failed'], default: 'queued', index: true },
+    trigger: { type: String, enum: ['manual', 'cron'], default: 'manual' },
+    requestedBy: String,
+    mode: { type: String, enum: ['full', 'incremental'], default: 'incremental' },
+    strategy: { type: String, enum: ['rest', 'bulk'], default: 'rest' },
+    resources: [String],
+    progress: { type: Map, of: resourceProgressSchema, default: {} },
+    summary: { type: Schema.Types.Mixed },
+    webhooks: { type: Schema.Types.Mixed },
+    error: String,
+    errorStatus: Number,
+    attempts: { type: Number, default: 0 },
+    startedAt: Date,
+    finishedAt: Date,
+  },
+  { timestamps: true }
+);
+
+syncJobSchema.index({ shop: 1, createdAt: -1 });
+syncJobSchema.index({ status: 1, createdAt: 1 });
+
+module.exports = model('SyncJob', syncJobSchema);
@@ -0,0 +1,26 @@
+const { Schema, model, Types } = require('mongoose');
+
+// Per shop + resource bookkeeping so syncs can ask Shopify only for records changed since the last run.
+const syncStateSchema = new Schema(
+  {
+    shop: { type: Types.ObjectId, ref: 'Shop', index: true, required: true },
+    resource: { type: String, required: true },
+    watermark: Date,
+    lastMode: { type: String, enum: ['full', 'incremental'] },
+    lastSyncedAt: Date,
+    lastFullSyncAt: Date,
+    // In-flight run; cleared on completion. pageInfo is the next page still to be fetched.
+    cursor: {
+      mode: { type: String, enum: ['full', 'incremental'] },
+      since: Date,
+      pageInfo: String,
+      pendingWatermark: Date,
+      startedAt: Date,
+    },
+  },
+  { timestamps: true }
+);
+
+syncStateSchema.index({ shop: 1, resource: 1 }, { unique: true });
+
+module.exports = model('SyncState', syncStateSchema);
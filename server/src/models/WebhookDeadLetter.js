@@ -0,0 +1,22 @@
+const { Schema, model, Types } = require('mongoose');
+
+// Webhooks that were accepted but failed processing; kept until they are replayed.
+const webhookDeadLetterSchema = new Schema(
+  {
+    shop: { type: Types.ObjectId, ref: 'Shop', index: true, required: true },
+    topic: { type: String, required: true },
+    webhookId: String,
+    payload: { type: Schema.Types.Mixed },
+    error: String,
+    status: { type: String, enum: ['pending', 'replayed'], default: 'pending' },
+    attempts: { type: Number, default: 1 },
+    lastAttemptAt: { type: Date, default: Date.now },
+    replayedAt: Date,
+    replayedBy: String,
+  },
+  { timestamps: true }
+);
+
+webhookDeadLetterSchema.index({ shop: 1, status: 1, createdAt: -1 });
+
+module.exports = model('WebhookDeadLetter', webhookDeadLetterSchema);
@@ -0,0 +1,28 @@
+const { Schema, model } = require('mongoose');
+
+const WORKSPACE_ROLES = ['owner', 'admin', 'analyst'];
+
+const memberSchema = new Schema(
+  {
+    email: { type: String, required: true, lowercase: true, trim: true },
+    role: { type: String, enum: WORKSPACE_ROLES, default: 'analyst' },
+    invitedBy: String,
+    addedAt: { type: Date, default: Date.now },
+  },
+  { _id: false }
+);
+
+const workspaceSchema = new Schema(
+  {
+    name: { type: String, required: true },
+    members: [memberSchema],
+  },
+  { timestamps: true }
+);
+
+workspaceSchema.index({ 'members.email': 1 });
+
+const Workspace = model('Workspace', workspaceSchema);
+Workspace.ROLES = WORKSPACE_ROLES;
+
+module.exports = Workspace;
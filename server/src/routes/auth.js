@@ -0,0 +1,39 @@
+const express = require('express');
+const auth = require('../middleware/auth');
+const { isEmailAllowed, normalizeEmail, redeemMagicLink, sendMagicLink } = require('../services/authService');
+
+const router = express.Router();
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+router.post('/magic-link', async (req, res) => {
+  const email = normalizeEmail(req.body.email);
+  if (!EMAIL_PATTERN.test(email)) {
+    return res.status(400).json({ message: 'A valid email is required' });
+  }
+  if (!isEmailAllowed(email)) {
+    return res.status(403).json({ message: 'Email not allowed for onboarding' });
+  }
+
+  try {
+    const { expiresAt } = await sendMagicLink(email);
+    res.status(202).json({ ok: true, expiresAt });
+  } catch (err) {
+    console.error('magic link error', err.message);
+    res.status(500).json({ message: 'Could not send sign-in link', error: err.message });
+  }
+});
+
+router.post('/verify', async (req, res) => {
+  const session = await redeemMagicLink(req.body.token);
+  if (!session) {
+    return res.status(401).json({ message: 'Sign-in link is invalid, expired or already used' });
+  }
+  res.json(session);
+});
+
+router.get('/me', auth, (req, res) => {
+  res.json({ email: req.userEmail });
+});
+
+module.exports = router;
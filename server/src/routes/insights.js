@@ -1,12 +1,31 @@
 const express = require('express');
-const mongoose = require('mongoose');
 const { ObjectId } = require('mongodb');
 const prisma = require('../config/prisma');
-const Shop = require('../models/Shop');
+const { requireShopRole } = require('../middleware/authorize');
+const {
+  CLV_SORTS,
+  findScoredCustomer,
+  listScoredCustomers,
+  scoreShopClv,
+  summarizeClv,
+} = require('../services/clvScoring');
+const { COHORT_GRAINS, DEFAULT_COHORTS, MAX_COHORTS, buildCohorts } = require('../services/cohortAnalysis');
+const {
+  BASKET_SORTS,
+  DEFAULT_MIN_COUNT,
+  DEFAULT_MIN_SUPPORT,
+  findBoughtWith,
+  findProductPairs,
+} = require('../services/marketBasket');
+const { PRODUCT_GROUPINGS, PRODUCT_SORTS, buildProductPerformance } = require('../services/productAnalytics');
 
 const router = express.Router();
 
-const validateShop = (shopId) => mongoose.Types.ObjectId.isValid(shopId);
+// Insights routes are read-only, so analysts and up may use them; rescoring CLV also needs admin.
+router.use('/:shopId', requireShopRole('analyst'));
+
+// Soft-deleted records (deletedAt set by */delete webhooks) are left out of every metric.
+const live = { deletedAt: { isSet: false } };
 
 const parseDateRange = (startStr, endStr, defaultDays = 30) => {
   const end = endStr ? new Date(endStr) : new Date();
@@ -21,7 +40,7 @@ const computeTrend = async (shopObjectId) => {
   const prev7End = new Date(now.getTime() - 7 * 24 * 60 * 60 * 1000);
 
   const pipelineForRange = (start, end) => [
-    { $match: { shop: shopObjectId, processedAt: { $gte: start, $lte: end } } },
+    { $match: { shop: shopObjectId, deletedAt: null, processedAt: { $gte: start, $lte: end } } },
     {
       $group: {
         _id: null,
@@ -65,38 +84,38 @@ const computeTrend = async (shopObjectId) => {
 
 router.get('/:shopId/summary', async (req, res) => {
   const { shopId } = req.params;
-  if (!validateShop(shopId)) {
-    return res.status(400).json({ message: 'Invalid shop id' });
-  }
-
-  const shop = await Shop.findById(shopId);
-  if (!shop) {
-    return res.status(404).json({ message: 'Shop not found' });
-  }
-  if (shop.ownerEmail && shop.ownerEmail !== req.userEmail) {
-    return res.status(403).json({ message: 'Not allowed to view insights for this shop' });
-  }
 
   const shopObjectId = new ObjectId(shopId);
 
-  const [customerCount, orderCount, productCount, eventCount, revenueAgg, recentOrders, trend] = await Promise.all([
-    prisma.customer.count({ where: { shopId } }),
-    prisma.order.count({ where: { shopId } }),
-    prisma.product.count({ where: { shopId } }),
-    prisma.event.count({ where: { shopId } }),
-    prisma.order.aggregateRaw({
-      pipeline: [
-        { $match: { shop: shopObjectId } },
-        { $group: { _id: null, revenue: { $sum: { $ifNull: ['$totalPrice', 0] } } } },
-      ],
-    }),
-    prisma.order.findMany({
-      where: { shopId },
-      orderBy: { processedAt: 'desc' },
-      take: 5,
-    }),
-    computeTrend(shopObjectId),
-  ]);
+  const [customerCount, orderCount, productCount, eventCount, revenueAgg, refundAgg, recentOrders, trend] =
+    await Promise.all([
+      prisma.customer.count({ where: { shopId, ...live } }),
+      prisma.order.count({ where: { shopId, ...live } }),
+      prisma.product.count({ where: { shopId, ...live } }),
+      prisma.event.count({ where: { shopId } }),
+      prisma.order.aggregateRaw({
+        pipeline: [
+          { $match: { shop: shopObjectId, deletedAt: null } },
+          { $group: { _id: null, revenue: { $sum: { $ifNull: ['$totalPrice', 0] } } } },
+        ],
+      }),
+      // Zero until the refunds resource has been synced for the shop.
+      prisma.refund.aggregateRaw({
+        pipeline: [
+          { $match: { shop: shopObjectId, deletedAt: null } },
+          { $group: { _id: null, refunded: { $sum: { $ifNull: ['$amount', 0] } } } },
+        ],
+      }),
+      prisma.order.findMany({
+        where: { shopId, ...live },
+        orderBy: { processedAt: 'desc' },
+        take: 5,
+      }),
+      computeTrend(shopObjectId),
+    ]);
+
+  const revenue = revenueAgg?.[0]?.revenue || 0;
+  const refunds = refundAgg?.[0]?.refunded || 0;
 
   res.json({
     shopId,
@@ -105,7 +124,9 @@ router.get('/:shopId/summary', async (req, res) => {
       orders: orderCount,
       products: productCount,
       events: eventCount,
-      revenue: revenueAgg?.[0]?.revenue || 0,
+      revenue,
+      refunds,
+      netRevenue: revenue - refunds,
     },
     trend,
     recentOrders,
@@ -114,21 +135,11 @@ router.get('/:shopId/summary', async (req, res) => {
 
 router.get('/:shopId/orders-by-date', async (req, res) => {
   const { shopId } = req.params;
-  if (!validateShop(shopId)) {
-    return res.status(400).json({ message: 'Invalid shop id' });
-  }
-  const shop = await Shop.findById(shopId);
-  if (!shop) {
-    return res.status(404).json({ message: 'Shop not found' });
-  }
-  if (shop.ownerEmail && shop.ownerEmail !== req.userEmail) {
-    return res.status(403).json({ message: 'Not allowed to view insights for this shop' });
-  }
   const { start, end } = parseDateRange(req.query.start, req.query.end, 30);
 
   const rows = await prisma.order.aggregateRaw({
     pipeline: [
-      { $match: { shop: new ObjectId(shopId), processedAt: { $gte: start, $lte: end } } },
+      { $match: { shop: new ObjectId(shopId), deletedAt: null, processedAt: { $gte: start, $lte: end } } },
       {
         $group: {
           _id: { $dateToString: { format: '%Y-%m-%d', date: '$processedAt' } },
@@ -145,16 +156,6 @@ router.get('/:shopId/orders-by-date', async (req, res) => {
 
 router.get('/:shopId/top-customers', async (req, res) => {
   const { shopId } = req.params;
-  if (!validateShop(shopId)) {
-    return res.status(400).json({ message: 'Invalid shop id' });
-  }
-  const shop = await Shop.findById(shopId);
-  if (!shop) {
-    return res.status(404).json({ message: 'Shop not found' });
-  }
-  if (shop.ownerEmail && shop.ownerEmail !== req.userEmail) {
-    return res.status(403).json({ message: 'Not allowed to view insights for this shop' });
-  }
   const limit = Math.min(Number(req.query.limit) || 5, 20);
 
   const rows = await prisma.order.aggregateRaw({
@@ -162,6 +163,7 @@ router.get('/:shopId/top-customers', async (req, res) => {
       {
         $match: {
           shop: new ObjectId(shopId),
+          deletedAt: null,
           totalPrice: { $gt: 0 },
           'customer.email': { $exists: true, $ne: null },
         },
@@ -189,4 +191,117 @@ router.get('/:shopId/top-customers', async (req, res) => {
   );
 });
 
+// Customers grouped by the month (or week) of their first order, with repeat-purchase and revenue
+// retention for each following period. ?cohorts= sets how many of the latest cohorts to return.
+router.get('/:shopId/cohorts', async (req, res) => {
+  const grain = req.query.grain || 'month';
+  if (!COHORT_GRAINS.includes(grain)) {
+    return res.status(400).json({ message: `grain must be one of: ${COHORT_GRAINS.join(', ')}` });
+  }
+  const cohorts = Math.min(Math.max(Math.floor(Number(req.query.cohorts)) || DEFAULT_COHORTS, 1), MAX_COHORTS[grain]);
+
+  res.json(await buildCohorts(req.shop._id, { grain, cohorts }));
+});
+
+// Units, revenue and orders per product (or variant, vendor, productType) for the range and the period of
+// the same length before it, plus in-stock variants that didn't sell.
+router.get('/:shopId/products', async (req, res) => {
+  const groupBy = req.query.groupBy || 'product';
+  const sort = req.query.sort || 'revenue';
+  if (!PRODUCT_GROUPINGS.includes(groupBy)) {
+    return res.status(400).json({ message: `groupBy must be one of: ${PRODUCT_GROUPINGS.join(', ')}` });
+  }
+  if (!PRODUCT_SORTS.includes(sort)) {
+    return res.status(400).json({ message: `sort must be one of: ${PRODUCT_SORTS.join(', ')}` });
+  }
+  const { start, end } = parseDateRange(req.query.start, req.query.end, 30);
+  if (Number.isNaN(start.getTime()) || Number.isNaN(end.getTime()) || start > end) {
+    return res.status(400).json({ message: 'start and end must be dates, with start before end' });
+  }
+  const limit = Math.min(Math.max(Math.floor(Number(req.query.limit)) || 50, 1), 500);
+
+  res.json(await buildProductPerformance(req.shop._id, { start, end, groupBy, sort, limit }));
+});
+
+// Shared by the basket routes: the date window plus the minimums a pair has to clear.
+const parseBasketQuery = (query) => {
+  const { start, end } = parseDateRange(query.start, query.end, 90);
+  if (Number.isNaN(start.getTime()) || Number.isNaN(end.getTime()) || start > end) {
+    return { error: 'start and end must be dates, with start before end' };
+  }
+  const minSupport = query.minSupport === undefined ? DEFAULT_MIN_SUPPORT : Number(query.minSupport);
+  if (!(minSupport >= 0 && minSupport <= 1)) {
+    return { error: 'minSupport must be a fraction between 0 and 1, e.g. 0.01' };
+  }
+  const minCount = query.minCount === undefined ? DEFAULT_MIN_COUNT : Number(query.minCount);
+  if (!Number.isInteger(minCount) || minCount < 1) {
+    return { error: 'minCount must be a whole number of at least 1' };
+  }
+  return { start, end, minSupport, minCount };
+};
+
+// Product pairs bought in the same order, with support, confidence both ways and lift. Defaults to 90 days.
+router.get('/:shopId/basket', async (req, res) => {
+  const { error, ...options } = parseBasketQuery(req.query);
+  if (error) {
+    return res.status(400).json({ message: error });
+  }
+  const sort = req.query.sort || 'lift';
+  if (!BASKET_SORTS.includes(sort)) {
+    return res.status(400).json({ message: `sort must be one of: ${BASKET_SORTS.join(', ')}` });
+  }
+  const limit = Math.min(Math.max(Math.floor(Number(req.query.limit)) || 50, 1), 500);
+
+  res.json(await findProductPairs(req.shop._id, { ...options, sort, limit }));
+});
+
+// The products most often bought together with one product, by lift.
+router.get('/:shopId/products/:productId/bought-with', async (req, res) => {
+  const { error, ...options } = parseBasketQuery(req.query);
+  if (error) {
+    return res.status(400).json({ message: error });
+  }
+  const limit = Math.min(Math.max(Math.floor(Number(req.query.limit)) || 20, 1), 100);
+
+  res.json(await findBoughtWith(req.shop._id, String(req.params.productId), { ...options, limit }));
+});
+
+// The shop's CLV model and how predicted 12-month value and churn probability are distributed. Scores come
+// from the nightly job or POST /clv/score.
+router.get('/:shopId/clv', async (req, res) => {
+  res.json(await summarizeClv(req.shop._id));
+});
+
+// Scored customers, by predicted value (sort=clv) or churn risk (sort=churn).
+router.get('/:shopId/clv/customers', async (req, res) => {
+  const sort = req.query.sort || 'clv';
+  if (!CLV_SORTS[sort]) {
+    return res.status(400).json({ message: `sort must be one of: ${Object.keys(CLV_SORTS).join(', ')}` });
+  }
+  const limit = Math.min(Math.max(Math.floor(Number(req.query.limit)) || 50, 1), 200);
+  const page = Math.max(Math.floor(Number(req.query.page)) || 1, 1);
+
+  res.json(await listScoredCustomers(req.shop._id, { sort, page, limit }));
+});
+
+router.get('/:shopId/clv/customers/:customerId', async (req, res) => {
+  const customer = await findScoredCustomer(req.shop._id, String(req.params.customerId));
+  if (!customer) {
+    return res.status(404).json({ message: 'Customer not found' });
+  }
+  if (!customer.clv?.scoredAt) {
+    return res.status(404).json({ message: 'Customer has no CLV score yet' });
+  }
+  res.json(customer);
+});
+
+// Refits and rescores the shop now instead of waiting for the nightly run.
+router.post('/:shopId/clv/score', requireShopRole('admin'), async (req, res) => {
+  try {
+    res.json(await scoreShopClv(req.shop));
+  } catch (err) {
+    res.status(err.status || 500).json({ message: err.message });
+  }
+});
+
 module.exports = router;
@@ -0,0 +1,166 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const OutboundDelivery = require('../models/OutboundDelivery');
+const OutboundSubscription = require('../models/OutboundSubscription');
+const { requireShopRole } = require('../middleware/authorize');
+const { generateSecret, replayDelivery } = require('../services/outboundWebhooks');
+const { assertPublicHost } = require('../services/publicAddress');
+
+const router = express.Router();
+
+const DELIVERY_STATUSES = ['pending', 'succeeded', 'failed'];
+
+// Accepts an array or a comma-separated string.
+const parseTopics = (topics) => {
+  const list = Array.isArray(topics) ? topics : String(topics || '').split(',');
+  return [...new Set(list.map((topic) => String(topic).trim().toLowerCase()).filter(Boolean))];
+};
+
+const isHttpUrl = (value) => {
+  try {
+    return ['http:', 'https:'].includes(new URL(String(value)).protocol);
+  } catch (err) {
+    return false;
+  }
+};
+
+// Null when the url is an http(s) URL on a public address, otherwise the reason it can't be used.
+const urlError = async (value) => {
+  if (!isHttpUrl(value)) return 'url must be an http(s) URL';
+  try {
+    await assertPublicHost(new URL(String(value)).hostname);
+    return null;
+  } catch (err) {
+    return `url is not allowed: ${err.message}`;
+  }
+};
+
+const findForShop = (Model, id, shop) =>
+  mongoose.Types.ObjectId.isValid(id) ? Model.findOne({ _id: id, shop: shop._id }) : null;
+
+router.get('/:shopId/subscriptions', requireShopRole('analyst'), async (req, res) => {
+  const subscriptions = await OutboundSubscription.find({ shop: req.shop._id }).sort({ createdAt: -1 });
+  res.json(subscriptions);
+});
+
+// The signing secret is only returned here and when rotated; store it on the receiving side.
+router.post('/:shopId/subscriptions', requireShopRole('admin'), async (req, res) => {
+  const { url, description } = req.body;
+  const topics = parseTopics(req.body.topics);
+
+  const invalidUrl = await urlError(url);
+  if (invalidUrl) {
+    return res.status(400).json({ message: invalidUrl });
+  }
+  if (!topics.length) {
+    return res.status(400).json({ message: 'topics is required, e.g. ["orders/create", "checkout_started"] or ["*"]' });
+  }
+
+  const secret = String(req.body.secret || '').trim() || generateSecret();
+  const subscription = await OutboundSubscription.create({
+    shop: req.shop._id,
+    url,
+    topics,
+    description,
+    secret,
+    createdBy: req.userEmail,
+  });
+  res.status(201).json({ subscription, secret });
+});
+
+// Updates url, topics, description or active; rotateSecret: true issues a new signing secret.
+router.patch('/:shopId/subscriptions/:subscriptionId', requireShopRole('admin'), async (req, res) => {
+  const subscription = await findForShop(OutboundSubscription, req.params.subscriptionId, req.shop);
+  if (!subscription) {
+    return res.status(404).json({ message: 'Subscription not found' });
+  }
+
+  const { url, description, active, rotateSecret } = req.body;
+  if (url !== undefined) {
+    const invalidUrl = await urlError(url);
+    if (invalidUrl) {
+      return res.status(400).json({ message: invalidUrl });
+    }
+    subscription.url = url;
+  }
+  if (req.body.topics !== undefined) {
+    const topics = parseTopics(req.body.topics);
+    if (!topics.length) {
+      return res.status(400).json({ message: 'topics cannot be empty' });
+    }
+    subscription.topics = topics;
+  }
+  if (description !== undefined) subscription.description = description;
+  if (active !== undefined) subscription.active = Boolean(active);
+
+  const secret = rotateSecret ? generateSecret() : undefined;
+  if (secret) subscription.secret = secret;
+  await subscription.save();
+  res.json({ subscription, ...(secret ? { secret } : {}) });
+});
+
+// Pending deliveries to a removed subscription are closed out rather than left to retry into nothing.
+router.delete('/:shopId/subscriptions/:subscriptionId', requireShopRole('admin'), async (req, res) => {
+  const subscription = await findForShop(OutboundSubscription, req.params.subscriptionId, req.shop);
+  if (!subscription) {
+    return res.status(404).json({ message: 'Subscription not found' });
+  }
+
+  await subscription.deleteOne();
+  const { modifiedCount } = await OutboundDelivery.updateMany(
+    { subscription: subscription._id, status: 'pending' },
+    { $set: { status: 'failed', error: 'Subscription was deleted' } }
+  );
+  res.json({ deleted: true, cancelledDeliveries: modifiedCount });
+});
+
+// Delivery log, newest first. Payloads are left out here; fetch a single delivery to see one.
+router.get('/:shopId/deliveries', requireShopRole('analyst'), async (req, res) => {
+  const limit = Math.min(Number(req.query.limit) || 50, 200);
+  const filter = { shop: req.shop._id };
+
+  if (req.query.status) {
+    if (!DELIVERY_STATUSES.includes(req.query.status)) {
+      return res.status(400).json({ message: `status must be one of: ${DELIVERY_STATUSES.join(', ')}` });
+    }
+    filter.status = req.query.status;
+  }
+  if (req.query.subscriptionId) {
+    if (!mongoose.Types.ObjectId.isValid(req.query.subscriptionId)) {
+      return res.status(400).json({ message: 'Invalid subscription id' });
+    }
+    filter.subscription = req.query.subscriptionId;
+  }
+  if (req.query.topic) filter.topic = String(req.query.topic).toLowerCase();
+
+  const deliveries = await OutboundDelivery.find(filter).select('-payload').sort({ createdAt: -1 }).limit(limit);
+  res.json(deliveries);
+});
+
+router.get('/:shopId/deliveries/:deliveryId', requireShopRole('analyst'), async (req, res) => {
+  const delivery = await findForShop(OutboundDelivery, req.params.deliveryId, req.shop);
+  if (!delivery) {
+    return res.status(404).json({ message: 'Delivery not found' });
+  }
+  res.json(delivery);
+});
+
+// Queues the event again for the same subscription; the worker sends it right away.
+router.post('/:shopId/deliveries/:deliveryId/replay', requireShopRole('admin'), async (req, res) => {
+  const delivery = await findForShop(OutboundDelivery, req.params.deliveryId, req.shop);
+  if (!delivery) {
+    return res.status(404).json({ message: 'Delivery not found' });
+  }
+  if (delivery.status === 'pending') {
+    return res.status(409).json({ message: 'Delivery is still being retried', delivery });
+  }
+
+  try {
+    const replay = await replayDelivery(delivery, req.userEmail);
+    res.status(202).json({ delivery: replay });
+  } catch (err) {
+    res.status(err.status || 500).json({ message: err.message });
+  }
+});
+
+module.exports = router;
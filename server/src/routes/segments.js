@@ -0,0 +1,160 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const Segment = require('../models/Segment');
+const { requireShopRole } = require('../middleware/authorize');
+const { EXPORT_FORMATS, exportFileName, writeRows } = require('../services/exportService');
+const {
+  MEMBER_COLUMNS,
+  RFM_SEGMENT_NAMES,
+  countMembers,
+  ensureRfmScores,
+  listMembers,
+  memberCursor,
+  normalizeFilters,
+  summarizeRfm,
+} = require('../services/rfmSegments');
+
+const router = express.Router();
+
+const PREVIEW_LIMIT = 10;
+
+const findSegment = (id, shop) =>
+  mongoose.Types.ObjectId.isValid(id) ? Segment.findOne({ _id: id, shop: shop._id }) : null;
+
+const paginate = (query) => {
+  const limit = Math.min(Math.max(Math.floor(Number(query.limit)) || 50, 1), 200);
+  const page = Math.max(Math.floor(Number(query.page)) || 1, 1);
+  return { page, limit };
+};
+
+const isDuplicateName = (err) => err.code === 11000;
+
+// Bucket totals over the stored scores; the grid is the same for every shop.
+router.get('/:shopId/rfm', requireShopRole('analyst'), async (req, res) => {
+  await ensureRfmScores(req.shop);
+  res.json(await summarizeRfm(req.shop._id));
+});
+
+// Saved segments with their current member counts.
+router.get('/:shopId', requireShopRole('analyst'), async (req, res) => {
+  const [segments] = await Promise.all([
+    Segment.find({ shop: req.shop._id }).sort({ name: 1 }).lean(),
+    ensureRfmScores(req.shop),
+  ]);
+  const counts = await Promise.all(segments.map((segment) => countMembers(req.shop._id, segment.filters)));
+  res.json({
+    rfmSegments: RFM_SEGMENT_NAMES,
+    segments: segments.map((segment, i) => ({ ...segment, members: counts[i] })),
+  });
+});
+
+// Counts and samples members for filters that haven't been saved, for the segment builder.
+router.post('/:shopId/preview', requireShopRole('analyst'), async (req, res) => {
+  try {
+    const filters = normalizeFilters(req.body.filters);
+    await ensureRfmScores(req.shop);
+    const { total, members } = await listMembers(req.shop._id, filters, { limit: PREVIEW_LIMIT });
+    res.json({ filters, total, members });
+  } catch (err) {
+    res.status(err.status || 500).json({ message: err.message });
+  }
+});
+
+router.post('/:shopId', requireShopRole('admin'), async (req, res) => {
+  const name = String(req.body.name || '').trim();
+  if (!name) {
+    return res.status(400).json({ message: 'name is required' });
+  }
+
+  try {
+    const segment = await Segment.create({
+      shop: req.shop._id,
+      name,
+      description: req.body.description,
+      filters: normalizeFilters(req.body.filters),
+      createdBy: req.userEmail,
+    });
+    res.status(201).json(segment);
+  } catch (err) {
+    if (isDuplicateName(err)) {
+      return res.status(409).json({ message: `A segment named "${name}" already exists` });
+    }
+    res.status(err.status || 500).json({ message: err.message });
+  }
+});
+
+// filters replaces the saved filters as a whole.
+router.patch('/:shopId/:segmentId', requireShopRole('admin'), async (req, res) => {
+  const segment = await findSegment(req.params.segmentId, req.shop);
+  if (!segment) {
+    return res.status(404).json({ message: 'Segment not found' });
+  }
+
+  try {
+    if (req.body.name !== undefined) {
+      const name = String(req.body.name).trim();
+      if (!name) {
+        return res.status(400).json({ message: 'name cannot be empty' });
+      }
+      segment.name = name;
+    }
+    if (req.body.description !== undefined) segment.description = req.body.description;
+    if (req.body.filters !== undefined) segment.filters = normalizeFilters(req.body.filters);
+    await segment.save();
+    res.json(segment);
+  } catch (err) {
+    if (isDuplicateName(err)) {
+      return res.status(409).json({ message: `A segment named "${segment.name}" already exists` });
+    }
+    res.status(err.status || 500).json({ message: err.message });
+  }
+});
+
+router.delete('/:shopId/:segmentId', requireShopRole('admin'), async (req, res) => {
+  const segment = await findSegment(req.params.segmentId, req.shop);
+  if (!segment) {
+    return res.status(404).json({ message: 'Segment not found' });
+  }
+  await segment.deleteOne();
+  res.json({ deleted: true });
+});
+
+// Highest spend first.
+router.get('/:shopId/:segmentId/members', requireShopRole('analyst'), async (req, res) => {
+  const segment = await findSegment(req.params.segmentId, req.shop);
+  if (!segment) {
+    return res.status(404).json({ message: 'Segment not found' });
+  }
+
+  const { page, limit } = paginate(req.query);
+  await ensureRfmScores(req.shop);
+  const { total, members } = await listMembers(req.shop._id, segment.filters, { page, limit });
+  res.json({ segment, total, page, limit, pages: Math.ceil(total / limit), members });
+});
+
+router.get('/:shopId/:segmentId/export', requireShopRole('analyst'), async (req, res) => {
+  const format = req.query.format || 'csv';
+  if (!EXPORT_FORMATS[format]) {
+    return res.status(400).json({ message: `format must be one of: ${Object.keys(EXPORT_FORMATS).join(', ')}` });
+  }
+  const segment = await findSegment(req.params.segmentId, req.shop);
+  if (!segment) {
+    return res.status(404).json({ message: 'Segment not found' });
+  }
+
+  await ensureRfmScores(req.shop);
+  const slug = segment.name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'members';
+  res.setHeader('Content-Type', EXPORT_FORMATS[format].contentType);
+  res.setHeader('Content-Disposition', `attachment; filename="${exportFileName(req.shop, `segment-${slug}`, format)}"`);
+  try {
+    await writeRows(format, MEMBER_COLUMNS, memberCursor(req.shop._id, segment.filters), res);
+  } catch (err) {
+    console.error(`export of segment ${segment.id} for ${req.shop.shopDomain} failed`, err.message);
+    if (!res.headersSent) {
+      return res.status(500).json({ message: err.message });
+    }
+    res.destroy(err);
+  }
+});
+
+module.exports = router;
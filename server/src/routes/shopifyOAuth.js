@@ -0,0 +1,114 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const auth = require('../middleware/auth');
+const Shop = require('../models/Shop');
+const Workspace = require('../models/Workspace');
+const { authorizeShop } = require('../middleware/authorize');
+const { normalizeShopDomain } = require('../services/shopifyService');
+const {
+  buildAuthorizeUrl,
+  consumeState,
+  exchangeCodeForToken,
+  isValidShopHostname,
+  verifyOAuthHmac,
+} = require('../services/shopifyOAuth');
+const { ensureWebhookSubscriptions } = require('../services/webhookSubscriptions');
+const { ensurePersonalWorkspace, hasRole, roleFor } = require('../services/workspaceService');
+
+const router = express.Router();
+
+const clientUrl = (params) => {
+  const url = new URL(process.env.CLIENT_BASE_URL || 'http://localhost:5173');
+  Object.entries(params).forEach(([key, value]) => url.searchParams.set(key, value));
+  return url.toString();
+};
+
+// Starts an install. Browsers following a plain link get a 302; the dashboard asks for JSON so it can
+// send its bearer token and then navigate itself.
+router.get('/install', auth, async (req, res) => {
+  const shopDomain = normalizeShopDomain(req.query.shop);
+  if (!shopDomain) {
+    return res.status(400).json({ message: 'Invalid shop. Use the Admin hostname, e.g. "your-store.myshopify.com".' });
+  }
+
+  const { workspaceId } = req.query;
+  if (workspaceId) {
+    const workspace = mongoose.Types.ObjectId.isValid(workspaceId) ? await Workspace.findById(workspaceId) : null;
+    if (!workspace) {
+      return res.status(404).json({ message: 'Workspace not found' });
+    }
+    if (!hasRole(roleFor(workspace, req.userEmail), 'admin')) {
+      return res.status(403).json({ message: 'Requires admin access to this workspace' });
+    }
+  }
+
+  let authorizeUrl;
+  try {
+    authorizeUrl = await buildAuthorizeUrl({ shopDomain, userEmail: req.userEmail, workspaceId });
+  } catch (err) {
+    return res.status(err.status || 500).json({ message: err.message });
+  }
+
+  if (req.accepts(['html', 'json']) === 'json') {
+    return res.json({ authorizeUrl });
+  }
+  res.redirect(authorizeUrl);
+});
+
+// Shopify redirects the merchant's browser here, so failures bounce back to the dashboard with a message.
+router.get('/callback', async (req, res) => {
+  const { shop, code, state } = req.query;
+
+  if (!isValidShopHostname(shop) || !code) {
+    return res.status(400).json({ message: 'Invalid OAuth callback parameters' });
+  }
+
+  try {
+    if (!verifyOAuthHmac(req.query)) {
+      console.warn(`OAuth callback HMAC verification failed for ${shop}`);
+      return res.status(401).json({ message: 'Invalid OAuth callback signature' });
+    }
+  } catch (err) {
+    return res.status(err.status || 500).json({ message: err.message });
+  }
+
+  const installRequest = await consumeState(state, shop);
+  if (!installRequest) {
+    return res.status(401).json({ message: 'OAuth state is invalid, expired or already used' });
+  }
+
+  try {
+    const { accessToken, scopes } = await exchangeCodeForToken(shop, code);
+
+    const existing = await Shop.findOne({ shopDomain: shop });
+    let workspaceId = installRequest.workspace;
+    if (existing) {
+      const { role } = await authorizeShop(existing, installRequest.userEmail);
+      if (!hasRole(role, 'admin')) {
+        throw new Error('This store is already registered to another workspace');
+      }
+      workspaceId = workspaceId || existing.workspace;
+    }
+    if (!workspaceId) {
+      workspaceId = (await ensurePersonalWorkspace(installRequest.userEmail))._id;
+    }
+
+    const saved = await Shop.findOneAndUpdate(
+      { shopDomain: shop },
+      {
+        $set: { shopDomain: shop, accessToken, scopes, workspace: workspaceId, status: 'active' },
+        $setOnInsert: { ownerEmail: installRequest.userEmail, name: shop.replace('.myshopify.com', '') },
+        $unset: { uninstalledAt: 1 },
+      },
+      { new: true, upsert: true, setDefaultsOnInsert: true }
+    );
+    await ensureWebhookSubscriptions(saved);
+
+    res.redirect(clientUrl({ installed: shop }));
+  } catch (err) {
+    console.error('OAuth install error', err.message);
+    res.redirect(clientUrl({ install_error: err.message }));
+  }
+});
+
+module.exports = router;
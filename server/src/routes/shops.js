@@ -1,7 +1,30 @@
 const express = require('express');
 const mongoose = require('mongoose');
+const PrivacyRequest = require('../models/PrivacyRequest');
 const Shop = require('../models/Shop');
-const { syncShopResources, normalizeShopDomain, verifyShopCredentials } = require('../services/shopifyService');
+const SyncJob = require('../models/SyncJob');
+const Workspace = require('../models/Workspace');
+const { authorizeShop, requireShopRole } = require('../middleware/authorize');
+const { PLATFORMS, connectorForShop, getConnector } = require('../services/connectors');
+const { EXPORT_FORMATS, EXPORT_RESOURCES, exportFileName, writeExport } = require('../services/exportService');
+const { IMPORT_FORMATS, IMPORT_RESOURCES, importRecords } = require('../services/importService');
+const { subscribeLive } = require('../services/liveFeed');
+const { SYNC_MODES } = require('../services/syncEngine');
+const { enqueueSyncJob } = require('../services/syncQueue');
+const { decryptSecret } = require('../services/tokenCrypto');
+const {
+  MANAGED_TOPICS,
+  deleteWebhookSubscriptions,
+  reconcileWebhookSubscriptions,
+  webhookHealth,
+} = require('../services/webhookSubscriptions');
+const {
+  ensurePersonalWorkspace,
+  hasRole,
+  roleFor,
+  shopFilterForUser,
+  workspacesForUser,
+} = require('../services/workspaceService');
 
 const looksLikeUrl = (value) => {
   try {
@@ -20,30 +43,95 @@ const validateAccessToken = (token) => {
   return null;
 };
 
+// WooCommerce REST keys come as a ck_/cs_ pair.
+const validateCredentials = (platform, { accessToken, consumerSecret }) => {
+  if (platform !== 'woocommerce') return validateAccessToken(accessToken);
+  if (!String(accessToken || '').trim().startsWith('ck_')) {
+    return 'Consumer key looks wrong. Paste the "ck_..." key from WooCommerce > Settings > Advanced > REST API.';
+  }
+  if (!String(consumerSecret || '').trim().startsWith('cs_')) {
+    return 'consumerSecret is required for WooCommerce stores and starts with "cs_".';
+  }
+  return null;
+};
+
+// Returns an error message unless resources is a non-empty list of resource names the connector supports.
+const validateResources = (connector, resources) => {
+  if (!Array.isArray(resources) || resources.length === 0) {
+    return 'resources must be a non-empty array';
+  }
+  const supported = Object.keys(connector.resources);
+  const unknown = resources.filter((resource) => !supported.includes(resource));
+  if (unknown.length) {
+    return `Unsupported ${connector.label} resources: ${unknown.join(', ')}. Use any of: ${supported.join(', ')}.`;
+  }
+  return null;
+};
+
+// Webhook subscriptions are only managed through the API for Shopify stores.
+const requireShopifyShop = (req, res, next) => {
+  const connector = connectorForShop(req.shop);
+  if (connector.platform !== 'shopify') {
+    return res.status(400).json({ message: `${connector.label} webhooks are configured in the store admin` });
+  }
+  next();
+};
+
+// Uploads are sent as the raw request body; the format comes from ?format= or the Content-Type.
+const IMPORT_CONTENT_TYPES = { 'text/csv': 'csv', 'application/x-ndjson': 'jsonl', 'application/jsonl': 'jsonl' };
+const importBody = express.text({
+  type: [...Object.keys(IMPORT_CONTENT_TYPES), 'text/plain'],
+  limit: process.env.IMPORT_MAX_BYTES || '25mb',
+});
+
 const router = express.Router();
 
 router.get('/', async (req, res) => {
-  const filter = req.userEmail ? { ownerEmail: req.userEmail } : {};
-  const shops = await Shop.find(filter).sort({ createdAt: -1 });
-  res.json(shops);
+  const [shops, workspaces] = await Promise.all([
+    Shop.find(await shopFilterForUser(req.userEmail)).sort({ createdAt: -1 }),
+    workspacesForUser(req.userEmail),
+  ]);
+  const roles = new Map(workspaces.map((w) => [w.id, roleFor(w, req.userEmail)]));
+  // Legacy shops without a workspace are only listed for their owner.
+  res.json(
+    shops.map((shop) => ({
+      ...shop.toJSON(),
+      workspaceRole: shop.workspace ? roles.get(String(shop.workspace)) : 'owner',
+    }))
+  );
 });
 
 router.post('/register', async (req, res) => {
-  const { shopDomain, accessToken, name, apiVersion, scopes } = req.body;
+  const { shopDomain, accessToken, consumerSecret, name, apiVersion, scopes, webhookSharedSecret, workspaceId } =
+    req.body;
+  const platform = req.body.platform || 'shopify';
   if (!shopDomain || !accessToken) {
     return res.status(400).json({ message: 'shopDomain and accessToken are required' });
   }
+  if (!PLATFORMS.includes(platform)) {
+    return res.status(400).json({ message: `platform must be one of: ${PLATFORMS.join(', ')}` });
+  }
+  const connector = getConnector(platform);
 
-  const tokenError = validateAccessToken(accessToken);
+  let workspace;
+  if (workspaceId) {
+    workspace = mongoose.Types.ObjectId.isValid(workspaceId) ? await Workspace.findById(workspaceId) : null;
+    if (!workspace) {
+      return res.status(404).json({ message: 'Workspace not found' });
+    }
+    if (!hasRole(roleFor(workspace, req.userEmail), 'admin')) {
+      return res.status(403).json({ message: 'Requires admin access to this workspace' });
+    }
+  }
+
+  const tokenError = validateCredentials(platform, { accessToken, consumerSecret });
   if (tokenError) {
     return res.status(400).json({ message: tokenError });
   }
 
-  const normalizedDomain = normalizeShopDomain(shopDomain);
+  const normalizedDomain = connector.normalizeDomain(shopDomain);
   if (!normalizedDomain) {
-    return res
-      .status(400)
-      .json({ message: 'Invalid shopDomain. Use the Admin hostname, e.g. "your-store.myshopify.com".' });
+    return res.status(400).json({ message: `Invalid shopDomain. ${connector.domainHint}` });
   }
 
   const rawLower = String(shopDomain).trim().toLowerCase();
@@ -56,9 +144,10 @@ router.post('/register', async (req, res) => {
 
   let canonicalDomain = normalizedDomain;
   try {
-    const verification = await verifyShopCredentials({
+    const verification = await connector.verifyCredentials({
       shopDomain: normalizedDomain,
       accessToken,
+      consumerSecret,
       apiVersion: apiVersionToUse,
     });
     canonicalDomain = verification.canonicalDomain || normalizedDomain;
@@ -76,57 +165,87 @@ router.post('/register', async (req, res) => {
     );
   }
 
+  // Re-registering an existing store must not let an outsider take it over.
+  const existing = await Shop.findOne({ shopDomain: { $in: domainAliases } });
+  if (existing) {
+    const { role } = await authorizeShop(existing, req.userEmail);
+    if (!hasRole(role, 'admin')) {
+      return res.status(403).json({ message: 'This store is already registered to another workspace' });
+    }
+  }
+  if (!workspace && !existing) {
+    workspace = await ensurePersonalWorkspace(req.userEmail);
+  }
+
+  const update = {
+    shopDomain: canonicalDomain,
+    platform,
+    accessToken,
+    ...(platform === 'woocommerce' ? { consumerSecret: String(consumerSecret).trim() } : {}),
+    name,
+    apiVersion: apiVersionToUse,
+    scopes,
+    status: 'active',
+    ...(workspace ? { workspace: workspace._id } : {}),
+  };
+  if (webhookSharedSecret) {
+    update.webhookSharedSecret = String(webhookSharedSecret).trim();
+    update.webhookSecretRotatedAt = new Date();
+  }
+
   const shop = await Shop.findOneAndUpdate(
     { shopDomain: { $in: domainAliases } },
-    {
-      shopDomain: canonicalDomain,
-      accessToken,
-      name,
-      ownerEmail: req.userEmail,
-      apiVersion: apiVersionToUse,
-      scopes,
-      status: 'active',
-    },
+    { $set: update, $setOnInsert: { ownerEmail: req.userEmail }, $unset: { uninstalledAt: 1 } },
     { new: true, upsert: true, setDefaultsOnInsert: true }
   );
+  await connector.ensureWebhooks(shop);
 
   res.json(shop);
 });
 
-router.post('/:id/sync', async (req, res) => {
-  const { id } = req.params;
-  const resources = req.body.resources || ['customers', 'orders', 'products'];
+router.post('/:id/sync', requireShopRole('admin', 'id'), async (req, res) => {
+  const { shop } = req;
+  const connector = connectorForShop(shop);
+  const resources = req.body.resources || connector.defaultResources;
+  const mode = req.body.mode || 'incremental';
+  const strategy = req.body.strategy || 'rest';
 
-  if (!mongoose.Types.ObjectId.isValid(id)) {
-    return res.status(400).json({ message: 'Invalid shop id' });
+  if (!SYNC_MODES.includes(mode)) {
+    return res.status(400).json({ message: `mode must be one of: ${SYNC_MODES.join(', ')}` });
   }
-
-  const shop = await Shop.findById(id);
-  if (!shop) {
-    return res.status(404).json({ message: 'Shop not found' });
+  if (!connector.strategies.includes(strategy)) {
+    return res.status(400).json({
+      message: `strategy must be one of: ${connector.strategies.join(', ')} for ${connector.label} stores`,
+    });
+  }
+  const resourcesError = validateResources(connector, resources);
+  if (resourcesError) {
+    return res.status(400).json({ message: resourcesError });
   }
-  if (shop.ownerEmail && shop.ownerEmail !== req.userEmail) {
-    return res.status(403).json({ message: 'Not allowed to sync this shop' });
+
+  if (shop.uninstalledAt) {
+    return res.status(409).json({ message: 'The app was uninstalled from this store; reinstall it first.' });
   }
 
-  const normalizedDomain = normalizeShopDomain(shop.shopDomain);
+  const normalizedDomain = connector.normalizeDomain(shop.shopDomain);
   if (!normalizedDomain) {
-    return res.status(400).json({
-      message: 'Invalid shop domain. Please provide the Admin hostname like "your-store.myshopify.com".',
-    });
+    return res.status(400).json({ message: `Invalid shop domain. ${connector.domainHint}` });
   }
   if (normalizedDomain !== shop.shopDomain) {
     shop.shopDomain = normalizedDomain;
     await shop.save();
   }
 
-  const tokenError = validateAccessToken(shop.accessToken);
+  const tokenError = validateCredentials(connector.platform, {
+    accessToken: decryptSecret(shop.accessToken),
+    consumerSecret: decryptSecret(shop.consumerSecret),
+  });
   if (tokenError) {
     return res.status(400).json({ message: tokenError });
   }
 
   try {
-    const verification = await verifyShopCredentials(shop);
+    const verification = await connector.verifyCredentials(shop);
     if (verification.canonicalDomain && verification.canonicalDomain !== shop.shopDomain) {
       shop.shopDomain = verification.canonicalDomain;
       await shop.save();
@@ -135,21 +254,154 @@ router.post('/:id/sync', async (req, res) => {
     return res.status(err.status || 400).json({ message: err.message });
   }
 
+  // The sync itself runs on the background worker; poll GET /api/sync-jobs/:jobId for progress.
+  const { job, created } = await enqueueSyncJob({ shop, resources, mode, strategy, requestedBy: req.userEmail });
+  res.status(created ? 202 : 200).json({ shopId: shop.id, created, job });
+});
+
+router.get('/:id/sync-jobs', requireShopRole('analyst', 'id'), async (req, res) => {
+  const limit = Math.min(Number(req.query.limit) || 10, 50);
+
+  const jobs = await SyncJob.find({ shop: req.shop._id }).sort({ createdAt: -1 }).limit(limit);
+  res.json(jobs);
+});
+
+// Set or rotate the secret used to verify X-Shopify-Hmac-Sha256 / X-WC-Webhook-Signature on incoming webhooks.
+router.put('/:id/webhook-secret', requireShopRole('admin', 'id'), async (req, res) => {
+  const { shop } = req;
+  const secret = String(req.body.webhookSharedSecret || '').trim();
+
+  if (!secret) {
+    return res.status(400).json({ message: 'webhookSharedSecret is required' });
+  }
+
+  const rotated = Boolean(shop.webhookSharedSecret);
+  shop.webhookSharedSecret = secret;
+  shop.webhookSecretRotatedAt = new Date();
+  await shop.save();
+
+  res.json({ shopId: shop.id, rotated, webhookSecretRotatedAt: shop.webhookSecretRotatedAt });
+});
+
+router.get('/:id/webhooks', requireShopRole('analyst', 'id'), requireShopifyShop, async (req, res) => {
   try {
-    const summary = await syncShopResources(shop, resources);
-    shop.lastSyncedAt = new Date();
-    await shop.save();
-    res.json({ shopId: shop.id, summary });
+    res.json(await webhookHealth(req.shop));
+  } catch (err) {
+    res.status(err.status || 502).json({ message: err.message });
+  }
+});
+
+// Creates missing subscriptions and repoints stale ones.
+router.post('/:id/webhooks', requireShopRole('admin', 'id'), requireShopifyShop, async (req, res) => {
+  try {
+    const report = await reconcileWebhookSubscriptions(req.shop);
+    res.json({ report, health: await webhookHealth(req.shop) });
   } catch (err) {
-    const status = err.status || err.response?.status;
-    const payload = err.response?.data;
-    console.error('sync error', err.message);
-    res.status(status || 500).json({
-      message: 'Sync failed',
-      error: err.message,
-      details: payload,
+    res.status(err.status || 502).json({ message: err.message });
+  }
+});
+
+// Removes this app's subscriptions; pass ?topic=orders/create to remove a single topic.
+router.delete('/:id/webhooks', requireShopRole('admin', 'id'), requireShopifyShop, async (req, res) => {
+  const topics = req.query.topic ? [String(req.query.topic)] : MANAGED_TOPICS;
+  try {
+    const result = await deleteWebhookSubscriptions(req.shop, topics);
+    res.json({ ...result, health: await webhookHealth(req.shop) });
+  } catch (err) {
+    res.status(err.status || 502).json({ message: err.message });
+  }
+});
+
+// Validates and upserts historical orders or customers: ?resource=orders|customers, ?format=csv|jsonl,
+// ?dryRun=true to get the row report and a preview without writing anything.
+router.post('/:id/imports', requireShopRole('admin', 'id'), importBody, async (req, res) => {
+  const resource = req.query.resource;
+  const contentType = String(req.headers['content-type'] || '').split(';')[0].trim();
+  const format = req.query.format || IMPORT_CONTENT_TYPES[contentType];
+
+  if (!IMPORT_RESOURCES.includes(resource)) {
+    return res.status(400).json({ message: `resource must be one of: ${IMPORT_RESOURCES.join(', ')}` });
+  }
+  if (!IMPORT_FORMATS.includes(format)) {
+    return res.status(400).json({ message: `format must be one of: ${IMPORT_FORMATS.join(', ')}` });
+  }
+  if (typeof req.body !== 'string' || !req.body.trim()) {
+    return res
+      .status(400)
+      .json({ message: 'Send the file as the request body with Content-Type text/csv or application/x-ndjson' });
+  }
+
+  try {
+    const report = await importRecords(req.shop, {
+      resource,
+      format,
+      text: req.body,
+      dryRun: req.query.dryRun === 'true',
     });
+    res.json(report);
+  } catch (err) {
+    res.status(err.status || 500).json({ message: err.message });
+  }
+});
+
+// Streams raw records as flat rows. ?start=&end= filter on the resource's main date (orders: processedAt,
+// customers/products: created, events: receivedAt); a date-only end includes that day.
+router.get('/:id/export/:resource', requireShopRole('analyst', 'id'), async (req, res) => {
+  const { resource } = req.params;
+  const format = req.query.format || 'csv';
+  const { start, end } = req.query;
+
+  if (!EXPORT_RESOURCES.includes(resource)) {
+    return res.status(400).json({ message: `resource must be one of: ${EXPORT_RESOURCES.join(', ')}` });
+  }
+  if (!EXPORT_FORMATS[format]) {
+    return res.status(400).json({ message: `format must be one of: ${Object.keys(EXPORT_FORMATS).join(', ')}` });
   }
+  if ([start, end].some((value) => value && Number.isNaN(new Date(value).getTime()))) {
+    return res.status(400).json({ message: 'start and end must be dates, e.g. 2024-01-31' });
+  }
+
+  res.setHeader('Content-Type', EXPORT_FORMATS[format].contentType);
+  res.setHeader('Content-Disposition', `attachment; filename="${exportFileName(req.shop, resource, format)}"`);
+  try {
+    await writeExport(req.shop, { resource, format, start, end }, res);
+  } catch (err) {
+    console.error(`export of ${resource} for ${req.shop.shopDomain} failed`, err.message);
+    // Once rows have gone out the status can't change; cutting the stream marks the file as incomplete.
+    if (!res.headersSent) {
+      return res.status(500).json({ message: err.message });
+    }
+    res.destroy(err);
+  }
+});
+
+// Server-Sent Events: `event` (a new Event), `records` (upsert counts per collection, plus order rows) and
+// `sync` (a sync job, or a patch of one keyed by _id). A comment line every 25s keeps proxies from closing
+// an idle stream.
+router.get('/:id/stream', requireShopRole('analyst', 'id'), (req, res) => {
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache, no-transform',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no',
+  });
+  const send = (type, data) => res.write(`event: ${type}\ndata: ${JSON.stringify(data)}\n\n`);
+  res.write('retry: 5000\n\n');
+  send('ready', { shopId: req.shop._id });
+
+  const unsubscribe = subscribeLive(req.shop._id, send);
+  const heartbeat = setInterval(() => res.write(': ping\n\n'), 25 * 1000);
+  req.on('close', () => {
+    clearInterval(heartbeat);
+    unsubscribe();
+  });
+});
+
+// customers/data_request reports include personal data, so the log is limited to admins.
+router.get('/:id/privacy-requests', requireShopRole('admin', 'id'), async (req, res) => {
+  const limit = Math.min(Number(req.query.limit) || 20, 100);
+  const requests = await PrivacyRequest.find({ shop: req.shop._id }).sort({ createdAt: -1 }).limit(limit);
+  res.json(requests);
 });
 
 module.exports = router;
@@ -0,0 +1,34 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const Shop = require('../models/Shop');
+const SyncJob = require('../models/SyncJob');
+const { authorizeShop } = require('../middleware/authorize');
+const { hasRole } = require('../services/workspaceService');
+
+const router = express.Router();
+
+router.get('/:jobId', async (req, res) => {
+  const { jobId } = req.params;
+
+  if (!mongoose.Types.ObjectId.isValid(jobId)) {
+    return res.status(400).json({ message: 'Invalid job id' });
+  }
+
+  const job = await SyncJob.findById(jobId);
+  if (!job) {
+    return res.status(404).json({ message: 'Sync job not found' });
+  }
+
+  const shop = await Shop.findById(job.shop);
+  if (!shop) {
+    return res.status(404).json({ message: 'Shop not found' });
+  }
+  const { role } = await authorizeShop(shop, req.userEmail);
+  if (!hasRole(role, 'analyst')) {
+    return res.status(403).json({ message: 'Requires analyst access to this shop' });
+  }
+
+  res.json(job);
+});
+
+module.exports = router;
@@ -1,12 +1,19 @@
 const express = require('express');
+const mongoose = require('mongoose');
 const Shop = require('../models/Shop');
-const { handleWebhook } = require('../services/shopifyService');
+const WebhookDeadLetter = require('../models/WebhookDeadLetter');
+const auth = require('../middleware/auth');
+const { authorizeShop, requireShopRole } = require('../middleware/authorize');
+const { getConnector } = require('../services/connectors');
+const { processWebhook, replayDeadLetter } = require('../services/webhookProcessor');
+const { hasRole } = require('../services/workspaceService');
 
 const router = express.Router();
 
 router.post('/shopify', async (req, res) => {
   const topic = req.headers['x-shopify-topic'];
   const shopDomain = req.headers['x-shopify-shop-domain'];
+  const webhookId = req.headers['x-shopify-webhook-id'];
 
   if (!topic || !shopDomain) {
     return res.status(400).json({ message: 'Missing Shopify topic or shop domain headers' });
@@ -17,8 +24,13 @@ router.post('/shopify', async (req, res) => {
     return res.status(404).json({ message: 'Shop not registered', shopDomain });
   }
 
+  if (!getConnector('shopify').verifyWebhook(req.rawBody, req.headers, shop)) {
+    console.warn(`webhook HMAC verification failed for ${shop.shopDomain} (${topic})`);
+    return res.status(401).json({ message: 'Invalid webhook signature' });
+  }
+
   try {
-    const result = await handleWebhook(topic, req.body, shop);
+    const result = await processWebhook({ shop, topic, webhookId, payload: req.body });
     res.status(200).json({ ok: true, result });
   } catch (err) {
     console.error('webhook error', err.message);
@@ -26,4 +38,83 @@ router.post('/shopify', async (req, res) => {
   }
 });
 
+// X-WC-Webhook-Source is the store URL; the store is looked up by its hostname.
+router.post('/woocommerce', async (req, res) => {
+  const woocommerce = getConnector('woocommerce');
+  const source = req.headers['x-wc-webhook-source'];
+  const topic = woocommerce.normalizeWebhookTopic(req.headers['x-wc-webhook-topic']);
+  const webhookId = req.headers['x-wc-webhook-delivery-id'];
+
+  // Saving a webhook in WooCommerce sends an unsigned ping (webhook_id=<id>) that only needs a 200.
+  if (!topic) {
+    return res.status(200).json({ ok: true, ping: true });
+  }
+
+  const shopDomain = woocommerce.normalizeDomain(source);
+  if (!shopDomain) {
+    return res.status(400).json({ message: 'Missing or invalid X-WC-Webhook-Source header' });
+  }
+
+  const shop = await Shop.findOne({ shopDomain, platform: 'woocommerce' });
+  if (!shop) {
+    return res.status(404).json({ message: 'Shop not registered', shopDomain });
+  }
+
+  if (!woocommerce.verifyWebhook(req.rawBody, req.headers, shop)) {
+    const reason = shop.webhookSharedSecret ? '' : ': no webhook secret configured';
+    console.warn(`webhook signature verification failed for ${shop.shopDomain} (${topic})${reason}`);
+    return res.status(401).json({ message: 'Invalid webhook signature' });
+  }
+
+  try {
+    const result = await processWebhook({ shop, topic, webhookId, payload: req.body });
+    res.status(200).json({ ok: true, result });
+  } catch (err) {
+    console.error('webhook error', err.message);
+    res.status(500).json({ ok: false, error: err.message });
+  }
+});
+
+// Dead letters are read and replayed by signed-in users; only the store-facing POSTs above are public.
+router.get('/dead-letters/:shopId', auth, requireShopRole('analyst'), async (req, res) => {
+  const status = req.query.status || 'pending';
+  const limit = Math.min(Number(req.query.limit) || 50, 200);
+
+  const deadLetters = await WebhookDeadLetter.find({ shop: req.shop._id, status })
+    .sort({ createdAt: -1 })
+    .limit(limit);
+  res.json(deadLetters);
+});
+
+router.post('/replay/:id', auth, async (req, res) => {
+  const { id } = req.params;
+  if (!mongoose.Types.ObjectId.isValid(id)) {
+    return res.status(400).json({ message: 'Invalid dead letter id' });
+  }
+
+  const deadLetter = await WebhookDeadLetter.findById(id);
+  if (!deadLetter) {
+    return res.status(404).json({ message: 'Dead letter not found' });
+  }
+
+  const shop = await Shop.findById(deadLetter.shop);
+  if (!shop) {
+    return res.status(404).json({ message: 'Shop not found' });
+  }
+  const { role } = await authorizeShop(shop, req.userEmail);
+  if (!hasRole(role, 'admin')) {
+    return res.status(403).json({ message: 'Requires admin access to this shop' });
+  }
+
+  if (deadLetter.status === 'replayed') {
+    return res.status(409).json({ message: 'Webhook was already replayed', deadLetter });
+  }
+
+  const outcome = await replayDeadLetter(deadLetter, shop, req.userEmail);
+  if (!outcome.ok) {
+    return res.status(500).json({ message: `Replay failed: ${outcome.error}`, deadLetter });
+  }
+  res.json({ deadLetter, result: outcome.result });
+});
+
 module.exports = router;
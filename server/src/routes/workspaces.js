@@ -0,0 +1,101 @@
+const express = require('express');
+const Shop = require('../models/Shop');
+const Workspace = require('../models/Workspace');
+const { requireWorkspaceRole } = require('../middleware/authorize');
+const { hasRole, roleFor, workspacesForUser } = require('../services/workspaceService');
+const { normalizeEmail } = require('../services/authService');
+const { sendMail } = require('../services/mailer');
+
+const router = express.Router();
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+const ownerCount = (workspace) => workspace.members.filter((member) => member.role === 'owner').length;
+
+router.get('/', async (req, res) => {
+  const workspaces = await workspacesForUser(req.userEmail);
+  res.json(workspaces.map((w) => ({ ...w.toJSON(), role: roleFor(w, req.userEmail) })));
+});
+
+router.post('/', async (req, res) => {
+  const name = String(req.body.name || '').trim();
+  if (!name) {
+    return res.status(400).json({ message: 'name is required' });
+  }
+
+  const workspace = await Workspace.create({ name, members: [{ email: req.userEmail, role: 'owner' }] });
+  res.status(201).json({ ...workspace.toJSON(), role: 'owner' });
+});
+
+router.get('/:id', requireWorkspaceRole('analyst'), async (req, res) => {
+  const shops = await Shop.find({ workspace: req.workspace._id }, { shopDomain: 1, name: 1, status: 1 });
+  res.json({ ...req.workspace.toJSON(), role: req.workspaceRole, shops });
+});
+
+// Adds a member, or changes the role of an existing one.
+router.post('/:id/members', requireWorkspaceRole('admin'), async (req, res) => {
+  const { workspace } = req;
+  const email = normalizeEmail(req.body.email);
+  const role = req.body.role || 'analyst';
+
+  if (!EMAIL_PATTERN.test(email)) {
+    return res.status(400).json({ message: 'A valid email is required' });
+  }
+  if (!Workspace.ROLES.includes(role)) {
+    return res.status(400).json({ message: `role must be one of: ${Workspace.ROLES.join(', ')}` });
+  }
+
+  const member = workspace.members.find((m) => m.email === email);
+  // Admins manage analysts and other admins; only owners can grant or take away ownership.
+  if ((role === 'owner' || member?.role === 'owner') && !hasRole(req.workspaceRole, 'owner')) {
+    return res.status(403).json({ message: 'Only owners can manage owners' });
+  }
+  if (member?.role === 'owner' && role !== 'owner' && ownerCount(workspace) === 1) {
+    return res.status(400).json({ message: 'A workspace needs at least one owner' });
+  }
+
+  if (member) {
+    member.role = role;
+  } else {
+    workspace.members.push({ email, role, invitedBy: req.userEmail });
+  }
+  await workspace.save();
+
+  if (!member) {
+    try {
+      await sendMail({
+        to: email,
+        subject: `You've been added to ${workspace.name} on Xeno`,
+        text: `${req.userEmail} added you to "${workspace.name}" as ${role}. Sign in at ${
+          process.env.CLIENT_BASE_URL || 'http://localhost:5173'
+        } with this email to get started.`,
+      });
+    } catch (err) {
+      console.error('invite mail error', err.message);
+    }
+  }
+
+  res.status(member ? 200 : 201).json({ ...workspace.toJSON(), role: req.workspaceRole });
+});
+
+router.delete('/:id/members/:email', requireWorkspaceRole('admin'), async (req, res) => {
+  const { workspace } = req;
+  const email = normalizeEmail(req.params.email);
+
+  const member = workspace.members.find((m) => m.email === email);
+  if (!member) {
+    return res.status(404).json({ message: 'Member not found' });
+  }
+  if (member.role === 'owner' && !hasRole(req.workspaceRole, 'owner')) {
+    return res.status(403).json({ message: 'Only owners can manage owners' });
+  }
+  if (member.role === 'owner' && ownerCount(workspace) === 1) {
+    return res.status(400).json({ message: 'A workspace needs at least one owner' });
+  }
+
+  workspace.members = workspace.members.filter((m) => m.email !== email);
+  await workspace.save();
+  res.json({ ...workspace.toJSON(), role: roleFor(workspace, req.userEmail) });
+});
+
+module.exports = router;
@@ -1,19 +1,11 @@
 const cron = require('node-cron');
 const Shop = require('./models/Shop');
-const { syncShopResources, normalizeShopDomain, verifyShopCredentials } = require('./services/shopifyService');
-
-const markShopError = async (shop, err) => {
-  shop.status = 'paused';
-  const meta = shop.metadata instanceof Map ? shop.metadata : new Map();
-  meta.set('lastError', err.message);
-  meta.set('lastErrorStatus', String(err.status || ''));
-  meta.set('lastErrorAt', new Date().toISOString());
-  shop.metadata = meta;
-  await shop.save();
-  console.error(`Paused shop ${shop.shopDomain} due to repeated sync errors`);
-};
+const { isClvScoringRunning, scoreAllShops } = require('./services/clvScoring');
+const { connectorForShop } = require('./services/connectors');
+const { enqueueSyncJob } = require('./services/syncQueue');
+const { isWarehouseSyncRunning, syncWarehouse, warehouseConfigured } = require('./services/warehouse');
 
-const startScheduler = () => {
+const scheduleShopSyncs = () => {
   const cronExpr = process.env.SYNC_CRON || '*/30 * * * *'; // every 30 minutes
   const enabled = process.env.ENABLE_SYNC_CRON !== 'false';
 
@@ -29,35 +21,75 @@ const startScheduler = () => {
 
     for (const shop of shops) {
       try {
-        const normalizedDomain = normalizeShopDomain(shop.shopDomain);
-        if (!normalizedDomain) {
-          throw new Error('Invalid shop domain. Provide the Admin hostname like "your-store.myshopify.com".');
+        // Cron ticks only pull what changed since each resource's last watermark; the worker pauses
+        // shops whose credentials stop working.
+        const { job, created } = await enqueueSyncJob({
+          shop,
+          resources: connectorForShop(shop).defaultResources,
+          mode: 'incremental',
+          trigger: 'cron',
+        });
+        if (!created) {
+          console.log(`Skipping ${shop.shopDomain}; sync job ${job.id} is still ${job.status}`);
         }
-        if (normalizedDomain !== shop.shopDomain) {
-          shop.shopDomain = normalizedDomain;
-          await shop.save();
-        }
-
-        // Fail fast on bad tokens/domains so we can pause noisy shops.
-        await verifyShopCredentials(shop);
-
-        const summary = await syncShopResources(shop);
-        shop.lastSyncedAt = new Date();
-        await shop.save();
-        console.log(`Synced shop ${shop.shopDomain}`, summary);
       } catch (err) {
-        console.error(`Cron sync failed for ${shop.shopDomain}`, err.message);
-        if (
-          err.status === 404 ||
-          err.status === 401 ||
-          err.status === 403 ||
-          /Invalid shop domain/i.test(err.message)
-        ) {
-          await markShopError(shop, err);
-        }
+        console.error(`Cron enqueue failed for ${shop.shopDomain}`, err.message);
       }
     }
   });
 };
 
+// Copies changed records into the analytics warehouse; only runs when WAREHOUSE_URL is set.
+const scheduleWarehouseSync = () => {
+  if (!warehouseConfigured()) return;
+  const cronExpr = process.env.WAREHOUSE_CRON || '15 * * * *'; // hourly
+
+  console.log(`Starting warehouse sync with cron "${cronExpr}"`);
+  cron.schedule(cronExpr, async () => {
+    if (isWarehouseSyncRunning()) {
+      console.log('Skipping warehouse sync; the previous run is still going');
+      return;
+    }
+    try {
+      const { target, tables } = await syncWarehouse();
+      const copied = Object.entries(tables).map(([table, { copied: count }]) => `${table}=${count}`);
+      console.log(`Warehouse sync to ${target} copied ${copied.join(', ')}`);
+    } catch (err) {
+      console.error('Warehouse sync failed', err.message);
+    }
+  });
+};
+
+// Refits the CLV models and rescores every customer of every active shop.
+const scheduleClvScoring = () => {
+  const cronExpr = process.env.CLV_CRON || '30 2 * * *'; // nightly at 02:30
+  const enabled = process.env.ENABLE_CLV_CRON !== 'false';
+
+  if (!enabled) {
+    console.log('CLV scoring disabled (ENABLE_CLV_CRON=false)');
+    return;
+  }
+
+  console.log(`Starting CLV scoring with cron "${cronExpr}"`);
+  cron.schedule(cronExpr, async () => {
+    if (isClvScoringRunning()) {
+      console.log('Skipping CLV scoring; the previous run is still going');
+      return;
+    }
+    try {
+      const results = await scoreAllShops();
+      const scored = Object.values(results).reduce((sum, result) => sum + (result.scored || 0), 0);
+      console.log(`CLV scoring finished for ${Object.keys(results).length} shops, ${scored} customers scored`);
+    } catch (err) {
+      console.error('CLV scoring failed', err.message);
+    }
+  });
+};
+
+const startScheduler = () => {
+  scheduleShopSyncs();
+  scheduleWarehouseSync();
+  scheduleClvScoring();
+};
+
 module.exports = startScheduler;
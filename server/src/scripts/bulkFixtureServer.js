@@ -0,0 +1,100 @@
+// Local stand-in for the pieces of the Shopify Admin API a bulk sync touches, serving JSONL fixtures
+// instead of real exports. Point the server at it with SHOPIFY_ADMIN_ORIGIN=http://localhost:<port>.
+//   node src/scripts/bulkFixtureServer.js [fixtureDir]   (default fixtures/bulk, port BULK_FIXTURE_PORT or 9999)
+// Tests mount createBulkFixtureApp themselves; `outcomes` makes a resource's operation end with another
+// status, e.g. { orders: { status: 'FAILED', errorCode: 'ACCESS_DENIED' } }.
+const fs = require('fs');
+const path = require('path');
+const express = require('express');
+
+const DEFAULT_FIXTURE_DIR = path.join(__dirname, '../../fixtures/bulk');
+
+const rootObjectCount = (file) =>
+  fs
+    .readFileSync(file, 'utf8')
+    .split('\n')
+    .filter((line) => line.trim() && !line.includes('"__parentId"')).length;
+
+const createBulkFixtureApp = ({ fixtureDir = DEFAULT_FIXTURE_DIR, outcomes = {} } = {}) => {
+  // Operations finish on their second poll so the polling path gets exercised.
+  const operations = new Map();
+
+  const fixturePath = (resource) => path.join(fixtureDir, `${resource}.jsonl`);
+
+  const startOperation = (query) => {
+    const resource = query.match(/\{\s*(\w+)\s*[({]/)?.[1];
+    const id = `gid://shopify/BulkOperation/${operations.size + 1}`;
+    operations.set(id, { id, resource, polls: 0 });
+    console.log(`bulk operation ${id} started for ${resource}`);
+    return { bulkOperationRunQuery: { bulkOperation: { id, status: 'CREATED' }, userErrors: [] } };
+  };
+
+  const pollOperation = (id, origin) => {
+    const operation = operations.get(id);
+    if (!operation) return { node: null };
+
+    operation.polls += 1;
+    if (operation.polls < 2) {
+      return { node: { id, status: 'RUNNING', objectCount: '0', rootObjectCount: '0', url: null } };
+    }
+
+    const outcome = outcomes[operation.resource];
+    if (outcome) {
+      return { node: { id, errorCode: null, url: null, partialDataUrl: null, ...outcome } };
+    }
+
+    const file = fixturePath(operation.resource);
+    const exists = fs.existsSync(file);
+    return {
+      node: {
+        id,
+        status: 'COMPLETED',
+        errorCode: null,
+        objectCount: null,
+        rootObjectCount: String(exists ? rootObjectCount(file) : 0),
+        // Shopify returns no url when the query matched nothing.
+        url: exists ? `${origin}/bulk/${operation.resource}.jsonl` : null,
+        partialDataUrl: null,
+      },
+    };
+  };
+
+  const app = express();
+  app.use(express.json({ limit: '1mb' }));
+
+  // Just enough REST for prepareShop and webhook reconciliation to pass.
+  app.get('/admin/api/:version/shop.json', (req, res) => res.json({ shop: {} }));
+  app.get('/admin/api/:version/webhooks.json', (req, res) => res.json({ webhooks: [] }));
+  app.post('/admin/api/:version/webhooks.json', (req, res) =>
+    res.status(201).json({ webhook: { id: Date.now(), ...req.body.webhook } })
+  );
+
+  app.post('/admin/api/:version/graphql.json', (req, res) => {
+    const query = String(req.body?.query || '');
+    if (query.includes('bulkOperationRunQuery')) {
+      const inner = JSON.parse(query.match(/bulkOperationRunQuery\(query: ("(?:[^"\\]|\\.)*")\)/)[1]);
+      return res.json({ data: startOperation(inner) });
+    }
+    const nodeId = query.match(/node\(id: "([^"]+)"\)/)?.[1];
+    if (nodeId) {
+      return res.json({ data: pollOperation(nodeId, `${req.protocol}://${req.get('host')}`) });
+    }
+    res.status(400).json({ errors: [{ message: 'Fixture server only handles bulk operation queries' }] });
+  });
+
+  app.get('/bulk/:file', (req, res) => {
+    res.sendFile(path.join(fixtureDir, path.basename(req.params.file)));
+  });
+
+  return app;
+};
+
+if (require.main === module) {
+  const port = Number(process.env.BULK_FIXTURE_PORT) || 9999;
+  const fixtureDir = path.resolve(process.argv[2] || DEFAULT_FIXTURE_DIR);
+  createBulkFixtureApp({ fixtureDir }).listen(port, () => {
+    console.log(`Bulk fixture server on http://localhost:${port}, serving ${fixtureDir}`);
+  });
+}
+
+module.exports = { createBulkFixtureApp };
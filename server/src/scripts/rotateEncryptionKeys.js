@@ -0,0 +1,61 @@
+// Maintenance command: re-wraps every stored shop and outbound subscription secret under the active
+// TOKEN_ENCRYPTION_KEY_ID and encrypts any values still in plaintext. Safe to re-run; already-current values
+// are skipped.
+//   node src/scripts/rotateEncryptionKeys.js [--dry-run]
+require('dotenv').config();
+const mongoose = require('mongoose');
+const connectDB = require('../config/db');
+const OutboundSubscription = require('../models/OutboundSubscription');
+const Shop = require('../models/Shop');
+const { activeKeyId, needsRotation, rotateSecret } = require('../services/tokenCrypto');
+
+const rotateCollection = async (Model, fields, label, dryRun) => {
+  let scanned = 0;
+  let rotated = 0;
+
+  for await (const doc of Model.find({}).cursor()) {
+    scanned += 1;
+    const update = {};
+    fields.forEach((field) => {
+      if (needsRotation(doc[field])) {
+        update[field] = rotateSecret(doc[field]);
+      }
+    });
+    if (!Object.keys(update).length) continue;
+
+    rotated += 1;
+    const names = Object.keys(update).join(', ');
+    console.log(`${dryRun ? '[dry-run] would rotate' : 'Rotating'} ${names} for ${label(doc)}`);
+    if (!dryRun) {
+      await Model.updateOne({ _id: doc._id }, { $set: update });
+    }
+  }
+  return { scanned, rotated };
+};
+
+const run = async () => {
+  const dryRun = process.argv.includes('--dry-run');
+  if (!activeKeyId()) {
+    throw new Error('Set TOKEN_ENCRYPTION_KEYS before rotating');
+  }
+
+  await connectDB();
+  const shops = await rotateCollection(Shop, Shop.SECRET_FIELDS, (shop) => shop.shopDomain, dryRun);
+  const subscriptions = await rotateCollection(
+    OutboundSubscription,
+    ['secret'],
+    (subscription) => `outbound subscription ${subscription.id} (${subscription.url})`,
+    dryRun
+  );
+
+  const outcome = dryRun ? 'need' : 'got';
+  console.log(`Scanned ${shops.scanned} shops, ${shops.rotated} ${outcome} rotation to key "${activeKeyId()}"`);
+  console.log(`Scanned ${subscriptions.scanned} outbound subscriptions, ${subscriptions.rotated} ${outcome} rotation`);
+};
+
+run()
+  .catch((err) => {
+    console.error('Key rotation failed', err.message);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
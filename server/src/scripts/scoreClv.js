@@ -0,0 +1,45 @@
+// Maintenance command: fits the CLV models and rescores customers once, outside the nightly schedule.
+// --shop limits the run to one shop by domain.
+//   node src/scripts/scoreClv.js [--shop=example.myshopify.com]
+require('dotenv').config();
+const mongoose = require('mongoose');
+const connectDB = require('../config/db');
+const Shop = require('../models/Shop');
+const { scoreAllShops, scoreShopClv } = require('../services/clvScoring');
+
+const run = async () => {
+  const shopDomain = process.argv.find((arg) => arg.startsWith('--shop='))?.slice('--shop='.length);
+  await connectDB();
+
+  if (!shopDomain) {
+    const results = await scoreAllShops();
+    Object.entries(results).forEach(([domain, result]) => {
+      if (result.error) console.log(`${domain}: failed, ${result.error}`);
+      else if (result.skipped) console.log(`${domain}: skipped, ${result.skipped}`);
+      else console.log(`${domain}: scored ${result.scored} customers`);
+    });
+    return;
+  }
+
+  const shop = await Shop.findOne({ shopDomain });
+  if (!shop) throw new Error(`No shop with domain ${shopDomain}`);
+  const fit = await scoreShopClv(shop);
+  if (fit.skippedReason) {
+    console.log(`${shopDomain}: skipped, ${fit.skippedReason}`);
+    return;
+  }
+  const { r, alpha, a, b } = fit.bgnbd;
+  console.log(`BG/NBD r=${r.toFixed(4)} alpha=${alpha.toFixed(4)} a=${a.toFixed(4)} b=${b.toFixed(4)}`);
+  if (fit.gammaGamma) {
+    const { p, q, v } = fit.gammaGamma;
+    console.log(`Gamma-Gamma p=${p.toFixed(4)} q=${q.toFixed(4)} v=${v.toFixed(4)}`);
+  }
+  console.log(`${shopDomain}: scored ${fit.scored} of ${fit.buyers} buyers in ${fit.durationMs}ms`);
+};
+
+run()
+  .catch((err) => {
+    console.error('CLV scoring failed', err.message);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
@@ -0,0 +1,25 @@
+// Maintenance command: runs the warehouse replication once, outside the hourly schedule.
+// --full drops and rebuilds the warehouse tables, e.g. after columns were added.
+//   node src/scripts/syncWarehouse.js [--full]
+require('dotenv').config();
+const mongoose = require('mongoose');
+const connectDB = require('../config/db');
+const { syncWarehouse } = require('../services/warehouse');
+
+const run = async () => {
+  const full = process.argv.includes('--full');
+  await connectDB();
+  const { target, tables } = await syncWarehouse({ full });
+
+  Object.entries(tables).forEach(([table, { copied, watermark }]) => {
+    console.log(`${table}: copied ${copied} rows, up to ${watermark ? watermark.toISOString() : 'n/a'}`);
+  });
+  console.log(`${full ? 'Rebuilt' : 'Updated'} ${target} warehouse`);
+};
+
+run()
+  .catch((err) => {
+    console.error('Warehouse sync failed', err.message);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
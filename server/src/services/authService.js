@@ -0,0 +1,74 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const LoginToken = require('../models/LoginToken');
+const { sendMail } = require('./mailer');
+
+const MAGIC_LINK_TTL_MS = 15 * 60 * 1000;
+const SESSION_TTL = process.env.SESSION_TTL || '7d';
+
+const allowedEmails = (process.env.ALLOWED_EMAILS || '')
+  .split(',')
+  .map((e) => e.trim().toLowerCase())
+  .filter(Boolean);
+
+let jwtSecret = process.env.AUTH_JWT_SECRET;
+if (!jwtSecret) {
+  // Sessions won't survive a restart, which is fine locally but not in production.
+  jwtSecret = crypto.randomBytes(32).toString('hex');
+  console.warn('AUTH_JWT_SECRET is not set; using a random secret for this process');
+}
+
+const normalizeEmail = (email) => String(email || '').trim().toLowerCase();
+
+const isEmailAllowed = (email) => !allowedEmails.length || allowedEmails.includes(email);
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+const sendMagicLink = async (email) => {
+  const token = crypto.randomBytes(32).toString('base64url');
+  const expiresAt = new Date(Date.now() + MAGIC_LINK_TTL_MS);
+  await LoginToken.create({ email, tokenHash: hashToken(token), expiresAt });
+
+  const link = new URL(process.env.CLIENT_BASE_URL || 'http://localhost:5173');
+  link.searchParams.set('token', token);
+
+  await sendMail({
+    to: email,
+    subject: 'Your Xeno sign-in link',
+    text: `Sign in to Xeno Insights: ${link.toString()}\n\nThis link expires in 15 minutes and can only be used once.`,
+  });
+  return { expiresAt };
+};
+
+// Burns the magic-link token and returns a signed session for its email, or null if it's invalid.
+const redeemMagicLink = async (token) => {
+  if (!token) return null;
+  const record = await LoginToken.findOneAndUpdate(
+    { tokenHash: hashToken(String(token)), usedAt: null, expiresAt: { $gt: new Date() } },
+    { $set: { usedAt: new Date() } },
+    { new: true }
+  );
+  if (!record || !isEmailAllowed(record.email)) return null;
+
+  const sessionToken = jwt.sign({ sub: record.email }, jwtSecret, { expiresIn: SESSION_TTL });
+  const { exp } = jwt.decode(sessionToken);
+  return { token: sessionToken, email: record.email, expiresAt: new Date(exp * 1000) };
+};
+
+// Returns the session email, or null for a missing, tampered or expired token.
+const verifySessionToken = (token) => {
+  try {
+    const payload = jwt.verify(token, jwtSecret);
+    return normalizeEmail(payload.sub) || null;
+  } catch (err) {
+    return null;
+  }
+};
+
+module.exports = {
+  isEmailAllowed,
+  normalizeEmail,
+  redeemMagicLink,
+  sendMagicLink,
+  verifySessionToken,
+};
@@ -0,0 +1,205 @@
+// BG/NBD (Fader, Hardie & Lee 2005) for purchase counts and dropout, and Gamma-Gamma (Fader & Hardie 2013)
+// for spend per purchase. Each customer is summarised as:
+//   x  - repeat purchases (purchase days after the first one)
+//   tx - time from the first to the last purchase
+//   T  - time from the first purchase to now
+//   m  - average value of the repeat purchases
+// Time is in weeks. Both models are fitted by maximum likelihood with Nelder-Mead over log-parameters, so
+// every parameter stays positive.
+
+// A small L2 pull on the log-parameters keeps sparse shops from drifting to extreme values. It has to act on the
+// log-parameters of unitless quantities, or the fit would change with the currency; see fitGammaGamma.
+const PENALIZER = 0.001;
+
+const LANCZOS = [
+  0.99999999999980993, 676.5203681218851, -1259.1392167224028, 771.32342877765313, -176.61502916214059,
+  12.507343278686905, -0.13857109526572012, 9.9843695780195716e-6, 1.5056327351493116e-7,
+];
+
+const lnGamma = (z) => {
+  if (z < 0.5) return Math.log(Math.PI / Math.abs(Math.sin(Math.PI * z))) - lnGamma(1 - z);
+  const x = z - 1;
+  let sum = LANCZOS[0];
+  for (let i = 1; i < LANCZOS.length; i += 1) sum += LANCZOS[i] / (x + i);
+  const t = x + 7.5;
+  return 0.5 * Math.log(2 * Math.PI) + (x + 0.5) * Math.log(t) - t + Math.log(sum);
+};
+
+const lnBeta = (a, b) => lnGamma(a) + lnGamma(b) - lnGamma(a + b);
+
+const logAddExp = (x, y) => {
+  if (x === -Infinity) return y;
+  if (y === -Infinity) return x;
+  const max = Math.max(x, y);
+  return max + Math.log1p(Math.exp(-Math.abs(x - y)));
+};
+
+// Gauss hypergeometric 2F1(a, b; c; z) by its power series, for 0 <= z < 1.
+const hyp2f1 = (a, b, c, z) => {
+  let term = 1;
+  let sum = 1;
+  for (let k = 0; k < 10000; k += 1) {
+    term *= ((a + k) * (b + k) * z) / ((c + k) * (k + 1));
+    sum += term;
+    if (Math.abs(term) <= 1e-12 * Math.abs(sum)) break;
+  }
+  return sum;
+};
+
+// Minimises f from `start`. Returns the best point, its value and whether the simplex converged.
+const nelderMead = (f, start, { maxIterations = 5000, tolerance = 1e-10, step = 0.5 } = {}) => {
+  const evaluate = (point) => {
+    const value = f(point);
+    return { point, value: Number.isFinite(value) ? value : Infinity };
+  };
+  const n = start.length;
+  const combine = (from, to, weight) => from.map((value, i) => value + weight * (to[i] - value));
+  let simplex = [start, ...start.map((_, i) => start.map((value, j) => (j === i ? value + step : value)))].map(
+    evaluate
+  );
+
+  let iterations = 0;
+  let converged = false;
+  for (; iterations < maxIterations; iterations += 1) {
+    simplex.sort((p, q) => p.value - q.value);
+    const best = simplex[0];
+    const worst = simplex[n];
+    if (Math.abs(worst.value - best.value) <= tolerance * (Math.abs(best.value) + tolerance)) {
+      converged = true;
+      break;
+    }
+
+    const centroid = start.map((_, i) => simplex.slice(0, n).reduce((sum, vertex) => sum + vertex.point[i], 0) / n);
+    const reflected = evaluate(combine(centroid, worst.point, -1));
+    if (reflected.value < best.value) {
+      const expanded = evaluate(combine(centroid, worst.point, -2));
+      simplex[n] = expanded.value < reflected.value ? expanded : reflected;
+    } else if (reflected.value < simplex[n - 1].value) {
+      simplex[n] = reflected;
+    } else {
+      const outside = reflected.value < worst.value;
+      const contracted = evaluate(combine(centroid, outside ? reflected.point : worst.point, 0.5));
+      if (contracted.value < (outside ? reflected.value : worst.value)) {
+        simplex[n] = contracted;
+      } else {
+        simplex = simplex.map((vertex, i) => (i === 0 ? vertex : evaluate(combine(best.point, vertex.point, 0.5))));
+      }
+    }
+  }
+  simplex.sort((p, q) => p.value - q.value);
+  return { point: simplex[0].point, value: simplex[0].value, iterations, converged };
+};
+
+// Customers with the same history add the same likelihood, so each distinct history is evaluated once.
+const countBy = (customers, key) => {
+  const groups = new Map();
+  customers.forEach((customer) => {
+    const id = key(customer);
+    if (groups.has(id)) groups.get(id).count += 1;
+    else groups.set(id, { customer, count: 1 });
+  });
+  return [...groups.values()];
+};
+
+const penalty = (logParams) => PENALIZER * logParams.reduce((sum, value) => sum + value ** 2, 0);
+
+// Per-customer BG/NBD log-likelihood.
+const bgnbdLogLikelihood = ({ r, alpha, a, b }, { x, tx, T }) => {
+  const base = lnGamma(r + x) - lnGamma(r) + r * Math.log(alpha) + lnBeta(a, b + x) - lnBeta(a, b);
+  const stillActive = -(r + x) * Math.log(alpha + T);
+  const droppedOut = x > 0 ? Math.log(a) - Math.log(b + x - 1) - (r + x) * Math.log(alpha + tx) : -Infinity;
+  return base + logAddExp(stillActive, droppedOut);
+};
+
+const fitBgnbd = (customers) => {
+  const groups = countBy(customers, ({ x, tx, T }) => `${x}:${tx}:${T}`);
+  const objective = (logParams) => {
+    const [r, alpha, a, b] = logParams.map(Math.exp);
+    const total = groups.reduce(
+      (sum, { customer, count }) => sum + count * bgnbdLogLikelihood({ r, alpha, a, b }, customer),
+      0
+    );
+    return -total / customers.length + penalty(logParams);
+  };
+  const { point, value, converged } = nelderMead(objective, [0, 0, 0, 0]);
+  const [r, alpha, a, b] = point.map(Math.exp);
+  return { r, alpha, a, b, logLikelihood: -value, converged };
+};
+
+// log of (a / (b + x - 1)) * ((alpha + T) / (alpha + tx))^(r + x), the odds of having dropped out.
+const dropoutLogOdds = ({ r, alpha, a, b }, { x, tx, T }) =>
+  x > 0 ? Math.log(a) - Math.log(b + x - 1) + (r + x) * Math.log((alpha + T) / (alpha + tx)) : -Infinity;
+
+const probabilityAlive = (params, customer) => {
+  const logOdds = dropoutLogOdds(params, customer);
+  if (logOdds === -Infinity) return 1;
+  return logOdds > 0 ? Math.exp(-logOdds) / (1 + Math.exp(-logOdds)) : 1 / (1 + Math.exp(logOdds));
+};
+
+// Chance of no purchases in the next t weeks: the customer has dropped out, or is still active and buys nothing.
+// Given their history an active customer's purchase rate is Gamma(r + x, alpha + T), so the second part is
+// ((alpha + T) / (alpha + T + t))^(r + x). Unlike 1 - P(alive) this is not 0 for customers without repeats.
+const probabilityNoPurchases = (params, customer, t) => {
+  const { r, alpha } = params;
+  const { x, T } = customer;
+  const quiet = ((alpha + T) / (alpha + T + t)) ** (r + x);
+  return 1 - probabilityAlive(params, customer) * (1 - quiet);
+};
+
+// Expected purchases in the next t weeks. (1 - z)^(r + x) * 2F1(r + x, b + x; a + b + x - 1; z) is evaluated
+// through Euler's transformation as (1 - z)^(a - 1) * 2F1(a + b - 1 - r, a - 1; a + b + x - 1; z), whose
+// terms stay small for customers with many purchases.
+const expectedPurchases = (params, customer, t) => {
+  const { r, alpha, b } = params;
+  const a = Math.abs(params.a - 1) < 1e-9 ? 1 + 1e-9 : params.a;
+  const { x, T } = customer;
+  const z = t / (alpha + T + t);
+  const tail = (1 - z) ** (a - 1) * hyp2f1(a + b - 1 - r, a - 1, a + b + x - 1, z);
+  return (((a + b + x - 1) / (a - 1)) * (1 - tail)) * probabilityAlive({ ...params, a }, customer);
+};
+
+// Per-customer Gamma-Gamma log-likelihood; only customers with repeat purchases carry spend information.
+const gammaGammaLogLikelihood = ({ p, q, v }, { x, m }) =>
+  lnGamma(p * x + q) -
+  lnGamma(p * x) -
+  lnGamma(q) +
+  q * Math.log(v) +
+  (p * x - 1) * Math.log(m) +
+  p * x * Math.log(x) -
+  (p * x + q) * Math.log(x * m + v);
+
+// Spend is fitted in units of the mean spend, so p and q don't depend on the currency and v scales with it.
+const fitGammaGamma = (customers) => {
+  const scale = customers.reduce((sum, customer) => sum + customer.m, 0) / customers.length || 1;
+  const groups = countBy(customers, ({ x, m }) => `${x}:${m}`);
+  const objective = (logParams) => {
+    const [p, q, v] = logParams.map(Math.exp);
+    const total = groups.reduce(
+      (sum, { customer, count }) =>
+        sum + count * gammaGammaLogLikelihood({ p, q, v }, { x: customer.x, m: customer.m / scale }),
+      0
+    );
+    return -total / customers.length + penalty(logParams);
+  };
+  const { point, value, converged } = nelderMead(objective, [0, Math.log(2), 0]);
+  const [p, q, v] = point.map(Math.exp);
+  // Each m was divided by scale, which added log(scale) to every customer's log-likelihood.
+  return { p, q, v: v * scale, logLikelihood: -value - Math.log(scale), converged };
+};
+
+// Expected value of a future purchase: the customer's own average shrunk towards the population mean.
+// Null when q <= 1, where the model has no finite mean.
+const expectedSpend = ({ p, q, v }, { x, m }) => {
+  if (q <= 1) return null;
+  return x > 0 && m > 0 ? (p * (v + x * m)) / (p * x + q - 1) : (p * v) / (q - 1);
+};
+
+module.exports = {
+  expectedPurchases,
+  expectedSpend,
+  fitBgnbd,
+  fitGammaGamma,
+  lnGamma,
+  probabilityAlive,
+  probabilityNoPurchases,
+};
@@ -0,0 +1,292 @@
+const ClvFit = require('../models/ClvFit');
+const Customer = require('../models/Customer');
+const Order = require('../models/Order');
+const Shop = require('../models/Shop');
+const {
+  expectedPurchases,
+  expectedSpend,
+  fitBgnbd,
+  fitGammaGamma,
+  probabilityNoPurchases,
+} = require('./clvModel');
+
+// Predicted 12-month value and churn risk for every customer with orders, from models fitted on the shop's
+// own order history (see services/clvModel). Churn risk is the chance of no purchase in those 12 months.
+// Orders on the same day count as one purchase, as the models expect. Scores are written to Customer.clv
+// without touching updatedAt, so they don't trigger warehouse replication; customers who are no longer
+// scored lose their old score.
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const WEEK_MS = 7 * DAY_MS;
+const WEEKS_PER_MONTH = 365.25 / 12 / 7;
+const HORIZON_MONTHS = 12;
+// Below these the fits are mostly noise.
+const MIN_BUYERS = 20;
+const MIN_REPEAT_BUYERS = 5;
+const WRITE_BATCH = 1000;
+const HISTOGRAM_BINS = 10;
+
+const round = (value, places = 2) => Number(value.toFixed(places));
+
+const monthlyDiscountRate = () => {
+  const rate = Number(process.env.CLV_MONTHLY_DISCOUNT_RATE);
+  return Number.isFinite(rate) && rate >= 0 ? rate : 0.01;
+};
+
+const conflict = (message) => {
+  const error = new Error(message);
+  error.status = 409;
+  return error;
+};
+
+// Per-buyer purchase history in the models' terms; see clvModel for x, tx, T and m.
+const loadHistories = async (shopId, now) => {
+  const buyers = await Order.aggregate([
+    {
+      $match: {
+        shop: shopId,
+        deletedAt: null,
+        'customer.id': { $nin: [null, ''] },
+        processedAt: { $type: 'date', $lte: now },
+      },
+    },
+    {
+      $group: {
+        _id: { customer: '$customer.id', day: { $dateTrunc: { date: '$processedAt', unit: 'day' } } },
+        value: { $sum: { $ifNull: ['$totalPrice', 0] } },
+      },
+    },
+    { $sort: { '_id.day': 1 } },
+    { $group: { _id: '$_id.customer', days: { $push: { day: '$_id.day', value: '$value' } } } },
+  ]);
+
+  return buyers.map(({ _id, days }) => {
+    const first = days[0].day.getTime();
+    const repeats = days.slice(1);
+    return {
+      customerId: _id,
+      x: repeats.length,
+      tx: (days[days.length - 1].day.getTime() - first) / WEEK_MS,
+      T: (now.getTime() - first) / WEEK_MS,
+      m: repeats.length ? repeats.reduce((sum, entry) => sum + entry.value, 0) / repeats.length : 0,
+      spend: days.reduce((sum, entry) => sum + entry.value, 0),
+      purchases: days.length,
+    };
+  });
+};
+
+// Discounted value of the purchases expected in each of the next HORIZON_MONTHS months.
+const predict = (bgnbd, history, orderValue, discountRate) => {
+  let expectedOrders = 0;
+  let value = 0;
+  for (let month = 1; month <= HORIZON_MONTHS; month += 1) {
+    const cumulative = expectedPurchases(bgnbd, history, month * WEEKS_PER_MONTH);
+    value += ((cumulative - expectedOrders) * orderValue) / (1 + discountRate) ** month;
+    expectedOrders = cumulative;
+  }
+  return { expectedOrders, value };
+};
+
+const writeScores = async (shopId, scores) => {
+  let scored = 0;
+  for (let i = 0; i < scores.length; i += WRITE_BATCH) {
+    const result = await Customer.bulkWrite(
+      scores.slice(i, i + WRITE_BATCH).map(({ customerId, clv }) => ({
+        updateOne: {
+          filter: { shop: shopId, shopifyId: customerId, deletedAt: null },
+          update: { $set: { clv } },
+          timestamps: false,
+        },
+      })),
+      { ordered: false }
+    );
+    scored += result.matchedCount;
+  }
+  return scored;
+};
+
+const clearScores = (shopId, scoredAt) =>
+  Customer.updateMany(
+    { shop: shopId, 'clv.scoredAt': scoredAt ? { $lt: scoredAt } : { $exists: true } },
+    { $unset: { clv: 1 } },
+    { timestamps: false }
+  );
+
+const saveFit = (shopId, fit) => ClvFit.replaceOne({ shop: shopId }, { shop: shopId, ...fit }, { upsert: true });
+
+const scoringShops = new Set();
+
+// Fits both models on the shop's history and rewrites every customer's score. Shops without enough history
+// are recorded as skipped and keep no scores.
+const scoreShopClv = async (shop, { now = new Date() } = {}) => {
+  const key = String(shop._id);
+  if (scoringShops.has(key)) {
+    throw conflict(`CLV scoring is already running for ${shop.shopDomain}`);
+  }
+  scoringShops.add(key);
+  const started = Date.now();
+
+  try {
+    const histories = await loadHistories(shop._id, now);
+    const repeaters = histories.filter((history) => history.x > 0 && history.m > 0);
+    const discountRate = monthlyDiscountRate();
+    const totalSpend = histories.reduce((sum, history) => sum + history.spend, 0);
+    const purchases = histories.reduce((sum, history) => sum + history.purchases, 0);
+    const base = {
+      fittedAt: now,
+      buyers: histories.length,
+      repeatBuyers: repeaters.length,
+      horizonMonths: HORIZON_MONTHS,
+      monthlyDiscountRate: discountRate,
+      avgOrderValue: purchases ? round(totalSpend / purchases) : null,
+    };
+
+    if (histories.length < MIN_BUYERS || repeaters.length < MIN_REPEAT_BUYERS) {
+      const skippedReason =
+        `Needs at least ${MIN_BUYERS} buyers and ${MIN_REPEAT_BUYERS} repeat buyers; ` +
+        `found ${histories.length} and ${repeaters.length}`;
+      await clearScores(shop._id);
+      const fit = { ...base, skippedReason, scored: 0, durationMs: Date.now() - started };
+      await saveFit(shop._id, fit);
+      return fit;
+    }
+
+    const bgnbd = fitBgnbd(histories);
+    const gammaGamma = fitGammaGamma(repeaters);
+    // q <= 1 means the spend model has no finite mean; the shop average stands in for everyone.
+    const usableSpend = gammaGamma.q > 1 ? gammaGamma : null;
+
+    const scores = histories.map((history) => {
+      const orderValue = (usableSpend && expectedSpend(usableSpend, history)) || base.avgOrderValue || 0;
+      const { expectedOrders, value } = predict(bgnbd, history, orderValue, discountRate);
+      return {
+        customerId: history.customerId,
+        clv: {
+          predicted12m: round(value),
+          expectedOrders12m: round(expectedOrders, 3),
+          churnProbability: round(probabilityNoPurchases(bgnbd, history, HORIZON_MONTHS * WEEKS_PER_MONTH), 4),
+          expectedOrderValue: round(orderValue),
+          scoredAt: now,
+        },
+      };
+    });
+
+    const scored = await writeScores(shop._id, scores);
+    await clearScores(shop._id, now);
+    const fit = {
+      ...base,
+      bgnbd,
+      gammaGamma: usableSpend || undefined,
+      scored,
+      durationMs: Date.now() - started,
+    };
+    await saveFit(shop._id, fit);
+    return fit;
+  } finally {
+    scoringShops.delete(key);
+  }
+};
+
+let allShopsRunning = false;
+
+const isClvScoringRunning = () => allShopsRunning;
+
+// Nightly run over every active shop, one at a time. A failing shop is logged and the rest carry on.
+const scoreAllShops = async ({ now = new Date() } = {}) => {
+  allShopsRunning = true;
+  try {
+    const shops = await Shop.find({ status: 'active' });
+    const results = {};
+    for (const shop of shops) {
+      try {
+        const fit = await scoreShopClv(shop, { now });
+        results[shop.shopDomain] = fit.skippedReason ? { skipped: fit.skippedReason } : { scored: fit.scored };
+      } catch (err) {
+        console.error(`CLV scoring failed for ${shop.shopDomain}`, err.message);
+        results[shop.shopDomain] = { error: err.message };
+      }
+    }
+    return results;
+  } finally {
+    allShopsRunning = false;
+  }
+};
+
+// Equal-width bins from 0 to `max`; anything above max lands in the last bin.
+const histogram = (values, max) => {
+  const width = max / HISTOGRAM_BINS || 1;
+  const bins = Array.from({ length: HISTOGRAM_BINS }, (_, i) => ({
+    from: round(i * width, 4),
+    to: round((i + 1) * width, 4),
+    customers: 0,
+  }));
+  values.forEach((value) => {
+    bins[Math.min(Math.max(Math.floor(value / width), 0), HISTOGRAM_BINS - 1)].customers += 1;
+  });
+  return bins;
+};
+
+const scoredFilter = (shopId) => ({ shop: shopId, deletedAt: null, 'clv.scoredAt': { $exists: true } });
+
+// The shop's latest fit plus how predicted value and churn risk are spread over its scored customers.
+// The value histogram stops at the 99th percentile so a few very large customers don't flatten it.
+const summarizeClv = async (shopId) => {
+  const [fit, customers] = await Promise.all([
+    ClvFit.findOne({ shop: shopId }).lean(),
+    Customer.find(scoredFilter(shopId)).select('clv').lean(),
+  ]);
+
+  const values = customers.map((customer) => customer.clv.predicted12m).sort((a, b) => a - b);
+  const churn = customers.map((customer) => customer.clv.churnProbability);
+  const total = values.reduce((sum, value) => sum + value, 0);
+  const atRisk = churn.filter((probability) => probability >= 0.5).length;
+  return {
+    fit,
+    totals: {
+      scored: customers.length,
+      predicted12m: round(total),
+      avgPredicted12m: customers.length ? round(total / customers.length) : null,
+      medianPredicted12m: customers.length ? values[Math.floor(values.length / 2)] : null,
+      expectedOrders12m: round(customers.reduce((sum, customer) => sum + customer.clv.expectedOrders12m, 0), 1),
+      atRisk,
+      atRiskShare: customers.length ? round(atRisk / customers.length, 4) : 0,
+    },
+    histograms: {
+      predicted12m: histogram(values, values[Math.floor(values.length * 0.99)] || 0),
+      churnProbability: histogram(churn, 1),
+    },
+  };
+};
+
+const CUSTOMER_FIELDS = 'shopifyId email firstName lastName country tags totalSpent clv';
+const CLV_SORTS = {
+  clv: { 'clv.predicted12m': -1, shopifyId: 1 },
+  churn: { 'clv.churnProbability': -1, 'clv.predicted12m': -1, shopifyId: 1 },
+};
+
+const listScoredCustomers = async (shopId, { sort = 'clv', page = 1, limit = 50 }) => {
+  const filter = scoredFilter(shopId);
+  const [total, customers] = await Promise.all([
+    Customer.countDocuments(filter),
+    Customer.find(filter)
+      .sort(CLV_SORTS[sort])
+      .skip((page - 1) * limit)
+      .limit(limit)
+      .select(CUSTOMER_FIELDS)
+      .lean(),
+  ]);
+  return { total, page, limit, pages: Math.ceil(total / limit), customers };
+};
+
+const findScoredCustomer = (shopId, customerId) =>
+  Customer.findOne({ shop: shopId, shopifyId: customerId, deletedAt: null }).select(CUSTOMER_FIELDS).lean();
+
+module.exports = {
+  CLV_SORTS,
+  findScoredCustomer,
+  isClvScoringRunning,
+  listScoredCustomers,
+  scoreAllShops,
+  scoreShopClv,
+  summarizeClv,
+};
@@ -0,0 +1,141 @@
+const Order = require('../models/Order');
+
+// Customer cohorts by first order. A customer's cohort is the period (UTC month, or ISO week starting
+// Monday) of their first order across the shop's whole history; cell k of a cohort counts its customers
+// who ordered again k periods later and the revenue they brought. Guest orders have no customer id to
+// follow and are left out.
+
+const COHORT_GRAINS = ['month', 'week'];
+const MAX_COHORTS = { month: 36, week: 52 };
+const DEFAULT_COHORTS = 12;
+const WEEK_MS = 7 * 24 * 60 * 60 * 1000;
+
+const periodStart = (date, grain) => {
+  if (grain === 'month') return new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), 1));
+  const day = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+  day.setUTCDate(day.getUTCDate() - ((day.getUTCDay() + 6) % 7));
+  return day;
+};
+
+const addPeriods = (date, grain, count) => {
+  const next = new Date(date);
+  if (grain === 'month') next.setUTCMonth(next.getUTCMonth() + count);
+  else next.setUTCDate(next.getUTCDate() + 7 * count);
+  return next;
+};
+
+const periodsBetween = (from, to, grain) =>
+  grain === 'month'
+    ? (to.getUTCFullYear() - from.getUTCFullYear()) * 12 + to.getUTCMonth() - from.getUTCMonth()
+    : Math.round((to - from) / WEEK_MS);
+
+// 2024-03 for months, the Monday (2024-03-04) for weeks.
+const periodLabel = (date, grain) => date.toISOString().slice(0, grain === 'month' ? 7 : 10);
+
+const ratio = (part, whole) => (whole ? Number((part / whole).toFixed(4)) : null);
+const money = (value) => Number((value || 0).toFixed(2));
+
+const truncate = (grain) => ({
+  $dateTrunc: { date: '$processedAt', unit: grain, ...(grain === 'week' ? { startOfWeek: 'monday' } : {}) },
+});
+
+// The latest `cohorts` cohorts, oldest first. Each has one entry per period up to the current one, which
+// is still filling up.
+const buildCohorts = async (shopId, { grain = 'month', cohorts = DEFAULT_COHORTS, now = new Date() } = {}) => {
+  const current = periodStart(now, grain);
+  const first = addPeriods(current, grain, -(cohorts - 1));
+
+  const [result] = await Order.aggregate([
+    { $match: { shop: shopId, deletedAt: null, 'customer.id': { $nin: [null, ''] }, processedAt: { $type: 'date' } } },
+    {
+      $group: {
+        _id: { customer: '$customer.id', period: truncate(grain) },
+        orders: { $sum: 1 },
+        revenue: { $sum: { $ifNull: ['$totalPrice', 0] } },
+      },
+    },
+    {
+      $group: {
+        _id: '$_id.customer',
+        cohort: { $min: '$_id.period' },
+        orders: { $sum: '$orders' },
+        periods: { $push: { period: '$_id.period', orders: '$orders', revenue: '$revenue' } },
+      },
+    },
+    { $match: { cohort: { $gte: first } } },
+    {
+      $facet: {
+        sizes: [
+          {
+            $group: {
+              _id: '$cohort',
+              customers: { $sum: 1 },
+              repeatCustomers: { $sum: { $cond: [{ $gt: ['$orders', 1] }, 1, 0] } },
+            },
+          },
+          { $sort: { _id: 1 } },
+        ],
+        cells: [
+          { $unwind: '$periods' },
+          {
+            $group: {
+              _id: { cohort: '$cohort', period: '$periods.period' },
+              customers: { $sum: 1 },
+              orders: { $sum: '$periods.orders' },
+              revenue: { $sum: '$periods.revenue' },
+            },
+          },
+        ],
+      },
+    },
+  ]);
+
+  const cellsByCohort = new Map();
+  result.cells.forEach((cell) => {
+    const key = cell._id.cohort.getTime();
+    if (!cellsByCohort.has(key)) cellsByCohort.set(key, new Map());
+    cellsByCohort.get(key).set(periodsBetween(cell._id.cohort, cell._id.period, grain), cell);
+  });
+
+  const rows = result.sizes.map(({ _id: start, customers, repeatCustomers }) => {
+    const cells = cellsByCohort.get(start.getTime()) || new Map();
+    const baseRevenue = cells.get(0)?.revenue || 0;
+    const periods = Array.from({ length: periodsBetween(start, current, grain) + 1 }, (_, offset) => {
+      const cell = cells.get(offset) || { customers: 0, orders: 0, revenue: 0 };
+      return {
+        period: offset,
+        start: periodLabel(addPeriods(start, grain, offset), grain),
+        customers: cell.customers,
+        orders: cell.orders,
+        revenue: money(cell.revenue),
+        // Share of the cohort that ordered in this period, and revenue relative to the first period.
+        retentionRate: ratio(cell.customers, customers),
+        revenueRetention: ratio(cell.revenue, baseRevenue),
+      };
+    });
+    return {
+      cohort: periodLabel(start, grain),
+      customers,
+      repeatCustomers,
+      repeatPurchaseRate: ratio(repeatCustomers, customers),
+      revenue: money(periods.reduce((sum, entry) => sum + entry.revenue, 0)),
+      periods,
+    };
+  });
+
+  const customers = rows.reduce((sum, row) => sum + row.customers, 0);
+  const repeatCustomers = rows.reduce((sum, row) => sum + row.repeatCustomers, 0);
+  return {
+    grain,
+    from: periodLabel(first, grain),
+    totals: { customers, repeatCustomers, repeatPurchaseRate: ratio(repeatCustomers, customers) },
+    cohorts: rows,
+  };
+};
+
+module.exports = {
+  COHORT_GRAINS,
+  DEFAULT_COHORTS,
+  MAX_COHORTS,
+  buildCohorts,
+};
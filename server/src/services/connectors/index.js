@@ -0,0 +1,30 @@
+const shopify = require('./shopify');
+const woocommerce = require('./woocommerce');
+
+// A connector adapts one commerce platform to the sync engine and webhook pipeline:
+//   platform, label, domainHint       identity and the hint shown for a bad store domain
+//   resources, defaultResources       resource name -> { model, map, expand?, params? }
+//   strategies, strategyFor()         sync strategies it accepts and which one a resource actually runs
+//   normalizeDomain(), verifyCredentials(shop)
+//   sinceParams(since), updatedAtOf(record), countResource(), iteratePages()   paginated fetch
+//   verifyWebhook(rawBody, headers, shop), handleWebhook(topic, payload, shop), ensureWebhooks(shop)
+const CONNECTORS = { shopify, woocommerce };
+
+const PLATFORMS = Object.keys(CONNECTORS);
+
+const getConnector = (platform) => {
+  const connector = CONNECTORS[platform];
+  if (!connector) {
+    throw new Error(`Unsupported platform "${platform}". Use one of: ${PLATFORMS.join(', ')}.`);
+  }
+  return connector;
+};
+
+// Shops registered before connectors existed have no platform and are Shopify stores.
+const connectorForShop = (shop) => getConnector(shop.platform || 'shopify');
+
+module.exports = {
+  PLATFORMS,
+  connectorForShop,
+  getConnector,
+};
@@ -0,0 +1,56 @@
+const {
+  DEFAULT_RESOURCES,
+  clientForShop,
+  countResource,
+  handleWebhook,
+  iterateResourcePages,
+  normalizeShopDomain,
+  resourceConfig,
+  verifyShopCredentials,
+  verifyWebhookHmac,
+} = require('../shopifyService');
+const { BULK_RESOURCES, iterateBulkPages } = require('../shopifyBulk');
+const { ensureWebhookSubscriptions } = require('../webhookSubscriptions');
+const { decryptSecret } = require('../tokenCrypto');
+
+const toNumber = (value) => {
+  const num = Number(value);
+  return value === null || value === undefined || Number.isNaN(num) ? undefined : num;
+};
+
+module.exports = {
+  platform: 'shopify',
+  label: 'Shopify',
+  domainHint: 'Use the Admin hostname, e.g. "your-store.myshopify.com".',
+  resources: resourceConfig,
+  defaultResources: DEFAULT_RESOURCES,
+  strategies: ['rest', 'bulk'],
+  strategyFor: (resource, strategy) => (strategy === 'bulk' && BULK_RESOURCES.includes(resource) ? 'bulk' : 'rest'),
+  normalizeDomain: normalizeShopDomain,
+  verifyCredentials: verifyShopCredentials,
+  sinceParams: (since) => ({ updated_at_min: since.toISOString() }),
+  updatedAtOf: (record) => record.updated_at,
+  countResource: (shop, resource, params) => countResource(shop, resourceConfig[resource].path, params),
+  iteratePages: (shop, resource, params, { pageInfo, since, strategy, onStatus }) => {
+    if (strategy === 'bulk') {
+      return iterateBulkPages(clientForShop(shop), resource, {
+        since,
+        onStatus: (operation) => onStatus({ total: toNumber(operation.rootObjectCount) }),
+      });
+    }
+    const config = resourceConfig[resource];
+    if (config.iteratePages) {
+      return config.iteratePages(shop, params, { pageInfo });
+    }
+    return iterateResourcePages(shop, config.path, config.dataKey, params, { pageInfo });
+  },
+  // Per-shop secret wins; the app-level secret covers shops installed through a single Shopify app,
+  // whose webhooks are signed with the app's API secret.
+  verifyWebhook: (rawBody, headers, shop) => {
+    const appSecret = process.env.SHOPIFY_WEBHOOK_SECRET || process.env.SHOPIFY_API_SECRET;
+    const secret = decryptSecret(shop.webhookSharedSecret) || appSecret;
+    return verifyWebhookHmac(rawBody, headers['x-shopify-hmac-sha256'], secret);
+  },
+  handleWebhook,
+  ensureWebhooks: ensureWebhookSubscriptions,
+};
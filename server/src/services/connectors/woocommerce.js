@@ -0,0 +1,294 @@
+const net = require('net');
+const { URL } = require('url');
+const Customer = require('../../models/Customer');
+const Order = require('../../models/Order');
+const Product = require('../../models/Product');
+const { createShopifyClient } = require('../shopifyClient');
+const { markDeleted, upsertDocuments } = require('../syncEngine');
+const { verifyWebhookHmac } = require('../shopifyService');
+const { assertPublicHost, publicLookup } = require('../publicAddress');
+const { decryptSecret } = require('../tokenCrypto');
+
+// WooCommerce REST API v3 (https://<store>/wp-json/wc/v3), authenticated with a consumer key/secret pair:
+// the key is stored in accessToken and the secret in consumerSecret. Records map onto the same
+// Customer/Order/Product models as Shopify, with the WooCommerce id in shopifyId.
+
+const PER_PAGE = 100;
+const DEFAULT_RESOURCES = ['customers', 'orders', 'products'];
+
+// WOOCOMMERCE_ORIGIN points every call at a local stub (e.g. http://localhost:9998) for testing.
+const wooOrigin = (domain) => process.env.WOOCOMMERCE_ORIGIN || `https://${domain}`;
+
+// Any public hostname served over https; IP literals are refused, and so are names that resolve to internal
+// addresses (checked in verifyCredentials and on every request). WordPress installs in a subdirectory
+// aren't supported.
+const normalizeDomain = (rawDomain) => {
+  if (!rawDomain) return null;
+  const trimmed = String(rawDomain).trim();
+  try {
+    const url = trimmed.includes('://') ? new URL(trimmed) : new URL(`https://${trimmed}`);
+    if (url.protocol !== 'https:') return null;
+    const host = url.hostname.toLowerCase();
+    if (net.isIP(host.replace(/^\[(.*)\]$/, '$1'))) return null;
+    return host.includes('.') ? host : null;
+  } catch (err) {
+    return null;
+  }
+};
+
+const toNumber = (value) => {
+  if (value === null || value === undefined || value === '') return undefined;
+  const num = Number(value);
+  return Number.isNaN(num) ? undefined : num;
+};
+
+// *_gmt fields are UTC but come without a zone designator.
+const gmtDate = (value) => {
+  if (!value) return undefined;
+  return new Date(/Z|[+-]\d\d:\d\d$/.test(value) ? value : `${value}Z`);
+};
+
+const blankToUndefined = (value) => (value === '' || value === null ? undefined : value);
+
+const clientForShop = (shop) => {
+  const domain = normalizeDomain(shop.shopDomain);
+  if (!domain) {
+    throw new Error('Invalid shop domain. Provide the store hostname like "shop.example.com".');
+  }
+
+  // The Shopify client's retry and concurrency handling apply to any REST API; WooCommerce sends no
+  // call-limit header, so its bucket throttle never kicks in.
+  return createShopifyClient(`woocommerce:${domain}`, {
+    baseURL: `${wooOrigin(domain)}/wp-json/wc/v3/`,
+    auth: {
+      username: decryptSecret(shop.accessToken) || '',
+      password: decryptSecret(shop.consumerSecret) || '',
+    },
+    headers: { 'Content-Type': 'application/json' },
+    timeout: 15000,
+    // The stub origin is set by whoever runs the server, so only real store hosts are held to public addresses.
+    lookup: process.env.WOOCOMMERCE_ORIGIN ? undefined : publicLookup,
+  });
+};
+
+// WordPress errors look like { code, message, data: { status } }.
+const buildWooError = (err, domain, resourcePath) => {
+  const status = err.response?.status;
+  const detail = err.response?.data?.message || err.message;
+  const hint =
+    status === 404
+      ? 'Check the store hostname and that the WooCommerce REST API is reachable at /wp-json/wc/v3.'
+      : status === 401 || status === 403
+        ? `Check the consumer key and secret and that the key has read access to ${resourcePath}.`
+        : '';
+
+  const error = new Error(
+    [`WooCommerce ${status || ''} for ${domain} ${resourcePath}: ${detail}`, hint].filter(Boolean).join(' - ')
+  );
+  error.status = status;
+  error.response = err.response;
+  error.shopDomain = domain;
+  error.resourcePath = resourcePath;
+  return error;
+};
+
+const verifyCredentials = async (shop) => {
+  const domain = normalizeDomain(shop.shopDomain);
+  if (!domain) {
+    throw new Error('Invalid shop domain. Provide the store hostname like "shop.example.com".');
+  }
+  if (!process.env.WOOCOMMERCE_ORIGIN) {
+    try {
+      await assertPublicHost(domain);
+    } catch (err) {
+      err.message = `Invalid shop domain. ${err.message}`;
+      throw err;
+    }
+  }
+  // Spreading a Mongoose document copies its internals, not its fields.
+  const fields = typeof shop.toObject === 'function' ? shop.toObject() : shop;
+  const client = clientForShop({ ...fields, shopDomain: domain });
+  try {
+    await client.get('orders', { params: { per_page: 1 } });
+    return { canonicalDomain: domain };
+  } catch (err) {
+    throw buildWooError(err, domain, 'orders');
+  }
+};
+
+// Pages are numbered, so the page cursor saved for resumes is just the next page number.
+// Ordering by id keeps pages stable while records are being modified mid-sync.
+async function* iteratePages(shop, resource, params, { pageInfo } = {}) {
+  const domain = normalizeDomain(shop.shopDomain);
+  const client = clientForShop(shop);
+  const { path } = resources[resource];
+  let page = Number(pageInfo) || 1;
+
+  for (;;) {
+    let response;
+    try {
+      response = await client.get(path, {
+        params: { ...params, per_page: PER_PAGE, page, orderby: 'id', order: 'asc' },
+      });
+    } catch (err) {
+      throw buildWooError(err, domain, path);
+    }
+
+    const totalPages = toNumber(response.headers['x-wp-totalpages']) || 0;
+    const nextPageInfo = page < totalPages ? String(page + 1) : null;
+    yield { records: response.data || [], nextPageInfo };
+    if (!nextPageInfo) return;
+    page += 1;
+  }
+}
+
+// Best-effort total for progress reporting from the X-WP-Total header.
+const countResource = async (shop, resource, params) => {
+  try {
+    const response = await clientForShop(shop).get(resources[resource].path, { params: { ...params, per_page: 1 } });
+    return toNumber(response.headers['x-wp-total']) ?? null;
+  } catch (err) {
+    return null;
+  }
+};
+
+// WooCommerce order statuses mapped onto Shopify's financial_status values so both platforms read the same.
+const FINANCIAL_STATUSES = {
+  pending: 'pending',
+  'on-hold': 'pending',
+  processing: 'paid',
+  completed: 'paid',
+  refunded: 'refunded',
+  cancelled: 'voided',
+  failed: 'voided',
+};
+
+const PRODUCT_STATUSES = { publish: 'active', draft: 'draft', pending: 'draft', private: 'archived' };
+
+const resources = {
+  // The customers endpoint has no modified_after filter, so incremental runs re-read every customer
+  // and rely on the freshness check to skip unchanged ones.
+  customers: {
+    path: 'customers',
+    model: Customer,
+    params: { role: 'all' },
+    map: (customer, shopId) => ({
+      shop: shopId,
+      shopifyId: String(customer.id),
+      email: blankToUndefined(customer.email),
+      phone: blankToUndefined(customer.billing?.phone),
+      firstName: blankToUndefined(customer.first_name),
+      lastName: blankToUndefined(customer.last_name),
+      country: blankToUndefined(customer.billing?.country),
+      shopifyCreatedAt: gmtDate(customer.date_created_gmt),
+      shopifyUpdatedAt: gmtDate(customer.date_modified_gmt),
+    }),
+  },
+  orders: {
+    path: 'orders',
+    model: Order,
+    map: (order, shopId) => ({
+      shop: shopId,
+      shopifyId: String(order.id),
+      name: `#${order.number || order.id}`,
+      email: blankToUndefined(order.billing?.email),
+      currency: order.currency,
+      totalPrice: toNumber(order.total),
+      subtotalPrice: (order.line_items || []).reduce((sum, li) => sum + (toNumber(li.subtotal) || 0), 0),
+      totalDiscounts: toNumber(order.discount_total),
+      financialStatus: FINANCIAL_STATUSES[order.status] || order.status,
+      fulfillmentStatus: order.status === 'completed' ? 'fulfilled' : undefined,
+      processedAt: gmtDate(order.date_paid_gmt || order.date_created_gmt),
+      // customer_id is 0 for guest checkouts.
+      customer: order.customer_id
+        ? {
+            id: String(order.customer_id),
+            email: blankToUndefined(order.billing?.email),
+            firstName: blankToUndefined(order.billing?.first_name),
+            lastName: blankToUndefined(order.billing?.last_name),
+          }
+        : undefined,
+      lineItems: (order.line_items || []).map((li) => ({
+        shopifyId: String(li.id),
+        productId: li.product_id ? String(li.product_id) : undefined,
+        variantId: li.variation_id ? String(li.variation_id) : undefined,
+        name: li.name,
+        quantity: li.quantity,
+        price: toNumber(li.price),
+      })),
+      shopifyCreatedAt: gmtDate(order.date_created_gmt),
+      shopifyUpdatedAt: gmtDate(order.date_modified_gmt),
+    }),
+  },
+  // Variations live behind a separate endpoint per product; the product itself stands in as its only variant.
+  products: {
+    path: 'products',
+    model: Product,
+    params: { status: 'any' },
+    map: (product, shopId) => ({
+      shop: shopId,
+      shopifyId: String(product.id),
+      title: product.name,
+      status: PRODUCT_STATUSES[product.status] || product.status,
+      productType: product.type,
+      tags: (product.tags || []).map((tag) => tag.name).filter(Boolean),
+      variants: [
+        {
+          shopifyId: String(product.id),
+          title: product.name,
+          sku: blankToUndefined(product.sku),
+          price: toNumber(product.price),
+          inventoryQuantity: product.stock_quantity ?? undefined,
+        },
+      ],
+      shopifyCreatedAt: gmtDate(product.date_created_gmt),
+      shopifyUpdatedAt: gmtDate(product.date_modified_gmt),
+    }),
+  },
+};
+
+// X-WC-Webhook-Topic looks like "order.updated"; it is stored in the canonical "orders/update" form.
+const WEBHOOK_ACTIONS = { created: 'create', updated: 'update', deleted: 'delete', restored: 'update' };
+
+const normalizeWebhookTopic = (wcTopic) => {
+  const [resource, event] = String(wcTopic || '').toLowerCase().split('.');
+  if (!resource || !event) return null;
+  return `${resource}s/${WEBHOOK_ACTIONS[event] || event}`;
+};
+
+const handleWebhook = async (topic, payload, shop) => {
+  const [resource, action] = topic.toLowerCase().split('/');
+  const config = resources[resource];
+  if (!config) return { handled: false };
+
+  const type = resource.slice(0, -1);
+  if (action === 'delete') {
+    const deleted = await markDeleted(config.model, shop._id, String(payload.id));
+    return { handled: true, type, deleted };
+  }
+  const written = await upsertDocuments(config.model, [config.map(payload, shop._id)]);
+  return { handled: true, type, stale: written === 0 };
+};
+
+module.exports = {
+  platform: 'woocommerce',
+  label: 'WooCommerce',
+  domainHint: 'Use the public https hostname of the store, e.g. "shop.example.com"; IP addresses are not accepted.',
+  resources,
+  defaultResources: DEFAULT_RESOURCES,
+  strategies: ['rest'],
+  strategyFor: () => 'rest',
+  normalizeDomain,
+  verifyCredentials,
+  sinceParams: (since) => ({ modified_after: since.toISOString(), dates_are_gmt: true }),
+  updatedAtOf: (record) => gmtDate(record.date_modified_gmt),
+  countResource,
+  iteratePages,
+  // Same scheme as Shopify: base64 HMAC-SHA256 of the raw body, keyed with the secret set on the webhook.
+  verifyWebhook: (rawBody, headers, shop) =>
+    verifyWebhookHmac(rawBody, headers['x-wc-webhook-signature'], decryptSecret(shop.webhookSharedSecret)),
+  normalizeWebhookTopic,
+  handleWebhook,
+  // Webhooks are created in WooCommerce > Settings > Advanced > Webhooks, pointing at /api/webhooks/woocommerce.
+  ensureWebhooks: async () => ({ skipped: 'WooCommerce webhooks are configured in the store admin' }),
+};
@@ -0,0 +1,80 @@
+// Minimal RFC 4180 CSV reading and writing: quoted fields, doubled quotes, and newlines inside quotes.
+
+// Returns an array of rows, each an array of raw string fields. A leading UTF-8 BOM is dropped.
+const parseCsvRows = (text) => {
+  const input = String(text || '').replace(/^\uFEFF/, '');
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+
+  for (let i = 0; i < input.length; i += 1) {
+    const char = input[i];
+    if (inQuotes) {
+      if (char === '"' && input[i + 1] === '"') {
+        field += '"';
+        i += 1;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') i += 1;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  if (inQuotes) {
+    throw new Error('CSV ends inside a quoted field');
+  }
+  if (field || row.length) {
+    row.push(field);
+    rows.push(row);
+  }
+  return rows;
+};
+
+// Rows as objects keyed by the trimmed header names. `row` is the spreadsheet row number (the header is
+// row 1), which is what error reports point at. Blank rows are skipped.
+const parseCsv = (text) => {
+  const [header, ...rows] = parseCsvRows(text);
+  if (!header) return { columns: [], records: [] };
+
+  const columns = header.map((name) => name.trim());
+  const records = [];
+  rows.forEach((fields, index) => {
+    if (fields.every((value) => !value.trim())) return;
+    const values = Object.fromEntries(columns.map((column, i) => [column, (fields[i] || '').trim()]));
+    records.push({ row: index + 2, values });
+  });
+  return { columns, records };
+};
+
+// Text cells starting with these are treated as formulas by spreadsheet apps.
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+const formatCell = (value) => {
+  if (value === null || value === undefined) return '';
+  if (value instanceof Date) return value.toISOString();
+  if (typeof value !== 'string') return String(value);
+  const text = FORMULA_PREFIX.test(value) ? `'${value}` : value;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// One CSV line (with trailing CRLF) for a list of values. Dates are written as ISO strings.
+const toCsvRow = (values) => `${values.map(formatCell).join(',')}\r\n`;
+
+module.exports = {
+  parseCsv,
+  toCsvRow,
+};
@@ -0,0 +1,227 @@
+const { ParquetSchema, ParquetWriter } = require('@dsnp/parquetjs');
+const Customer = require('../models/Customer');
+const Event = require('../models/Event');
+const Order = require('../models/Order');
+const Product = require('../models/Product');
+const { toCsvRow } = require('./csv');
+
+// Raw extracts streamed straight from a Mongo cursor. Every format gets the same flat rows: orders are
+// one row per line item and products one row per variant, with the parent's columns repeated and
+// sub-documents (customer) spread into prefixed columns.
+
+const column = (name, type, get) => ({ name, type, get });
+
+const joinTags = (tags) => (tags?.length ? tags.join(', ') : null);
+
+const RESOURCES = {
+  orders: {
+    model: Order,
+    dateField: 'processedAt',
+    children: (order) => order.lineItems,
+    columns: [
+      column('order_id', 'UTF8', (o) => o.shopifyId),
+      column('name', 'UTF8', (o) => o.name),
+      column('email', 'UTF8', (o) => o.email),
+      column('currency', 'UTF8', (o) => o.currency),
+      column('total_price', 'DOUBLE', (o) => o.totalPrice),
+      column('subtotal_price', 'DOUBLE', (o) => o.subtotalPrice),
+      column('total_discounts', 'DOUBLE', (o) => o.totalDiscounts),
+      column('financial_status', 'UTF8', (o) => o.financialStatus),
+      column('fulfillment_status', 'UTF8', (o) => o.fulfillmentStatus),
+      column('processed_at', 'TIMESTAMP_MILLIS', (o) => o.processedAt),
+      column('tags', 'UTF8', (o) => joinTags(o.tags)),
+      column('customer_id', 'UTF8', (o) => o.customer?.id),
+      column('customer_email', 'UTF8', (o) => o.customer?.email),
+      column('customer_first_name', 'UTF8', (o) => o.customer?.firstName),
+      column('customer_last_name', 'UTF8', (o) => o.customer?.lastName),
+      column('line_item_id', 'UTF8', (o, li) => li?.shopifyId),
+      column('line_item_product_id', 'UTF8', (o, li) => li?.productId),
+      column('line_item_variant_id', 'UTF8', (o, li) => li?.variantId),
+      column('line_item_name', 'UTF8', (o, li) => li?.name),
+      column('line_item_quantity', 'INT64', (o, li) => li?.quantity),
+      column('line_item_price', 'DOUBLE', (o, li) => li?.price),
+      column('created_at', 'TIMESTAMP_MILLIS', (o) => o.shopifyCreatedAt),
+      column('updated_at', 'TIMESTAMP_MILLIS', (o) => o.shopifyUpdatedAt),
+    ],
+  },
+  customers: {
+    model: Customer,
+    dateField: 'shopifyCreatedAt',
+    columns: [
+      column('customer_id', 'UTF8', (c) => c.shopifyId),
+      column('email', 'UTF8', (c) => c.email),
+      column('phone', 'UTF8', (c) => c.phone),
+      column('first_name', 'UTF8', (c) => c.firstName),
+      column('last_name', 'UTF8', (c) => c.lastName),
+      column('tags', 'UTF8', (c) => joinTags(c.tags)),
+      column('total_spent', 'DOUBLE', (c) => c.totalSpent),
+      column('state', 'UTF8', (c) => c.state),
+      column('country', 'UTF8', (c) => c.country),
+      column('marketing_opt_in_level', 'UTF8', (c) => c.marketingOptInLevel),
+      column('predicted_clv_12m', 'DOUBLE', (c) => c.clv?.predicted12m),
+      column('expected_orders_12m', 'DOUBLE', (c) => c.clv?.expectedOrders12m),
+      column('churn_probability', 'DOUBLE', (c) => c.clv?.churnProbability),
+      column('clv_scored_at', 'TIMESTAMP_MILLIS', (c) => c.clv?.scoredAt),
+      column('created_at', 'TIMESTAMP_MILLIS', (c) => c.shopifyCreatedAt),
+      column('updated_at', 'TIMESTAMP_MILLIS', (c) => c.shopifyUpdatedAt),
+    ],
+  },
+  products: {
+    model: Product,
+    dateField: 'shopifyCreatedAt',
+    children: (product) => product.variants,
+    columns: [
+      column('product_id', 'UTF8', (p) => p.shopifyId),
+      column('title', 'UTF8', (p) => p.title),
+      column('status', 'UTF8', (p) => p.status),
+      column('product_type', 'UTF8', (p) => p.productType),
+      column('vendor', 'UTF8', (p) => p.vendor),
+      column('tags', 'UTF8', (p) => joinTags(p.tags)),
+      column('variant_id', 'UTF8', (p, v) => v?.shopifyId),
+      column('variant_title', 'UTF8', (p, v) => v?.title),
+      column('variant_sku', 'UTF8', (p, v) => v?.sku),
+      column('variant_price', 'DOUBLE', (p, v) => v?.price),
+      column('variant_inventory_quantity', 'INT64', (p, v) => v?.inventoryQuantity),
+      column('created_at', 'TIMESTAMP_MILLIS', (p) => p.shopifyCreatedAt),
+      column('updated_at', 'TIMESTAMP_MILLIS', (p) => p.shopifyUpdatedAt),
+    ],
+  },
+  // Events have no soft delete and a free-form payload, which is exported as a JSON string.
+  events: {
+    model: Event,
+    dateField: 'receivedAt',
+    softDelete: false,
+    columns: [
+      column('event_id', 'UTF8', (e) => String(e._id)),
+      column('topic', 'UTF8', (e) => e.topic),
+      column('webhook_id', 'UTF8', (e) => e.webhookId),
+      column('received_at', 'TIMESTAMP_MILLIS', (e) => e.receivedAt),
+      column('payload', 'UTF8', (e) => (e.payload === undefined ? null : JSON.stringify(e.payload))),
+    ],
+  },
+};
+
+const EXPORT_RESOURCES = Object.keys(RESOURCES);
+
+const EXPORT_FORMATS = {
+  csv: { contentType: 'text/csv; charset=utf-8', extension: 'csv' },
+  jsonl: { contentType: 'application/x-ndjson; charset=utf-8', extension: 'jsonl' },
+  parquet: { contentType: 'application/vnd.apache.parquet', extension: 'parquet' },
+};
+
+// Resolves once the stream can take more data, or once the client has gone away.
+const drained = (stream) =>
+  new Promise((resolve) => {
+    const done = () => {
+      stream.off('drain', done);
+      stream.off('close', done);
+      resolve();
+    };
+    stream.on('drain', done);
+    stream.on('close', done);
+  });
+
+const lineWriter = (out, serialize) => ({
+  write: async (row) => {
+    if (!out.write(serialize(row))) await drained(out);
+  },
+  close: async () => out.end(),
+});
+
+const openWriter = async (format, columns, out) => {
+  if (format === 'csv') {
+    out.write(toCsvRow(columns.map((c) => c.name)));
+    return lineWriter(out, (row) => toCsvRow(columns.map((c) => row[c.name])));
+  }
+  if (format === 'jsonl') {
+    return lineWriter(out, (row) => `${JSON.stringify(row)}\n`);
+  }
+
+  const schema = new ParquetSchema(
+    Object.fromEntries(columns.map((c) => [c.name, { type: c.type, optional: true }]))
+  );
+  // Row groups are buffered in memory and flushed every rowGroupSize rows; close() writes the footer
+  // and ends the stream.
+  const writer = await ParquetWriter.openStream(schema, out);
+  return {
+    write: (row) =>
+      writer.appendRow(Object.fromEntries(Object.entries(row).filter(([, value]) => value !== null))),
+    close: () => writer.close(),
+  };
+};
+
+const toRow = (columns, doc, child) => {
+  const row = {};
+  columns.forEach((c) => {
+    const value = c.get(doc, child);
+    row[c.name] = value === undefined ? null : value;
+  });
+  return row;
+};
+
+// Date-only `end` values include that whole day.
+const dateFilter = (start, end) => {
+  const filter = {};
+  if (start) filter.$gte = new Date(start);
+  if (end) {
+    const endDate = new Date(end);
+    if (/^\d{4}-\d{2}-\d{2}$/.test(end)) {
+      endDate.setUTCDate(endDate.getUTCDate() + 1);
+      filter.$lt = endDate;
+    } else {
+      filter.$lte = endDate;
+    }
+  }
+  return Object.keys(filter).length ? filter : null;
+};
+
+const exportFileName = (shop, resource, format) =>
+  `${shop.shopDomain}-${resource}-${new Date().toISOString().slice(0, 10)}.${EXPORT_FORMATS[format].extension}`;
+
+// Writes the shop's records to `out` (usually the HTTP response) and ends it. Returns the row count.
+const writeExport = async (shop, { resource, format, start, end }, out) => {
+  const config = RESOURCES[resource];
+  const filter = { shop: shop._id };
+  if (config.softDelete !== false) filter.deletedAt = null;
+  const range = dateFilter(start, end);
+  if (range) filter[config.dateField] = range;
+
+  const writer = await openWriter(format, config.columns, out);
+  const cursor = config.model.find(filter).sort({ [config.dateField]: 1, _id: 1 }).lean().cursor();
+  let rows = 0;
+  try {
+    for await (const doc of cursor) {
+      if (out.destroyed) break;
+      const children = config.children?.(doc);
+      for (const child of children?.length ? children : [null]) {
+        await writer.write(toRow(config.columns, doc, child));
+        rows += 1;
+      }
+    }
+  } finally {
+    await cursor.close();
+  }
+  if (!out.destroyed) await writer.close();
+  return rows;
+};
+
+// Same output for any array or (async) iterable of records, such as a cursor over segment members.
+const writeRows = async (format, columns, docs, out) => {
+  const writer = await openWriter(format, columns, out);
+  let rows = 0;
+  for await (const doc of docs) {
+    if (out.destroyed) break;
+    await writer.write(toRow(columns, doc));
+    rows += 1;
+  }
+  if (!out.destroyed) await writer.close();
+  return rows;
+};
+
+module.exports = {
+  EXPORT_FORMATS,
+  EXPORT_RESOURCES,
+  exportFileName,
+  writeExport,
+  writeRows,
+};
@@ -0,0 +1,281 @@
+const Customer = require('../models/Customer');
+const Order = require('../models/Order');
+const { connectorForShop } = require('./connectors');
+const { parseCsv } = require('./csv');
+const { upsertDocuments } = require('./syncEngine');
+
+// Historical orders/customers uploaded as a file: CSV in Shopify's admin export format, or JSONL with one
+// API-shaped record per line (mapped with the shop's connector, like a sync page).
+
+const IMPORT_RESOURCES = ['orders', 'customers'];
+const IMPORT_FORMATS = ['csv', 'jsonl'];
+const MAX_ROWS = Number(process.env.IMPORT_MAX_ROWS) || 50000;
+const MAX_REPORTED_ERRORS = 500;
+const PREVIEW_SIZE = 20;
+const BATCH_SIZE = 500;
+
+const MODELS = { orders: Order, customers: Customer };
+
+const importError = (message) => {
+  const error = new Error(message);
+  error.status = 400;
+  return error;
+};
+
+const blank = (value) => (value === '' || value === undefined ? undefined : value);
+
+// Spreadsheet-safe exports prefix ids with an apostrophe ("'123") so they aren't turned into numbers.
+const exportId = (value) => blank(String(value || '').replace(/^'/, ''));
+
+// Key for customers known only by email. CSV orders use it too, so they join the customers imported beside them.
+const importCustomerId = (email) => `import:${email.toLowerCase()}`;
+
+const toNumber = (value) => (blank(value) === undefined ? undefined : Number(value));
+
+const toDate = (value) => (blank(value) === undefined ? undefined : new Date(value));
+
+const splitTags = (value) =>
+  String(value || '')
+    .split(',')
+    .map((tag) => tag.trim())
+    .filter(Boolean);
+
+const splitName = (value) => {
+  const [first, ...rest] = String(value || '').trim().split(/\s+/);
+  return { firstName: blank(first), lastName: blank(rest.join(' ')) };
+};
+
+// Per-cell checks so errors point at the exact row and column rather than the mapped field.
+const checkColumns = (entry, { numbers = [], dates = [] }, errors) => {
+  const before = errors.length;
+  numbers.forEach((column) => {
+    const value = entry.values[column];
+    if (blank(value) !== undefined && Number.isNaN(Number(value))) {
+      errors.push({ row: entry.row, field: column, message: `"${value}" is not a number` });
+    }
+  });
+  dates.forEach((column) => {
+    const value = entry.values[column];
+    if (blank(value) !== undefined && Number.isNaN(new Date(value).getTime())) {
+      errors.push({ row: entry.row, field: column, message: `"${value}" is not a date` });
+    }
+  });
+  return errors.length === before;
+};
+
+// Schema-level validation (casts, required fields) on the mapped document.
+const schemaErrors = (Model, doc, row) => {
+  const result = new Model(doc).validateSync();
+  return result
+    ? Object.values(result.errors).map((err) => ({ row, field: err.path, message: err.message }))
+    : [];
+};
+
+const ORDER_COLUMNS = {
+  numbers: ['Subtotal', 'Total', 'Discount Amount', 'Lineitem quantity', 'Lineitem price'],
+  dates: ['Created at', 'Paid at'],
+};
+
+// Shopify's order export has one row per line item; order-level columns are only filled on the first.
+const orderFromCsv = (entries, shopId) => {
+  const values = entries[0].values;
+  const shopifyId = exportId(values.Id) || `import:${values.Name}`;
+  const email = blank(values.Email);
+  const createdAt = toDate(values['Created at']);
+  return {
+    shop: shopId,
+    shopifyId,
+    name: values.Name,
+    email,
+    currency: blank(values.Currency),
+    totalPrice: toNumber(values.Total),
+    subtotalPrice: toNumber(values.Subtotal),
+    totalDiscounts: toNumber(values['Discount Amount']),
+    financialStatus: blank(values['Financial Status']),
+    fulfillmentStatus: blank(values['Fulfillment Status']),
+    processedAt: toDate(values['Paid at']) || createdAt,
+    tags: splitTags(values.Tags),
+    customer: email ? { id: importCustomerId(email), email, ...splitName(values['Billing Name']) } : undefined,
+    lineItems: entries
+      .filter((entry) => blank(entry.values['Lineitem name']))
+      .map((entry, index) => ({
+        shopifyId: `${shopifyId}:${index + 1}`,
+        name: entry.values['Lineitem name'],
+        quantity: toNumber(entry.values['Lineitem quantity']),
+        price: toNumber(entry.values['Lineitem price']),
+      })),
+    shopifyCreatedAt: createdAt,
+    // Exports have no update time. Using the creation time means an order already synced from the API
+    // (updated at or after it was created) is left alone instead of being overwritten by the export.
+    shopifyUpdatedAt: createdAt,
+  };
+};
+
+const csvOrders = (records, shopId, errors) => {
+  const groups = new Map();
+  records.forEach((entry) => {
+    if (!blank(entry.values.Name)) {
+      errors.push({ row: entry.row, field: 'Name', message: 'Name is required' });
+      return;
+    }
+    if (!groups.has(entry.values.Name)) groups.set(entry.values.Name, []);
+    groups.get(entry.values.Name).push(entry);
+  });
+
+  // One bad line item rejects the whole order so it is never imported with rows missing.
+  const items = [];
+  groups.forEach((entries) => {
+    const valid = entries.map((entry) => checkColumns(entry, ORDER_COLUMNS, errors)).every(Boolean);
+    if (valid) items.push({ row: entries[0].row, doc: orderFromCsv(entries, shopId) });
+  });
+  return items;
+};
+
+const CUSTOMER_COLUMNS = { numbers: ['Total Spent'], dates: [] };
+
+// Older exports have no Customer ID column; those rows are keyed by email.
+const customerFromCsv = (values, shopId) => {
+  const email = blank(values.Email);
+  return {
+    shop: shopId,
+    shopifyId: exportId(values['Customer ID']) || importCustomerId(email),
+    email,
+    phone: blank(values.Phone) || blank(values['Default Address Phone']),
+    firstName: blank(values['First Name']),
+    lastName: blank(values['Last Name']),
+    tags: splitTags(values.Tags),
+    totalSpent: toNumber(values['Total Spent']),
+    country: blank(values['Default Address Country Code']) || blank(values['Country Code']),
+  };
+};
+
+const csvCustomers = (records, shopId, errors) =>
+  records
+    .filter((entry) => {
+      const { values } = entry;
+      if (!blank(values.Email) && !exportId(values['Customer ID'])) {
+        errors.push({ row: entry.row, field: 'Email', message: 'Email or Customer ID is required' });
+        return false;
+      }
+      if (blank(values.Email) && !values.Email.includes('@')) {
+        errors.push({ row: entry.row, field: 'Email', message: `"${values.Email}" is not an email address` });
+        return false;
+      }
+      return checkColumns(entry, CUSTOMER_COLUMNS, errors);
+    })
+    .map((entry) => ({ row: entry.row, doc: customerFromCsv(entry.values, shopId) }));
+
+const REQUIRED_CSV_COLUMNS = { orders: [['Name']], customers: [['Email', 'Customer ID']] };
+
+const parseCsvItems = (resource, text, shopId, errors) => {
+  let parsed;
+  try {
+    parsed = parseCsv(text);
+  } catch (err) {
+    throw importError(`Could not parse CSV: ${err.message}`);
+  }
+
+  // Each entry lists alternatives, any one of which satisfies it.
+  const missing = REQUIRED_CSV_COLUMNS[resource].filter((options) => !options.some((c) => parsed.columns.includes(c)));
+  if (missing.length) {
+    const expected = missing.map((options) => options.join(' or ')).join(', ');
+    throw importError(`CSV is missing the ${expected} column. Upload the file exported from Shopify admin.`);
+  }
+  if (parsed.records.length > MAX_ROWS) {
+    throw importError(`CSV has ${parsed.records.length} rows; split it into files of at most ${MAX_ROWS}.`);
+  }
+
+  const items =
+    resource === 'orders'
+      ? csvOrders(parsed.records, shopId, errors)
+      : csvCustomers(parsed.records, shopId, errors);
+  return { rows: parsed.records.length, items };
+};
+
+const parseJsonlItems = (resource, text, shop, errors) => {
+  const config = connectorForShop(shop).resources[resource];
+  const lines = String(text).split(/\r?\n/);
+  const items = [];
+  let rows = 0;
+
+  lines.forEach((line, index) => {
+    if (!line.trim()) return;
+    rows += 1;
+    const row = index + 1;
+    let record;
+    try {
+      record = JSON.parse(line);
+    } catch (err) {
+      errors.push({ row, message: `Invalid JSON: ${err.message}` });
+      return;
+    }
+    if (!record || typeof record !== 'object' || Array.isArray(record) || record.id == null) {
+      errors.push({ row, field: 'id', message: 'Each line must be a JSON object with an id' });
+      return;
+    }
+    try {
+      items.push({ row, doc: config.map(record, shop._id) });
+    } catch (err) {
+      errors.push({ row, message: `Could not map record: ${err.message}` });
+    }
+  });
+
+  if (rows > MAX_ROWS) {
+    throw importError(`JSONL has ${rows} lines; split it into files of at most ${MAX_ROWS}.`);
+  }
+  return { rows, items };
+};
+
+// Validates every row and, unless dryRun, upserts the valid ones. Invalid rows are reported, not fatal;
+// only an unreadable file (bad CSV, missing columns, too many rows) throws.
+const importRecords = async (shop, { resource, format, text, dryRun = false }) => {
+  if (!IMPORT_RESOURCES.includes(resource)) {
+    throw importError(`resource must be one of: ${IMPORT_RESOURCES.join(', ')}`);
+  }
+  if (!IMPORT_FORMATS.includes(format)) {
+    throw importError(`format must be one of: ${IMPORT_FORMATS.join(', ')}`);
+  }
+
+  const Model = MODELS[resource];
+  const errors = [];
+  const { rows, items } =
+    format === 'csv'
+      ? parseCsvItems(resource, text, shop._id, errors)
+      : parseJsonlItems(resource, text, shop, errors);
+
+  const docs = items
+    .filter(({ row, doc }) => {
+      const invalid = schemaErrors(Model, doc, row);
+      errors.push(...invalid);
+      return invalid.length === 0;
+    })
+    .map(({ doc }) => doc);
+
+  let imported = 0;
+  if (!dryRun) {
+    for (let i = 0; i < docs.length; i += BATCH_SIZE) {
+      imported += await upsertDocuments(Model, docs.slice(i, i + BATCH_SIZE));
+    }
+  }
+
+  errors.sort((a, b) => a.row - b.row);
+  return {
+    resource,
+    format,
+    dryRun,
+    rows,
+    valid: docs.length,
+    imported,
+    // Valid records that weren't written because a newer version is already stored.
+    skipped: dryRun ? 0 : docs.length - imported,
+    errorCount: errors.length,
+    errors: errors.slice(0, MAX_REPORTED_ERRORS),
+    preview: docs.slice(0, PREVIEW_SIZE),
+  };
+};
+
+module.exports = {
+  IMPORT_FORMATS,
+  IMPORT_RESOURCES,
+  importRecords,
+};
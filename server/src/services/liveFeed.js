@@ -0,0 +1,63 @@
+const { EventEmitter } = require('events');
+
+// In-process fan-out of shop activity to open dashboard streams (GET /api/shops/:id/stream). Only writes
+// made by this process are seen, which covers the default setup where the API also runs the sync worker.
+
+const bus = new EventEmitter();
+// One listener per open stream; many tabs on the same shop are expected.
+bus.setMaxListeners(0);
+
+const channel = (shopId) => `shop:${shopId}`;
+
+const publishLive = (shopId, type, data) => {
+  if (!shopId || !bus.listenerCount(channel(shopId))) return;
+  bus.emit(channel(shopId), type, data);
+};
+
+// Returns the unsubscribe function.
+const subscribeLive = (shopId, listener) => {
+  bus.on(channel(shopId), listener);
+  return () => bus.off(channel(shopId), listener);
+};
+
+// Just what the recent orders table shows; a sync page can carry hundreds of orders.
+const orderSummary = (order) => ({
+  shopifyId: order.shopifyId,
+  name: order.name,
+  email: order.email,
+  customer: order.customer,
+  currency: order.currency,
+  totalPrice: order.totalPrice,
+  financialStatus: order.financialStatus,
+  processedAt: order.processedAt,
+});
+
+// Reports a batch of upserted documents. Every collection sends counts so totals can be refreshed; orders
+// also carry their rows.
+const publishUpserts = (Model, docs, { created, updated }) => {
+  if (!created.length && !updated.length) return;
+  const collection = Model.collection.collectionName;
+  const byShop = new Map();
+  const add = (kind) => (index) => {
+    const shopId = String(docs[index].shop);
+    if (!byShop.has(shopId)) byShop.set(shopId, { created: [], updated: [] });
+    byShop.get(shopId)[kind].push(docs[index]);
+  };
+  created.forEach(add('created'));
+  updated.forEach(add('updated'));
+
+  byShop.forEach((written, shopId) => {
+    publishLive(shopId, 'records', {
+      collection,
+      created: written.created.length,
+      updated: written.updated.length,
+      ...(collection === 'orders' ? { orders: [...written.created, ...written.updated].map(orderSummary) } : {}),
+    });
+  });
+};
+
+module.exports = {
+  publishLive,
+  publishUpserts,
+  subscribeLive,
+};
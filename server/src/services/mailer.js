@@ -0,0 +1,34 @@
+const fs = require('fs');
+const path = require('path');
+
+// Transports take a message { to, subject, text } and deliver it somewhere. Register real providers
+// (SMTP, SES, Postmark...) with registerTransport and select them with MAIL_TRANSPORT.
+const transports = {
+  console: async (message) => {
+    console.log(`[mail] to=${message.to} subject="${message.subject}"\n${message.text}`);
+  },
+  file: async (message) => {
+    const filePath = path.resolve(process.env.MAIL_FILE_PATH || 'tmp/mail.log');
+    await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+    const entry = JSON.stringify({ ...message, sentAt: new Date().toISOString() });
+    await fs.promises.appendFile(filePath, `${entry}\n`);
+  },
+};
+
+const registerTransport = (name, send) => {
+  transports[name] = send;
+};
+
+const sendMail = async (message) => {
+  const name = process.env.MAIL_TRANSPORT || 'console';
+  const send = transports[name];
+  if (!send) {
+    throw new Error(`Unknown MAIL_TRANSPORT "${name}". Available: ${Object.keys(transports).join(', ')}.`);
+  }
+  await send({ from: process.env.MAIL_FROM || 'no-reply@localhost', ...message });
+};
+
+module.exports = {
+  registerTransport,
+  sendMail,
+};
@@ -0,0 +1,170 @@
+const Order = require('../models/Order');
+const Product = require('../models/Product');
+
+// Frequently-bought-together pairs from order line items. Each live order in the window is a basket of
+// the distinct products on it; for products A and B:
+//   support    = baskets with both / all baskets
+//   confidence = baskets with both / baskets with A (A -> B), and the same for B -> A
+//   lift       = support / (support(A) x support(B)); above 1 means they sell together more than chance.
+// Counting runs in one aggregation that uses the { shop, processedAt } index.
+
+const DEFAULT_MIN_SUPPORT = 0.01;
+const DEFAULT_MIN_COUNT = 2;
+// Wholesale-sized baskets would add thousands of pairs each and say little about bundles.
+const MAX_BASKET_PRODUCTS = 50;
+// Pairs are ranked by count in Mongo and only this many are scored.
+const MAX_PAIRS = 2000;
+const BASKET_SORTS = ['lift', 'support', 'confidence'];
+
+const round = (value) => Number(value.toFixed(4));
+
+const basketStages = (shopId, start, end) => [
+  { $match: { shop: shopId, deletedAt: null, processedAt: { $gte: start, $lte: end } } },
+  {
+    $project: {
+      products: {
+        $setUnion: [{ $filter: { input: '$lineItems.productId', cond: { $gt: ['$$this', null] } } }, []],
+      },
+    },
+  },
+  { $match: { 'products.0': { $exists: true }, [`products.${MAX_BASKET_PRODUCTS}`]: { $exists: false } } },
+];
+
+// `productId` narrows the pairs to those that include it.
+const countPairs = async (shopId, { start, end, minCount, productId }) => {
+  const pairStages = [
+    { $match: { 'products.1': { $exists: true }, ...(productId ? { products: productId } : {}) } },
+    { $project: { a: '$products', b: '$products' } },
+    { $unwind: '$a' },
+    ...(productId ? [{ $match: { a: productId } }] : []),
+    { $unwind: '$b' },
+    { $match: { $expr: { $ne: ['$a', '$b'] } } },
+    // Without a focus product each pair would appear twice, once per order of the two ids.
+    ...(productId ? [] : [{ $match: { $expr: { $lt: ['$a', '$b'] } } }]),
+    { $group: { _id: { a: '$a', b: '$b' }, count: { $sum: 1 } } },
+    { $match: { count: { $gte: minCount } } },
+    { $sort: { count: -1, _id: 1 } },
+    { $limit: MAX_PAIRS },
+  ];
+
+  const [result] = await Order.aggregate([
+    ...basketStages(shopId, start, end),
+    {
+      $facet: {
+        baskets: [{ $count: 'count' }],
+        products: [{ $unwind: '$products' }, { $group: { _id: '$products', count: { $sum: 1 } } }],
+        pairs: pairStages,
+      },
+    },
+  ]);
+  return {
+    baskets: result.baskets[0]?.count || 0,
+    productCounts: new Map(result.products.map((entry) => [entry._id, entry.count])),
+    pairs: result.pairs.map((entry) => ({ a: entry._id.a, b: entry._id.b, count: entry.count })),
+  };
+};
+
+const productTitles = async (shopId, productIds) => {
+  const products = await Product.find({ shop: shopId, shopifyId: { $in: [...productIds] } })
+    .select('shopifyId title vendor productType')
+    .lean();
+  return new Map(products.map((product) => [product.shopifyId, product]));
+};
+
+const describeProduct = (titles, productId) => {
+  const product = titles.get(productId);
+  return {
+    productId,
+    title: product?.title || null,
+    vendor: product?.vendor ?? null,
+    productType: product?.productType ?? null,
+  };
+};
+
+const score = ({ count, a, b }, baskets, productCounts) => {
+  const countA = productCounts.get(a);
+  const countB = productCounts.get(b);
+  return {
+    count,
+    support: round(count / baskets),
+    confidenceAB: round(count / countA),
+    confidenceBA: round(count / countB),
+    lift: round((count * baskets) / (countA * countB)),
+  };
+};
+
+const minimumCount = (baskets, minSupport, minCount) => Math.max(minCount, Math.ceil(minSupport * baskets));
+
+// Pairs that clear both minimums, best first by `sort`.
+const findProductPairs = async (
+  shopId,
+  { start, end, minSupport = DEFAULT_MIN_SUPPORT, minCount = DEFAULT_MIN_COUNT, sort = 'lift', limit = 50 }
+) => {
+  const counts = await countPairs(shopId, { start, end, minCount });
+  const threshold = minimumCount(counts.baskets, minSupport, minCount);
+  const pairs = counts.pairs
+    .filter((pair) => pair.count >= threshold)
+    .map((pair) => ({ ...pair, ...score(pair, counts.baskets, counts.productCounts) }));
+
+  const sortValue = (pair) => (sort === 'confidence' ? Math.max(pair.confidenceAB, pair.confidenceBA) : pair[sort]);
+  pairs.sort((x, y) => sortValue(y) - sortValue(x) || y.count - x.count);
+
+  const top = pairs.slice(0, limit);
+  const titles = await productTitles(shopId, new Set(top.flatMap((pair) => [pair.a, pair.b])));
+  return {
+    range: { start, end },
+    baskets: counts.baskets,
+    minSupport,
+    minCount: threshold,
+    totalPairs: pairs.length,
+    pairs: top.map(({ a, b, ...metrics }) => ({
+      a: describeProduct(titles, a),
+      b: describeProduct(titles, b),
+      ...metrics,
+    })),
+  };
+};
+
+// What else is in the baskets that contain `productId`. Confidence is P(other | this product).
+const findBoughtWith = async (
+  shopId,
+  productId,
+  { start, end, minSupport = DEFAULT_MIN_SUPPORT, minCount = DEFAULT_MIN_COUNT, limit = 20 }
+) => {
+  const counts = await countPairs(shopId, { start, end, minCount, productId });
+  const threshold = minimumCount(counts.baskets, minSupport, minCount);
+  const related = counts.pairs
+    .filter((pair) => pair.count >= threshold)
+    .map((pair) => {
+      const { count, support, confidenceAB, lift } = score(pair, counts.baskets, counts.productCounts);
+      return { productId: pair.b, count, support, confidence: confidenceAB, lift };
+    })
+    .sort((x, y) => y.lift - x.lift || y.count - x.count)
+    .slice(0, limit);
+
+  const titles = await productTitles(shopId, new Set([productId, ...related.map((entry) => entry.productId)]));
+  const orders = counts.productCounts.get(productId) || 0;
+  return {
+    range: { start, end },
+    baskets: counts.baskets,
+    minSupport,
+    minCount: threshold,
+    product: {
+      ...describeProduct(titles, productId),
+      orders,
+      support: counts.baskets ? round(orders / counts.baskets) : 0,
+    },
+    boughtWith: related.map(({ productId: otherId, ...metrics }) => ({
+      ...describeProduct(titles, otherId),
+      ...metrics,
+    })),
+  };
+};
+
+module.exports = {
+  BASKET_SORTS,
+  DEFAULT_MIN_COUNT,
+  DEFAULT_MIN_SUPPORT,
+  findBoughtWith,
+  findProductPairs,
+};
@@ -0,0 +1,222 @@
+const axios = require('axios');
+const crypto = require('crypto');
+const OutboundDelivery = require('../models/OutboundDelivery');
+const OutboundSubscription = require('../models/OutboundSubscription');
+const Shop = require('../models/Shop');
+const { assertPublicHost, publicLookup } = require('./publicAddress');
+const { decryptSecret } = require('./tokenCrypto');
+
+// Fans ingestion events out to the shop's outbound subscriptions. Publishing only queues a delivery per
+// matching subscription; the worker below sends them and retries failures with backoff. Delivery is
+// at-least-once, so receivers should dedupe on X-Xeno-Event-Id. Receivers must be on public addresses; that is
+// checked when a subscription is saved and again on every send, since its DNS can change in between.
+
+const POLL_INTERVAL_MS = Number(process.env.OUTBOUND_WEBHOOK_POLL_MS) || 5000;
+const MAX_ATTEMPTS = Number(process.env.OUTBOUND_WEBHOOK_MAX_ATTEMPTS) || 8;
+const REQUEST_TIMEOUT_MS = 10000;
+const CONCURRENCY = 5;
+// Up to 30s, 2m, 8m, 32m, ~2h, then 6h between attempts.
+const BASE_BACKOFF_MS = 30 * 1000;
+const MAX_BACKOFF_MS = 6 * 60 * 60 * 1000;
+// A claimed delivery becomes due again after this long, in case its worker died mid-request.
+const LEASE_MS = REQUEST_TIMEOUT_MS * 3;
+
+let workerStarted = false;
+let draining = false;
+
+const generateSecret = () => crypto.randomBytes(32).toString('hex');
+
+// Same scheme as Shopify's X-Shopify-Hmac-Sha256: base64 HMAC-SHA256 of the raw body.
+const signBody = (body, secret) => crypto.createHmac('sha256', secret).update(body).digest('base64');
+
+const topicMatches = (patterns, topic) =>
+  patterns.some((pattern) => {
+    if (pattern === '*' || pattern === topic) return true;
+    return pattern.endsWith('/*') && topic.startsWith(pattern.slice(0, -1));
+  });
+
+const backoffMs = (attempt) => {
+  const exp = Math.min(MAX_BACKOFF_MS, BASE_BACKOFF_MS * 4 ** (attempt - 1));
+  return Math.round(exp / 2 + Math.random() * (exp / 2));
+};
+
+const nudgeWorker = () => {
+  if (workerStarted) {
+    setImmediate(drainDeliveries);
+  }
+};
+
+// Queues one delivery per matching active subscription for each { topic, payload }. Never throws: the
+// data is already ingested by the time this runs, and a lost notification must not fail that.
+const publishEvents = async (shop, source, events) => {
+  if (!events.length) return 0;
+  try {
+    const subscriptions = await OutboundSubscription.find({ shop: shop._id, active: true }).lean();
+    const deliveries = events.flatMap(({ topic, payload }) => {
+      const eventId = crypto.randomUUID();
+      return subscriptions
+        .filter((subscription) => topicMatches(subscription.topics, topic))
+        .map((subscription) => ({ shop: shop._id, subscription: subscription._id, eventId, topic, source, payload }));
+    });
+    if (!deliveries.length) return 0;
+
+    await OutboundDelivery.insertMany(deliveries);
+    nudgeWorker();
+    return deliveries.length;
+  } catch (err) {
+    console.error(`Could not queue outbound webhooks for ${shop.shopDomain}`, err.message);
+    return 0;
+  }
+};
+
+const publishEvent = (shop, source, topic, payload) => publishEvents(shop, source, [{ topic, payload }]);
+
+const buildBody = (delivery, shop) =>
+  JSON.stringify({
+    id: delivery.eventId,
+    topic: delivery.topic,
+    source: delivery.source,
+    shop: { id: String(shop._id), domain: shop.shopDomain, platform: shop.platform || 'shopify' },
+    occurredAt: delivery.occurredAt,
+    data: delivery.payload ?? null,
+  });
+
+const finishDelivery = (delivery, update) => OutboundDelivery.updateOne({ _id: delivery._id }, { $set: update });
+
+const attemptDelivery = async (delivery) => {
+  const [subscription, shop] = await Promise.all([
+    OutboundSubscription.findById(delivery.subscription),
+    Shop.findById(delivery.shop),
+  ]);
+  if (!subscription || !subscription.active || !shop) {
+    const error = !shop ? 'Shop not found' : subscription ? 'Subscription is disabled' : 'Subscription was deleted';
+    return finishDelivery(delivery, { status: 'failed', error });
+  }
+
+  const body = buildBody(delivery, shop);
+  let outcome;
+  try {
+    await assertPublicHost(new URL(subscription.url).hostname);
+    const response = await axios.post(subscription.url, body, {
+      headers: {
+        'Content-Type': 'application/json',
+        'X-Xeno-Topic': delivery.topic,
+        'X-Xeno-Shop-Domain': shop.shopDomain,
+        'X-Xeno-Event-Id': delivery.eventId,
+        'X-Xeno-Delivery-Id': String(delivery._id),
+        'X-Xeno-Hmac-Sha256': signBody(body, decryptSecret(subscription.secret)),
+      },
+      timeout: REQUEST_TIMEOUT_MS,
+      // Redirects would skip the address check, and publicLookup re-checks the name as it connects.
+      maxRedirects: 0,
+      lookup: publicLookup,
+      // Only the status is kept, so the body is never read.
+      responseType: 'stream',
+      validateStatus: () => true,
+    });
+    response.data.destroy();
+    const ok = response.status >= 200 && response.status < 300;
+    outcome = {
+      ok,
+      responseStatus: response.status,
+      error: ok ? null : `Endpoint responded with HTTP ${response.status}`,
+    };
+  } catch (err) {
+    outcome = {
+      ok: false,
+      responseStatus: null,
+      error: err.code ? `${err.code}: ${err.message}` : err.message,
+    };
+  }
+
+  const { ok, ...details } = outcome;
+  if (ok) {
+    return finishDelivery(delivery, { ...details, status: 'succeeded', deliveredAt: new Date() });
+  }
+  if (delivery.attempts >= MAX_ATTEMPTS) {
+    return finishDelivery(delivery, { ...details, status: 'failed' });
+  }
+  return finishDelivery(delivery, { ...details, nextAttemptAt: new Date(Date.now() + backoffMs(delivery.attempts)) });
+};
+
+// Leases a due delivery by pushing nextAttemptAt forward, so two workers never send it at once.
+const claimNextDelivery = () => {
+  const now = new Date();
+  return OutboundDelivery.findOneAndUpdate(
+    { status: 'pending', nextAttemptAt: { $lte: now } },
+    { $set: { nextAttemptAt: new Date(now.getTime() + LEASE_MS), lastAttemptAt: now }, $inc: { attempts: 1 } },
+    { sort: { nextAttemptAt: 1 }, new: true }
+  );
+};
+
+const drainDeliveries = async () => {
+  if (draining) return;
+  draining = true;
+  try {
+    for (;;) {
+      const claimed = [];
+      for (let i = 0; i < CONCURRENCY; i += 1) {
+        const delivery = await claimNextDelivery();
+        if (!delivery) break;
+        claimed.push(delivery);
+      }
+      if (!claimed.length) break;
+      await Promise.all(
+        claimed.map((delivery) =>
+          attemptDelivery(delivery).catch((err) => {
+            console.error(`Outbound delivery ${delivery.id} errored`, err.message);
+          })
+        )
+      );
+    }
+  } catch (err) {
+    console.error('Outbound webhook worker error', err.message);
+  } finally {
+    draining = false;
+  }
+};
+
+// Sends the same event again as a new delivery; the original stays in the log as it was.
+const replayDelivery = async (delivery, replayedBy) => {
+  const subscription = await OutboundSubscription.findById(delivery.subscription);
+  if (!subscription || !subscription.active) {
+    const error = new Error(subscription ? 'Subscription is disabled' : 'Subscription was deleted');
+    error.status = 409;
+    throw error;
+  }
+
+  const replay = await OutboundDelivery.create({
+    shop: delivery.shop,
+    subscription: delivery.subscription,
+    eventId: delivery.eventId,
+    topic: delivery.topic,
+    source: delivery.source,
+    payload: delivery.payload,
+    occurredAt: delivery.occurredAt,
+    replayOf: delivery._id,
+    replayedBy,
+  });
+  nudgeWorker();
+  return replay;
+};
+
+const startOutboundWebhookWorker = () => {
+  if (process.env.ENABLE_OUTBOUND_WEBHOOK_WORKER === 'false') {
+    console.log('Outbound webhook worker disabled (ENABLE_OUTBOUND_WEBHOOK_WORKER=false)');
+    return;
+  }
+
+  console.log(`Starting outbound webhook worker (polling every ${POLL_INTERVAL_MS}ms)`);
+  workerStarted = true;
+  setInterval(drainDeliveries, POLL_INTERVAL_MS);
+  drainDeliveries();
+};
+
+module.exports = {
+  drainDeliveries,
+  generateSecret,
+  publishEvent,
+  publishEvents,
+  replayDelivery,
+  startOutboundWebhookWorker,
+};
@@ -0,0 +1,174 @@
+const AbandonedCheckout = require('../models/AbandonedCheckout');
+const ClvFit = require('../models/ClvFit');
+const Collection = require('../models/Collection');
+const Customer = require('../models/Customer');
+const Event = require('../models/Event');
+const Fulfillment = require('../models/Fulfillment');
+const InventoryLevel = require('../models/InventoryLevel');
+const Order = require('../models/Order');
+const OutboundDelivery = require('../models/OutboundDelivery');
+const OutboundSubscription = require('../models/OutboundSubscription');
+const PrivacyRequest = require('../models/PrivacyRequest');
+const Product = require('../models/Product');
+const Refund = require('../models/Refund');
+const RfmScore = require('../models/RfmScore');
+const Segment = require('../models/Segment');
+const Shop = require('../models/Shop');
+const SyncJob = require('../models/SyncJob');
+const SyncState = require('../models/SyncState');
+const WebhookDeadLetter = require('../models/WebhookDeadLetter');
+
+// Handlers for Shopify's mandatory privacy webhooks. These topics are configured on the app itself
+// (not through the webhooks API) but are delivered to the same /api/webhooks/shopify endpoint.
+
+// Raw payloads keep Shopify's numeric ids; match both forms in case one was stored as a string.
+const idVariants = (ids) => ids.flatMap((id) => [id, Number(id)]).filter((id) => id !== '' && !Number.isNaN(id));
+
+const requestFields = (shop, topic, payload) => ({
+  shop: shop._id,
+  shopDomain: shop.shopDomain,
+  topic,
+  shopifyCustomerId: payload.customer?.id ? String(payload.customer.id) : undefined,
+  ordersRequested: (payload.orders_to_redact || payload.orders_requested || []).map(String),
+});
+
+// Stored webhook payloads (events, dead letters, outbound deliveries) that mention the customer or one of the orders.
+const payloadFilter = (shop, customerId, orderIds) => {
+  const clauses = [{ 'payload.customer.id': { $in: idVariants([customerId]) } }];
+  clauses.push({ topic: /^customers\//, 'payload.id': { $in: idVariants([customerId]) } });
+  if (orderIds.length) {
+    clauses.push({ topic: /^orders\//, 'payload.id': { $in: idVariants(orderIds) } });
+  }
+  return { shop: shop._id, $or: clauses };
+};
+
+// Earlier customers/data_request reports hold a copy of the customer's data; the audit fields and counts stay.
+const clearReports = (filter) =>
+  PrivacyRequest.updateMany(
+    { ...filter, topic: 'customers/data_request', report: { $exists: true } },
+    { $unset: { report: 1 } }
+  );
+
+// customers/redact: strip personal fields but keep ids and amounts so revenue metrics stay intact.
+const redactCustomer = async (shop, payload) => {
+  const request = requestFields(shop, 'customers/redact', payload);
+  const customerId = request.shopifyCustomerId;
+  if (!customerId) {
+    throw new Error('customers/redact payload is missing customer.id');
+  }
+  const orderFilter = {
+    shop: shop._id,
+    $or: [{ 'customer.id': customerId }, { shopifyId: { $in: request.ordersRequested } }],
+  };
+
+  const checkoutFilter = {
+    shop: shop._id,
+    $or: [{ 'customer.id': customerId }, ...(payload.customer.email ? [{ email: payload.customer.email }] : [])],
+  };
+
+  const [customers, orders, checkouts, events, deadLetters, outboundDeliveries, reports, rfmScores] =
+    await Promise.all([
+      Customer.updateMany(
+        { shop: shop._id, shopifyId: customerId },
+        { $set: { redactedAt: new Date() }, $unset: { email: 1, phone: 1, firstName: 1, lastName: 1, tags: 1 } }
+      ),
+      Order.updateMany(orderFilter, {
+        $unset: { email: 1, 'customer.email': 1, 'customer.firstName': 1, 'customer.lastName': 1 },
+      }),
+      AbandonedCheckout.updateMany(checkoutFilter, {
+        $unset: {
+          email: 1,
+          abandonedCheckoutUrl: 1,
+          'customer.email': 1,
+          'customer.firstName': 1,
+          'customer.lastName': 1,
+        },
+      }),
+      Event.updateMany(payloadFilter(shop, customerId, request.ordersRequested), { $unset: { payload: 1 } }),
+      WebhookDeadLetter.deleteMany(payloadFilter(shop, customerId, request.ordersRequested)),
+      OutboundDelivery.updateMany(payloadFilter(shop, customerId, request.ordersRequested), { $unset: { payload: 1 } }),
+      clearReports({ shop: shop._id, shopifyCustomerId: customerId }),
+      // Segment member rows copy the customer's name and email; the next rescore adds back a redacted one.
+      RfmScore.deleteMany({ shop: shop._id, customerId }),
+    ]);
+
+  const affected = {
+    customers: customers.modifiedCount,
+    orders: orders.modifiedCount,
+    checkouts: checkouts.modifiedCount,
+    events: events.modifiedCount,
+    deadLetters: deadLetters.deletedCount,
+    outboundDeliveries: outboundDeliveries.modifiedCount,
+    dataRequestReports: reports.modifiedCount,
+    rfmScores: rfmScores.deletedCount,
+  };
+  await PrivacyRequest.create({ ...request, affected, completedAt: new Date() });
+  return { handled: true, type: 'privacy', affected };
+};
+
+// customers/data_request: collect what we hold so the merchant can pass it on to the customer.
+const exportCustomerData = async (shop, payload) => {
+  const request = requestFields(shop, 'customers/data_request', payload);
+  const customerId = request.shopifyCustomerId;
+  if (!customerId) {
+    throw new Error('customers/data_request payload is missing customer.id');
+  }
+
+  const [customer, orders, checkouts] = await Promise.all([
+    Customer.findOne({ shop: shop._id, shopifyId: customerId }).lean(),
+    Order.find({
+      shop: shop._id,
+      $or: [{ 'customer.id': customerId }, { shopifyId: { $in: request.ordersRequested } }],
+    }).lean(),
+    AbandonedCheckout.find({ shop: shop._id, 'customer.id': customerId }).lean(),
+  ]);
+
+  const report = { customer, orders, checkouts, generatedAt: new Date() };
+  const saved = await PrivacyRequest.create({
+    ...request,
+    report,
+    affected: { customers: customer ? 1 : 0, orders: orders.length, checkouts: checkouts.length },
+    completedAt: new Date(),
+  });
+  return { handled: true, type: 'privacy', privacyRequestId: saved._id };
+};
+
+// shop/redact arrives 48 hours after uninstall: remove everything stored for the shop, then the shop itself.
+const redactShop = async (shop) => {
+  const filter = { shop: shop._id };
+  const collections = {
+    customers: Customer,
+    orders: Order,
+    products: Product,
+    refunds: Refund,
+    fulfillments: Fulfillment,
+    inventoryLevels: InventoryLevel,
+    collections: Collection,
+    checkouts: AbandonedCheckout,
+    events: Event,
+    syncStates: SyncState,
+    syncJobs: SyncJob,
+    deadLetters: WebhookDeadLetter,
+    outboundSubscriptions: OutboundSubscription,
+    outboundDeliveries: OutboundDelivery,
+    segments: Segment,
+    clvFits: ClvFit,
+    rfmScores: RfmScore,
+  };
+  const affected = {};
+  for (const [name, Model] of Object.entries(collections)) {
+    affected[name] = (await Model.deleteMany(filter)).deletedCount;
+  }
+  affected.dataRequestReports = (await clearReports(filter)).modifiedCount;
+  await Shop.deleteOne({ _id: shop._id });
+
+  await PrivacyRequest.create({ ...requestFields(shop, 'shop/redact', {}), affected, completedAt: new Date() });
+  console.log(`shop/redact: removed all data for ${shop.shopDomain}`);
+  return { handled: true, type: 'privacy', affected };
+};
+
+module.exports = {
+  exportCustomerData,
+  redactCustomer,
+  redactShop,
+};
@@ -0,0 +1,190 @@
+const Order = require('../models/Order');
+const Product = require('../models/Product');
+
+// Sales per product, variant, vendor or product type from order line items, compared with the period of
+// the same length just before. Revenue is line price x quantity, before order-level discounts and refunds.
+// An order counts once per group however many of its lines fall in it.
+
+const PRODUCT_GROUPINGS = ['product', 'variant', 'vendor', 'productType'];
+const PRODUCT_SORTS = ['revenue', 'units', 'orders'];
+// Products that are kept off the storefront aren't expected to sell.
+const HIDDEN_STATUSES = ['archived', 'draft'];
+const NONE = '(none)';
+const MAX_UNSOLD = 100;
+
+const groupKey = (groupBy) => {
+  if (groupBy === 'variant') return { productId: '$lineItems.productId', variantId: '$lineItems.variantId' };
+  if (groupBy === 'product') return { productId: '$lineItems.productId' };
+  return { [groupBy]: { $ifNull: [`$product.${groupBy}`, NONE] } };
+};
+
+// Vendor and type live on the product, so those groupings look each line's product up.
+const productLookup = (shopId) => [
+  {
+    $lookup: {
+      from: Product.collection.collectionName,
+      let: { productId: '$lineItems.productId' },
+      pipeline: [
+        { $match: { $expr: { $and: [{ $eq: ['$shop', shopId] }, { $eq: ['$shopifyId', '$$productId'] }] } } },
+        { $project: { vendor: 1, productType: 1 } },
+      ],
+      as: 'product',
+    },
+  },
+  { $unwind: { path: '$product', preserveNullAndEmptyArrays: true } },
+];
+
+const pctChange = (current, previous) =>
+  previous ? Number((((current - previous) / previous) * 100).toFixed(2)) : null;
+const money = (value) => Number((value || 0).toFixed(2));
+
+const metrics = (entry) => ({
+  units: entry?.units || 0,
+  revenue: money(entry?.revenue),
+  orders: entry?.orders || 0,
+});
+
+const rowKey = (key) => JSON.stringify(key);
+
+const buildProductPerformance = async (
+  shopId,
+  { start, end, groupBy = 'product', sort = 'revenue', limit = 50 }
+) => {
+  const previousStart = new Date(start.getTime() - (end.getTime() - start.getTime()));
+  const match = { shop: shopId, deletedAt: null };
+  const inRange = { ...match, processedAt: { $gte: start, $lte: end } };
+
+  const [groups, products, soldVariantIds, soldProductIds, orderCount] = await Promise.all([
+    Order.aggregate([
+      { $match: { ...match, processedAt: { $gte: previousStart, $lte: end } } },
+      { $project: { processedAt: 1, lineItems: 1 } },
+      { $unwind: '$lineItems' },
+      ...(groupBy === 'vendor' || groupBy === 'productType' ? productLookup(shopId) : []),
+      {
+        $group: {
+          _id: {
+            order: '$_id',
+            key: groupKey(groupBy),
+            current: { $gte: ['$processedAt', start] },
+          },
+          units: { $sum: { $ifNull: ['$lineItems.quantity', 0] } },
+          revenue: {
+            $sum: { $multiply: [{ $ifNull: ['$lineItems.price', 0] }, { $ifNull: ['$lineItems.quantity', 0] }] },
+          },
+          name: { $last: '$lineItems.name' },
+        },
+      },
+      {
+        $group: {
+          _id: { key: '$_id.key', current: '$_id.current' },
+          units: { $sum: '$units' },
+          revenue: { $sum: '$revenue' },
+          orders: { $sum: 1 },
+          name: { $last: '$name' },
+        },
+      },
+    ]),
+    Product.find({ shop: shopId, deletedAt: null })
+      .select('shopifyId title status vendor productType variants')
+      .lean(),
+    Order.distinct('lineItems.variantId', inRange),
+    Order.distinct('lineItems.productId', inRange),
+    Order.countDocuments({ ...inRange, 'lineItems.0': { $exists: true } }),
+  ]);
+
+  const productsById = new Map(products.map((product) => [product.shopifyId, product]));
+  const byKey = new Map();
+  groups.forEach(({ _id, ...entry }) => {
+    const id = rowKey(_id.key);
+    if (!byKey.has(id)) byKey.set(id, { key: _id.key, name: entry.name });
+    byKey.get(id)[_id.current ? 'current' : 'previous'] = entry;
+  });
+
+  const describe = (key, name) => {
+    if (groupBy === 'vendor' || groupBy === 'productType') return { [groupBy]: key[groupBy] };
+    const product = productsById.get(key.productId);
+    const row = {
+      productId: key.productId ?? null,
+      title: product?.title || name || null,
+      vendor: product?.vendor ?? null,
+      productType: product?.productType ?? null,
+    };
+    if (groupBy === 'product') {
+      const stock = product?.variants.reduce((sum, variant) => sum + (variant.inventoryQuantity || 0), 0);
+      return { ...row, inventoryQuantity: stock ?? null };
+    }
+    const variant = product?.variants.find((v) => v.shopifyId === (key.variantId ?? key.productId));
+    return {
+      ...row,
+      variantId: key.variantId ?? null,
+      variantTitle: variant?.title ?? null,
+      sku: variant?.sku ?? null,
+      inventoryQuantity: variant?.inventoryQuantity ?? null,
+    };
+  };
+
+  // Groups that only sold in the previous period stay in, so drops to zero show up.
+  const rows = [...byKey.values()].map(({ key, name, current, previous }) => {
+    const now = metrics(current);
+    const before = metrics(previous);
+    return {
+      ...describe(key, name),
+      ...now,
+      avgPrice: now.units ? money(now.revenue / now.units) : null,
+      previous: before,
+      change: {
+        units: pctChange(now.units, before.units),
+        revenue: pctChange(now.revenue, before.revenue),
+        orders: pctChange(now.orders, before.orders),
+      },
+    };
+  });
+  rows.sort((a, b) => b[sort] - a[sort] || b.previous[sort] - a.previous[sort]);
+
+  // WooCommerce products are stored as their own only variant, with the product's id, while their line items carry
+  // a variation id or none; such a variant has sold whenever its product has.
+  const soldVariants = new Set(soldVariantIds.filter(Boolean).map(String));
+  const soldProducts = new Set(soldProductIds.filter(Boolean).map(String));
+  const hasSold = (product, variant) =>
+    soldVariants.has(variant.shopifyId) ||
+    (variant.shopifyId === product.shopifyId && soldProducts.has(product.shopifyId));
+  const unsold = products
+    .filter((product) => !HIDDEN_STATUSES.includes(product.status))
+    .flatMap((product) =>
+      product.variants
+        .filter((variant) => variant.inventoryQuantity > 0 && !hasSold(product, variant))
+        .map((variant) => ({
+          productId: product.shopifyId,
+          title: product.title,
+          variantId: variant.shopifyId,
+          variantTitle: variant.title ?? null,
+          sku: variant.sku ?? null,
+          vendor: product.vendor ?? null,
+          productType: product.productType ?? null,
+          inventoryQuantity: variant.inventoryQuantity,
+        }))
+    )
+    .sort((a, b) => b.inventoryQuantity - a.inventoryQuantity);
+
+  return {
+    groupBy,
+    range: { start, end },
+    previousRange: { start: previousStart, end: start },
+    totals: {
+      units: rows.reduce((sum, row) => sum + row.units, 0),
+      revenue: money(rows.reduce((sum, row) => sum + row.revenue, 0)),
+      orders: orderCount,
+    },
+    groups: rows.length,
+    rows: rows.slice(0, limit),
+    // Variants with stock on hand and no units sold in the range, largest stock first.
+    unsoldTotal: unsold.length,
+    unsold: unsold.slice(0, MAX_UNSOLD),
+  };
+};
+
+module.exports = {
+  PRODUCT_GROUPINGS,
+  PRODUCT_SORTS,
+  buildProductPerformance,
+};
@@ -0,0 +1,81 @@
+const dns = require('dns');
+const net = require('net');
+
+// Guards requests to hosts that users type in (WooCommerce stores, outbound webhook receivers) so they can't
+// be pointed back at the API's own network. A host is only allowed when every address it resolves to is
+// public: loopback, private, link-local, unique-local, multicast and reserved ranges are refused.
+
+const BLOCKED = new net.BlockList();
+[
+  ['0.0.0.0', 8],
+  ['10.0.0.0', 8],
+  ['100.64.0.0', 10],
+  ['127.0.0.0', 8],
+  ['169.254.0.0', 16],
+  ['172.16.0.0', 12],
+  ['192.0.0.0', 24],
+  ['192.168.0.0', 16],
+  ['198.18.0.0', 15],
+  ['224.0.0.0', 4],
+  ['240.0.0.0', 4],
+].forEach(([prefix, bits]) => BLOCKED.addSubnet(prefix, bits, 'ipv4'));
+// IPv4-mapped IPv6 addresses (::ffff:10.0.0.1) are matched against the IPv4 ranges above.
+[
+  ['::', 128],
+  ['::1', 128],
+  ['fc00::', 7],
+  ['fe80::', 10],
+  ['ff00::', 8],
+].forEach(([prefix, bits]) => BLOCKED.addSubnet(prefix, bits, 'ipv6'));
+
+const isPublicAddress = (address) => {
+  const family = net.isIP(address);
+  return family !== 0 && !BLOCKED.check(address, family === 6 ? 'ipv6' : 'ipv4');
+};
+
+const refused = (message) => {
+  const error = new Error(message);
+  error.status = 400;
+  error.code = 'EADDRNOTPUBLIC';
+  return error;
+};
+
+// URL hostnames keep the brackets around IPv6 literals.
+const bareHost = (hostname) => String(hostname).replace(/^\[(.*)\]$/, '$1');
+
+// Throws (status 400) unless the host is a public IP or a name whose addresses are all public.
+const assertPublicHost = async (hostname) => {
+  const host = bareHost(hostname);
+  let addresses;
+  if (net.isIP(host)) {
+    addresses = [{ address: host }];
+  } else {
+    try {
+      addresses = await dns.promises.lookup(host, { all: true });
+    } catch (err) {
+      throw refused(`Could not resolve ${host}`);
+    }
+  }
+  if (!addresses.length || addresses.some(({ address }) => !isPublicAddress(address))) {
+    throw refused(`${host} resolves to a loopback, private or link-local address`);
+  }
+};
+
+// dns.lookup replacement for http(s) requests (axios `lookup`). It checks the addresses the connection will
+// actually use, so a name that was public when it was saved can't be re-pointed at an internal one later.
+// IP literals skip lookup entirely; check those with assertPublicHost first.
+const publicLookup = (hostname, options, callback) => {
+  dns.lookup(hostname, { ...options, all: true }, (err, addresses) => {
+    if (err) return callback(err);
+    if (!addresses.length || addresses.some(({ address }) => !isPublicAddress(address))) {
+      return callback(refused(`${hostname} resolves to a loopback, private or link-local address`));
+    }
+    return options.all ? callback(null, addresses) : callback(null, addresses[0].address, addresses[0].family);
+  });
+};
+
+module.exports = {
+  assertPublicHost,
+  isPublicAddress,
+  publicLookup,
+};
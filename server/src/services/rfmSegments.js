@@ -0,0 +1,341 @@
+const Customer = require('../models/Customer');
+const Order = require('../models/Order');
+const RfmScore = require('../models/RfmScore');
+
+// Recency/frequency/monetary scoring from the shop's live orders. Each dimension is scored 1-5 by where a
+// buyer sits among the shop's buyers (5 = most recent, most orders, highest spend), and equal values
+// always share a score. Buckets follow the usual R x FM grid, FM being the rounded mean of F and M.
+// Scores are stored in RfmScore and rebuilt when they are older than the shop's last sync or RFM_MAX_AGE_MINUTES,
+// so segment counts, member pages and exports are plain queries.
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const WRITE_BATCH = 1000;
+
+// Covers every R/FM pair exactly once.
+const RFM_SEGMENTS = [
+  { name: 'Champions', r: [5, 5], fm: [4, 5] },
+  { name: 'Loyal Customers', r: [3, 4], fm: [4, 5] },
+  { name: 'Potential Loyalists', r: [4, 5], fm: [2, 3] },
+  { name: 'New Customers', r: [5, 5], fm: [1, 1] },
+  { name: 'Promising', r: [4, 4], fm: [1, 1] },
+  { name: 'Need Attention', r: [3, 3], fm: [3, 3] },
+  { name: 'About to Sleep', r: [3, 3], fm: [1, 2] },
+  { name: "Can't Lose Them", r: [1, 2], fm: [5, 5] },
+  { name: 'At Risk', r: [1, 2], fm: [3, 4] },
+  { name: 'Hibernating', r: [1, 2], fm: [1, 2] },
+];
+const RFM_SEGMENT_NAMES = RFM_SEGMENTS.map((segment) => segment.name);
+
+// Filter lists and the RfmScore field each one matches.
+const FILTER_LISTS = {
+  rfmSegments: 'segment',
+  tags: 'tags',
+  countries: 'country',
+  marketingOptInLevels: 'marketingOptInLevel',
+};
+// [min, max, RfmScore field]. Predicted 12-month value and churn probability come from the CLV job;
+// unscored customers never match those.
+const FILTER_BOUNDS = [
+  ['minSpend', 'maxSpend', 'spend'],
+  ['minOrders', 'maxOrders', 'orders'],
+  ['minClv', 'maxClv', 'clv'],
+  ['minChurn', 'maxChurn', 'churnProbability'],
+];
+const PROBABILITY_BOUNDS = ['minChurn', 'maxChurn'];
+// Highest spend first; customerId keeps pages stable between ties.
+const MEMBER_SORT = { spend: -1, orders: -1, customerId: 1 };
+
+const maxAgeMs = () => {
+  const minutes = Number(process.env.RFM_MAX_AGE_MINUTES);
+  return (Number.isFinite(minutes) && minutes >= 0 ? minutes : 15) * 60 * 1000;
+};
+
+const badRequest = (message) => {
+  const error = new Error(message);
+  error.status = 400;
+  return error;
+};
+
+const within = (value, [low, high]) => value >= low && value <= high;
+
+const bucketFor = (r, fm) => RFM_SEGMENTS.find((segment) => within(r, segment.r) && within(fm, segment.fm)).name;
+
+// Scores a value 1-5 by the share of values strictly below it.
+const quintileScorer = (values) => {
+  const sorted = [...values].sort((a, b) => a - b);
+  return (value) => {
+    let low = 0;
+    let high = sorted.length;
+    while (low < high) {
+      const mid = (low + high) >> 1;
+      if (sorted[mid] < value) low = mid + 1;
+      else high = mid;
+    }
+    return Math.min(5, 1 + Math.floor((5 * low) / sorted.length));
+  };
+};
+
+// Every live customer of the shop plus buyers only known from their orders. Customers without orders are
+// listed with zero orders and no RFM scores.
+const buildMembers = async (shopId) => {
+  const [buyers, customers] = await Promise.all([
+    Order.aggregate([
+      { $match: { shop: shopId, deletedAt: null, 'customer.id': { $nin: [null, ''] } } },
+      { $sort: { processedAt: 1 } },
+      {
+        $group: {
+          _id: '$customer.id',
+          orders: { $sum: 1 },
+          spend: { $sum: { $ifNull: ['$totalPrice', 0] } },
+          firstOrderAt: { $min: '$processedAt' },
+          lastOrderAt: { $max: '$processedAt' },
+          email: { $last: '$customer.email' },
+          firstName: { $last: '$customer.firstName' },
+          lastName: { $last: '$customer.lastName' },
+        },
+      },
+    ]),
+    Customer.find({ shop: shopId })
+      .select('shopifyId email firstName lastName tags country marketingOptInLevel clv deletedAt')
+      .lean(),
+  ]);
+
+  // Higher is better for every scorer; a buyer with no order date ranks as the least recent.
+  const recencyValue = (buyer) => (buyer.lastOrderAt ? buyer.lastOrderAt.getTime() : -Infinity);
+  const scoreR = quintileScorer(buyers.map(recencyValue));
+  const scoreF = quintileScorer(buyers.map((buyer) => buyer.orders));
+  const scoreM = quintileScorer(buyers.map((buyer) => buyer.spend));
+
+  const buyersById = new Map(buyers.map((buyer) => [buyer._id, buyer]));
+  const members = [];
+  const seen = new Set();
+  const addMember = (customer, buyer) => {
+    const scores = buyer && { r: scoreR(recencyValue(buyer)), f: scoreF(buyer.orders), m: scoreM(buyer.spend) };
+    members.push({
+      customerId: customer?.shopifyId || buyer._id,
+      email: customer?.email || buyer?.email || null,
+      firstName: customer?.firstName || buyer?.firstName || null,
+      lastName: customer?.lastName || buyer?.lastName || null,
+      country: customer?.country || null,
+      tags: customer?.tags || [],
+      marketingOptInLevel: customer?.marketingOptInLevel || null,
+      orders: buyer?.orders || 0,
+      spend: Number((buyer?.spend || 0).toFixed(2)),
+      firstOrderAt: buyer?.firstOrderAt || null,
+      lastOrderAt: buyer?.lastOrderAt || null,
+      r: scores?.r ?? null,
+      f: scores?.f ?? null,
+      m: scores?.m ?? null,
+      rfmScore: scores ? `${scores.r}${scores.f}${scores.m}` : null,
+      segment: scores ? bucketFor(scores.r, Math.round((scores.f + scores.m) / 2)) : null,
+      clv: customer?.clv?.predicted12m ?? null,
+      churnProbability: customer?.clv?.churnProbability ?? null,
+    });
+  };
+
+  customers.forEach((customer) => {
+    seen.add(customer.shopifyId);
+    if (!customer.deletedAt) addMember(customer, buyersById.get(customer.shopifyId));
+  });
+  buyers.forEach((buyer) => {
+    if (!seen.has(buyer._id)) addMember(null, buyer);
+  });
+  return members;
+};
+
+// Rescores the shop and replaces its stored members; members that no longer exist are dropped.
+const refreshRfmScores = async (shopId, { now = new Date() } = {}) => {
+  const members = await buildMembers(shopId);
+  for (let i = 0; i < members.length; i += WRITE_BATCH) {
+    await RfmScore.bulkWrite(
+      members.slice(i, i + WRITE_BATCH).map((member) => ({
+        updateOne: {
+          filter: { shop: shopId, customerId: member.customerId },
+          update: { $set: { ...member, scoredAt: now } },
+          upsert: true,
+        },
+      })),
+      { ordered: false }
+    );
+  }
+  await RfmScore.deleteMany({ shop: shopId, scoredAt: { $lt: now } });
+  return members.length;
+};
+
+const refreshing = new Map();
+
+// Rescores the shop when its stored scores predate its last sync or are older than RFM_MAX_AGE_MINUTES.
+// Requests that arrive during a rescore wait for that one instead of starting their own.
+const ensureRfmScores = async (shop) => {
+  const key = String(shop._id);
+  if (!refreshing.has(key)) {
+    const latest = await RfmScore.findOne({ shop: shop._id }).sort({ scoredAt: -1 }).select('scoredAt').lean();
+    const scoredAt = latest?.scoredAt;
+    const stale =
+      !scoredAt ||
+      Date.now() - scoredAt.getTime() > maxAgeMs() ||
+      Boolean(shop.lastSyncedAt && scoredAt < shop.lastSyncedAt);
+    if (!stale) return;
+    // Another request may have started one while this one was reading.
+    if (!refreshing.has(key)) {
+      refreshing.set(key, refreshRfmScores(shop._id).finally(() => refreshing.delete(key)));
+    }
+  }
+  await refreshing.get(key);
+};
+
+// Stored member as returned by the API, with recency counted from now.
+const toMember = ({ _id, shop, scoredAt, ...member }, now = new Date()) => ({
+  ...member,
+  recencyDays: member.lastOrderAt ? Math.floor((now - member.lastOrderAt) / DAY_MS) : null,
+});
+
+// Buyers per bucket in grid order, with what each bucket is worth.
+const summarizeRfm = async (shopId, { now = new Date() } = {}) => {
+  const [groups, customers] = await Promise.all([
+    RfmScore.aggregate([
+      { $match: { shop: shopId, segment: { $ne: null } } },
+      {
+        $group: {
+          _id: '$segment',
+          customers: { $sum: 1 },
+          revenue: { $sum: '$spend' },
+          orders: { $sum: '$orders' },
+          recencyMs: { $avg: { $subtract: [now, '$lastOrderAt'] } },
+        },
+      },
+    ]),
+    RfmScore.countDocuments({ shop: shopId }),
+  ]);
+
+  const bySegment = new Map(groups.map((group) => [group._id, group]));
+  const buyers = groups.reduce((sum, group) => sum + group.customers, 0);
+  const segments = RFM_SEGMENT_NAMES.map((name) => {
+    const group = bySegment.get(name);
+    return {
+      name,
+      customers: group?.customers || 0,
+      share: buyers && group ? Number((group.customers / buyers).toFixed(4)) : 0,
+      revenue: group ? Number(group.revenue.toFixed(2)) : 0,
+      avgOrders: group ? Number((group.orders / group.customers).toFixed(2)) : null,
+      avgRecencyDays: group && group.recencyMs !== null ? Math.round(group.recencyMs / DAY_MS) : null,
+    };
+  });
+  return { buyers, customers, segments };
+};
+
+// Cleans request input into the Segment.filters shape. Lists may be arrays or comma-separated strings.
+const normalizeFilters = (input = {}) => {
+  const filters = {};
+  Object.keys(FILTER_LISTS).forEach((key) => {
+    const value = input[key];
+    if (value === undefined || value === null) return;
+    const list = (Array.isArray(value) ? value : String(value).split(','))
+      .map((item) => String(item).trim())
+      .filter(Boolean);
+    if (list.length) filters[key] = [...new Set(list)];
+  });
+
+  const unknown = (filters.rfmSegments || []).filter((name) => !RFM_SEGMENT_NAMES.includes(name));
+  if (unknown.length) {
+    throw badRequest(`Unknown RFM segments: ${unknown.join(', ')}. Use: ${RFM_SEGMENT_NAMES.join(', ')}`);
+  }
+
+  FILTER_BOUNDS.forEach(([min, max]) => {
+    [min, max].forEach((key) => {
+      const value = input[key];
+      if (value === undefined || value === null || value === '') return;
+      const number = Number(value);
+      if (!Number.isFinite(number) || number < 0) {
+        throw badRequest(`${key} must be a number of 0 or more`);
+      }
+      if (PROBABILITY_BOUNDS.includes(key) && number > 1) {
+        throw badRequest(`${key} must be a probability between 0 and 1`);
+      }
+      filters[key] = number;
+    });
+    if (filters[min] !== undefined && filters[max] !== undefined && filters[min] > filters[max]) {
+      throw badRequest(`${min} cannot be greater than ${max}`);
+    }
+  });
+  return filters;
+};
+
+const escapeRegExp = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// RfmScore query for saved or previewed filters. Lists match any of their values, case-insensitively; bounds
+// are inclusive, and a null value (no CLV score yet) never satisfies one.
+const memberQuery = (shopId, filters = {}) => {
+  const query = { shop: shopId };
+  Object.entries(FILTER_LISTS).forEach(([key, field]) => {
+    if (!filters[key]?.length) return;
+    query[field] = { $in: filters[key].map((value) => new RegExp(`^${escapeRegExp(value)}$`, 'i')) };
+  });
+  FILTER_BOUNDS.forEach(([min, max, field]) => {
+    const range = {};
+    if (filters[min] !== undefined && filters[min] !== null) range.$gte = filters[min];
+    if (filters[max] !== undefined && filters[max] !== null) range.$lte = filters[max];
+    if (Object.keys(range).length) query[field] = range;
+  });
+  return query;
+};
+
+const countMembers = (shopId, filters) => RfmScore.countDocuments(memberQuery(shopId, filters));
+
+// One page of members, highest spend first.
+const listMembers = async (shopId, filters, { page = 1, limit = 50 } = {}) => {
+  const query = memberQuery(shopId, filters);
+  const [total, members] = await Promise.all([
+    RfmScore.countDocuments(query),
+    RfmScore.find(query)
+      .sort(MEMBER_SORT)
+      .skip((page - 1) * limit)
+      .limit(limit)
+      .lean(),
+  ]);
+  const now = new Date();
+  return { total, members: members.map((member) => toMember(member, now)) };
+};
+
+// Every matching member in page order, streamed for exports.
+const memberCursor = (shopId, filters) => {
+  const now = new Date();
+  return RfmScore.find(memberQuery(shopId, filters))
+    .sort(MEMBER_SORT)
+    .lean()
+    .cursor()
+    .map((member) => toMember(member, now));
+};
+
+// Export columns in the exportService shape.
+const column = (name, type, get) => ({ name, type, get });
+const MEMBER_COLUMNS = [
+  column('customer_id', 'UTF8', (m) => m.customerId),
+  column('email', 'UTF8', (m) => m.email),
+  column('first_name', 'UTF8', (m) => m.firstName),
+  column('last_name', 'UTF8', (m) => m.lastName),
+  column('country', 'UTF8', (m) => m.country),
+  column('tags', 'UTF8', (m) => (m.tags.length ? m.tags.join(', ') : null)),
+  column('marketing_opt_in_level', 'UTF8', (m) => m.marketingOptInLevel),
+  column('orders', 'INT64', (m) => m.orders),
+  column('spend', 'DOUBLE', (m) => m.spend),
+  column('first_order_at', 'TIMESTAMP_MILLIS', (m) => m.firstOrderAt),
+  column('last_order_at', 'TIMESTAMP_MILLIS', (m) => m.lastOrderAt),
+  column('recency_days', 'INT64', (m) => m.recencyDays),
+  column('rfm_score', 'UTF8', (m) => m.rfmScore),
+  column('rfm_segment', 'UTF8', (m) => m.segment),
+  column('predicted_clv_12m', 'DOUBLE', (m) => m.clv),
+  column('churn_probability', 'DOUBLE', (m) => m.churnProbability),
+];
+
+module.exports = {
+  MEMBER_COLUMNS,
+  RFM_SEGMENT_NAMES,
+  countMembers,
+  ensureRfmScores,
+  listMembers,
+  memberCursor,
+  normalizeFilters,
+  refreshRfmScores,
+  summarizeRfm,
+};
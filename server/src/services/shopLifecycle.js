@@ -0,0 +1,22 @@
+const Shop = require('../models/Shop');
+const SyncJob = require('../models/SyncJob');
+
+// app/uninstalled: the token is already revoked, so drop it, pause the shop and cancel queued syncs.
+// Re-registering or reinstalling through OAuth clears uninstalledAt and reactivates the shop.
+const handleAppUninstalled = async (shop) => {
+  const uninstalledAt = new Date();
+  await Shop.updateOne(
+    { _id: shop._id },
+    { $set: { status: 'paused', uninstalledAt }, $unset: { accessToken: 1 } }
+  );
+  const { modifiedCount } = await SyncJob.updateMany(
+    { shop: shop._id, status: 'queued' },
+    { $set: { status: 'failed', error: 'App was uninstalled from the store', finishedAt: uninstalledAt } }
+  );
+  console.log(`App uninstalled from ${shop.shopDomain}; paused shop and cancelled ${modifiedCount} queued syncs`);
+  return { handled: true, type: 'app', uninstalledAt, cancelledJobs: modifiedCount };
+};
+
+module.exports = {
+  handleAppUninstalled,
+};
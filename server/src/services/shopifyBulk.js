@@ -0,0 +1,247 @@
+const axios = require('axios');
+const readline = require('readline');
+
+// GraphQL bulk operations for large backfills: Shopify runs the query server-side and hands back a JSONL
+// file, which is streamed and reshaped into REST-style records so resourceConfig's normalizers apply.
+
+const POLL_INTERVAL_MS = Number(process.env.SHOPIFY_BULK_POLL_MS) || 5000;
+const TIMEOUT_MS = Number(process.env.SHOPIFY_BULK_TIMEOUT_MS) || 6 * 60 * 60 * 1000;
+const BATCH_SIZE = 250;
+const TERMINAL_STATUSES = ['COMPLETED', 'FAILED', 'CANCELED', 'EXPIRED'];
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// "gid://shopify/Order/123" -> "123"
+const legacyId = (gid) => (gid ? String(gid).split('/').pop() : undefined);
+const gidType = (gid) => String(gid).split('/')[3];
+const money = (set) => set?.shopMoney?.amount;
+const lower = (value) => (value ? String(value).toLowerCase() : value);
+
+// Bulk queries can't take variables, so the incremental filter is inlined into the search string.
+const searchArg = (since) => (since ? `(query: "updated_at:>='${since.toISOString()}'")` : '');
+
+// Connection nodes are written as separate JSONL lines pointing at their parent via __parentId.
+const CHILD_KEYS = { LineItem: 'lineItems', ProductVariant: 'variants' };
+
+const bulkResources = {
+  customers: {
+    query: (since) => `{
+      customers${searchArg(since)} {
+        edges { node {
+          id email phone firstName lastName tags state createdAt updatedAt
+          amountSpent { amount }
+          defaultAddress { countryCodeV2 }
+          emailMarketingConsent { marketingOptInLevel }
+        } }
+      }
+    }`,
+    toRest: (node) => ({
+      id: legacyId(node.id),
+      email: node.email,
+      phone: node.phone,
+      first_name: node.firstName,
+      last_name: node.lastName,
+      tags: node.tags,
+      total_spent: node.amountSpent?.amount,
+      state: lower(node.state),
+      default_address: node.defaultAddress ? { country_code: node.defaultAddress.countryCodeV2 } : undefined,
+      marketing_opt_in_level: lower(node.emailMarketingConsent?.marketingOptInLevel),
+      created_at: node.createdAt,
+      updated_at: node.updatedAt,
+    }),
+  },
+  orders: {
+    query: (since) => `{
+      orders${searchArg(since)} {
+        edges { node {
+          id name email currencyCode processedAt tags createdAt updatedAt
+          displayFinancialStatus displayFulfillmentStatus
+          totalPriceSet { shopMoney { amount } }
+          subtotalPriceSet { shopMoney { amount } }
+          totalDiscountsSet { shopMoney { amount } }
+          customer { id email firstName lastName }
+          lineItems { edges { node {
+            id name quantity
+            product { id }
+            variant { id }
+            originalUnitPriceSet { shopMoney { amount } }
+          } } }
+        } }
+      }
+    }`,
+    toRest: (node) => ({
+      id: legacyId(node.id),
+      name: node.name,
+      email: node.email,
+      currency: node.currencyCode,
+      total_price: money(node.totalPriceSet),
+      subtotal_price: money(node.subtotalPriceSet),
+      total_discounts: money(node.totalDiscountsSet),
+      financial_status: lower(node.displayFinancialStatus),
+      // REST reports unfulfilled orders as null.
+      fulfillment_status:
+        node.displayFulfillmentStatus === 'UNFULFILLED' ? null : lower(node.displayFulfillmentStatus),
+      processed_at: node.processedAt,
+      tags: node.tags,
+      customer: node.customer
+        ? {
+            id: legacyId(node.customer.id),
+            email: node.customer.email,
+            first_name: node.customer.firstName,
+            last_name: node.customer.lastName,
+          }
+        : null,
+      line_items: (node.lineItems || []).map((li) => ({
+        id: legacyId(li.id),
+        product_id: legacyId(li.product?.id),
+        variant_id: legacyId(li.variant?.id),
+        name: li.name,
+        quantity: li.quantity,
+        price: money(li.originalUnitPriceSet),
+      })),
+      created_at: node.createdAt,
+      updated_at: node.updatedAt,
+    }),
+  },
+  products: {
+    query: (since) => `{
+      products${searchArg(since)} {
+        edges { node {
+          id title status productType vendor tags createdAt updatedAt
+          variants { edges { node { id title sku price inventoryQuantity } } }
+        } }
+      }
+    }`,
+    toRest: (node) => ({
+      id: legacyId(node.id),
+      title: node.title,
+      status: lower(node.status),
+      product_type: node.productType,
+      vendor: node.vendor,
+      tags: node.tags,
+      variants: (node.variants || []).map((variant) => ({
+        id: legacyId(variant.id),
+        title: variant.title,
+        sku: variant.sku,
+        price: variant.price,
+        inventory_quantity: variant.inventoryQuantity,
+      })),
+      created_at: node.createdAt,
+      updated_at: node.updatedAt,
+    }),
+  },
+};
+
+const BULK_RESOURCES = Object.keys(bulkResources);
+
+const graphql = async (client, query) => {
+  let response;
+  try {
+    response = await client.post('graphql.json', { query });
+  } catch (err) {
+    const detail = JSON.stringify(err.response?.data?.errors || err.response?.data || err.message);
+    const wrapped = new Error(`Shopify GraphQL ${err.response?.status || ''} error: ${detail}`);
+    wrapped.status = err.response?.status;
+    throw wrapped;
+  }
+  if (response.data?.errors?.length) {
+    throw new Error(`Shopify GraphQL error: ${response.data.errors.map((e) => e.message).join('; ')}`);
+  }
+  return response.data.data;
+};
+
+const startBulkQuery = async (client, query) => {
+  const data = await graphql(
+    client,
+    `mutation {
+      bulkOperationRunQuery(query: ${JSON.stringify(query)}) {
+        bulkOperation { id status }
+        userErrors { field message }
+      }
+    }`
+  );
+  const { bulkOperation, userErrors } = data.bulkOperationRunQuery;
+  // Shopify allows one bulk query per shop at a time; that shows up here as a user error.
+  if (userErrors?.length) {
+    throw new Error(`Bulk operation rejected: ${userErrors.map((e) => e.message).join('; ')}`);
+  }
+  return bulkOperation;
+};
+
+const pollBulkOperation = async (client, id, onStatus) => {
+  const deadline = Date.now() + TIMEOUT_MS;
+  for (;;) {
+    const data = await graphql(
+      client,
+      `{ node(id: ${JSON.stringify(id)}) {
+        ... on BulkOperation { id status errorCode objectCount rootObjectCount url partialDataUrl }
+      } }`
+    );
+    const operation = data.node;
+    await onStatus?.(operation);
+    if (TERMINAL_STATUSES.includes(operation.status)) return operation;
+    if (Date.now() > deadline) {
+      throw new Error(`Bulk operation ${id} did not finish within ${TIMEOUT_MS}ms`);
+    }
+    await sleep(POLL_INTERVAL_MS);
+  }
+};
+
+// The result URL is a pre-signed download, so it is fetched without shop credentials.
+async function* streamJsonl(url) {
+  const response = await axios.get(url, { responseType: 'stream', timeout: 60000 });
+  const lines = readline.createInterface({ input: response.data, crlfDelay: Infinity });
+  for await (const line of lines) {
+    if (line.trim()) yield JSON.parse(line);
+  }
+}
+
+// Shopify writes each parent's connection nodes right after it, so a parent is complete once the next
+// top-level object (a line without __parentId) shows up.
+async function* groupWithChildren(objects) {
+  let current = null;
+  for await (const object of objects) {
+    if (!object.__parentId) {
+      if (current) yield current;
+      current = object;
+      continue;
+    }
+    const key = CHILD_KEYS[gidType(object.id)];
+    if (current && key && object.__parentId === current.id) {
+      (current[key] = current[key] || []).push(object);
+    }
+  }
+  if (current) yield current;
+}
+
+// Runs the bulk query for a resource and yields REST-shaped records in batches, like iterateResourcePages.
+async function* iterateBulkPages(client, resource, { since, onStatus } = {}) {
+  const config = bulkResources[resource];
+  if (!config) {
+    throw new Error(`Bulk sync is not available for ${resource}. Use one of: ${BULK_RESOURCES.join(', ')}.`);
+  }
+
+  const started = await startBulkQuery(client, config.query(since));
+  const operation = await pollBulkOperation(client, started.id, onStatus);
+  if (operation.status !== 'COMPLETED') {
+    const reason = operation.errorCode || 'no error code';
+    throw new Error(`Bulk operation ${operation.id} ${lower(operation.status)}: ${reason}`);
+  }
+  // No url means the query matched nothing.
+  if (!operation.url) return;
+
+  let batch = [];
+  for await (const node of groupWithChildren(streamJsonl(operation.url))) {
+    batch.push(config.toRest(node));
+    if (batch.length >= BATCH_SIZE) {
+      yield { records: batch, nextPageInfo: null };
+      batch = [];
+    }
+  }
+  if (batch.length) yield { records: batch, nextPageInfo: null };
+}
+
+module.exports = {
+  BULK_RESOURCES,
+  iterateBulkPages,
+};
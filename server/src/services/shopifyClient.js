@@ -0,0 +1,154 @@
+const axios = require('axios');
+
+const MAX_RETRIES = Number(process.env.SHOPIFY_MAX_RETRIES) || 5;
+const MAX_CONCURRENCY_PER_SHOP = Number(process.env.SHOPIFY_MAX_CONCURRENCY) || 2;
+const BASE_BACKOFF_MS = 500;
+const MAX_BACKOFF_MS = 30000;
+// REST Admin API leaky bucket: 40 requests, draining 2/s on standard plans (Plus shops report a larger bucket).
+const DEFAULT_BUCKET_SIZE = 40;
+const LEAK_RATE_PER_SEC = 2;
+// Start throttling before the bucket is full so concurrent callers don't tip it into 429s.
+const BUCKET_HEADROOM = 0.8;
+
+const RETRYABLE_STATUSES = new Set([429, 502, 503, 504]);
+const RETRYABLE_CODES = new Set(['ECONNABORTED', 'ETIMEDOUT', 'ECONNRESET', 'EAI_AGAIN']);
+const IDEMPOTENT_METHODS = new Set(['get', 'head', 'options', 'put', 'delete']);
+
+// One limiter per shop domain, shared by every client created for that shop in this process.
+const limiters = new Map();
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+const limiterFor = (key) => {
+  if (!limiters.has(key)) {
+    limiters.set(key, {
+      active: 0,
+      waiting: [],
+      used: 0,
+      max: DEFAULT_BUCKET_SIZE,
+      observedAt: 0,
+      pausedUntil: 0,
+    });
+  }
+  return limiters.get(key);
+};
+
+const acquire = async (limiter) => {
+  if (limiter.active < MAX_CONCURRENCY_PER_SHOP) {
+    limiter.active += 1;
+    return;
+  }
+  // release() hands its slot straight to the next waiter, so active stays unchanged here.
+  await new Promise((resolve) => limiter.waiting.push(resolve));
+};
+
+const release = (limiter) => {
+  const next = limiter.waiting.shift();
+  if (next) {
+    next();
+  } else {
+    limiter.active -= 1;
+  }
+};
+
+// X-Shopify-Shop-Api-Call-Limit looks like "32/40".
+const recordCallLimit = (limiter, headers = {}) => {
+  const header = headers['x-shopify-shop-api-call-limit'];
+  if (!header) return;
+  const [used, max] = String(header).split('/').map(Number);
+  if (Number.isNaN(used) || Number.isNaN(max) || !max) return;
+  limiter.used = used;
+  limiter.max = max;
+  limiter.observedAt = Date.now();
+};
+
+const throttleDelayMs = (limiter) => {
+  const now = Date.now();
+  const pauseMs = Math.max(0, limiter.pausedUntil - now);
+  const drained = ((now - limiter.observedAt) / 1000) * LEAK_RATE_PER_SEC;
+  const estimatedUsed = Math.max(0, limiter.used - drained);
+  const ceiling = limiter.max * BUCKET_HEADROOM;
+  const bucketMs = estimatedUsed < ceiling ? 0 : Math.ceil(((estimatedUsed - ceiling + 1) / LEAK_RATE_PER_SEC) * 1000);
+  return Math.max(pauseMs, bucketMs);
+};
+
+// Retry-After is seconds (Shopify sends e.g. "2.0") but may also be an HTTP date.
+const parseRetryAfterMs = (value) => {
+  if (value === undefined || value === null || value === '') return null;
+  const seconds = Number(value);
+  if (!Number.isNaN(seconds)) return Math.max(0, seconds * 1000);
+  const at = Date.parse(value);
+  return Number.isNaN(at) ? null : Math.max(0, at - Date.now());
+};
+
+const backoffMs = (attempt) => {
+  const exp = Math.min(MAX_BACKOFF_MS, BASE_BACKOFF_MS * 2 ** attempt);
+  return Math.round(exp / 2 + Math.random() * (exp / 2));
+};
+
+const isRetryable = (err, method) => {
+  const status = err.response?.status;
+  // 429 means Shopify never processed the call, so it is safe to repeat for any method.
+  if (status === 429) return true;
+  if (!IDEMPOTENT_METHODS.has(method)) return false;
+  if (status) return RETRYABLE_STATUSES.has(status);
+  return RETRYABLE_CODES.has(err.code);
+};
+
+const retryDelayMs = (err, attempt) => {
+  const retryAfter = parseRetryAfterMs(err.response?.headers?.['retry-after']);
+  return retryAfter !== null ? retryAfter : backoffMs(attempt);
+};
+
+// Axios-like client that throttles on the shop's call limit, caps concurrency and retries transient failures.
+const createShopifyClient = (key, axiosConfig) => {
+  const http = axios.create(axiosConfig);
+  const limiter = limiterFor(key);
+
+  const request = async (config) => {
+    const method = (config.method || 'get').toLowerCase();
+
+    for (let attempt = 0; ; attempt += 1) {
+      let delay;
+      await acquire(limiter);
+      try {
+        const wait = throttleDelayMs(limiter);
+        if (wait) await sleep(wait);
+
+        const response = await http.request(config);
+        recordCallLimit(limiter, response.headers);
+        return response;
+      } catch (err) {
+        if (err.response) recordCallLimit(limiter, err.response.headers);
+        if (attempt >= MAX_RETRIES || !isRetryable(err, method)) {
+          throw err;
+        }
+
+        delay = retryDelayMs(err, attempt);
+        if (err.response?.status === 429) {
+          limiter.pausedUntil = Math.max(limiter.pausedUntil, Date.now() + delay);
+        }
+        console.warn(
+          `Shopify ${err.response?.status || err.code} for ${key} ${config.url}; retry ${attempt + 1}/${MAX_RETRIES} in ${delay}ms`
+        );
+      } finally {
+        release(limiter);
+      }
+
+      await sleep(delay);
+    }
+  };
+
+  return {
+    defaults: http.defaults,
+    request,
+    get: (url, config = {}) => request({ ...config, method: 'get', url }),
+    delete: (url, config = {}) => request({ ...config, method: 'delete', url }),
+    post: (url, data, config = {}) => request({ ...config, method: 'post', url, data }),
+    put: (url, data, config = {}) => request({ ...config, method: 'put', url, data }),
+  };
+};
+
+module.exports = {
+  createShopifyClient,
+};
@@ -0,0 +1,96 @@
+const axios = require('axios');
+const crypto = require('crypto');
+const OAuthState = require('../models/OAuthState');
+const { shopifyOrigin } = require('./shopifyService');
+
+const STATE_TTL_MS = 10 * 60 * 1000;
+// read_inventory + read_locations cover the inventory_levels resource; everything else needs the first three.
+const DEFAULT_SCOPES = 'read_customers,read_orders,read_products,read_inventory,read_locations';
+// Shopify only ever redirects with the Admin hostname, so anything else is a forged callback.
+const SHOP_HOSTNAME = /^[a-z0-9][a-z0-9-]*\.myshopify\.com$/;
+
+const oauthConfig = () => {
+  const apiKey = process.env.SHOPIFY_API_KEY;
+  const apiSecret = process.env.SHOPIFY_API_SECRET;
+  if (!apiKey || !apiSecret) {
+    const err = new Error('Shopify OAuth is not configured. Set SHOPIFY_API_KEY and SHOPIFY_API_SECRET.');
+    err.status = 501;
+    throw err;
+  }
+  return {
+    apiKey,
+    apiSecret,
+    scopes: process.env.SHOPIFY_SCOPES || DEFAULT_SCOPES,
+    redirectUri: `${(process.env.APP_BASE_URL || 'http://localhost:4000').replace(/\/$/, '')}/api/shopify/callback`,
+  };
+};
+
+const isValidShopHostname = (shop) => SHOP_HOSTNAME.test(String(shop || ''));
+
+const buildAuthorizeUrl = async ({ shopDomain, userEmail, workspaceId }) => {
+  const { apiKey, scopes, redirectUri } = oauthConfig();
+  const nonce = crypto.randomBytes(16).toString('hex');
+  await OAuthState.create({
+    nonce,
+    shopDomain,
+    userEmail,
+    workspace: workspaceId,
+    expiresAt: new Date(Date.now() + STATE_TTL_MS),
+  });
+
+  const url = new URL(`${shopifyOrigin(shopDomain)}/admin/oauth/authorize`);
+  url.searchParams.set('client_id', apiKey);
+  url.searchParams.set('scope', scopes);
+  url.searchParams.set('redirect_uri', redirectUri);
+  url.searchParams.set('state', nonce);
+  return url.toString();
+};
+
+// Callback HMAC: every query param except hmac/signature, sorted and joined as k=v&k=v, hex SHA-256.
+const verifyOAuthHmac = (query) => {
+  const { apiSecret } = oauthConfig();
+  const { hmac, signature, ...rest } = query;
+  if (!hmac) return false;
+
+  const message = Object.keys(rest)
+    .sort()
+    .map((key) => `${key}=${Array.isArray(rest[key]) ? rest[key].join(',') : rest[key]}`)
+    .join('&');
+  const digest = crypto.createHmac('sha256', apiSecret).update(message).digest();
+  const provided = Buffer.from(String(hmac), 'hex');
+  return provided.length === digest.length && crypto.timingSafeEqual(provided, digest);
+};
+
+// Burns the state nonce; returns the install request it belonged to, or null.
+const consumeState = (nonce, shopDomain) =>
+  OAuthState.findOneAndDelete({ nonce: String(nonce || ''), shopDomain, expiresAt: { $gt: new Date() } });
+
+const exchangeCodeForToken = async (shopDomain, code) => {
+  const { apiKey, apiSecret } = oauthConfig();
+  try {
+    const response = await axios.post(
+      `${shopifyOrigin(shopDomain)}/admin/oauth/access_token`,
+      { client_id: apiKey, client_secret: apiSecret, code },
+      { timeout: 15000 }
+    );
+    const { access_token: accessToken, scope } = response.data || {};
+    if (!accessToken) {
+      throw new Error('Shopify did not return an access token');
+    }
+    return { accessToken, scopes: String(scope || '').split(',').filter(Boolean) };
+  } catch (err) {
+    const status = err.response?.status;
+    const detail = status ? `${status} ${err.message}` : err.message;
+    const wrapped = new Error(`Shopify token exchange failed for ${shopDomain}: ${detail}`);
+    wrapped.status = 502;
+    throw wrapped;
+  }
+};
+
+module.exports = {
+  buildAuthorizeUrl,
+  consumeState,
+  exchangeCodeForToken,
+  isValidShopHostname,
+  verifyOAuthHmac,
+};
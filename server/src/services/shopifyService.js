@@ -1,11 +1,19 @@
-const axios = require('axios');
+const crypto = require('crypto');
 const { URL } = require('url');
+const AbandonedCheckout = require('../models/AbandonedCheckout');
+const Collection = require('../models/Collection');
 const Customer = require('../models/Customer');
+const Fulfillment = require('../models/Fulfillment');
+const InventoryLevel = require('../models/InventoryLevel');
 const Order = require('../models/Order');
 const Product = require('../models/Product');
-const Event = require('../models/Event');
+const Refund = require('../models/Refund');
+const { createShopifyClient } = require('./shopifyClient');
+const { markDeleted, upsertDocuments } = require('./syncEngine');
+const { decryptSecret } = require('./tokenCrypto');
 
 const DEFAULT_API_VERSION = process.env.SHOPIFY_API_VERSION || '2024-10';
+const DEFAULT_RESOURCES = ['customers', 'orders', 'products'];
 
 // Normalize and validate the provided shop domain.
 const normalizeShopDomain = (rawDomain) => {
@@ -33,6 +41,9 @@ const normalizeShopDomain = (rawDomain) => {
   return host;
 };
 
+// SHOPIFY_ADMIN_ORIGIN points every Admin/OAuth call at a local stub (e.g. http://localhost:9999) for testing.
+const shopifyOrigin = (domain) => process.env.SHOPIFY_ADMIN_ORIGIN || `https://${domain}`;
+
 const toNumber = (value) => {
   if (value === null || value === undefined || value === '') return undefined;
   const num = Number(value);
@@ -54,10 +65,10 @@ const clientForShop = (shop) => {
     throw new Error('Invalid shop domain. Provide a hostname like "your-store.myshopify.com".');
   }
 
-  return axios.create({
-    baseURL: `https://${domain}/admin/api/${shop.apiVersion || DEFAULT_API_VERSION}/`,
+  return createShopifyClient(domain, {
+    baseURL: `${shopifyOrigin(domain)}/admin/api/${shop.apiVersion || DEFAULT_API_VERSION}/`,
     headers: {
-      'X-Shopify-Access-Token': shop.accessToken,
+      'X-Shopify-Access-Token': decryptSecret(shop.accessToken),
       'Content-Type': 'application/json',
     },
     timeout: 15000,
@@ -86,7 +97,7 @@ const buildShopifyError = (err, domain, resourcePath) => {
     status === 404
       ? 'Verify the shop domain is the Admin hostname (e.g. your-store.myshopify.com) and the token has access.'
       : status === 401 || status === 403
-        ? 'Check the Admin API token and scopes for customers/orders/products.'
+        ? `Check the Admin API token and that its scopes cover ${resourcePath}.`
         : '';
 
   const message = [`Shopify ${status || ''} ${statusText || ''} for ${domain} ${resourcePath}: ${detail}`, hint]
@@ -110,8 +121,9 @@ const verifyShopCredentials = async (shop) => {
     throw new Error('Invalid shop domain. Provide a hostname like "your-store.myshopify.com".');
   }
 
+  // Spreading a Mongoose document copies its internals, not its fields.
   const client = clientForShop({
-    ...shop,
+    ...(typeof shop.toObject === 'function' ? shop.toObject() : shop),
     shopDomain: normalizedDomain,
     apiVersion: shop.apiVersion || DEFAULT_API_VERSION,
   });
@@ -125,33 +137,159 @@ const verifyShopCredentials = async (shop) => {
   }
 };
 
-const fetchPaginatedResource = async (shop, resourcePath, dataKey, params = {}) => {
+// Yields one page at a time so callers can persist as they go instead of buffering the whole resource.
+// Shopify rejects filter params alongside page_info, so later requests only repeat limit and fields.
+async function* iterateResourcePages(shop, resourcePath, dataKey, params = {}, { pageInfo: startPageInfo } = {}) {
   const domain = normalizeShopDomain(shop.shopDomain);
   const client = clientForShop(shop);
-  const records = [];
-  let pageInfo;
+  let pageInfo = startPageInfo || null;
 
   do {
+    let response;
     try {
-      const response = await client.get(`${resourcePath}.json`, {
-        params: {
-          limit: 250,
-          ...params,
-          ...(pageInfo ? { page_info: pageInfo } : {}),
-        },
+      response = await client.get(`${resourcePath}.json`, {
+        params: pageInfo
+          ? { limit: 250, page_info: pageInfo, ...(params.fields ? { fields: params.fields } : {}) }
+          : { limit: 250, ...params },
       });
-
-      const payload = response.data[dataKey] || [];
-      records.push(...payload);
-      pageInfo = parsePageInfo(response.headers.link);
     } catch (err) {
       throw buildShopifyError(err, domain, resourcePath);
     }
+
+    const nextPageInfo = parsePageInfo(response.headers.link);
+    yield { records: response.data[dataKey] || [], nextPageInfo };
+    pageInfo = nextPageInfo;
   } while (pageInfo);
+}
+
+// Best-effort total for progress reporting; a failed count should never fail the sync itself.
+const countResource = async (shop, resourcePath, params = {}) => {
+  // count.json takes the same filters as the list endpoint but not `fields`.
+  const { fields, ...filters } = params;
+  try {
+    const response = await clientForShop(shop).get(`${resourcePath}/count.json`, { params: filters });
+    return toNumber(response.data?.count) ?? null;
+  } catch (err) {
+    return null;
+  }
+};
+
+const listLocationIds = async (shop) => {
+  try {
+    const response = await clientForShop(shop).get('locations.json');
+    return (response.data.locations || []).map((location) => String(location.id));
+  } catch (err) {
+    throw buildShopifyError(err, normalizeShopDomain(shop.shopDomain), 'locations');
+  }
+};
 
-  return records;
+// inventory_levels.json has to be scoped to locations, at most 50 per request, so locations are paged a batch at
+// a time. The cursor is "<batch>:<page_info>" and an empty page_info starts that batch, so a resumed run still
+// covers the batches after the one it was interrupted in.
+const LOCATIONS_PER_REQUEST = 50;
+
+async function* iterateInventoryLevelPages(shop, params = {}, { pageInfo: startPageInfo } = {}) {
+  const locationIds = await listLocationIds(shop);
+  const batches = Math.ceil(locationIds.length / LOCATIONS_PER_REQUEST);
+  // A cursor in any other form (none, or one saved before batching) starts from the first batch.
+  const [, startBatch = '0', startPage = ''] = /^(\d+):(.*)$/.exec(startPageInfo || '') || [];
+
+  for (let batch = Number(startBatch); batch < batches; batch += 1) {
+    const ids = locationIds.slice(batch * LOCATIONS_PER_REQUEST, (batch + 1) * LOCATIONS_PER_REQUEST);
+    const pages = iterateResourcePages(
+      shop,
+      'inventory_levels',
+      'inventory_levels',
+      { ...params, location_ids: ids.join(',') },
+      { pageInfo: batch === Number(startBatch) ? startPage || null : null }
+    );
+    for await (const { records, nextPageInfo } of pages) {
+      let cursor = null;
+      if (nextPageInfo) cursor = `${batch}:${nextPageInfo}`;
+      else if (batch + 1 < batches) cursor = `${batch + 1}:`;
+      yield { records, nextPageInfo: cursor };
+    }
+  }
+}
+
+const mapCustomerRef = (customer) =>
+  customer
+    ? {
+        id: String(customer.id),
+        email: customer.email,
+        firstName: customer.first_name,
+        lastName: customer.last_name,
+      }
+    : undefined;
+
+const mapRefund = (refund, shopId) => {
+  const refunded = (refund.transactions || []).filter((t) => t.kind === 'refund' && t.status === 'success');
+  return {
+    shop: shopId,
+    shopifyId: String(refund.id),
+    orderId: String(refund.order_id),
+    note: refund.note,
+    amount: refunded.reduce((sum, t) => sum + (toNumber(t.amount) || 0), 0),
+    currency: refunded[0]?.currency,
+    processedAt: refund.processed_at || refund.created_at,
+    refundLineItems: (refund.refund_line_items || []).map((rli) => ({
+      lineItemId: String(rli.line_item_id),
+      productId: rli.line_item?.product_id ? String(rli.line_item.product_id) : undefined,
+      variantId: rli.line_item?.variant_id ? String(rli.line_item.variant_id) : undefined,
+      quantity: rli.quantity,
+      subtotal: toNumber(rli.subtotal),
+      restockType: rli.restock_type,
+    })),
+    transactions: (refund.transactions || []).map((t) => ({
+      shopifyId: String(t.id),
+      kind: t.kind,
+      status: t.status,
+      gateway: t.gateway,
+      amount: toNumber(t.amount),
+      currency: t.currency,
+      processedAt: t.processed_at,
+    })),
+    // Refunds are immutable and carry no updated_at, so there is nothing to order them by.
+    shopifyCreatedAt: refund.created_at,
+  };
 };
 
+const mapFulfillment = (fulfillment, shopId) => ({
+  shop: shopId,
+  shopifyId: String(fulfillment.id),
+  orderId: String(fulfillment.order_id),
+  status: fulfillment.status,
+  shipmentStatus: fulfillment.shipment_status,
+  locationId: fulfillment.location_id ? String(fulfillment.location_id) : undefined,
+  trackingCompany: fulfillment.tracking_company,
+  trackingNumbers: fulfillment.tracking_numbers || [],
+  trackingUrls: fulfillment.tracking_urls || [],
+  lineItems: (fulfillment.line_items || []).map((li) => ({
+    lineItemId: String(li.id),
+    productId: li.product_id ? String(li.product_id) : undefined,
+    variantId: li.variant_id ? String(li.variant_id) : undefined,
+    quantity: li.quantity,
+  })),
+  shopifyCreatedAt: fulfillment.created_at,
+  shopifyUpdatedAt: fulfillment.updated_at,
+});
+
+const inventoryLevelId = (level) => `${level.inventory_item_id}:${level.location_id}`;
+
+// collectionType is unknown for webhook payloads of custom collections; the next sync fills it in.
+const mapCollection = (collection, shopId, collectionType) => ({
+  shop: shopId,
+  shopifyId: String(collection.id),
+  collectionType,
+  title: collection.title,
+  handle: collection.handle,
+  sortOrder: collection.sort_order,
+  disjunctive: collection.disjunctive,
+  rules: collection.rules,
+  publishedAt: collection.published_at,
+  shopifyUpdatedAt: collection.updated_at,
+});
+
 const resourceConfig = {
   customers: {
     path: 'customers',
@@ -191,14 +329,7 @@ const resourceConfig = {
       fulfillmentStatus: order.fulfillment_status,
       processedAt: order.processed_at,
       tags: normalizeTags(order.tags),
-      customer: order.customer
-        ? {
-            id: String(order.customer.id),
-            email: order.customer.email,
-            firstName: order.customer.first_name,
-            lastName: order.customer.last_name,
-          }
-        : undefined,
+      customer: mapCustomerRef(order.customer),
       lineItems: (order.line_items || []).map((li) => ({
         shopifyId: String(li.id),
         productId: li.product_id ? String(li.product_id) : undefined,
@@ -234,66 +365,149 @@ const resourceConfig = {
       shopifyUpdatedAt: product.updated_at,
     }),
   },
+  // Refunds and fulfillments have no shop-wide list endpoint; they come embedded in orders, so these
+  // walk the orders feed (asking only for the fields needed) and expand each order into its children.
+  refunds: {
+    path: 'orders',
+    dataKey: 'orders',
+    model: Refund,
+    params: { status: 'any', fields: 'id,updated_at,refunds' },
+    expand: (order) => order.refunds || [],
+    map: mapRefund,
+  },
+  fulfillments: {
+    path: 'orders',
+    dataKey: 'orders',
+    model: Fulfillment,
+    params: { status: 'any', fields: 'id,updated_at,fulfillments' },
+    expand: (order) => order.fulfillments || [],
+    map: mapFulfillment,
+  },
+  inventory_levels: {
+    path: 'inventory_levels',
+    dataKey: 'inventory_levels',
+    model: InventoryLevel,
+    iteratePages: iterateInventoryLevelPages,
+    map: (level, shopId) => ({
+      shop: shopId,
+      shopifyId: inventoryLevelId(level),
+      inventoryItemId: String(level.inventory_item_id),
+      locationId: String(level.location_id),
+      available: level.available,
+      shopifyUpdatedAt: level.updated_at,
+    }),
+  },
+  custom_collections: {
+    path: 'custom_collections',
+    dataKey: 'custom_collections',
+    model: Collection,
+    map: (collection, shopId) => mapCollection(collection, shopId, 'custom'),
+  },
+  smart_collections: {
+    path: 'smart_collections',
+    dataKey: 'smart_collections',
+    model: Collection,
+    map: (collection, shopId) => mapCollection(collection, shopId, 'smart'),
+  },
+  checkouts: {
+    path: 'checkouts',
+    dataKey: 'checkouts',
+    model: AbandonedCheckout,
+    map: (checkout, shopId) => ({
+      shop: shopId,
+      shopifyId: String(checkout.id),
+      token: checkout.token,
+      email: checkout.email,
+      currency: checkout.currency,
+      totalPrice: toNumber(checkout.total_price),
+      subtotalPrice: toNumber(checkout.subtotal_price),
+      totalDiscounts: toNumber(checkout.total_discounts),
+      customer: mapCustomerRef(checkout.customer),
+      lineItems: (checkout.line_items || []).map((li) => ({
+        productId: li.product_id ? String(li.product_id) : undefined,
+        variantId: li.variant_id ? String(li.variant_id) : undefined,
+        title: li.title,
+        quantity: li.quantity,
+        price: toNumber(li.price),
+      })),
+      abandonedCheckoutUrl: checkout.abandoned_checkout_url,
+      completedAt: checkout.completed_at,
+      shopifyCreatedAt: checkout.created_at,
+      shopifyUpdatedAt: checkout.updated_at,
+    }),
+  },
+};
+// Shopify signs the raw webhook body with the app secret; compare in constant time.
+const verifyWebhookHmac = (rawBody, hmacHeader, secret) => {
+  if (!rawBody || !hmacHeader || !secret) return false;
+  const digest = crypto.createHmac('sha256', secret).update(rawBody).digest();
+  let provided;
+  try {
+    provided = Buffer.from(String(hmacHeader), 'base64');
+  } catch (err) {
+    return false;
+  }
+  return provided.length === digest.length && crypto.timingSafeEqual(provided, digest);
 };
 
-const upsertDocuments = async (Model, docs) => {
-  if (!docs.length) return 0;
-
-  const operations = docs.map((doc) => ({
-    updateOne: {
-      filter: { shop: doc.shop, shopifyId: doc.shopifyId },
-      update: { $set: doc },
-      upsert: true,
-    },
-  }));
-
-  const result = await Model.bulkWrite(operations, { ordered: false });
-  return (result.upsertedCount || 0) + (result.modifiedCount || 0) + (result.matchedCount || 0);
+const webhookRoute = (type, config, overrides = {}) => ({
+  type,
+  model: config.model,
+  map: config.map,
+  idOf: (payload) => String(payload.id),
+  deleteActions: ['delete'],
+  ...overrides,
+});
+
+// Webhook topic prefix -> how its payloads are stored.
+const WEBHOOK_ROUTES = {
+  customers: webhookRoute('customer', resourceConfig.customers),
+  orders: webhookRoute('order', resourceConfig.orders),
+  products: webhookRoute('product', resourceConfig.products),
+  refunds: webhookRoute('refund', resourceConfig.refunds),
+  fulfillments: webhookRoute('fulfillment', resourceConfig.fulfillments),
+  inventory_levels: webhookRoute('inventory_level', resourceConfig.inventory_levels, {
+    idOf: inventoryLevelId,
+    deleteActions: ['disconnect'],
+  }),
+  collections: webhookRoute('collection', resourceConfig.custom_collections, {
+    map: (collection, shopId) => mapCollection(collection, shopId, collection.rules ? 'smart' : undefined),
+  }),
+  checkouts: webhookRoute('checkout', resourceConfig.checkouts),
 };
 
-const syncShopResources = async (shop, resources = ['customers', 'orders', 'products']) => {
-  const summary = {};
-  for (const resource of resources) {
+// Order payloads embed their refunds and fulfillments, so order webhooks keep those collections current too.
+const upsertOrderChildren = async (order, shopId) => {
+  for (const resource of ['refunds', 'fulfillments']) {
     const config = resourceConfig[resource];
-    if (!config) {
-      summary[resource] = { error: 'unsupported resource' };
-      continue;
-    }
-
-    const raw = await fetchPaginatedResource(shop, config.path, config.dataKey, config.params);
-    const docs = raw.map((item) => config.map(item, shop._id));
-    const saved = await upsertDocuments(config.model, docs);
-    summary[resource] = { pulled: raw.length, saved };
+    const docs = config.expand(order).map((item) => config.map(item, shopId));
+    await upsertDocuments(config.model, docs);
   }
-  return summary;
 };
 
+// Applies a webhook payload to the synced collections. Recording the Event and dedupe live in webhookProcessor,
+// which also routes app lifecycle and privacy topics (customers/redact, app/uninstalled, ...) before calling this.
 const handleWebhook = async (topic, payload, shop) => {
   const normalizedTopic = topic.toLowerCase();
-  await Event.create({ shop: shop._id, topic: normalizedTopic, payload });
+  const [resource, action] = normalizedTopic.split('/');
+  const route = WEBHOOK_ROUTES[resource];
 
-  if (normalizedTopic.startsWith('customers/')) {
-    const doc = resourceConfig.customers.map(payload, shop._id);
-    await upsertDocuments(Customer, [doc]);
-    return { handled: true, type: 'customer' };
+  if (route && route.deleteActions.includes(action)) {
+    const deleted = await markDeleted(route.model, shop._id, route.idOf(payload));
+    return { handled: true, type: route.type, deleted };
   }
 
-  if (normalizedTopic.startsWith('orders/')) {
-    const doc = resourceConfig.orders.map(payload, shop._id);
-    await upsertDocuments(Order, [doc]);
-    return { handled: true, type: 'order' };
-  }
-
-  if (normalizedTopic.startsWith('products/')) {
-    const doc = resourceConfig.products.map(payload, shop._id);
-    await upsertDocuments(Product, [doc]);
-    return { handled: true, type: 'product' };
+  if (route) {
+    const written = await upsertDocuments(route.model, [route.map(payload, shop._id)]);
+    if (resource === 'orders') {
+      await upsertOrderChildren(payload, shop._id);
+    }
+    return { handled: true, type: route.type, stale: written === 0 };
   }
 
-  // Cart / checkout events are persisted as generic events for analytics.
+  // Cart events are persisted as generic events for analytics.
   if (
     normalizedTopic.startsWith('carts/') ||
-    normalizedTopic.startsWith('checkouts/') ||
     normalizedTopic.includes('abandon') ||
     normalizedTopic.includes('cart')
   ) {
@@ -304,8 +518,15 @@ const handleWebhook = async (topic, payload, shop) => {
 };
 
 module.exports = {
-  syncShopResources,
+  DEFAULT_RESOURCES,
+  buildShopifyError,
+  clientForShop,
+  countResource,
   handleWebhook,
+  iterateResourcePages,
   normalizeShopDomain,
+  resourceConfig,
+  shopifyOrigin,
   verifyShopCredentials,
+  verifyWebhookHmac,
 };
@@ -0,0 +1,221 @@
+const SyncState = require('../models/SyncState');
+const { publishUpserts } = require('./liveFeed');
+const { publishEvents } = require('./outboundWebhooks');
+
+// Platform-independent half of a sync: watermarks, resumable cursors and freshness-guarded upserts.
+// Everything that talks to a store API comes from the connector (see connectors/index.js).
+
+const SYNC_MODES = ['full', 'incremental'];
+// rest pages through the platform's list endpoints and is what every connector supports; bulk runs a
+// Shopify GraphQL bulk operation.
+const SYNC_STRATEGIES = ['rest', 'bulk'];
+
+const DUPLICATE_KEY = 11000;
+
+// Only matches documents that are not newer than the incoming version, so a late or replayed payload
+// never overwrites fresher data. Documents without a timestamp are always overwritten.
+const freshnessFilter = (doc) => {
+  const filter = { shop: doc.shop, shopifyId: doc.shopifyId };
+  const updatedAt = doc.shopifyUpdatedAt ? new Date(doc.shopifyUpdatedAt) : null;
+  if (!updatedAt || Number.isNaN(updatedAt.getTime())) return filter;
+  return {
+    ...filter,
+    $or: [{ shopifyUpdatedAt: { $lte: updatedAt } }, { shopifyUpdatedAt: null }],
+  };
+};
+
+const runBulkWrite = async (Model, operations) => {
+  try {
+    const result = await Model.bulkWrite(operations, { ordered: false });
+    return { result, conflicts: [] };
+  } catch (err) {
+    const writeErrors = err.writeErrors || [];
+    if (!writeErrors.length || writeErrors.some((we) => we.code !== DUPLICATE_KEY)) throw err;
+    return { result: err.result, conflicts: writeErrors.map((we) => we.index) };
+  }
+};
+
+// Upserts by (shop, shopifyId) and reports, as indexes into docs, which were inserted and which updated.
+// Stale versions are in neither list.
+const writeDocuments = async (Model, docs) => {
+  if (!docs.length) return { created: [], updated: [] };
+
+  const operations = docs.map((doc) => ({
+    updateOne: {
+      filter: freshnessFilter(doc),
+      update: { $set: doc },
+      upsert: true,
+    },
+  }));
+
+  // When the freshness filter misses an existing document, the upsert collides with the unique index.
+  // That is either a stale payload or two writers racing to insert; retrying without upsert tells them apart.
+  // Every operation that neither inserted nor collided matched the freshness filter, i.e. was updated.
+  const { result, conflicts } = await runBulkWrite(Model, operations);
+  const created = Object.keys(result?.upsertedIds || {}).map(Number);
+  const skip = new Set([...created, ...conflicts]);
+  const updated = docs.map((doc, index) => index).filter((index) => !skip.has(index));
+
+  // Retried one at a time, since a bulk result only counts matches and can't say which went through.
+  for (const index of conflicts) {
+    const { filter, update } = operations[index].updateOne;
+    const { matchedCount } = await Model.updateOne(filter, update);
+    if (matchedCount) updated.push(index);
+  }
+  publishUpserts(Model, docs, { created, updated });
+  return { created, updated };
+};
+
+// Same as writeDocuments, but only returns how many documents were written.
+const upsertDocuments = async (Model, docs) => {
+  const { created, updated } = await writeDocuments(Model, docs);
+  return created.length + updated.length;
+};
+
+// Delete webhooks set deletedAt rather than removing the document, and insights leave soft-deleted documents out.
+// Delete payloads only carry the id, so the delete time stands in as shopifyUpdatedAt: the freshness filter then
+// rejects any older version that arrives later. A delete for a record not stored yet leaves a tombstone, so a
+// create delivered or synced after it can't bring the record back either.
+const markDeleted = async (Model, shopId, externalId) => {
+  const deletedAt = new Date();
+  try {
+    const { matchedCount, upsertedCount } = await Model.updateOne(
+      { shop: shopId, shopifyId: externalId, deletedAt: null },
+      { $set: { deletedAt, shopifyUpdatedAt: deletedAt } },
+      { upsert: true }
+    );
+    return matchedCount + upsertedCount > 0;
+  } catch (err) {
+    // Already deleted: the upsert collided with the existing tombstone.
+    if (err.code === DUPLICATE_KEY) return false;
+    throw err;
+  }
+};
+
+// Highest updated time among the fetched records, never moving backwards from the previous watermark.
+// Uses the raw records because the since filter applies to those (e.g. orders), not the expanded documents.
+const latestUpdatedAt = (records, updatedAtOf, previous) =>
+  records.reduce((latest, record) => {
+    const value = updatedAtOf(record);
+    const updatedAt = value ? new Date(value) : null;
+    if (!updatedAt || Number.isNaN(updatedAt.getTime())) return latest;
+    return !latest || updatedAt > latest ? updatedAt : latest;
+  }, previous || null);
+
+const syncResources = async (
+  connector,
+  shop,
+  resources = connector.defaultResources,
+  { mode = 'incremental', strategy = 'rest', onProgress } = {}
+) => {
+  if (!SYNC_MODES.includes(mode)) {
+    throw new Error(`Unsupported sync mode "${mode}". Use one of: ${SYNC_MODES.join(', ')}.`);
+  }
+  if (!connector.strategies.includes(strategy)) {
+    throw new Error(
+      `Unsupported ${connector.label} sync strategy "${strategy}". Use one of: ${connector.strategies.join(', ')}.`
+    );
+  }
+
+  const summary = {};
+  for (const resource of resources) {
+    const config = connector.resources[resource];
+    if (!config) {
+      summary[resource] = { error: 'unsupported resource' };
+      await onProgress?.(resource, { status: 'failed', error: 'unsupported resource' });
+      continue;
+    }
+
+    // Resources without a bulk query fall back to REST paging.
+    const effectiveStrategy = connector.strategyFor(resource, strategy);
+    const stateFilter = { shop: shop._id, resource };
+    const state = await SyncState.findOne(stateFilter);
+    // Pick up an interrupted REST run of the same mode from its saved cursor rather than starting over.
+    // Bulk results can't be resumed part-way, so a bulk run always starts a fresh operation.
+    const resumable =
+      effectiveStrategy === 'rest' && state?.cursor?.pageInfo && state.cursor.mode === mode ? state.cursor : null;
+    // Without a watermark there is nothing to be incremental against, so fall back to a full pull.
+    const since = resumable ? resumable.since : mode === 'incremental' ? state?.watermark : null;
+    const effectiveMode = since ? 'incremental' : 'full';
+    const params = { ...config.params, ...(since ? connector.sinceParams(since) : {}) };
+
+    let pendingWatermark = resumable ? resumable.pendingWatermark : since;
+    let pulled = 0;
+    let saved = 0;
+    let total =
+      onProgress && effectiveStrategy === 'rest' ? await connector.countResource(shop, resource, params) : null;
+    await onProgress?.(resource, { status: 'running', total, pulled, saved });
+
+    if (!resumable) {
+      await SyncState.updateOne(
+        stateFilter,
+        { $set: { cursor: { mode, since, pendingWatermark, startedAt: new Date() } } },
+        { upsert: true }
+      );
+    }
+
+    const pages = connector.iteratePages(shop, resource, params, {
+      pageInfo: resumable?.pageInfo,
+      since,
+      strategy: effectiveStrategy,
+      // Long-running exports report in between pages; each report also refreshes the job's updatedAt,
+      // so they aren't mistaken for a dead worker.
+      onStatus: (status) => {
+        total = status.total ?? total;
+        return onProgress?.(resource, { status: 'running', total, pulled, saved });
+      },
+    });
+    for await (const { records, nextPageInfo } of pages) {
+      const items = config.expand ? records.flatMap(config.expand) : records;
+      const docs = items.map((item) => config.map(item, shop._id));
+      const { created, updated } = await writeDocuments(config.model, docs);
+      saved += created.length + updated.length;
+      pulled += records.length;
+      // A full run is a backfill and would announce every historical record, so only incremental runs publish.
+      if (effectiveMode === 'incremental') {
+        await publishEvents(shop, 'sync', [
+          ...created.map((index) => ({ topic: `${resource}/create`, payload: items[index] })),
+          ...updated.map((index) => ({ topic: `${resource}/update`, payload: items[index] })),
+        ]);
+      }
+      pendingWatermark = latestUpdatedAt(records, connector.updatedAtOf, pendingWatermark);
+
+      // Checkpoint after every page so a crash resumes from the next unsaved page.
+      await SyncState.updateOne(stateFilter, {
+        $set: { 'cursor.pageInfo': nextPageInfo, 'cursor.pendingWatermark': pendingWatermark },
+      });
+      await onProgress?.(resource, { status: 'running', total, pulled, saved });
+    }
+
+    // The watermark only advances once every page is in, otherwise skipped pages would never be revisited.
+    const now = new Date();
+    await SyncState.updateOne(stateFilter, {
+      $set: {
+        watermark: pendingWatermark,
+        lastMode: effectiveMode,
+        lastSyncedAt: now,
+        ...(effectiveMode === 'full' ? { lastFullSyncAt: now } : {}),
+      },
+      $unset: { cursor: 1 },
+    });
+
+    summary[resource] = {
+      pulled,
+      saved,
+      mode: effectiveMode,
+      strategy: effectiveStrategy,
+      since: since || null,
+      resumed: Boolean(resumable),
+    };
+    await onProgress?.(resource, { status: 'succeeded', total, pulled, saved });
+  }
+  return summary;
+};
+
+module.exports = {
+  SYNC_MODES,
+  SYNC_STRATEGIES,
+  markDeleted,
+  syncResources,
+  upsertDocuments,
+};
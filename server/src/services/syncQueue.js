@@ -0,0 +1,201 @@
+const Shop = require('../models/Shop');
+const SyncJob = require('../models/SyncJob');
+const { connectorForShop } = require('./connectors');
+const { publishLive } = require('./liveFeed');
+const { syncResources } = require('./syncEngine');
+
+const POLL_INTERVAL_MS = Number(process.env.SYNC_WORKER_POLL_MS) || 5000;
+// A running job that hasn't reported progress for this long is assumed to belong to a dead process.
+const STALE_JOB_MS = 10 * 60 * 1000;
+// A job that has gone stale this many times keeps killing its worker, so it is failed instead of requeued.
+const MAX_ATTEMPTS = 3;
+const ACTIVE_STATUSES = ['queued', 'running'];
+
+let workerStarted = false;
+let draining = false;
+
+const markShopError = async (shop, err) => {
+  shop.status = 'paused';
+  const meta = shop.metadata instanceof Map ? shop.metadata : new Map();
+  meta.set('lastError', err.message);
+  meta.set('lastErrorStatus', String(err.status || ''));
+  meta.set('lastErrorAt', new Date().toISOString());
+  shop.metadata = meta;
+  await shop.save();
+  console.error(`Paused shop ${shop.shopDomain} due to repeated sync errors`);
+};
+
+const isCredentialError = (err) =>
+  err.status === 404 || err.status === 401 || err.status === 403 || /Invalid shop domain/i.test(err.message);
+
+// Normalize the stored domain and fail fast on bad tokens before pulling any pages.
+const prepareShop = async (connector, shop) => {
+  const normalizedDomain = connector.normalizeDomain(shop.shopDomain);
+  if (!normalizedDomain) {
+    throw new Error(`Invalid shop domain. ${connector.domainHint}`);
+  }
+  if (normalizedDomain !== shop.shopDomain) {
+    shop.shopDomain = normalizedDomain;
+    await shop.save();
+  }
+
+  const verification = await connector.verifyCredentials(shop);
+  if (verification.canonicalDomain && verification.canonicalDomain !== shop.shopDomain) {
+    shop.shopDomain = verification.canonicalDomain;
+    await shop.save();
+  }
+};
+
+const runSyncJob = async (job) => {
+  const shop = await Shop.findById(job.shop);
+  if (!shop) {
+    throw new Error('Shop not found');
+  }
+
+  const connector = connectorForShop(shop);
+  try {
+    await prepareShop(connector, shop);
+    // Fix missing or stale subscriptions while we know the credentials work.
+    const webhooks = await connector.ensureWebhooks(shop);
+    await SyncJob.updateOne({ _id: job._id }, { $set: { webhooks } });
+
+    const summary = await syncResources(connector, shop, job.resources, {
+      mode: job.mode,
+      strategy: job.strategy,
+      onProgress: (resource, progress) => {
+        publishLive(job.shop, 'sync', { _id: job._id, progress: { [resource]: progress } });
+        return SyncJob.updateOne({ _id: job._id }, { $set: { [`progress.${resource}`]: progress } });
+      },
+    });
+    shop.lastSyncedAt = new Date();
+    await shop.save();
+    return summary;
+  } catch (err) {
+    // Only unattended runs pause the shop; a manual run surfaces the error to the user instead.
+    if (job.trigger === 'cron' && isCredentialError(err)) {
+      await markShopError(shop, err);
+    }
+    throw err;
+  }
+};
+
+// Atomically move the oldest queued job to running so two workers never pick the same one.
+const claimNextJob = () =>
+  SyncJob.findOneAndUpdate(
+    { status: 'queued' },
+    { $set: { status: 'running', startedAt: new Date() }, $inc: { attempts: 1 } },
+    { sort: { createdAt: 1 }, new: true }
+  );
+
+// progress holds per-resource entries to replace, written with the job's own fields in a single update.
+const finishJob = async (job, update, progress = {}) => {
+  const progressFields = Object.fromEntries(
+    Object.entries(progress).map(([resource, entry]) => [`progress.${resource}`, entry])
+  );
+  await SyncJob.updateOne({ _id: job._id }, { $set: { ...update, ...progressFields } });
+  publishLive(job.shop, 'sync', { _id: job._id, ...update, ...(Object.keys(progress).length ? { progress } : {}) });
+};
+
+// Resources still marked running stopped with the job, so they fail with it rather than look in progress forever.
+const failJob = async (job, { error, errorStatus }) => {
+  const { progress = {} } = (await SyncJob.findById(job._id).select('progress').lean()) || {};
+  const stopped = Object.fromEntries(
+    Object.entries(progress)
+      .filter(([, entry]) => entry.status === 'running')
+      .map(([resource, entry]) => [resource, { ...entry, status: 'failed', error }])
+  );
+  await finishJob(job, { status: 'failed', error, errorStatus, finishedAt: new Date() }, stopped);
+};
+
+// Saved page cursors let requeued jobs resume where the dead worker stopped.
+const requeueStaleJobs = async () => {
+  const stale = { status: 'running', updatedAt: { $lt: new Date(Date.now() - STALE_JOB_MS) } };
+  const { modifiedCount } = await SyncJob.updateMany(
+    { ...stale, attempts: { $lt: MAX_ATTEMPTS } },
+    { $set: { status: 'queued' } }
+  );
+  if (modifiedCount) {
+    console.log(`Requeued ${modifiedCount} stale sync jobs`);
+  }
+
+  const abandoned = await SyncJob.find({ ...stale, attempts: { $gte: MAX_ATTEMPTS } });
+  for (const job of abandoned) {
+    console.error(`Sync job ${job.id} stalled on each of its ${job.attempts} attempts; marking it failed`);
+    await failJob(job, { error: `Worker stopped responding on each of ${job.attempts} attempts` });
+  }
+};
+
+const drainQueue = async () => {
+  if (draining) return;
+  draining = true;
+  try {
+    await requeueStaleJobs();
+    let job = await claimNextJob();
+    while (job) {
+      publishLive(job.shop, 'sync', job);
+      try {
+        const summary = await runSyncJob(job);
+        await finishJob(job, { status: 'succeeded', summary, finishedAt: new Date() });
+        console.log(`Sync job ${job.id} succeeded`, summary);
+      } catch (err) {
+        console.error(`Sync job ${job.id} failed`, err.message);
+        await failJob(job, { error: err.message, errorStatus: err.status || err.response?.status });
+      }
+      job = await claimNextJob();
+    }
+  } catch (err) {
+    console.error('Sync worker error', err.message);
+  } finally {
+    draining = false;
+  }
+};
+
+// Returns the shop's in-flight job instead of stacking a duplicate behind it.
+const enqueueSyncJob = async ({
+  shop,
+  resources,
+  mode = 'incremental',
+  strategy = 'rest',
+  trigger = 'manual',
+  requestedBy,
+}) => {
+  const existing = await SyncJob.findOne({ shop: shop._id, status: { $in: ACTIVE_STATUSES } }).sort({
+    createdAt: -1,
+  });
+  if (existing) {
+    return { job: existing, created: false };
+  }
+
+  const job = await SyncJob.create({
+    shop: shop._id,
+    resources,
+    mode,
+    strategy,
+    trigger,
+    requestedBy,
+    progress: Object.fromEntries(resources.map((resource) => [resource, { status: 'queued' }])),
+  });
+  publishLive(shop._id, 'sync', job);
+  if (workerStarted) {
+    setImmediate(drainQueue);
+  }
+  return { job, created: true };
+};
+
+const startSyncWorker = () => {
+  if (process.env.ENABLE_SYNC_WORKER === 'false') {
+    console.log('Sync worker disabled (ENABLE_SYNC_WORKER=false)');
+    return;
+  }
+
+  console.log(`Starting sync worker (polling every ${POLL_INTERVAL_MS}ms)`);
+  workerStarted = true;
+  setInterval(drainQueue, POLL_INTERVAL_MS);
+  drainQueue();
+};
+
+module.exports = {
+  drainQueue,
+  enqueueSyncJob,
+  startSyncWorker,
+};
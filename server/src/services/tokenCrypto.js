@@ -0,0 +1,116 @@
+const crypto = require('crypto');
+
+// Envelope encryption for secrets stored on documents: every value gets its own random data key
+// (AES-256-GCM), and that data key is wrapped with a key-encryption key from TOKEN_ENCRYPTION_KEYS.
+// Rotating the KEK only re-wraps data keys, so ciphertexts never need to be decrypted in bulk.
+//
+// Stored format: enc:v1:<kekId>:<wrapIv>:<wrapTag>:<wrappedKey>:<iv>:<tag>:<ciphertext> (base64 parts).
+const PREFIX = 'enc:v1:';
+const ALGORITHM = 'aes-256-gcm';
+
+// TOKEN_ENCRYPTION_KEYS="k2:<base64 32 bytes>,k1:<base64 32 bytes>"; the active key is
+// TOKEN_ENCRYPTION_KEY_ID or the first entry. Older keys stay listed until rotation has run.
+const loadKeyring = () => {
+  const keys = new Map();
+  (process.env.TOKEN_ENCRYPTION_KEYS || '')
+    .split(',')
+    .map((entry) => entry.trim())
+    .filter(Boolean)
+    .forEach((entry) => {
+      const [id, material] = entry.split(':');
+      const key = Buffer.from(material || '', 'base64');
+      if (!id || key.length !== 32) {
+        throw new Error(`TOKEN_ENCRYPTION_KEYS entry "${id}" must be "<id>:<base64 32-byte key>"`);
+      }
+      keys.set(id, key);
+    });
+
+  const activeId = process.env.TOKEN_ENCRYPTION_KEY_ID || keys.keys().next().value;
+  if (activeId && !keys.has(activeId)) {
+    throw new Error(`TOKEN_ENCRYPTION_KEY_ID "${activeId}" is not in TOKEN_ENCRYPTION_KEYS`);
+  }
+  if (!activeId && process.env.NODE_ENV === 'production') {
+    throw new Error('TOKEN_ENCRYPTION_KEYS must be set in production');
+  }
+  if (!activeId) {
+    console.warn('TOKEN_ENCRYPTION_KEYS is not set; secrets are stored in plaintext');
+  }
+  return { keys, activeId };
+};
+
+const keyring = loadKeyring();
+
+const b64 = (buf) => buf.toString('base64');
+
+const seal = (key, plaintext) => {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv(ALGORITHM, key, iv);
+  const ciphertext = Buffer.concat([cipher.update(plaintext), cipher.final()]);
+  return [iv, cipher.getAuthTag(), ciphertext];
+};
+
+const unseal = (key, iv, tag, ciphertext) => {
+  const decipher = crypto.createDecipheriv(ALGORITHM, key, iv);
+  decipher.setAuthTag(tag);
+  return Buffer.concat([decipher.update(ciphertext), decipher.final()]);
+};
+
+const isEncrypted = (value) => typeof value === 'string' && value.startsWith(PREFIX);
+
+const parse = (value) => {
+  const [kekId, ...parts] = value.slice(PREFIX.length).split(':');
+  const [wrapIv, wrapTag, wrappedKey, iv, tag, ciphertext] = parts.map((part) => Buffer.from(part, 'base64'));
+  return { kekId, wrapIv, wrapTag, wrappedKey, iv, tag, ciphertext };
+};
+
+const kekFor = (kekId) => {
+  const kek = keyring.keys.get(kekId);
+  if (!kek) {
+    throw new Error(`No key "${kekId}" in TOKEN_ENCRYPTION_KEYS; it is needed to decrypt stored secrets`);
+  }
+  return kek;
+};
+
+const format = (kekId, wrapped, sealed) => `${PREFIX}${kekId}:${[...wrapped, ...sealed].map(b64).join(':')}`;
+
+const encryptSecret = (plaintext) => {
+  if (plaintext === undefined || plaintext === null || plaintext === '') return plaintext;
+  if (isEncrypted(plaintext) || !keyring.activeId) return plaintext;
+
+  const dataKey = crypto.randomBytes(32);
+  const sealed = seal(dataKey, Buffer.from(String(plaintext), 'utf8'));
+  const wrapped = seal(kekFor(keyring.activeId), dataKey);
+  return format(keyring.activeId, wrapped, sealed);
+};
+
+// Plaintext values written before encryption was enabled pass through unchanged.
+const decryptSecret = (value) => {
+  if (!isEncrypted(value)) return value;
+  const { kekId, wrapIv, wrapTag, wrappedKey, iv, tag, ciphertext } = parse(value);
+  const dataKey = unseal(kekFor(kekId), wrapIv, wrapTag, wrappedKey);
+  return unseal(dataKey, iv, tag, ciphertext).toString('utf8');
+};
+
+const needsRotation = (value) => {
+  if (!value || !keyring.activeId) return false;
+  return !isEncrypted(value) || parse(value).kekId !== keyring.activeId;
+};
+
+// Re-wraps the data key under the active KEK (or encrypts a legacy plaintext value).
+const rotateSecret = (value) => {
+  if (!needsRotation(value)) return value;
+  if (!isEncrypted(value)) return encryptSecret(value);
+
+  const { kekId, wrapIv, wrapTag, wrappedKey, iv, tag, ciphertext } = parse(value);
+  const dataKey = unseal(kekFor(kekId), wrapIv, wrapTag, wrappedKey);
+  return format(keyring.activeId, seal(kekFor(keyring.activeId), dataKey), [iv, tag, ciphertext]);
+};
+
+module.exports = {
+  activeKeyId: () => keyring.activeId,
+  decryptSecret,
+  encryptSecret,
+  isEncrypted,
+  needsRotation,
+  rotateSecret,
+};
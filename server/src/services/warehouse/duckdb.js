@@ -0,0 +1,27 @@
+const { DuckDBInstance } = require('@duckdb/node-api');
+
+const TYPES = {
+  text: 'VARCHAR',
+  number: 'DOUBLE',
+  integer: 'BIGINT',
+  timestamp: 'TIMESTAMPTZ',
+  json: 'JSON',
+};
+
+// DuckDB allows a single writing process per file, so the file is only held open for the length of a run
+// and BI tools can read it in between.
+const connect = async (path) => {
+  const instance = await DuckDBInstance.create(path);
+  const connection = await instance.connect();
+  return {
+    target: 'duckdb',
+    types: TYPES,
+    query: async (sql, params = []) => (await connection.runAndReadAll(sql, params)).getRowObjectsJson(),
+    close: async () => {
+      connection.closeSync();
+      instance.closeSync();
+    },
+  };
+};
+
+module.exports = { connect };
@@ -0,0 +1,368 @@
+const Customer = require('../../models/Customer');
+const Event = require('../../models/Event');
+const Order = require('../../models/Order');
+const Product = require('../../models/Product');
+const Shop = require('../../models/Shop');
+
+// Replicates the operational collections into relational tables (Postgres or a DuckDB file) for BI tools.
+// Each source is copied in Mongo updatedAt order and checkpointed per batch, so a run only reads what
+// changed since the last one. Order line items and product variants get their own tables, rewritten
+// with their parent row.
+
+const BATCH_SIZE = 500;
+// Postgres caps a statement at 65535 bind parameters; multi-row inserts are split well below that.
+const MAX_PARAMS = 10000;
+const STATE_TABLE = 'warehouse_sync_state';
+
+const column = (name, type, get) => ({ name, type, get });
+
+const id = (value) => (value ? String(value) : null);
+
+const joinTags = (tags) => (tags?.length ? tags.join(', ') : null);
+
+// Platform timestamps are created_at/updated_at; synced_at is when the stored record last changed, which
+// is also the replication watermark.
+const SOURCES = [
+  {
+    table: 'shops',
+    model: Shop,
+    key: ['shop_id'],
+    columns: [
+      column('shop_id', 'text', (s) => id(s._id)),
+      column('shop_domain', 'text', (s) => s.shopDomain),
+      column('name', 'text', (s) => s.name),
+      column('platform', 'text', (s) => s.platform || 'shopify'),
+      column('workspace_id', 'text', (s) => id(s.workspace)),
+      column('status', 'text', (s) => s.status),
+      column('last_synced_at', 'timestamp', (s) => s.lastSyncedAt),
+      column('uninstalled_at', 'timestamp', (s) => s.uninstalledAt),
+      column('created_at', 'timestamp', (s) => s.createdAt),
+      column('synced_at', 'timestamp', (s) => s.updatedAt),
+    ],
+  },
+  {
+    table: 'customers',
+    model: Customer,
+    key: ['shop_id', 'customer_id'],
+    columns: [
+      column('shop_id', 'text', (c) => id(c.shop)),
+      column('customer_id', 'text', (c) => c.shopifyId),
+      column('email', 'text', (c) => c.email),
+      column('phone', 'text', (c) => c.phone),
+      column('first_name', 'text', (c) => c.firstName),
+      column('last_name', 'text', (c) => c.lastName),
+      column('tags', 'text', (c) => joinTags(c.tags)),
+      column('total_spent', 'number', (c) => c.totalSpent),
+      column('state', 'text', (c) => c.state),
+      column('country', 'text', (c) => c.country),
+      column('marketing_opt_in_level', 'text', (c) => c.marketingOptInLevel),
+      column('created_at', 'timestamp', (c) => c.shopifyCreatedAt),
+      column('updated_at', 'timestamp', (c) => c.shopifyUpdatedAt),
+      column('deleted_at', 'timestamp', (c) => c.deletedAt),
+      column('redacted_at', 'timestamp', (c) => c.redactedAt),
+      column('synced_at', 'timestamp', (c) => c.updatedAt),
+    ],
+  },
+  {
+    table: 'orders',
+    model: Order,
+    key: ['shop_id', 'order_id'],
+    columns: [
+      column('shop_id', 'text', (o) => id(o.shop)),
+      column('order_id', 'text', (o) => o.shopifyId),
+      column('name', 'text', (o) => o.name),
+      column('email', 'text', (o) => o.email),
+      column('currency', 'text', (o) => o.currency),
+      column('total_price', 'number', (o) => o.totalPrice),
+      column('subtotal_price', 'number', (o) => o.subtotalPrice),
+      column('total_discounts', 'number', (o) => o.totalDiscounts),
+      column('financial_status', 'text', (o) => o.financialStatus),
+      column('fulfillment_status', 'text', (o) => o.fulfillmentStatus),
+      column('processed_at', 'timestamp', (o) => o.processedAt),
+      column('tags', 'text', (o) => joinTags(o.tags)),
+      column('customer_id', 'text', (o) => o.customer?.id),
+      column('customer_email', 'text', (o) => o.customer?.email),
+      column('customer_first_name', 'text', (o) => o.customer?.firstName),
+      column('customer_last_name', 'text', (o) => o.customer?.lastName),
+      column('created_at', 'timestamp', (o) => o.shopifyCreatedAt),
+      column('updated_at', 'timestamp', (o) => o.shopifyUpdatedAt),
+      column('deleted_at', 'timestamp', (o) => o.deletedAt),
+      column('synced_at', 'timestamp', (o) => o.updatedAt),
+    ],
+    // Keyed by position because line items from imports or older payloads may have no id.
+    children: [
+      {
+        table: 'order_line_items',
+        rows: (order) => order.lineItems,
+        key: ['shop_id', 'order_id', 'position'],
+        columns: [
+          column('shop_id', 'text', (o) => id(o.shop)),
+          column('order_id', 'text', (o) => o.shopifyId),
+          column('position', 'integer', (o, li, index) => index + 1),
+          column('line_item_id', 'text', (o, li) => li.shopifyId),
+          column('product_id', 'text', (o, li) => li.productId),
+          column('variant_id', 'text', (o, li) => li.variantId),
+          column('name', 'text', (o, li) => li.name),
+          column('quantity', 'integer', (o, li) => li.quantity),
+          column('price', 'number', (o, li) => li.price),
+        ],
+      },
+    ],
+  },
+  {
+    table: 'products',
+    model: Product,
+    key: ['shop_id', 'product_id'],
+    columns: [
+      column('shop_id', 'text', (p) => id(p.shop)),
+      column('product_id', 'text', (p) => p.shopifyId),
+      column('title', 'text', (p) => p.title),
+      column('status', 'text', (p) => p.status),
+      column('product_type', 'text', (p) => p.productType),
+      column('vendor', 'text', (p) => p.vendor),
+      column('tags', 'text', (p) => joinTags(p.tags)),
+      column('created_at', 'timestamp', (p) => p.shopifyCreatedAt),
+      column('updated_at', 'timestamp', (p) => p.shopifyUpdatedAt),
+      column('deleted_at', 'timestamp', (p) => p.deletedAt),
+      column('synced_at', 'timestamp', (p) => p.updatedAt),
+    ],
+    children: [
+      {
+        table: 'product_variants',
+        rows: (product) => product.variants,
+        key: ['shop_id', 'product_id', 'position'],
+        columns: [
+          column('shop_id', 'text', (p) => id(p.shop)),
+          column('product_id', 'text', (p) => p.shopifyId),
+          column('position', 'integer', (p, v, index) => index + 1),
+          column('variant_id', 'text', (p, v) => v.shopifyId),
+          column('title', 'text', (p, v) => v.title),
+          column('sku', 'text', (p, v) => v.sku),
+          column('price', 'number', (p, v) => v.price),
+          column('inventory_quantity', 'integer', (p, v) => v.inventoryQuantity),
+        ],
+      },
+    ],
+  },
+  {
+    table: 'events',
+    model: Event,
+    key: ['event_id'],
+    columns: [
+      column('event_id', 'text', (e) => id(e._id)),
+      column('shop_id', 'text', (e) => id(e.shop)),
+      column('topic', 'text', (e) => e.topic),
+      column('webhook_id', 'text', (e) => e.webhookId),
+      column('payload', 'json', (e) => (e.payload === undefined ? null : JSON.stringify(e.payload))),
+      column('received_at', 'timestamp', (e) => e.receivedAt),
+      column('synced_at', 'timestamp', (e) => e.updatedAt),
+    ],
+  },
+];
+
+const TABLES = SOURCES.flatMap((source) => [source, ...(source.children || [])]);
+
+// WAREHOUSE_URL is a postgres:// connection string, or duckdb:<path> (a bare *.duckdb path also works).
+const parseWarehouseUrl = (url) => {
+  if (/^postgres(ql)?:\/\//i.test(url)) return { target: 'postgres', location: url };
+  const duckdb = /^duckdb:(.+)$/i.exec(url);
+  if (duckdb) return { target: 'duckdb', location: duckdb[1] };
+  if (/\.duckdb$/i.test(url)) return { target: 'duckdb', location: url };
+  throw new Error('WAREHOUSE_URL must be a postgres:// URL or duckdb:<path to .duckdb file>');
+};
+
+const warehouseConfigured = () => Boolean(process.env.WAREHOUSE_URL);
+
+// Drivers are loaded on demand so only the configured one has to be installed and able to load.
+const openWarehouse = (url) => {
+  const { target, location } = parseWarehouseUrl(url);
+  return require(`./${target}`).connect(location);
+};
+
+const createTableSql = (db, table) => {
+  const columns = table.columns.map((c) => `${c.name} ${db.types[c.type]}`);
+  return `CREATE TABLE IF NOT EXISTS ${table.table} (${columns.join(', ')}, PRIMARY KEY (${table.key.join(', ')}))`;
+};
+
+const ensureSchema = async (db) => {
+  for (const table of TABLES) {
+    await db.query(createTableSql(db, table));
+  }
+  await db.query(
+    `CREATE TABLE IF NOT EXISTS ${STATE_TABLE} (table_name ${db.types.text} PRIMARY KEY, ` +
+      `watermark ${db.types.text}, last_run_at ${db.types.timestamp})`
+  );
+};
+
+// Full reloads start from empty tables, which also picks up column changes.
+const dropSchema = async (db) => {
+  for (const table of [...TABLES].reverse()) {
+    await db.query(`DROP TABLE IF EXISTS ${table.table}`);
+  }
+  await db.query(`DROP TABLE IF EXISTS ${STATE_TABLE}`);
+};
+
+// Dates go over as ISO strings, which both drivers cast to the column's timestamp type.
+const toValues = (columns, ...args) =>
+  columns.map((c) => {
+    const value = c.get(...args);
+    if (value === undefined || value === null) return null;
+    return value instanceof Date ? value.toISOString() : value;
+  });
+
+const placeholders = (rows, width) =>
+  rows.map((row, r) => `(${row.map((value, c) => `$${r * width + c + 1}`).join(', ')})`).join(', ');
+
+const chunk = (rows, width) => {
+  const size = Math.max(1, Math.floor(MAX_PARAMS / width));
+  const chunks = [];
+  for (let i = 0; i < rows.length; i += size) chunks.push(rows.slice(i, i + size));
+  return chunks;
+};
+
+const insertRows = async (db, table, rows, { upsert }) => {
+  const names = table.columns.map((c) => c.name);
+  const updates = names.filter((name) => !table.key.includes(name)).map((name) => `${name} = excluded.${name}`);
+  const conflict = upsert ? ` ON CONFLICT (${table.key.join(', ')}) DO UPDATE SET ${updates.join(', ')}` : '';
+  for (const part of chunk(rows, names.length)) {
+    await db.query(
+      `INSERT INTO ${table.table} (${names.join(', ')}) VALUES ${placeholders(part, names.length)}${conflict}`,
+      part.flat()
+    );
+  }
+};
+
+// Children are replaced wholesale: removed line items or variants would otherwise linger.
+const replaceChildren = async (db, source, docs) => {
+  const parentKeys = docs.map((doc) => toValues(source.columns.filter((c) => source.key.includes(c.name)), doc));
+  for (const child of source.children || []) {
+    for (const part of chunk(parentKeys, source.key.length)) {
+      await db.query(
+        `DELETE FROM ${child.table} WHERE (${source.key.join(', ')}) IN (${placeholders(part, source.key.length)})`,
+        part.flat()
+      );
+    }
+    const rows = docs.flatMap((doc) =>
+      (child.rows(doc) || []).map((item, index) => toValues(child.columns, doc, item, index))
+    );
+    if (rows.length) await insertRows(db, child, rows, { upsert: false });
+  }
+};
+
+const saveWatermark = (db, table, watermark) =>
+  db.query(
+    `INSERT INTO ${STATE_TABLE} (table_name, watermark, last_run_at) VALUES ($1, $2, $3) ` +
+      'ON CONFLICT (table_name) DO UPDATE SET watermark = excluded.watermark, last_run_at = excluded.last_run_at',
+    [table, watermark ? watermark.toISOString() : null, new Date().toISOString()]
+  );
+
+const loadWatermarks = async (db) => {
+  const rows = await db.query(`SELECT table_name, watermark FROM ${STATE_TABLE}`);
+  return Object.fromEntries(rows.map((row) => [row.table_name, row.watermark ? new Date(row.watermark) : null]));
+};
+
+// One transaction per batch, including the watermark, so an interrupted run carries on from the last
+// committed batch.
+const writeBatch = async (db, source, docs, watermark) => {
+  // A document updated mid-run can come round twice; a statement may only touch each key once.
+  const unique = [...new Map(docs.map((doc) => [String(doc._id), doc])).values()];
+  await db.query('BEGIN');
+  try {
+    await insertRows(db, source, unique.map((doc) => toValues(source.columns, doc)), { upsert: true });
+    await replaceChildren(db, source, unique);
+    await saveWatermark(db, source.table, watermark);
+    await db.query('COMMIT');
+  } catch (err) {
+    await db.query('ROLLBACK').catch(() => {});
+    throw err;
+  }
+};
+
+// Reads the source in updatedAt order, served by the { updatedAt: 1 } index each source model declares for
+// this query. $gte rather than $gt: documents sharing the watermark's millisecond may not all have been copied
+// yet. Re-copying the boundary rows is harmless since every write is an upsert.
+const copySource = async (db, source, since) => {
+  const filter = since ? { updatedAt: { $gte: since } } : {};
+  const cursor = source.model.find(filter).sort({ updatedAt: 1, _id: 1 }).lean().cursor({ batchSize: BATCH_SIZE });
+  let watermark = since;
+  let copied = 0;
+  let batch = [];
+
+  const flush = async () => {
+    if (!batch.length) return;
+    await writeBatch(db, source, batch, watermark);
+    copied += batch.length;
+    batch = [];
+  };
+
+  try {
+    for await (const doc of cursor) {
+      batch.push(doc);
+      if (doc.updatedAt && (!watermark || doc.updatedAt > watermark)) watermark = doc.updatedAt;
+      if (batch.length >= BATCH_SIZE) await flush();
+    }
+    await flush();
+  } finally {
+    await cursor.close();
+  }
+  return { copied, watermark: watermark || null };
+};
+
+// shop/redact hard-deletes a shop's documents, which never show up as changes; drop their rows instead.
+const pruneRemovedShops = async (db) => {
+  const shopIds = (await Shop.distinct('_id')).map(String);
+  for (const table of TABLES) {
+    if (!shopIds.length) {
+      await db.query(`DELETE FROM ${table.table}`);
+      continue;
+    }
+    const list = shopIds.map((shopId, i) => `$${i + 1}`).join(', ');
+    await db.query(`DELETE FROM ${table.table} WHERE shop_id NOT IN (${list})`, shopIds);
+  }
+};
+
+let running = null;
+
+// Copies everything changed since the previous run. full drops and rebuilds the tables first.
+const syncWarehouse = async ({ full = false, url = process.env.WAREHOUSE_URL } = {}) => {
+  if (!url) {
+    throw new Error('Set WAREHOUSE_URL to a postgres:// URL or duckdb:<path> to enable the warehouse');
+  }
+  if (running) {
+    throw new Error('A warehouse sync is already running');
+  }
+
+  const run = async () => {
+    const startedAt = new Date();
+    const db = await openWarehouse(url);
+    try {
+      if (full) await dropSchema(db);
+      await ensureSchema(db);
+      const watermarks = await loadWatermarks(db);
+
+      const tables = {};
+      for (const source of SOURCES) {
+        tables[source.table] = await copySource(db, source, watermarks[source.table] || null);
+      }
+      await pruneRemovedShops(db);
+      return { target: db.target, full, startedAt, finishedAt: new Date(), tables };
+    } finally {
+      await db.close();
+    }
+  };
+
+  running = run();
+  try {
+    return await running;
+  } finally {
+    running = null;
+  }
+};
+
+const isWarehouseSyncRunning = () => Boolean(running);
+
+module.exports = {
+  isWarehouseSyncRunning,
+  syncWarehouse,
+  warehouseConfigured,
+};
@@ -0,0 +1,23 @@
+const { Client } = require('pg');
+
+const TYPES = {
+  text: 'TEXT',
+  number: 'DOUBLE PRECISION',
+  integer: 'BIGINT',
+  timestamp: 'TIMESTAMPTZ',
+  json: 'JSONB',
+};
+
+// A single client per run, so BEGIN/COMMIT wrap the statements in between.
+const connect = async (url) => {
+  const client = new Client({ connectionString: url });
+  await client.connect();
+  return {
+    target: 'postgres',
+    types: TYPES,
+    query: async (sql, params = []) => (await client.query(sql, params)).rows,
+    close: () => client.end(),
+  };
+};
+
+module.exports = { connect };
@@ -0,0 +1,98 @@
+const Event = require('../models/Event');
+const WebhookDeadLetter = require('../models/WebhookDeadLetter');
+const { connectorForShop } = require('./connectors');
+const { publishLive } = require('./liveFeed');
+const { publishEvent } = require('./outboundWebhooks');
+const { exportCustomerData, redactCustomer, redactShop } = require('./privacyService');
+const { handleAppUninstalled } = require('./shopLifecycle');
+
+const DUPLICATE_KEY = 11000;
+
+// Topics that act on the shop or on a customer's privacy rather than on a synced record.
+// They share prefixes with resource topics, so they have to be matched before the connector's handleWebhook.
+// Only Shopify sends them.
+const TOPIC_HANDLERS = {
+  'app/uninstalled': (payload, shop) => handleAppUninstalled(shop),
+  'customers/data_request': (payload, shop) => exportCustomerData(shop, payload),
+  'customers/redact': (payload, shop) => redactCustomer(shop, payload),
+  'shop/redact': (payload, shop) => redactShop(shop),
+};
+
+// Successfully applied record topics are passed on to outbound subscriptions; stale payloads changed nothing, so
+// they aren't. TOPIC_HANDLERS topics never are: a privacy payload asks for the customer's data to be erased or
+// handed over, not sent to third parties.
+const applyWebhook = async (topic, payload, shop) => {
+  const handler = TOPIC_HANDLERS[topic];
+  if (handler) {
+    return handler(payload, shop);
+  }
+  const result = await connectorForShop(shop).handleWebhook(topic, payload, shop);
+  if (result?.handled && !result.stale) {
+    await publishEvent(shop, 'webhook', topic, payload);
+  }
+  return result;
+};
+
+// Records the delivery as an Event, keyed by the platform's delivery id (X-Shopify-Webhook-Id,
+// X-WC-Webhook-Delivery-ID) so redeliveries are stored once.
+// Returns null when this webhook id has already been received for the shop.
+const recordDelivery = async ({ shop, topic, webhookId, payload }) => {
+  try {
+    const event = await Event.create({ shop: shop._id, topic, webhookId, payload, receivedAt: new Date() });
+    publishLive(shop._id, 'event', event);
+    return event;
+  } catch (err) {
+    if (err.code === DUPLICATE_KEY) return null;
+    throw err;
+  }
+};
+
+// Dedupes, applies and, on failure, dead-letters one webhook delivery. Failures are acknowledged rather
+// than left to the platform's retries (which dedupe would swallow anyway); the dead-letter store is the retry path.
+const processWebhook = async ({ shop, topic, webhookId, payload }) => {
+  const normalizedTopic = topic.toLowerCase();
+  const event = await recordDelivery({ shop, topic: normalizedTopic, webhookId, payload });
+  if (!event) {
+    return { duplicate: true };
+  }
+
+  try {
+    return await applyWebhook(normalizedTopic, payload, shop);
+  } catch (err) {
+    console.error(`webhook ${normalizedTopic} for ${shop.shopDomain} failed; dead-lettered`, err.message);
+    const deadLetter = await WebhookDeadLetter.create({
+      shop: shop._id,
+      topic: normalizedTopic,
+      webhookId,
+      payload,
+      error: err.message,
+    });
+    return { deadLettered: true, deadLetterId: deadLetter._id, error: err.message };
+  }
+};
+
+// Re-runs a dead-lettered payload. The stale-update guard in handleWebhook keeps an old payload
+// from overwriting anything that has changed since it first failed.
+const replayDeadLetter = async (deadLetter, shop, replayedBy) => {
+  deadLetter.attempts += 1;
+  deadLetter.lastAttemptAt = new Date();
+
+  try {
+    const result = await applyWebhook(deadLetter.topic, deadLetter.payload, shop);
+    deadLetter.status = 'replayed';
+    deadLetter.replayedAt = new Date();
+    deadLetter.replayedBy = replayedBy;
+    deadLetter.error = undefined;
+    await deadLetter.save();
+    return { ok: true, result };
+  } catch (err) {
+    deadLetter.error = err.message;
+    await deadLetter.save();
+    return { ok: false, error: err.message };
+  }
+};
+
+module.exports = {
+  processWebhook,
+  replayDeadLetter,
+};
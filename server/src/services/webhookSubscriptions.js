@@ -0,0 +1,184 @@
+const { DEFAULT_RESOURCES, clientForShop, buildShopifyError, normalizeShopDomain } = require('./shopifyService');
+
+// Topics each synced resource relies on; webhookProcessor routes all of them. The privacy topics
+// (customers/redact, customers/data_request, shop/redact) can't be subscribed to through this API.
+const RESOURCE_TOPICS = {
+  customers: ['customers/create', 'customers/update', 'customers/delete'],
+  orders: ['orders/create', 'orders/updated', 'orders/delete'],
+  products: ['products/create', 'products/update', 'products/delete'],
+  refunds: ['refunds/create'],
+  fulfillments: ['fulfillments/create', 'fulfillments/update'],
+  inventory_levels: ['inventory_levels/connect', 'inventory_levels/update', 'inventory_levels/disconnect'],
+  custom_collections: ['collections/create', 'collections/update', 'collections/delete'],
+  smart_collections: ['collections/create', 'collections/update', 'collections/delete'],
+  checkouts: ['checkouts/create', 'checkouts/update', 'checkouts/delete'],
+};
+const ALWAYS_TOPICS = ['app/uninstalled'];
+
+const MANAGED_TOPICS = [...new Set([...ALWAYS_TOPICS, ...Object.values(RESOURCE_TOPICS).flat()])];
+
+// Scope each optional resource's topics need; Shopify rejects subscriptions the token can't read.
+const OPTIONAL_RESOURCE_SCOPES = {
+  refunds: 'orders',
+  fulfillments: 'orders',
+  inventory_levels: 'inventory',
+  custom_collections: 'products',
+  smart_collections: 'products',
+  checkouts: 'orders',
+};
+
+const hasScope = (shop, scope) =>
+  (shop.scopes || []).some((granted) => granted === `read_${scope}` || granted === `write_${scope}`);
+
+// Default resources always; optional ones only when the shop's recorded scopes allow them. Shops
+// registered without scopes (pasted tokens) stick to the defaults.
+const topicsForShop = (shop) => {
+  const optional = Object.keys(OPTIONAL_RESOURCE_SCOPES).filter((resource) =>
+    hasScope(shop, OPTIONAL_RESOURCE_SCOPES[resource])
+  );
+  const resources = [...DEFAULT_RESOURCES, ...optional];
+  return [...new Set([...ALWAYS_TOPICS, ...resources.flatMap((resource) => RESOURCE_TOPICS[resource])])];
+};
+
+const webhookAddress = () => {
+  const base = process.env.APP_BASE_URL;
+  if (!base) {
+    throw new Error('APP_BASE_URL is not set; Shopify needs a public URL to deliver webhooks to.');
+  }
+  return `${base.replace(/\/$/, '')}/api/webhooks/shopify`;
+};
+
+const listWebhookSubscriptions = async (shop) => {
+  const client = clientForShop(shop);
+  try {
+    const response = await client.get('webhooks.json', { params: { limit: 250 } });
+    return response.data.webhooks || [];
+  } catch (err) {
+    throw buildShopifyError(err, normalizeShopDomain(shop.shopDomain), 'webhooks');
+  }
+};
+
+// Per-topic health: ok (points at us), stale (points elsewhere) or missing.
+const webhookHealth = async (shop) => {
+  const address = webhookAddress();
+  const subscriptions = await listWebhookSubscriptions(shop);
+
+  const wanted = topicsForShop(shop);
+  const topics = wanted.map((topic) => {
+    const matches = subscriptions.filter((sub) => sub.topic === topic);
+    const current = matches.find((sub) => sub.address === address);
+    if (current) {
+      return { topic, status: 'ok', id: String(current.id), address: current.address };
+    }
+    if (matches.length) {
+      return { topic, status: 'stale', id: String(matches[0].id), address: matches[0].address };
+    }
+    return { topic, status: 'missing' };
+  });
+
+  const extra = subscriptions
+    .filter((sub) => !wanted.includes(sub.topic))
+    .map((sub) => ({ topic: sub.topic, id: String(sub.id), address: sub.address }));
+  // Ours, but for a resource the shop's scopes no longer cover.
+  const unwanted = extra.filter((sub) => sub.address === address && MANAGED_TOPICS.includes(sub.topic));
+
+  return {
+    address,
+    healthy: topics.every((t) => t.status === 'ok'),
+    topics,
+    extra,
+    unwanted,
+    checkedAt: new Date(),
+  };
+};
+
+const recordReconciledAt = async (shop) => {
+  const meta = shop.metadata instanceof Map ? shop.metadata : new Map();
+  meta.set('webhooksReconciledAt', new Date().toISOString());
+  shop.metadata = meta;
+  await shop.save();
+};
+
+// Creates missing subscriptions, repoints stale ones at APP_BASE_URL and drops ones the shop's scopes no
+// longer cover. Errors are collected per topic
+// so one rejected topic (e.g. a missing scope) doesn't block the rest.
+const reconcileWebhookSubscriptions = async (shop) => {
+  const domain = normalizeShopDomain(shop.shopDomain);
+  const client = clientForShop(shop);
+  const health = await webhookHealth(shop);
+  const report = { created: [], updated: [], unchanged: [], removed: [], errors: [] };
+
+  for (const entry of health.topics) {
+    try {
+      if (entry.status === 'missing') {
+        const webhook = { topic: entry.topic, address: health.address, format: 'json' };
+        await client.post('webhooks.json', { webhook });
+        report.created.push(entry.topic);
+      } else if (entry.status === 'stale') {
+        await client.put(`webhooks/${entry.id}.json`, { webhook: { id: entry.id, address: health.address } });
+        report.updated.push(entry.topic);
+      } else {
+        report.unchanged.push(entry.topic);
+      }
+    } catch (err) {
+      const shopifyErr = buildShopifyError(err, domain, `webhooks (${entry.topic})`);
+      report.errors.push({ topic: entry.topic, message: shopifyErr.message });
+    }
+  }
+
+  for (const sub of health.unwanted) {
+    try {
+      await client.delete(`webhooks/${sub.id}.json`);
+      report.removed.push(sub.topic);
+    } catch (err) {
+      const shopifyErr = buildShopifyError(err, domain, `webhooks (${sub.topic})`);
+      report.errors.push({ topic: sub.topic, message: shopifyErr.message });
+    }
+  }
+
+  await recordReconciledAt(shop);
+  return report;
+};
+
+// Same as reconcile, but never throws; used where webhook setup must not fail the surrounding flow.
+const ensureWebhookSubscriptions = async (shop) => {
+  try {
+    const report = await reconcileWebhookSubscriptions(shop);
+    if (report.errors.length) {
+      console.warn(`Webhook reconcile for ${shop.shopDomain} had errors`, report.errors);
+    }
+    return report;
+  } catch (err) {
+    console.error(`Webhook reconcile failed for ${shop.shopDomain}`, err.message);
+    return { error: err.message };
+  }
+};
+
+// Removes our managed subscriptions (optionally limited to some topics), leaving other apps' alone.
+const deleteWebhookSubscriptions = async (shop, topics = MANAGED_TOPICS) => {
+  const domain = normalizeShopDomain(shop.shopDomain);
+  const client = clientForShop(shop);
+  const address = webhookAddress();
+  const subscriptions = await listWebhookSubscriptions(shop);
+  const deleted = [];
+
+  for (const sub of subscriptions) {
+    if (!topics.includes(sub.topic) || sub.address !== address) continue;
+    try {
+      await client.delete(`webhooks/${sub.id}.json`);
+      deleted.push(sub.topic);
+    } catch (err) {
+      throw buildShopifyError(err, domain, `webhooks/${sub.id}`);
+    }
+  }
+  return { deleted };
+};
+
+module.exports = {
+  MANAGED_TOPICS,
+  RESOURCE_TOPICS,
+  deleteWebhookSubscriptions,
+  ensureWebhookSubscriptions,
+  reconcileWebhookSubscriptions,
+  webhookHealth,
+};
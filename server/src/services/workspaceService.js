@@ -0,0 +1,48 @@
+const Workspace = require('../models/Workspace');
+
+// Higher rank includes everything a lower rank can do; analysts are read-only.
+const ROLE_RANK = { analyst: 1, admin: 2, owner: 3 };
+
+const roleFor = (workspace, email) => workspace?.members.find((member) => member.email === email)?.role || null;
+
+const hasRole = (role, minRole) => Boolean(role) && ROLE_RANK[role] >= ROLE_RANK[minRole];
+
+const ensurePersonalWorkspace = async (email) => {
+  const existing = await Workspace.findOne({ members: { $elemMatch: { email, role: 'owner' } } }).sort({
+    createdAt: 1,
+  });
+  if (existing) return existing;
+  return Workspace.create({ name: `${email}'s workspace`, members: [{ email, role: 'owner' }] });
+};
+
+// Shops registered before workspaces only carry ownerEmail; move them into the owner's personal
+// workspace the first time they're accessed.
+const workspaceForShop = async (shop) => {
+  if (shop.workspace) return Workspace.findById(shop.workspace);
+  if (!shop.ownerEmail) return null;
+
+  const workspace = await ensurePersonalWorkspace(shop.ownerEmail);
+  shop.workspace = workspace._id;
+  await shop.save();
+  return workspace;
+};
+
+const workspacesForUser = (email) => Workspace.find({ 'members.email': email }).sort({ createdAt: 1 });
+
+// Mongo filter for every shop the user can see, including not-yet-migrated legacy shops they own.
+const shopFilterForUser = async (email) => {
+  const workspaces = await workspacesForUser(email);
+  return {
+    $or: [{ workspace: { $in: workspaces.map((w) => w._id) } }, { workspace: null, ownerEmail: email }],
+  };
+};
+
+module.exports = {
+  ROLE_RANK,
+  ensurePersonalWorkspace,
+  hasRole,
+  roleFor,
+  shopFilterForUser,
+  workspaceForShop,
+  workspacesForUser,
+};
@@ -0,0 +1,121 @@
+const assert = require('node:assert/strict');
+const { test } = require('node:test');
+const {
+  expectedPurchases,
+  expectedSpend,
+  fitBgnbd,
+  fitGammaGamma,
+  lnGamma,
+  probabilityAlive,
+  probabilityNoPurchases,
+} = require('../src/services/clvModel');
+const { createRandom, simulatePurchases, simulateSpend } = require('./helpers/clvSimulation');
+
+const assertClose = (actual, expected, relative, message) =>
+  assert.ok(Math.abs(actual - expected) <= relative * Math.abs(expected), `${message}: ${actual} vs ${expected}`);
+
+test('the spend fit does not depend on the currency', () => {
+  const customers = simulateSpend(createRandom(7), { p: 6, q: 4, v: 15 }, { customers: 400 });
+  const fit = fitGammaGamma(customers);
+
+  [0.01, 100, 5000].forEach((factor) => {
+    const rescaled = fitGammaGamma(customers.map(({ x, m }) => ({ x, m: m * factor })));
+    assertClose(rescaled.p, fit.p, 1e-4, `p at x${factor}`);
+    assertClose(rescaled.q, fit.q, 1e-4, `q at x${factor}`);
+    assertClose(rescaled.v, fit.v * factor, 1e-4, `v at x${factor}`);
+    assert.ok(rescaled.q > 1, `q stays above 1 at x${factor}`);
+    const [customer] = customers;
+    const spend = expectedSpend(rescaled, { x: customer.x, m: customer.m * factor });
+    assertClose(spend / factor, expectedSpend(fit, customer), 1e-4, `expected spend at x${factor}`);
+  });
+});
+
+test('churn counts customers without repeat purchases', () => {
+  const params = { r: 0.25, alpha: 4, a: 0.8, b: 2.5 };
+  const horizon = 52;
+
+  // One purchase only: certainly alive in BG/NBD, but the longer they have been quiet the less likely they buy.
+  const recent = probabilityNoPurchases(params, { x: 0, tx: 0, T: 2 }, horizon);
+  const longAgo = probabilityNoPurchases(params, { x: 0, tx: 0, T: 150 }, horizon);
+  assert.ok(recent > 0 && recent < longAgo && longAgo < 1, `${recent} < ${longAgo}`);
+  assertClose(recent, (6 / 58) ** 0.25, 1e-12, 'no purchase while alive');
+
+  // With repeats, at least the dropout probability.
+  const repeater = { x: 4, tx: 30, T: 60 };
+  const churn = probabilityNoPurchases(params, repeater, horizon);
+  assert.ok(churn > 1 - probabilityAlive(params, repeater) && churn < 1);
+  // Over a long enough horizon only the customers who dropped out stay quiet.
+  assertClose(probabilityNoPurchases(params, repeater, 1e9), 1 - probabilityAlive(params, repeater), 1e-6, 'limit');
+});
+
+test('lnGamma matches known values', () => {
+  [
+    [0.001, 6.907178885383854],
+    [0.1, 2.2527126517342055],
+    [0.5, Math.log(Math.sqrt(Math.PI))],
+    [1, 0],
+    [2, 0],
+    [3, Math.log(2)],
+    [10, Math.log(362880)],
+    [100, 359.1342053695754],
+    [1000.5, 5908.674175848678],
+  ].forEach(([z, expected]) => assert.ok(Math.abs(lnGamma(z) - expected) < 1e-10, `lnGamma(${z}) = ${lnGamma(z)}`));
+});
+
+test('BG/NBD recovers the parameters it was simulated with', () => {
+  const truth = { r: 0.5, alpha: 6, a: 0.8, b: 2.5 };
+  const fit = fitBgnbd(simulatePurchases(createRandom(11), truth, { customers: 5000 }));
+
+  assert.ok(fit.converged);
+  assertClose(fit.r, truth.r, 0.1, 'r');
+  assertClose(fit.alpha, truth.alpha, 0.1, 'alpha');
+  // Dropout is only seen through repeat buyers who went quiet, so a and b are looser.
+  assertClose(fit.a, truth.a, 0.2, 'a');
+  assertClose(fit.b, truth.b, 0.2, 'b');
+});
+
+test('Gamma-Gamma recovers the parameters it was simulated with', () => {
+  const truth = { p: 2, q: 5, v: 40 };
+  const fit = fitGammaGamma(simulateSpend(createRandom(11), truth, { customers: 3000 }));
+
+  assert.ok(fit.converged);
+  assertClose(fit.p, truth.p, 0.2, 'p');
+  assertClose(fit.q, truth.q, 0.2, 'q');
+  assertClose(fit.v, truth.v, 0.2, 'v');
+  assertClose((fit.p * fit.v) / (fit.q - 1), (truth.p * truth.v) / (truth.q - 1), 0.05, 'mean spend per order');
+});
+
+// Fader, Hardie & Lee (2005), eq. 10, with 2F1 summed directly; at small t its series converges fast.
+const closedFormExpectedPurchases = ({ r, alpha, a, b }, { x, tx, T }, t) => {
+  const z = t / (alpha + T + t);
+  let term = 1;
+  let series = 1;
+  for (let k = 0; k < 200; k += 1) {
+    term *= ((r + x + k) * (b + x + k) * z) / ((a + b + x - 1 + k) * (k + 1));
+    series += term;
+  }
+  const head = ((a + b + x - 1) / (a - 1)) * (1 - ((alpha + T) / (alpha + T + t)) ** (r + x) * series);
+  const odds = x > 0 ? (a / (b + x - 1)) * ((alpha + T) / (alpha + tx)) ** (r + x) : 0;
+  return head / (1 + odds);
+};
+
+test('expectedPurchases matches the closed form at small t', () => {
+  const params = { r: 0.5, alpha: 6, a: 0.8, b: 2.5 };
+  const customers = [
+    { x: 0, tx: 0, T: 40 },
+    { x: 1, tx: 10, T: 40 },
+    { x: 5, tx: 38, T: 40 },
+    { x: 12, tx: 20, T: 90 },
+  ];
+
+  customers.forEach((customer) => {
+    [0.5, 1, 4].forEach((t) => {
+      const expected = closedFormExpectedPurchases(params, customer, t);
+      assertClose(expectedPurchases(params, customer, t), expected, 1e-8, `x=${customer.x} t=${t}`);
+    });
+    // Over a very short window an active customer buys at their posterior mean rate (r + x) / (alpha + T).
+    const t = 1e-4;
+    const rate = ((params.r + customer.x) / (params.alpha + customer.T)) * probabilityAlive(params, customer);
+    assertClose(expectedPurchases(params, customer, t), rate * t, 1e-3, `x=${customer.x} rate`);
+  });
+});
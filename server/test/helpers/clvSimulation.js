@@ -0,0 +1,62 @@
+// Seeded simulations of customer histories for the CLV model tests, so fits are repeatable.
+
+// mulberry32: uniform numbers in [0, 1).
+const createRandom = (seed) => {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+};
+
+const normal = (random) => Math.sqrt(-2 * Math.log(1 - random())) * Math.cos(2 * Math.PI * random());
+
+// Gamma(shape, rate) by Marsaglia and Tsang.
+const gamma = (random, shape, rate) => {
+  if (shape < 1) return gamma(random, shape + 1, rate) * random() ** (1 / shape);
+  const d = shape - 1 / 3;
+  const c = 1 / Math.sqrt(9 * d);
+  for (;;) {
+    const z = normal(random);
+    const v = (1 + c * z) ** 3;
+    if (v > 0 && Math.log(1 - random()) < 0.5 * z * z + d - d * v + d * Math.log(v)) return (d * v) / rate;
+  }
+};
+
+// Gamma-Gamma: each customer's spend rate ~ Gamma(q, v), each purchase ~ Gamma(p, rate); m is the mean
+// of x purchases, with x spread over 1..maxPurchases.
+const simulateSpend = (random, { p, q, v }, { customers, maxPurchases = 10 }) =>
+  Array.from({ length: customers }, () => {
+    const rate = gamma(random, q, v);
+    const x = 1 + Math.floor(random() * maxPurchases);
+    let total = 0;
+    for (let i = 0; i < x; i += 1) total += gamma(random, p, rate);
+    return { x, m: total / x };
+  });
+
+// BG/NBD: each customer's purchase rate ~ Gamma(r, alpha) and dropout chance ~ Beta(a, b). After the first
+// purchase at week 0 they buy as a Poisson process and may drop out after each repeat purchase. Observation
+// lengths are spread over minWeeks..maxWeeks; times are whole days, as loadHistories produces them.
+const simulatePurchases = (random, { r, alpha, a, b }, { customers, minWeeks = 26, maxWeeks = 104 }) =>
+  Array.from({ length: customers }, () => {
+    const rate = gamma(random, r, alpha);
+    const dropout = gamma(random, a, 1);
+    const p = dropout / (dropout + gamma(random, b, 1));
+    const T = Math.round((minWeeks + random() * (maxWeeks - minWeeks)) * 7) / 7;
+    let t = 0;
+    let x = 0;
+    let tx = 0;
+    for (;;) {
+      t += -Math.log(1 - random()) / rate;
+      if (t > T) break;
+      x += 1;
+      tx = Math.min(Math.round(t * 7) / 7, T);
+      if (random() < p) break;
+    }
+    return { x, tx, T };
+  });
+
+module.exports = { createRandom, gamma, simulatePurchases, simulateSpend };
@@ -0,0 +1,289 @@
+const { Types } = require('mongoose');
+
+// In-memory stand-in for a model's collection, for tests that run without MongoDB. It replaces the few
+// driver methods the code under test reaches, so queries still go through Mongoose's real casting (setters,
+// defaults) and the filters the code actually builds. Filters support equality, regexes, dotted
+// paths, $gt/$gte/$lt/$lte/$ne/$in/$nin/$exists and $or; updates support $set/$unset/$inc/$setOnInsert.
+// Upserts enforce the schema's unique indexes, and bulkWrite takes updateOne operations. aggregate runs
+// $match, $project (inclusion), $unwind, $sort and $group with $sum/$min/$max/$first/$last, over field paths,
+// constants, $ifNull, $multiply and $gte.
+
+const isOperatorObject = (value) =>
+  value !== null &&
+  typeof value === 'object' &&
+  !(value instanceof Date) &&
+  !(value instanceof Types.ObjectId) &&
+  Object.keys(value).some((key) => key.startsWith('$'));
+
+const same = (value, expected) => {
+  if (expected === null || expected === undefined) return value === null || value === undefined;
+  if (Array.isArray(value)) return value.some((item) => same(item, expected));
+  if (expected instanceof RegExp) return typeof value === 'string' && expected.test(value);
+  return value !== null && value !== undefined && String(value) === String(expected);
+};
+
+const OPERATORS = {
+  $gt: (value, arg) => value !== null && value !== undefined && value > arg,
+  $gte: (value, arg) => value !== null && value !== undefined && value >= arg,
+  $lt: (value, arg) => value !== null && value !== undefined && value < arg,
+  $lte: (value, arg) => value !== null && value !== undefined && value <= arg,
+  $ne: (value, arg) => !same(value, arg),
+  $in: (value, arg) => arg.some((item) => same(value, item)),
+  $nin: (value, arg) => !arg.some((item) => same(value, item)),
+  $exists: (value, arg) => (value !== undefined) === Boolean(arg),
+};
+
+const getPath = (doc, path) => path.split('.').reduce((value, key) => value?.[key], doc);
+
+// Every value at path, stepping into arrays on the way like Mongo does.
+const pathValues = (value, keys) => {
+  if (Array.isArray(value)) return value.flatMap((item) => pathValues(item, keys));
+  if (!keys.length) return value === undefined ? [] : [value];
+  return value === null || typeof value !== 'object' ? [] : pathValues(value[keys[0]], keys.slice(1));
+};
+
+const setPath = (doc, path, value) => {
+  const keys = path.split('.');
+  const last = keys.pop();
+  const parent = keys.reduce((target, key) => {
+    if (target[key] === null || typeof target[key] !== 'object') target[key] = {};
+    return target[key];
+  }, doc);
+  if (value === undefined) delete parent[last];
+  else parent[last] = value;
+};
+
+const matches = (doc, filter = {}) =>
+  Object.entries(filter).every(([path, condition]) => {
+    if (path === '$or') return condition.some((clause) => matches(doc, clause));
+    const value = getPath(doc, path);
+    if (!isOperatorObject(condition)) return same(value, condition);
+    return Object.entries(condition).every(([operator, arg]) => {
+      if (!OPERATORS[operator]) throw new Error(`memoryCollection does not support ${operator}`);
+      return OPERATORS[operator](value, arg);
+    });
+  });
+
+// Cast subdocuments reach the driver as Mongoose documents, which it serializes through toBSON.
+const toStored = (value) => (typeof value?.toBSON === 'function' ? value.toBSON() : value);
+
+const applyUpdate = (doc, update, inserting) => {
+  Object.entries(update.$set || {}).forEach(([path, value]) => setPath(doc, path, toStored(value)));
+  Object.keys(update.$unset || {}).forEach((path) => setPath(doc, path, undefined));
+  Object.entries(update.$inc || {}).forEach(([path, value]) => setPath(doc, path, (getPath(doc, path) || 0) + value));
+  if (inserting) Object.entries(update.$setOnInsert || {}).forEach(([path, value]) => setPath(doc, path, value));
+};
+
+// The document an upsert inserts: the filter's equality fields, then the update.
+const upserted = (filter, update) => {
+  const doc = { _id: new Types.ObjectId() };
+  Object.entries(filter).forEach(([path, value]) => {
+    if (!path.startsWith('$') && !isOperatorObject(value)) setPath(doc, path, value);
+  });
+  applyUpdate(doc, update, true);
+  return doc;
+};
+
+const evaluate = (doc, expression) => {
+  if (typeof expression === 'string' && expression.startsWith('$')) return getPath(doc, expression.slice(1));
+  if (expression === null || typeof expression !== 'object' || expression instanceof Date) return expression;
+  const [operator] = Object.keys(expression);
+  if (operator?.startsWith('$')) {
+    if (!EXPRESSIONS[operator]) throw new Error(`memoryCollection does not support ${operator}`);
+    return EXPRESSIONS[operator](...expression[operator].map((arg) => evaluate(doc, arg)));
+  }
+  return Object.fromEntries(Object.entries(expression).map(([key, value]) => [key, evaluate(doc, value)]));
+};
+
+const compare = (a, b) => {
+  if (a === b || (a == null && b == null)) return 0;
+  if (a == null) return -1;
+  if (b == null) return 1;
+  return a < b ? -1 : a > b ? 1 : 0;
+};
+
+const EXPRESSIONS = {
+  $ifNull: (value, fallback) => value ?? fallback,
+  $multiply: (...values) => values.reduce((product, value) => product * value, 1),
+  $gte: (a, b) => compare(a, b) >= 0,
+};
+
+const ACCUMULATORS = {
+  $sum: (total, value) => (total ?? 0) + (typeof value === 'number' ? value : 0),
+  $min: (low, value) => (value == null || (low != null && compare(low, value) <= 0) ? low : value),
+  $max: (high, value) => (value == null || (high != null && compare(high, value) >= 0) ? high : value),
+  $first: (first, value, index) => (index === 0 ? value : first),
+  $last: (last, value) => value,
+};
+
+const group = (docs, { _id: key, ...fields }) => {
+  const groups = new Map();
+  docs.forEach((doc) => {
+    const id = evaluate(doc, key);
+    const hash = JSON.stringify(id);
+    if (!groups.has(hash)) groups.set(hash, { id, members: [] });
+    groups.get(hash).members.push(doc);
+  });
+  return [...groups.values()].map(({ id, members }) => {
+    const result = { _id: id };
+    Object.entries(fields).forEach(([field, accumulator]) => {
+      const [[operator, expression]] = Object.entries(accumulator);
+      if (!ACCUMULATORS[operator]) throw new Error(`memoryCollection does not support ${operator}`);
+      result[field] = members.reduce(
+        (value, member, index) => ACCUMULATORS[operator](value, evaluate(member, expression), index),
+        operator === '$sum' ? 0 : null
+      );
+    });
+    return result;
+  });
+};
+
+const STAGES = {
+  $match: (docs, filter) => docs.filter((doc) => matches(doc, filter)),
+  $project: (docs, fields) =>
+    docs.map((doc) => {
+      const projected = { _id: doc._id };
+      Object.keys(fields).forEach((path) => setPath(projected, path, getPath(doc, path)));
+      return projected;
+    }),
+  // Top-level arrays only, given as '$field'.
+  $unwind: (docs, path) =>
+    docs.flatMap((doc) => (doc[path.slice(1)] || []).map((item) => ({ ...doc, [path.slice(1)]: item }))),
+  $sort: (docs, order) =>
+    [...docs].sort((a, b) => {
+      for (const [path, direction] of Object.entries(order)) {
+        const difference = compare(getPath(a, path), getPath(b, path));
+        if (difference) return difference * direction;
+      }
+      return 0;
+    }),
+  $group: group,
+};
+
+const memoryCollection = (Model, initial = []) => {
+  const docs = initial.map((doc) => ({ _id: new Types.ObjectId(), ...doc }));
+  const collection = Model.collection;
+  const originals = {};
+  const install = (name, fn) => {
+    originals[name] = collection[name];
+    collection[name] = fn;
+  };
+
+  const uniqueIndexes = Model.schema
+    .indexes()
+    .filter(([, options]) => options.unique)
+    .map(([fields]) => Object.keys(fields));
+  const duplicates = (doc) =>
+    uniqueIndexes.some((paths) =>
+      docs.some((existing) => paths.every((path) => same(getPath(existing, path), getPath(doc, path))))
+    );
+
+  const duplicateKeyError = (fields) =>
+    Object.assign(new Error('E11000 duplicate key error'), { code: 11000, ...fields });
+
+  install('insertOne', async (doc) => {
+    docs.push({ ...doc });
+    return { acknowledged: true, insertedId: doc._id };
+  });
+  install('insertMany', async (batch) => {
+    batch.forEach((doc) => docs.push({ ...doc }));
+    return {
+      acknowledged: true,
+      insertedCount: batch.length,
+      insertedIds: Object.fromEntries(batch.map((doc, i) => [i, doc._id])),
+    };
+  });
+  // Sort, skip and limit options are ignored.
+  install('find', (filter) => ({ toArray: async () => docs.filter((doc) => matches(doc, filter)) }));
+  install('countDocuments', async (filter) => docs.filter((doc) => matches(doc, filter)).length);
+  install('distinct', async (path, filter) => {
+    const values = docs.filter((doc) => matches(doc, filter)).flatMap((doc) => pathValues(doc, path.split('.')));
+    return [...new Map(values.map((value) => [String(value), value])).values()];
+  });
+  install('findOne', async (filter) => docs.find((doc) => matches(doc, filter)) || null);
+  install('findOneAndDelete', async (filter) => {
+    const index = docs.findIndex((doc) => matches(doc, filter));
+    return index === -1 ? null : docs.splice(index, 1)[0];
+  });
+  install('findOneAndUpdate', async (filter, update, options = {}) => {
+    let doc = docs.find((candidate) => matches(candidate, filter));
+    const before = doc && { ...doc };
+    if (doc) {
+      applyUpdate(doc, update, false);
+    } else if (options.upsert) {
+      doc = upserted(filter, update);
+      if (duplicates(doc)) throw duplicateKeyError();
+      docs.push(doc);
+    }
+    if (!doc) return null;
+    return options.returnDocument === 'after' ? doc : before || null;
+  });
+
+  install('updateMany', async (filter, update) => {
+    const matched = docs.filter((doc) => matches(doc, filter));
+    matched.forEach((doc) => applyUpdate(doc, update, false));
+    return { acknowledged: true, matchedCount: matched.length, modifiedCount: matched.length };
+  });
+  install('updateOne', async (filter, update, options = {}) => {
+    const doc = docs.find((candidate) => matches(candidate, filter));
+    if (doc) {
+      applyUpdate(doc, update, false);
+      return { acknowledged: true, matchedCount: 1, modifiedCount: 1, upsertedCount: 0, upsertedId: null };
+    }
+    if (!options.upsert) return { acknowledged: true, matchedCount: 0, modifiedCount: 0, upsertedCount: 0 };
+    const inserted = upserted(filter, update);
+    if (duplicates(inserted)) throw duplicateKeyError();
+    docs.push(inserted);
+    return { acknowledged: true, matchedCount: 0, modifiedCount: 0, upsertedCount: 1, upsertedId: inserted._id };
+  });
+  install('bulkWrite', async (operations) => {
+    const upsertedIds = {};
+    const writeErrors = [];
+    let matchedCount = 0;
+    operations.forEach((operation, index) => {
+      if (!operation.updateOne) throw new Error('memoryCollection only supports updateOne in bulkWrite');
+      const { filter, update, upsert } = operation.updateOne;
+      const doc = docs.find((candidate) => matches(candidate, filter));
+      if (doc) {
+        applyUpdate(doc, update, false);
+        matchedCount += 1;
+        return;
+      }
+      if (!upsert) return;
+      const inserted = upserted(filter, update);
+      if (duplicates(inserted)) {
+        writeErrors.push({ index, code: 11000, err: { index } });
+        return;
+      }
+      docs.push(inserted);
+      upsertedIds[index] = inserted._id;
+    });
+    const upsertedCount = Object.keys(upsertedIds).length;
+    const result = { matchedCount, modifiedCount: matchedCount, upsertedCount, upsertedIds };
+    if (writeErrors.length) {
+      throw duplicateKeyError({ writeErrors, result });
+    }
+    return result;
+  });
+  install('aggregate', (pipeline) => ({
+    toArray: async () =>
+      pipeline.reduce((results, stage) => {
+        const [[name, arg]] = Object.entries(stage);
+        if (!STAGES[name]) throw new Error(`memoryCollection does not support ${name}`);
+        return STAGES[name](results, arg);
+      }, docs),
+  }));
+  install('deleteMany', async (filter) => {
+    const kept = docs.filter((doc) => !matches(doc, filter));
+    const deletedCount = docs.length - kept.length;
+    docs.splice(0, docs.length, ...kept);
+    return { acknowledged: true, deletedCount };
+  });
+
+  return {
+    docs,
+    restore: () => Object.assign(collection, originals),
+  };
+};
+
+module.exports = { matches, memoryCollection };
@@ -0,0 +1,45 @@
+const assert = require('node:assert/strict');
+const { afterEach, beforeEach, test } = require('node:test');
+const { Types } = require('mongoose');
+const Customer = require('../src/models/Customer');
+const Order = require('../src/models/Order');
+const RfmScore = require('../src/models/RfmScore');
+const { importRecords } = require('../src/services/importService');
+const { refreshRfmScores } = require('../src/services/rfmSegments');
+const { memoryCollection } = require('./helpers/memoryCollection');
+
+const shop = { _id: new Types.ObjectId(), shopDomain: 'demo.myshopify.com' };
+let collections;
+
+beforeEach(() => {
+  collections = [Customer, Order, RfmScore].map((Model) => memoryCollection(Model));
+});
+
+afterEach(() => collections.forEach((collection) => collection.restore()));
+
+// Shopify's export columns, trimmed to the ones the importer reads; neither file has customer ids.
+const CUSTOMERS_CSV = ['First Name,Last Name,Email,Tags', 'Ada,Lovelace,Ada@Example.com,vip'].join('\n');
+const ORDERS_CSV = [
+  'Name,Email,Total,Currency,Created at,Billing Name,Lineitem name,Lineitem quantity,Lineitem price',
+  '#1001,ada@example.com,40.00,USD,2024-01-05 10:00:00 +0000,Ada Lovelace,Notebook,2,20.00',
+  '#1002,ada@example.com,25.00,USD,2024-03-09 10:00:00 +0000,Ada Lovelace,Pen,1,25.00',
+].join('\n');
+
+test('CSV-imported orders are scored with the customer imported beside them', async () => {
+  const customers = await importRecords(shop, { resource: 'customers', format: 'csv', text: CUSTOMERS_CSV });
+  const orders = await importRecords(shop, { resource: 'orders', format: 'csv', text: ORDERS_CSV });
+  assert.equal(customers.imported, 1);
+  assert.equal(orders.imported, 2);
+
+  const [order] = collections[1].docs;
+  assert.equal(order.customer.id, 'import:ada@example.com');
+
+  assert.equal(await refreshRfmScores(shop._id), 1);
+  const [member] = collections[2].docs;
+  assert.equal(member.customerId, 'import:ada@example.com');
+  assert.deepEqual(member.tags, ['vip']);
+  assert.equal(member.orders, 2);
+  assert.equal(member.spend, 65);
+  // Scored, rather than listed as a customer without orders; as the only buyer it ranks 1 on every dimension.
+  assert.equal(member.rfmScore, '111');
+});
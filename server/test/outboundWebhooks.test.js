@@ -0,0 +1,195 @@
+const assert = require('node:assert/strict');
+const crypto = require('node:crypto');
+const http = require('node:http');
+const { after, afterEach, before, beforeEach, test } = require('node:test');
+
+// Subscription secrets are encrypted with this keyring when the model casts them.
+process.env.TOKEN_ENCRYPTION_KEYS = `k1:${crypto.randomBytes(32).toString('base64')}`;
+
+const express = require('express');
+const { Types } = require('mongoose');
+const AbandonedCheckout = require('../src/models/AbandonedCheckout');
+const Customer = require('../src/models/Customer');
+const Event = require('../src/models/Event');
+const Order = require('../src/models/Order');
+const OutboundDelivery = require('../src/models/OutboundDelivery');
+const OutboundSubscription = require('../src/models/OutboundSubscription');
+const PrivacyRequest = require('../src/models/PrivacyRequest');
+const RfmScore = require('../src/models/RfmScore');
+const Shop = require('../src/models/Shop');
+const WebhookDeadLetter = require('../src/models/WebhookDeadLetter');
+const Workspace = require('../src/models/Workspace');
+const outboundWebhookRoutes = require('../src/routes/outboundWebhooks');
+const { drainDeliveries } = require('../src/services/outboundWebhooks');
+const { processWebhook } = require('../src/services/webhookProcessor');
+const { memoryCollection } = require('./helpers/memoryCollection');
+
+const ADMIN = 'admin@example.com';
+
+// A receiver on loopback, standing in for an internal service a subscription must not reach.
+const received = [];
+let receiver;
+let receiverPort;
+let app;
+let appUrl;
+let workspaces;
+let shops;
+let subscriptions;
+let deliveries;
+let shopId;
+
+const listen = (server) =>
+  new Promise((resolve) => server.listen(0, '127.0.0.1', () => resolve(server.address().port)));
+
+before(async () => {
+  receiver = http.createServer((req, res) => {
+    received.push(req.url);
+    res.end('internal data');
+  });
+  receiverPort = await listen(receiver);
+
+  const server = express();
+  server.use(express.json());
+  server.use((req, res, next) => {
+    req.userEmail = ADMIN;
+    next();
+  });
+  server.use('/api/outbound-webhooks', outboundWebhookRoutes);
+  app = http.createServer(server);
+  appUrl = `http://127.0.0.1:${await listen(app)}`;
+});
+
+after(async () => {
+  await new Promise((resolve) => app.close(resolve));
+  await new Promise((resolve) => receiver.close(resolve));
+});
+
+beforeEach(() => {
+  received.length = 0;
+  const workspace = { _id: new Types.ObjectId(), name: 'Team', members: [{ email: ADMIN, role: 'owner' }] };
+  shopId = new Types.ObjectId();
+  workspaces = memoryCollection(Workspace, [workspace]);
+  shops = memoryCollection(Shop, [{ _id: shopId, shopDomain: 'demo.myshopify.com', workspace: workspace._id }]);
+  subscriptions = memoryCollection(OutboundSubscription);
+  deliveries = memoryCollection(OutboundDelivery);
+});
+
+afterEach(() => [workspaces, shops, subscriptions, deliveries].forEach((collection) => collection.restore()));
+
+const subscribe = (url) =>
+  fetch(`${appUrl}/api/outbound-webhooks/${shopId}/subscriptions`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ url, topics: ['*'] }),
+  });
+
+test('subscriptions to internal addresses are refused when saved', async () => {
+  for (const url of [
+    `http://localhost:${receiverPort}/hook`,
+    'http://127.0.0.1/hook',
+    'http://169.254.169.254/latest/meta-data',
+    'http://10.0.0.8/hook',
+    'http://[::1]/hook',
+    'http://[fd00::1]/hook',
+  ]) {
+    const res = await subscribe(url);
+    assert.equal(res.status, 400, url);
+    assert.match((await res.json()).message, /url is not allowed: .*loopback, private or link-local/);
+  }
+  assert.equal(subscriptions.docs.length, 0);
+});
+
+test('changing a subscription url to an internal address is refused', async () => {
+  const subscription = {
+    _id: new Types.ObjectId(),
+    shop: shopId,
+    url: 'https://hooks.example.com/xeno',
+    topics: ['*'],
+    secret: 'secret',
+    active: true,
+  };
+  subscriptions.docs.push(subscription);
+
+  const res = await fetch(`${appUrl}/api/outbound-webhooks/${shopId}/subscriptions/${subscription._id}`, {
+    method: 'PATCH',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ url: 'http://192.168.1.20/hook' }),
+  });
+
+  assert.equal(res.status, 400);
+  assert.equal(subscriptions.docs[0].url, 'https://hooks.example.com/xeno');
+});
+
+test('a send is refused when the saved host now resolves to an internal address', async () => {
+  // Saved while the name pointed somewhere public; its DNS now answers with loopback.
+  const subscription = {
+    _id: new Types.ObjectId(),
+    shop: shopId,
+    url: `http://localhost:${receiverPort}/hook`,
+    topics: ['*'],
+    secret: 'secret',
+    active: true,
+  };
+  subscriptions.docs.push(subscription);
+  deliveries.docs.push({
+    _id: new Types.ObjectId(),
+    shop: shopId,
+    subscription: subscription._id,
+    eventId: crypto.randomUUID(),
+    topic: 'orders/create',
+    source: 'custom',
+    payload: { id: 1 },
+    status: 'pending',
+    attempts: 0,
+    nextAttemptAt: new Date(Date.now() - 1000),
+  });
+
+  await drainDeliveries();
+
+  assert.deepEqual(received, []);
+  const [delivery] = deliveries.docs;
+  assert.equal(delivery.status, 'pending', 'retried later, like any other failed attempt');
+  assert.equal(delivery.attempts, 1);
+  assert.equal(delivery.responseStatus, null);
+  assert.match(delivery.error, /^EADDRNOTPUBLIC: localhost resolves to a loopback, private or link-local address/);
+  assert.ok(delivery.nextAttemptAt > new Date());
+  assert.equal('responseBody' in delivery, false);
+});
+
+test('privacy webhooks are not passed on to outbound subscriptions', async () => {
+  const shop = { _id: shopId, shopDomain: 'demo.myshopify.com' };
+  const stored = [Event, Customer, Order, AbandonedCheckout, WebhookDeadLetter, PrivacyRequest, RfmScore].map((Model) =>
+    memoryCollection(Model)
+  );
+  subscriptions.docs.push({
+    _id: new Types.ObjectId(),
+    shop: shopId,
+    url: 'https://hooks.example.com/xeno',
+    topics: ['*'],
+    secret: 'secret',
+    active: true,
+  });
+
+  try {
+    const redact = await processWebhook({
+      shop,
+      topic: 'customers/redact',
+      webhookId: crypto.randomUUID(),
+      payload: {
+        customer: { id: 207119551, email: 'bob@example.com', phone: '+15550100' },
+        orders_to_redact: [299938],
+      },
+    });
+    assert.equal(redact.handled, true);
+    assert.deepEqual(deliveries.docs, []);
+
+    // The same subscription still gets ordinary store events.
+    await processWebhook({ shop, topic: 'carts/update', webhookId: crypto.randomUUID(), payload: { id: 'cart-1' } });
+    assert.deepEqual(
+      deliveries.docs.map((delivery) => delivery.topic),
+      ['carts/update']
+    );
+  } finally {
+    stored.forEach((collection) => collection.restore());
+  }
+});
@@ -0,0 +1,89 @@
+const assert = require('node:assert/strict');
+const { afterEach, beforeEach, test } = require('node:test');
+const { Types } = require('mongoose');
+const Order = require('../src/models/Order');
+const Product = require('../src/models/Product');
+const woocommerce = require('../src/services/connectors/woocommerce');
+const { buildProductPerformance } = require('../src/services/productAnalytics');
+const { upsertDocuments } = require('../src/services/syncEngine');
+const { memoryCollection } = require('./helpers/memoryCollection');
+
+const shopId = new Types.ObjectId();
+const range = { start: new Date('2024-05-01T00:00:00Z'), end: new Date('2024-05-31T23:59:59Z') };
+let collections;
+
+beforeEach(() => {
+  collections = [Order, Product].map((Model) => memoryCollection(Model));
+});
+
+afterEach(() => collections.forEach((collection) => collection.restore()));
+
+// WooCommerce REST records, stored through the connector's mapping like a sync would.
+const wooProduct = (id, name, stock, type = 'simple') => ({
+  id,
+  name,
+  type,
+  status: 'publish',
+  sku: `SKU-${id}`,
+  price: '20.00',
+  stock_quantity: stock,
+  date_created_gmt: '2024-01-01T00:00:00',
+  date_modified_gmt: '2024-01-01T00:00:00',
+});
+
+const wooOrder = (id, lineItems) => ({
+  id,
+  number: String(id),
+  status: 'completed',
+  currency: 'USD',
+  total: '60.00',
+  customer_id: 7,
+  billing: { email: 'ada@example.com' },
+  date_created_gmt: '2024-05-10T09:00:00',
+  date_paid_gmt: '2024-05-10T09:05:00',
+  date_modified_gmt: '2024-05-10T09:05:00',
+  line_items: lineItems,
+});
+
+const store = async () => {
+  const { products, orders } = woocommerce.resources;
+  const catalog = [wooProduct(31, 'Beanie', 10), wooProduct(40, 'Hoodie', 4, 'variable'), wooProduct(50, 'Scarf', 3)];
+  await upsertDocuments(
+    Product,
+    catalog.map((product) => products.map(product, shopId))
+  );
+  await upsertDocuments(Order, [
+    orders.map(
+      wooOrder(900, [
+        // Simple products have no variation; variable ones name the variation that was bought.
+        { id: 1, product_id: 31, variation_id: 0, name: 'Beanie', quantity: 2, price: 20, subtotal: '40.00' },
+        { id: 2, product_id: 40, variation_id: 41, name: 'Hoodie - L', quantity: 1, price: 20, subtotal: '20.00' },
+      ]),
+      shopId
+    ),
+  ]);
+};
+
+test('WooCommerce products that sold are not listed as unsold', async () => {
+  await store();
+
+  const report = await buildProductPerformance(shopId, range);
+
+  assert.deepEqual(
+    report.unsold.map((variant) => variant.title),
+    ['Scarf']
+  );
+  assert.equal(report.unsoldTotal, 1);
+  assert.deepEqual(report.totals, { units: 3, revenue: 60, orders: 1 });
+});
+
+test('WooCommerce simple products show their stock when grouped by variant', async () => {
+  await store();
+
+  const report = await buildProductPerformance(shopId, { ...range, groupBy: 'variant' });
+
+  const beanie = report.rows.find((row) => row.productId === '31');
+  assert.equal(beanie.sku, 'SKU-31');
+  assert.equal(beanie.inventoryQuantity, 10);
+  assert.equal(beanie.units, 2);
+});
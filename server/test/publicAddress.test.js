@@ -0,0 +1,70 @@
+const assert = require('node:assert/strict');
+const http = require('node:http');
+const { after, before, test } = require('node:test');
+const axios = require('axios');
+const woocommerce = require('../src/services/connectors/woocommerce');
+const { assertPublicHost, isPublicAddress, publicLookup } = require('../src/services/publicAddress');
+
+let server;
+let port;
+
+before(async () => {
+  server = http.createServer((req, res) => res.end('internal'));
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  port = server.address().port;
+});
+
+after(() => new Promise((resolve) => server.close(resolve)));
+
+test('only public addresses pass', () => {
+  ['8.8.8.8', '1.1.1.1', '2606:4700:4700::1111'].forEach((address) => assert.ok(isPublicAddress(address), address));
+  [
+    '127.0.0.1',
+    '10.1.2.3',
+    '172.16.0.1',
+    '172.31.255.255',
+    '192.168.1.1',
+    '169.254.169.254',
+    '100.64.0.1',
+    '0.0.0.0',
+    '224.0.0.1',
+    '::1',
+    '::',
+    'fd12:3456::1',
+    'fe80::1',
+    '::ffff:127.0.0.1',
+    '::ffff:10.0.0.1',
+    'not-an-ip',
+  ].forEach((address) => assert.equal(isPublicAddress(address), false, address));
+});
+
+test('assertPublicHost refuses internal literals and names that resolve to them', async () => {
+  for (const host of ['127.0.0.1', '[::1]', '169.254.169.254', 'localhost']) {
+    await assert.rejects(assertPublicHost(host), (err) => err.status === 400 && /loopback, private/.test(err.message));
+  }
+  await assertPublicHost('93.184.216.34');
+});
+
+test('publicLookup stops a request to a name that resolves to loopback', async () => {
+  await assert.rejects(
+    axios.get(`http://localhost:${port}/`, { lookup: publicLookup, timeout: 2000 }),
+    (err) => err.code === 'EADDRNOTPUBLIC'
+  );
+  // Without the guard the same request reaches the internal server.
+  assert.equal((await axios.get(`http://localhost:${port}/`, { timeout: 2000 })).data, 'internal');
+});
+
+test('WooCommerce store domains must be https hostnames', () => {
+  assert.equal(woocommerce.normalizeDomain('https://Shop.Example.com/'), 'shop.example.com');
+  assert.equal(woocommerce.normalizeDomain('shop.example.com'), 'shop.example.com');
+  [
+    'http://shop.example.com',
+    'ftp://shop.example.com',
+    '10.0.0.5',
+    'https://127.0.0.1',
+    'https://[::1]',
+    'https://8.8.8.8',
+    'localhost',
+    '',
+  ].forEach((domain) => assert.equal(woocommerce.normalizeDomain(domain), null, domain));
+});
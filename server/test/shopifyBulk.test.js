@@ -0,0 +1,163 @@
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const http = require('node:http');
+const os = require('node:os');
+const path = require('node:path');
+const { after, before, test } = require('node:test');
+
+// Read when shopifyBulk loads; the fixture server finishes operations on the second poll.
+process.env.SHOPIFY_BULK_POLL_MS = '10';
+
+const { createBulkFixtureApp } = require('../src/scripts/bulkFixtureServer');
+const { iterateBulkPages } = require('../src/services/shopifyBulk');
+const { createShopifyClient } = require('../src/services/shopifyClient');
+
+const servers = [];
+let fixtures;
+let failing;
+let empty;
+let emptyDir;
+
+const listen = async (app) => {
+  const server = http.createServer(app);
+  servers.push(server);
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  return `http://127.0.0.1:${server.address().port}`;
+};
+
+const clientFor = (origin, shop) => createShopifyClient(shop, { baseURL: `${origin}/admin/api/2024-01/` });
+
+const collect = async (pages) => {
+  const records = [];
+  for await (const page of pages) {
+    assert.equal(page.nextPageInfo, null);
+    records.push(...page.records);
+  }
+  return records;
+};
+
+before(async () => {
+  emptyDir = fs.mkdtempSync(path.join(os.tmpdir(), 'bulk-empty-'));
+  fixtures = await listen(createBulkFixtureApp());
+  failing = await listen(
+    createBulkFixtureApp({
+      outcomes: {
+        orders: { status: 'FAILED', errorCode: 'ACCESS_DENIED' },
+        products: { status: 'CANCELED' },
+      },
+    })
+  );
+  empty = await listen(createBulkFixtureApp({ fixtureDir: emptyDir }));
+});
+
+after(async () => {
+  await Promise.all(servers.map((server) => new Promise((resolve) => server.close(resolve))));
+  fs.rmSync(emptyDir, { recursive: true, force: true });
+});
+
+// The fixture server logs each operation it starts.
+const quiet = (t) => t.mock.method(console, 'log', () => {});
+
+test('orders come back REST-shaped with their line items grouped under them', async (t) => {
+  quiet(t);
+  const statuses = [];
+  const orders = await collect(
+    iterateBulkPages(clientFor(fixtures, 'orders.myshopify.com'), 'orders', {
+      onStatus: (operation) => statuses.push(operation.status),
+    })
+  );
+
+  assert.deepEqual(statuses, ['RUNNING', 'COMPLETED']);
+  assert.deepEqual(
+    orders.map((order) => order.id),
+    ['5001', '5002']
+  );
+  const [paid, refunded] = orders;
+  assert.equal(paid.name, '#1001');
+  assert.equal(paid.currency, 'GBP');
+  assert.equal(paid.total_price, '120.00');
+  assert.equal(paid.financial_status, 'paid');
+  assert.equal(paid.fulfillment_status, 'fulfilled');
+  assert.deepEqual(paid.customer, {
+    id: '1001',
+    email: 'ada@example.com',
+    first_name: 'Ada',
+    last_name: 'Lovelace',
+  });
+  assert.deepEqual(paid.line_items, [
+    {
+      id: '9001',
+      product_id: '7001',
+      variant_id: '8001',
+      name: 'Analytical Engine Poster',
+      quantity: 2,
+      price: '55.00',
+    },
+  ]);
+
+  assert.equal(refunded.financial_status, 'partially_refunded');
+  assert.equal(refunded.fulfillment_status, null, 'unfulfilled is null, as in REST');
+  assert.deepEqual(
+    refunded.line_items.map((item) => [item.id, item.quantity]),
+    [
+      ['9002', 1],
+      ['9003', 7],
+    ]
+  );
+});
+
+test('products carry their variants and customers map to REST fields', async (t) => {
+  quiet(t);
+  const client = clientFor(fixtures, 'catalog.myshopify.com');
+
+  const products = await collect(iterateBulkPages(client, 'products'));
+  assert.deepEqual(
+    products.map((product) => [product.id, product.status, product.variants.map((variant) => variant.id)]),
+    [
+      ['7001', 'active', ['8001']],
+      ['7002', 'active', ['8002']],
+    ]
+  );
+  assert.deepEqual(products[1].variants[0], {
+    id: '8002',
+    title: 'Default Title',
+    sku: 'MUG-COBOL',
+    price: '19.00',
+    inventory_quantity: 40,
+  });
+
+  const customers = await collect(iterateBulkPages(client, 'customers'));
+  assert.equal(customers.length, 2);
+  assert.equal(customers[0].total_spent, '420.50');
+  assert.deepEqual(customers[0].default_address, { country_code: 'GB' });
+  assert.equal(customers[0].marketing_opt_in_level, 'single_opt_in');
+  assert.equal(customers[1].state, 'disabled');
+  assert.equal(customers[1].marketing_opt_in_level, undefined);
+});
+
+test('a FAILED operation throws with its error code', async (t) => {
+  quiet(t);
+  await assert.rejects(
+    collect(iterateBulkPages(clientFor(failing, 'failed.myshopify.com'), 'orders')),
+    /Bulk operation gid:\/\/shopify\/BulkOperation\/\d+ failed: ACCESS_DENIED/
+  );
+});
+
+test('a CANCELED operation throws', async (t) => {
+  quiet(t);
+  await assert.rejects(
+    collect(iterateBulkPages(clientFor(failing, 'canceled.myshopify.com'), 'products')),
+    /canceled: no error code/
+  );
+});
+
+test('a completed operation with no url yields nothing', async (t) => {
+  quiet(t);
+  const pages = [];
+  for await (const page of iterateBulkPages(clientFor(empty, 'empty.myshopify.com'), 'orders')) pages.push(page);
+  assert.deepEqual(pages, []);
+});
+
+test('unknown resources are rejected before any request is made', async () => {
+  await assert.rejects(collect(iterateBulkPages(clientFor(fixtures, 'x.myshopify.com'), 'refunds')), /not available/);
+});
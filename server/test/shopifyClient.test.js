@@ -0,0 +1,103 @@
+const assert = require('node:assert/strict');
+const http = require('node:http');
+const { after, before, test } = require('node:test');
+const { createShopifyClient } = require('../src/services/shopifyClient');
+
+// Local stand-in for the Admin API. Each test gets its own path, so routes can't leak between tests; a
+// route is a list of responses served in order (the last one repeats).
+const routes = new Map();
+const hits = new Map();
+let inFlight = 0;
+let maxInFlight = 0;
+let server;
+let baseURL;
+
+const reply = (res, { status = 200, headers = {}, delayMs = 0, body = { ok: true } }) => {
+  inFlight += 1;
+  maxInFlight = Math.max(maxInFlight, inFlight);
+  setTimeout(() => {
+    inFlight -= 1;
+    res.writeHead(status, { 'Content-Type': 'application/json', ...headers });
+    res.end(JSON.stringify(body));
+  }, delayMs);
+};
+
+before(async () => {
+  server = http.createServer((req, res) => {
+    const seen = hits.get(req.url) || [];
+    seen.push({ method: req.method, at: Date.now() });
+    hits.set(req.url, seen);
+    const responses = routes.get(req.url) || [{ status: 404 }];
+    reply(res, responses[Math.min(seen.length - 1, responses.length - 1)]);
+  });
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  baseURL = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => new Promise((resolve) => server.close(resolve)));
+
+// Retry log lines are expected here; keep the test output readable.
+const quiet = (t) => t.mock.method(console, 'warn', () => {});
+
+test('retries 429 after Retry-After, then 503 with backoff, until it succeeds', async (t) => {
+  quiet(t);
+  routes.set('/retry.json', [
+    { status: 429, headers: { 'Retry-After': '0.3' } },
+    { status: 503 },
+    { status: 200, body: { orders: [] } },
+  ]);
+  const client = createShopifyClient('retry.myshopify.com', { baseURL });
+
+  const response = await client.get('/retry.json');
+
+  assert.equal(response.status, 200);
+  assert.deepEqual(response.data, { orders: [] });
+  const seen = hits.get('/retry.json');
+  assert.equal(seen.length, 3);
+  assert.ok(seen[1].at - seen[0].at >= 300, 'waits at least Retry-After before the second attempt');
+  // Second retry uses jittered backoff of 500-1000ms.
+  assert.ok(seen[2].at - seen[1].at >= 500);
+});
+
+test('does not retry a POST that failed with a 5xx', async (t) => {
+  quiet(t);
+  routes.set('/create.json', [{ status: 503 }, { status: 200 }]);
+  const client = createShopifyClient('post.myshopify.com', { baseURL });
+
+  await assert.rejects(client.post('/create.json', { webhook: {} }), (err) => err.response?.status === 503);
+  assert.equal(hits.get('/create.json').length, 1);
+});
+
+test('retries a POST that was rejected with 429, since Shopify never ran it', async (t) => {
+  quiet(t);
+  routes.set('/throttled.json', [{ status: 429, headers: { 'Retry-After': '0' } }, { status: 201 }]);
+  const client = createShopifyClient('throttled.myshopify.com', { baseURL });
+
+  const response = await client.post('/throttled.json', {});
+
+  assert.equal(response.status, 201);
+  assert.equal(hits.get('/throttled.json').length, 2);
+});
+
+test('caps in-flight requests per shop', async () => {
+  routes.set('/slow.json', [{ status: 200, delayMs: 100 }]);
+  const client = createShopifyClient('busy.myshopify.com', { baseURL });
+  maxInFlight = 0;
+
+  await Promise.all(Array.from({ length: 6 }, () => client.get('/slow.json')));
+
+  assert.equal(hits.get('/slow.json').length, 6);
+  assert.equal(maxInFlight, 2);
+});
+
+test('slows down when the call-limit header says the bucket is full', async () => {
+  routes.set('/full.json', [{ status: 200, headers: { 'X-Shopify-Shop-Api-Call-Limit': '34/40' } }]);
+  const client = createShopifyClient('full.myshopify.com', { baseURL });
+
+  await client.get('/full.json');
+  await client.get('/full.json');
+
+  const [first, second] = hits.get('/full.json');
+  // 34/40 is three calls past the 80% ceiling of 32, which drains at 2 calls a second.
+  assert.ok(second.at - first.at >= 1400);
+});
@@ -0,0 +1,87 @@
+const assert = require('node:assert/strict');
+const http = require('node:http');
+const { after, before, beforeEach, test } = require('node:test');
+const shopify = require('../src/services/connectors/shopify');
+
+// Stub Admin API with 120 locations, each stocking one item. Every location batch is served as two pages, the
+// second reached through page_info like Shopify's Link header pagination.
+const LOCATIONS = Array.from({ length: 120 }, (_, i) => 1000 + i);
+const shop = { shopDomain: 'demo.myshopify.com', accessToken: 'shpat_test' };
+let requests;
+let server;
+
+// next-<first location of the batch> is the second half of that batch.
+const secondHalf = (ids) => ids.slice(ids.length / 2);
+const batchFrom = (first) => LOCATIONS.slice(LOCATIONS.indexOf(first), LOCATIONS.indexOf(first) + 50);
+
+const levels = (locationIds) =>
+  locationIds.map((id) => ({
+    inventory_item_id: 1,
+    location_id: id,
+    available: 5,
+    updated_at: '2024-05-01T00:00:00Z',
+  }));
+
+before(async () => {
+  server = http.createServer((req, res) => {
+    const url = new URL(req.url, 'http://stub');
+    res.setHeader('Content-Type', 'application/json');
+    if (url.pathname.endsWith('/locations.json')) {
+      return res.end(JSON.stringify({ locations: LOCATIONS.map((id) => ({ id })) }));
+    }
+    requests.push(Object.fromEntries(url.searchParams));
+    const pageInfo = url.searchParams.get('page_info');
+    if (pageInfo) {
+      const first = Number(pageInfo.replace('next-', ''));
+      return res.end(JSON.stringify({ inventory_levels: levels(secondHalf(batchFrom(first))) }));
+    }
+    const ids = url.searchParams.get('location_ids').split(',').map(Number);
+    res.setHeader('Link', `<${process.env.SHOPIFY_ADMIN_ORIGIN}${url.pathname}?page_info=next-${ids[0]}>; rel="next"`);
+    return res.end(JSON.stringify({ inventory_levels: levels(ids.slice(0, ids.length / 2)) }));
+  });
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  process.env.SHOPIFY_ADMIN_ORIGIN = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => new Promise((resolve) => server.close(resolve)));
+
+beforeEach(() => {
+  requests = [];
+});
+
+const collect = async (pageInfo) => {
+  const pages = [];
+  for await (const page of shopify.iteratePages(shop, 'inventory_levels', {}, { pageInfo, strategy: 'rest' })) {
+    pages.push({ locations: page.records.map((level) => level.location_id), nextPageInfo: page.nextPageInfo });
+  }
+  return pages;
+};
+
+test('inventory levels are fetched for every location, 50 at a time', async () => {
+  const pages = await collect();
+
+  assert.deepEqual(
+    pages.flatMap((page) => page.locations),
+    LOCATIONS
+  );
+  const batches = requests.filter((params) => params.location_ids).map((params) => params.location_ids.split(','));
+  assert.deepEqual(
+    batches.map((ids) => ids.length),
+    [50, 50, 20]
+  );
+  assert.deepEqual(
+    pages.map((page) => page.nextPageInfo),
+    ['0:next-1000', '1:', '1:next-1050', '2:', '2:next-1100', null]
+  );
+});
+
+test('a run resumed part-way through a batch still covers the later batches', async () => {
+  const pages = await collect('1:next-1050');
+
+  assert.deepEqual(
+    pages.flatMap((page) => page.locations),
+    LOCATIONS.slice(75)
+  );
+  assert.equal(requests[0].page_info, 'next-1050');
+  assert.equal(requests[0].location_ids, undefined);
+});
@@ -0,0 +1,227 @@
+const assert = require('node:assert/strict');
+const crypto = require('node:crypto');
+const http = require('node:http');
+const { after, afterEach, before, beforeEach, test } = require('node:test');
+
+// Set before the app modules load: they read these when they are required.
+process.env.SHOPIFY_API_KEY = 'test-key';
+process.env.SHOPIFY_API_SECRET = 'test-secret';
+process.env.AUTH_JWT_SECRET = 'test-jwt-secret';
+process.env.TOKEN_ENCRYPTION_KEYS = `k1:${crypto.randomBytes(32).toString('base64')}`;
+process.env.CLIENT_BASE_URL = 'http://dashboard.test';
+process.env.APP_BASE_URL = 'http://app.test';
+
+const express = require('express');
+const jwt = require('jsonwebtoken');
+const { Types } = require('mongoose');
+const OAuthState = require('../src/models/OAuthState');
+const Shop = require('../src/models/Shop');
+const shopifyOAuthRoutes = require('../src/routes/shopifyOAuth');
+const { decryptSecret } = require('../src/services/tokenCrypto');
+const { memoryCollection } = require('./helpers/memoryCollection');
+
+const SHOP = 'demo-store.myshopify.com';
+const USER = 'owner@example.com';
+
+// Stub Shopify: the OAuth token endpoint plus the webhooks API the install registers against.
+const tokenRequests = [];
+let tokenResponse;
+let shopify;
+let app;
+let appUrl;
+let states;
+let shops;
+
+const listen = (server) =>
+  new Promise((resolve) => server.listen(0, '127.0.0.1', () => resolve(`http://127.0.0.1:${server.address().port}`)));
+
+const readBody = (req) =>
+  new Promise((resolve) => {
+    let body = '';
+    req.on('data', (chunk) => {
+      body += chunk;
+    });
+    req.on('end', () => resolve(body ? JSON.parse(body) : null));
+  });
+
+before(async () => {
+  shopify = http.createServer(async (req, res) => {
+    const body = await readBody(req);
+    res.setHeader('Content-Type', 'application/json');
+    if (req.url === '/admin/oauth/access_token') {
+      tokenRequests.push(body);
+      res.writeHead(tokenResponse.status);
+      return res.end(JSON.stringify(tokenResponse.body));
+    }
+    if (req.url.includes('/webhooks')) {
+      res.writeHead(req.method === 'POST' ? 201 : 200);
+      return res.end(JSON.stringify(req.method === 'GET' ? { webhooks: [] } : { webhook: { id: 1 } }));
+    }
+    res.writeHead(404);
+    res.end('{}');
+  });
+  process.env.SHOPIFY_ADMIN_ORIGIN = await listen(shopify);
+
+  const server = express();
+  server.use(express.json());
+  server.use('/api/shopify', shopifyOAuthRoutes);
+  app = http.createServer(server);
+  appUrl = await listen(app);
+});
+
+after(async () => {
+  await new Promise((resolve) => app.close(resolve));
+  await new Promise((resolve) => shopify.close(resolve));
+});
+
+beforeEach(() => {
+  tokenRequests.length = 0;
+  tokenResponse = { status: 200, body: { access_token: 'shpat_secret_token', scope: 'read_orders,read_customers' } };
+  states = memoryCollection(OAuthState);
+  shops = memoryCollection(Shop);
+});
+
+afterEach(() => {
+  states.restore();
+  shops.restore();
+});
+
+const sign = (params) =>
+  crypto
+    .createHmac('sha256', process.env.SHOPIFY_API_SECRET)
+    .update(
+      Object.keys(params)
+        .sort()
+        .map((key) => `${key}=${params[key]}`)
+        .join('&')
+    )
+    .digest('hex');
+
+const callback = (params, { hmac } = {}) => {
+  const query = new URLSearchParams({ ...params, hmac: hmac || sign(params) });
+  return fetch(`${appUrl}/api/shopify/callback?${query}`, { redirect: 'manual' });
+};
+
+const addState = (overrides = {}) => {
+  const state = {
+    nonce: crypto.randomBytes(8).toString('hex'),
+    shopDomain: SHOP,
+    userEmail: USER,
+    workspace: new Types.ObjectId(),
+    expiresAt: new Date(Date.now() + 60000),
+    ...overrides,
+  };
+  states.docs.push(state);
+  return state;
+};
+
+const callbackParams = (state, overrides = {}) => ({
+  shop: SHOP,
+  code: 'auth-code',
+  state: state.nonce,
+  timestamp: String(Math.floor(Date.now() / 1000)),
+  ...overrides,
+});
+
+test('install rejects shop domains that are not an Admin hostname', async () => {
+  const token = jwt.sign({ sub: USER }, process.env.AUTH_JWT_SECRET);
+  for (const shop of ['evil.example.com', 'demo.myshopify.com.evil.com', '127.0.0.1', '']) {
+    const res = await fetch(`${appUrl}/api/shopify/install?shop=${encodeURIComponent(shop)}`, {
+      headers: { Authorization: `Bearer ${token}`, Accept: 'application/json' },
+    });
+    assert.equal(res.status, 400, shop);
+  }
+  assert.equal(states.docs.length, 0);
+});
+
+test('install stores a state nonce and points at the Shopify origin', async () => {
+  const token = jwt.sign({ sub: USER }, process.env.AUTH_JWT_SECRET);
+  const res = await fetch(`${appUrl}/api/shopify/install?shop=${SHOP}`, {
+    headers: { Authorization: `Bearer ${token}`, Accept: 'application/json' },
+  });
+
+  assert.equal(res.status, 200);
+  const url = new URL((await res.json()).authorizeUrl);
+  assert.equal(url.origin, process.env.SHOPIFY_ADMIN_ORIGIN);
+  assert.equal(url.pathname, '/admin/oauth/authorize');
+  assert.equal(url.searchParams.get('redirect_uri'), 'http://app.test/api/shopify/callback');
+  assert.equal(states.docs.length, 1);
+  assert.equal(states.docs[0].nonce, url.searchParams.get('state'));
+  assert.equal(states.docs[0].userEmail, USER);
+});
+
+test('callback rejects a forged shop hostname before anything else', async () => {
+  const state = addState();
+  const res = await callback(callbackParams(state, { shop: 'evil.example.com' }));
+
+  assert.equal(res.status, 400);
+  assert.equal(states.docs.length, 1, 'state is not consumed');
+  assert.equal(tokenRequests.length, 0);
+});
+
+test('callback rejects a bad HMAC without consuming the state', async () => {
+  const state = addState();
+  const res = await callback(callbackParams(state), { hmac: 'ab'.repeat(32) });
+
+  assert.equal(res.status, 401);
+  assert.match((await res.json()).message, /signature/);
+  assert.equal(states.docs.length, 1);
+  assert.equal(tokenRequests.length, 0);
+});
+
+test('callback exchanges the code and stores the token encrypted', async () => {
+  const state = addState();
+  const res = await callback(callbackParams(state));
+
+  assert.equal(res.status, 302);
+  assert.equal(res.headers.get('location'), `http://dashboard.test/?installed=${SHOP}`);
+  assert.deepEqual(tokenRequests, [{ client_id: 'test-key', client_secret: 'test-secret', code: 'auth-code' }]);
+
+  assert.equal(shops.docs.length, 1);
+  const [shop] = shops.docs;
+  assert.equal(shop.shopDomain, SHOP);
+  assert.equal(String(shop.workspace), String(state.workspace));
+  assert.equal(shop.ownerEmail, USER);
+  assert.deepEqual([...shop.scopes], ['read_orders', 'read_customers']);
+  assert.match(shop.accessToken, /^enc:v1:k1:/);
+  assert.equal(decryptSecret(shop.accessToken), 'shpat_secret_token');
+});
+
+test('a state can only be used once', async () => {
+  const state = addState();
+  assert.equal((await callback(callbackParams(state))).status, 302);
+
+  const replay = await callback(callbackParams(state));
+  assert.equal(replay.status, 401);
+  assert.match((await replay.json()).message, /invalid, expired or already used/);
+  assert.equal(tokenRequests.length, 1);
+});
+
+test('an expired state is rejected', async () => {
+  const state = addState({ expiresAt: new Date(Date.now() - 1000) });
+  const res = await callback(callbackParams(state));
+
+  assert.equal(res.status, 401);
+  assert.equal(tokenRequests.length, 0);
+  assert.equal(shops.docs.length, 0);
+});
+
+test('a state issued for another shop is rejected', async () => {
+  const state = addState({ shopDomain: 'other-store.myshopify.com' });
+  const res = await callback(callbackParams(state));
+
+  assert.equal(res.status, 401);
+  assert.equal(tokenRequests.length, 0);
+});
+
+test('a failed code exchange is sent back to the dashboard', async (t) => {
+  t.mock.method(console, 'error', () => {});
+  tokenResponse = { status: 400, body: { error: 'invalid_request' } };
+  const state = addState();
+  const res = await callback(callbackParams(state));
+
+  assert.equal(res.status, 302);
+  const location = new URL(res.headers.get('location'));
+  assert.match(location.searchParams.get('install_error'), /token exchange failed/);
+  assert.equal(shops.docs.length, 0);
+});
@@ -0,0 +1,57 @@
+const assert = require('node:assert/strict');
+const { afterEach, beforeEach, test } = require('node:test');
+const { Types } = require('mongoose');
+const Fulfillment = require('../src/models/Fulfillment');
+const Order = require('../src/models/Order');
+const Refund = require('../src/models/Refund');
+const { handleWebhook } = require('../src/services/shopifyService');
+const { memoryCollection } = require('./helpers/memoryCollection');
+
+const shop = { _id: new Types.ObjectId(), shopDomain: 'demo.myshopify.com' };
+let orders;
+let children;
+
+beforeEach(() => {
+  orders = memoryCollection(Order);
+  children = [Refund, Fulfillment].map((Model) => memoryCollection(Model));
+});
+
+afterEach(() => [orders, ...children].forEach((collection) => collection.restore()));
+
+const orderPayload = (updatedAt) => ({
+  id: 450789469,
+  name: '#1001',
+  email: 'bob@example.com',
+  total_price: '59.00',
+  created_at: '2024-05-01T10:00:00Z',
+  updated_at: updatedAt,
+  line_items: [],
+});
+
+test('a delete that arrives before the create leaves a tombstone the create cannot revive', async () => {
+  const deleted = await handleWebhook('orders/delete', { id: 450789469 }, shop);
+  assert.deepEqual(deleted, { handled: true, type: 'order', deleted: true });
+  assert.equal(orders.docs.length, 1);
+  assert.ok(orders.docs[0].deletedAt);
+
+  const created = await handleWebhook('orders/create', orderPayload('2024-05-01T10:00:00Z'), shop);
+
+  assert.equal(created.stale, true);
+  assert.equal(orders.docs.length, 1);
+  assert.ok(orders.docs[0].deletedAt);
+  assert.equal(orders.docs[0].name, undefined);
+});
+
+test('deleting a stored record marks it once and rejects older versions', async () => {
+  await handleWebhook('orders/create', orderPayload('2024-05-01T10:00:00Z'), shop);
+
+  assert.equal((await handleWebhook('orders/delete', { id: 450789469 }, shop)).deleted, true);
+  const { deletedAt } = orders.docs[0];
+  assert.equal((await handleWebhook('orders/delete', { id: 450789469 }, shop)).deleted, false);
+  assert.equal(orders.docs[0].deletedAt, deletedAt);
+
+  const updated = await handleWebhook('orders/updated', orderPayload('2024-05-02T10:00:00Z'), shop);
+  assert.equal(updated.stale, true);
+  assert.equal(orders.docs[0].name, '#1001');
+  assert.equal(orders.docs.length, 1);
+});
@@ -0,0 +1,66 @@
+const assert = require('node:assert/strict');
+const { afterEach, beforeEach, test } = require('node:test');
+const { Types } = require('mongoose');
+const Shop = require('../src/models/Shop');
+const SyncJob = require('../src/models/SyncJob');
+const { subscribeLive } = require('../src/services/liveFeed');
+const { drainQueue } = require('../src/services/syncQueue');
+const { memoryCollection } = require('./helpers/memoryCollection');
+
+const HOUR_MS = 60 * 60 * 1000;
+let shopId;
+let shops;
+let jobs;
+
+beforeEach(() => {
+  shopId = new Types.ObjectId();
+  // Fails before any page is pulled: the stored domain can't be normalized.
+  shops = memoryCollection(Shop, [{ _id: shopId, shopDomain: 'not a shop', platform: 'shopify' }]);
+  jobs = memoryCollection(SyncJob);
+});
+
+afterEach(() => [shops, jobs].forEach((collection) => collection.restore()));
+
+// Log lines for the failures below are expected.
+const quiet = (t) => t.mock.method(console, 'error', () => {});
+
+const progress = () => ({
+  customers: { status: 'succeeded', pulled: 40, saved: 40 },
+  orders: { status: 'running', total: 900, pulled: 250, saved: 250 },
+  products: { status: 'queued', pulled: 0, saved: 0 },
+});
+
+test('resources still running when a job fails are marked failed with its error', async (t) => {
+  quiet(t);
+  // Requeued after its worker died part-way through orders.
+  jobs.docs.push({ shop: shopId, status: 'queued', attempts: 1, progress: progress(), createdAt: new Date() });
+  const events = [];
+  const unsubscribe = subscribeLive(shopId, (type, data) => events.push(data));
+
+  try {
+    await drainQueue();
+  } finally {
+    unsubscribe();
+  }
+
+  const [job] = jobs.docs;
+  assert.equal(job.status, 'failed');
+  assert.match(job.error, /Invalid shop domain/);
+  assert.deepEqual(job.progress.orders, { status: 'failed', total: 900, pulled: 250, saved: 250, error: job.error });
+  assert.equal(job.progress.customers.status, 'succeeded');
+  assert.equal(job.progress.products.status, 'queued');
+  assert.deepEqual(events.at(-1).progress, { orders: job.progress.orders });
+});
+
+test('a job abandoned after its last attempt fails its running resources too', async (t) => {
+  quiet(t);
+  const stalledAt = new Date(Date.now() - HOUR_MS);
+  jobs.docs.push({ shop: shopId, status: 'running', attempts: 3, progress: progress(), updatedAt: stalledAt });
+
+  await drainQueue();
+
+  const [job] = jobs.docs;
+  assert.equal(job.status, 'failed');
+  assert.equal(job.progress.orders.status, 'failed');
+  assert.match(job.progress.orders.error, /stopped responding on each of 3 attempts/);
+});